@@ -0,0 +1,139 @@
+// admin/scripts/broadcast-stand-in.js
+// Local HTTP stand-in for Telegram/Discord/webhook broadcast targets. Point a 'generic'
+// target's url at http://localhost:<port>/ (or a telegram/discord target, the body is
+// logged as received) and watch what the broadcaster posts. --fail N answers the first N
+// requests with --status (default 500) to exercise retries; --demo sends a sample
+// published and closed signal through the broadcaster's formatting and retry path.
+const http = require('http');
+const {
+  MAX_ATTEMPTS,
+  formatBroadcast,
+  buildBroadcastRequest,
+  sendBroadcast,
+  getRetryDelay
+} = require('../../api/signals/signal-broadcaster');
+const { parseArgs } = require('./resolve-signals');
+
+function startStandIn({ port = 4010, fail = 0, status = 500 } = {}) {
+  let remainingFailures = fail;
+  const received = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const failing = remainingFailures > 0;
+      if (failing) remainingFailures--;
+
+      received.push({ method: req.method, path: req.url, body });
+      console.log(`📥 ${req.method} ${req.url} -> ${failing ? status : 200}`);
+      console.log(`   ${body}`);
+
+      res.writeHead(failing ? status : 200, {
+        'Content-Type': 'application/json',
+        ...(failing && status === 429 ? { 'Retry-After': '1' } : {})
+      });
+      res.end(JSON.stringify(failing ? { ok: false, error: 'Stand-in failure' } : { ok: true }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, () => resolve({ server, received }));
+  });
+}
+
+// Deliver one message the way the broadcaster does, with retries compressed to 200ms
+async function deliverWithRetries(target, message, delivery) {
+  for (let attempts = 1; attempts <= MAX_ATTEMPTS; attempts++) {
+    const result = await sendBroadcast(buildBroadcastRequest(target, message, delivery));
+
+    if (result.ok) {
+      console.log(`✅ ${delivery.event} delivered on attempt ${attempts}`);
+      return true;
+    }
+
+    if (!result.retryable || attempts === MAX_ATTEMPTS) {
+      console.error(`❌ ${delivery.event} failed after ${attempts} attempts: ${result.error}`);
+      return false;
+    }
+
+    console.log(`🔁 Attempt ${attempts} failed (${result.error}); the broadcaster would retry in ${getRetryDelay(attempts, result.retryAfterMs) / 1000}s`);
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  return false;
+}
+
+async function runDemo(port, kind) {
+  const target = {
+    kind,
+    tier: 'gold',
+    chat_id: kind === 'telegram' ? '-1001234567890' : null,
+    url: `http://localhost:${port}/${kind}`,
+    templates: {}
+  };
+  const signal = {
+    id: 'demo-signal',
+    title: 'EURUSD breakout',
+    symbol: 'EURUSD',
+    action: 'buy',
+    timeframe: 'H1',
+    entry_price: 1.085,
+    stop_loss: 1.08,
+    take_profit: 1.1,
+    take_profit_targets: [
+      { level: 1, price: 1.09, close_percent: 50, status: 'hit' },
+      { level: 2, price: 1.1, close_percent: 50, status: 'pending' }
+    ],
+    result: 'profit',
+    pips_gained: 100
+  };
+
+  let delivered = 0;
+  for (const event of ['published', 'closed']) {
+    if (await deliverWithRetries(target, formatBroadcast(target, signal, event), { event, signal_id: signal.id })) {
+      delivered++;
+    }
+  }
+
+  return delivered;
+}
+
+// Main execution
+async function main() {
+  console.log('🚀 Traders Helmet Academy - Broadcast Target Stand-in');
+  console.log('====================================================\n');
+
+  // Usage: node broadcast-stand-in.js [--port 4010] [--fail 2] [--status 500|429] [--demo] [--kind generic|telegram|discord]
+  const options = parseArgs(process.argv.slice(2));
+  const port = parseInt(options.port) || 4010;
+
+  const { server, received } = await startStandIn({
+    port,
+    fail: parseInt(options.fail) || 0,
+    status: parseInt(options.status) || 500
+  });
+  console.log(`✅ Listening on http://localhost:${port}\n`);
+
+  if (options.demo) {
+    const delivered = await runDemo(port, options.kind || 'generic');
+    console.log(`\n📊 ${delivered} of 2 messages delivered, ${received.length} requests received`);
+    server.close();
+    process.exit(delivered === 2 ? 0 : 1);
+  }
+
+  process.on('SIGINT', () => {
+    console.log(`\n🛑 Received ${received.length} requests`);
+    server.close();
+    process.exit(0);
+  });
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = {
+  startStandIn
+};
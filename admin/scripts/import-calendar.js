@@ -0,0 +1,92 @@
+// admin/scripts/import-calendar.js
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const {
+  parseCalendarCsv,
+  parseCalendarIcs,
+  importEconomicEvents
+} = require('../../api/market/economic-calendar');
+const { parseArgs } = require('./resolve-signals');
+require('dotenv').config();
+
+const FORMATS = ['ics', 'csv'];
+
+async function importCalendar(options = {}) {
+  try {
+    if (!options.file) {
+      throw new Error('An ICS or CSV --file is required');
+    }
+
+    // Format follows the file extension unless given explicitly
+    const format = (options.format || path.extname(options.file).slice(1)).toLowerCase();
+    if (!FORMATS.includes(format)) {
+      throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+    }
+
+    const source = options.source || format;
+    const text = fs.readFileSync(path.resolve(options.file), 'utf8');
+    const { events, errors } = format === 'ics'
+      ? parseCalendarIcs(text, source)
+      : parseCalendarCsv(text, source);
+
+    console.log(`📂 Parsed ${events.length} economic events from ${options.file}`);
+
+    errors.slice(0, 20).forEach(failure => {
+      console.error(`❌ Line ${failure.line}: ${failure.error}`);
+    });
+    if (errors.length > 20) {
+      console.error(`❌ ...and ${errors.length - 20} more invalid entries`);
+    }
+
+    if (!options['dry-run']) {
+      const supabaseUrl = process.env.SUPABASE_URL || 'https://vjxnwqjlaxrvqctiphhb.supabase.co';
+      const supabase = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_KEY);
+      await importEconomicEvents(supabase, events);
+    }
+
+    const byImpact = events.reduce((counts, event) => {
+      counts[event.impact] = (counts[event.impact] || 0) + 1;
+      return counts;
+    }, {});
+
+    console.log('\n📊 Import Summary:');
+    console.log(`✅ Events written: ${events.length}${options['dry-run'] ? ' (dry run, nothing written)' : ''}`);
+    console.log(`🔥 High impact: ${byImpact.high || 0}, medium: ${byImpact.medium || 0}, low: ${byImpact.low || 0}`);
+    console.log(`❌ Invalid entries: ${errors.length}`);
+
+    return {
+      success: true,
+      events: events.length,
+      errors
+    };
+
+  } catch (error) {
+    console.error('❌ Calendar import failed:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// Main execution
+async function main() {
+  console.log('🚀 Traders Helmet Academy - Economic Calendar Import');
+  console.log('===================================================\n');
+
+  // Usage: node import-calendar.js --file calendar.ics [--format ics|csv] [--source forexfactory] [--dry-run]
+  const options = parseArgs(process.argv.slice(2));
+  const result = await importCalendar(options);
+
+  process.exit(result.success ? 0 : 1);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = {
+  importCalendar
+};
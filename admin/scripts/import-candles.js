@@ -0,0 +1,175 @@
+// admin/scripts/import-candles.js
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { createCandleStore } = require('../../api/market/ohlcv-store');
+const { AGGREGATE_TIMEFRAMES, rollupBars, fillGaps } = require('../../api/market/candle-aggregator');
+const { normalizeSymbol } = require('../../api/market/symbols');
+const { parseArgs } = require('./resolve-signals');
+require('dotenv').config();
+
+// Column names accepted in a header row, mapped to bar fields
+const HEADER_ALIASES = {
+  time: 'time', timestamp: 'time', datetime: 'time', date: 'date',
+  open: 'open', o: 'open',
+  high: 'high', h: 'high',
+  low: 'low', l: 'low',
+  close: 'close', c: 'close',
+  volume: 'volume', vol: 'volume', v: 'volume', tickvol: 'volume'
+};
+
+// Epoch seconds, epoch ms, ISO or MT4-style "2025.01.06 08:00"; zone-less times are UTC
+function parseTime(value) {
+  const text = String(value).trim();
+
+  if (/^\d+$/.test(text)) {
+    const number = parseInt(text);
+    return number < 1e12 ? number * 1000 : number;
+  }
+
+  const iso = text.replace(/^(\d{4})[./](\d{2})[./](\d{2})/, '$1-$2-$3').replace(' ', 'T');
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(iso);
+  return Date.parse(hasZone || !iso.includes('T') ? iso : `${iso}Z`);
+}
+
+/**
+ * Parse OHLCV CSV. With a header row, columns are matched by name (time/date, open, high,
+ * low, close, volume). Without one, rows are time,open,high,low,close[,volume] or the MT4
+ * history layout date,time,open,high,low,close,volume.
+ * Returns { bars, errors } with bad rows reported by line number instead of aborting.
+ */
+function parseCandleCsv(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const bars = [];
+  const errors = [];
+
+  if (lines.length === 0) {
+    return { bars, errors };
+  }
+
+  const split = line => line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, ''));
+  const firstRow = split(lines[0]);
+  const hasHeader = firstRow.some(cell => /^[a-z<]/i.test(cell) && HEADER_ALIASES[cell.toLowerCase().replace(/[<>]/g, '')]);
+
+  let columns;
+  if (hasHeader) {
+    columns = firstRow.map(cell => HEADER_ALIASES[cell.toLowerCase().replace(/[<>]/g, '')] || null);
+  } else if (firstRow.length >= 7) {
+    columns = ['date', 'time', 'open', 'high', 'low', 'close', 'volume'];
+  } else {
+    columns = ['time', 'open', 'high', 'low', 'close', 'volume'];
+  }
+
+  lines.slice(hasHeader ? 1 : 0).forEach((line, index) => {
+    const lineNumber = index + (hasHeader ? 2 : 1);
+    const record = {};
+    split(line).forEach((cell, column) => {
+      if (columns[column]) record[columns[column]] = cell;
+    });
+
+    const timeText = record.date && record.time ? `${record.date} ${record.time}` : (record.time || record.date);
+    const time = timeText ? parseTime(timeText) : NaN;
+    const bar = {
+      open: parseFloat(record.open),
+      high: parseFloat(record.high),
+      low: parseFloat(record.low),
+      close: parseFloat(record.close),
+      volume: parseFloat(record.volume) || 0
+    };
+
+    if (!Number.isFinite(time)) {
+      errors.push({ line: lineNumber, error: `Invalid time: ${timeText}` });
+      return;
+    }
+    if (![bar.open, bar.high, bar.low, bar.close].every(Number.isFinite)) {
+      errors.push({ line: lineNumber, error: 'Missing or invalid price' });
+      return;
+    }
+    if (bar.high < Math.max(bar.open, bar.close) || bar.low > Math.min(bar.open, bar.close)) {
+      errors.push({ line: lineNumber, error: 'High/low do not contain open and close' });
+      return;
+    }
+
+    bars.push({ time: new Date(time).toISOString(), ...bar, tick_count: 0, filled: false });
+  });
+
+  return { bars, errors };
+}
+
+async function importCandles(options = {}) {
+  try {
+    const symbol = normalizeSymbol(options.symbol);
+    const timeframe = options.timeframe || '1m';
+
+    if (!symbol) {
+      throw new Error('A valid --symbol is required');
+    }
+    if (!AGGREGATE_TIMEFRAMES.includes(timeframe)) {
+      throw new Error(`--timeframe must be one of: ${AGGREGATE_TIMEFRAMES.join(', ')}`);
+    }
+    if (!options.file) {
+      throw new Error('A CSV --file is required');
+    }
+
+    const { bars, errors } = parseCandleCsv(fs.readFileSync(path.resolve(options.file), 'utf8'));
+    console.log(`📂 Parsed ${bars.length} ${timeframe} bars for ${symbol} from ${options.file}`);
+
+    errors.slice(0, 20).forEach(failure => {
+      console.error(`❌ Line ${failure.line}: ${failure.error}`);
+    });
+    if (errors.length > 20) {
+      console.error(`❌ ...and ${errors.length - 20} more invalid rows`);
+    }
+
+    let result;
+    if (options['dry-run']) {
+      // Report what would be written without touching the database
+      const series = fillGaps(rollupBars(bars, symbol, timeframe), symbol, timeframe);
+      result = { bars: series.length, filled: series.filter(bar => bar.filled).length };
+    } else {
+      const supabaseUrl = process.env.SUPABASE_URL || 'https://vjxnwqjlaxrvqctiphhb.supabase.co';
+      const supabase = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_KEY);
+      result = await createCandleStore({ supabase }).importBars(symbol, timeframe, bars);
+    }
+
+    console.log('\n📊 Import Summary:');
+    console.log(`✅ Bars written: ${result.bars}${options['dry-run'] ? ' (dry run, nothing written)' : ''}`);
+    console.log(`🩹 Gaps backfilled: ${result.filled}`);
+    console.log(`❌ Invalid rows: ${errors.length}`);
+
+    return {
+      success: true,
+      ...result,
+      errors
+    };
+
+  } catch (error) {
+    console.error('❌ Candle import failed:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// Main execution
+async function main() {
+  console.log('🚀 Traders Helmet Academy - Candle Import');
+  console.log('=========================================\n');
+
+  // Usage: node import-candles.js --symbol EURUSD --file history.csv [--timeframe 1m] [--dry-run]
+  const options = parseArgs(process.argv.slice(2));
+  const result = await importCandles(options);
+
+  process.exit(result.success ? 0 : 1);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = {
+  importCandles,
+  parseCandleCsv
+};
@@ -0,0 +1,112 @@
+// admin/scripts/resolve-signals.js
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { createFixtureCandleStore } = require('../../api/signals/candle-store');
+const { resolveActiveSignals } = require('../../api/signals/outcome-resolver');
+require('dotenv').config();
+
+// Parse --flag value / --flag pairs into an options object
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+
+    if (next && !next.startsWith('--')) {
+      options[key] = next;
+      i++;
+    } else {
+      options[key] = true;
+    }
+  }
+
+  return options;
+}
+
+async function resolveSignals(options = {}) {
+  try {
+    const candleStore = createFixtureCandleStore({ dir: options.fixtures });
+    const now = options.now ? new Date(options.now) : new Date();
+
+    let signals = null;
+    let supabase = null;
+
+    if (options.signals) {
+      // Fully offline: read signals from a JSON file and never touch the database
+      signals = JSON.parse(fs.readFileSync(path.resolve(options.signals), 'utf8'));
+      console.log(`📂 Loaded ${signals.length} signals from ${options.signals}`);
+    } else {
+      const supabaseUrl = process.env.SUPABASE_URL || 'https://vjxnwqjlaxrvqctiphhb.supabase.co';
+      supabase = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_KEY);
+    }
+
+    const dryRun = Boolean(options['dry-run'] || signals);
+
+    const summary = await resolveActiveSignals({
+      supabase,
+      candleStore,
+      signals,
+      timeframe: options.timeframe || '1h',
+      now,
+      dryRun
+    });
+
+    summary.resolved.forEach(signal => {
+      const icon = signal.result === 'profit' ? '✅' : signal.result === 'loss' ? '❌' : '➖';
+      console.log(`${icon} ${signal.symbol} ${signal.status} via ${signal.close_reason} at ${signal.exit_price} (${signal.pips_gained} pips)`);
+    });
+
+    summary.targetsHit.forEach(target => {
+      console.log(`🎯 ${target.symbol} TP${target.level} hit at ${target.hit_price} (${target.close_percent}% closed)`);
+    });
+
+    summary.errors.forEach(failure => {
+      console.error(`❌ Failed to resolve ${failure.id}: ${failure.error}`);
+    });
+
+    console.log('\n📊 Resolution Summary:');
+    console.log(`🔍 Checked: ${summary.checked} active signals`);
+    console.log(`🏁 Resolved: ${summary.resolved.length}${dryRun ? ' (dry run, nothing written)' : ''}`);
+    console.log(`🎯 Targets hit on open signals: ${summary.targetsHit.length}`);
+    console.log(`❌ Errors: ${summary.errors.length}`);
+
+    return {
+      success: summary.errors.length === 0,
+      ...summary
+    };
+
+  } catch (error) {
+    console.error('❌ Signal resolution failed:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// Main execution
+async function main() {
+  console.log('🚀 Traders Helmet Academy - Signal Outcome Resolver');
+  console.log('===================================================\n');
+
+  // Usage: node resolve-signals.js [--dry-run] [--fixtures dir] [--signals file.json] [--timeframe 1h] [--now ISO]
+  const options = parseArgs(process.argv.slice(2));
+  const result = await resolveSignals(options);
+
+  process.exit(result.success ? 0 : 1);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = {
+  resolveSignals,
+  parseArgs
+};
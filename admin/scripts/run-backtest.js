@@ -0,0 +1,94 @@
+// admin/scripts/run-backtest.js
+// Backtest a CSV or JSON file of setups offline against the candle fixtures (the same
+// source resolve-signals.js replays), printing each trade and the run's summary.
+const fs = require('fs');
+const path = require('path');
+const { createFixtureCandleStore } = require('../../api/signals/candle-store');
+const { parseSetupsCsv, normalizeSetup, runBacktest } = require('../../api/signals/backtester');
+const { parseArgs } = require('./resolve-signals');
+
+// Setups from a .csv of rows or a .json array
+function loadSetups(filePath) {
+  const text = fs.readFileSync(path.resolve(filePath), 'utf8');
+  return filePath.toLowerCase().endsWith('.json') ? JSON.parse(text) : parseSetupsCsv(text);
+}
+
+async function backtestSetups(options = {}) {
+  try {
+    if (!options.setups) {
+      throw new Error('--setups <file.csv|file.json> is required');
+    }
+
+    const setups = [];
+    loadSetups(options.setups).forEach((raw, index) => {
+      const normalized = normalizeSetup(raw, index);
+      if (normalized.errors.length > 0) {
+        normalized.errors.forEach(message => console.warn(`⚠️  ${message}`));
+      } else {
+        setups.push(normalized.setup);
+      }
+    });
+    console.log(`📂 Loaded ${setups.length} setups from ${options.setups}\n`);
+
+    const { summary, trades } = await runBacktest(setups, {
+      candleStore: createFixtureCandleStore({ dir: options.fixtures }),
+      timeframe: options.timeframe || '1h',
+      spreadPips: parseFloat(options.spread) || 0,
+      slippagePips: parseFloat(options.slippage) || 0,
+      initialBalance: parseFloat(options.balance) || 10000,
+      riskPercent: parseFloat(options.risk) || 1,
+      to: options.to ? new Date(options.to) : new Date()
+    });
+
+    trades.forEach(trade => {
+      if (!trade.entry_time) {
+        console.log(`⏭️  ${trade.symbol} ${trade.action} at ${trade.setup_time}: ${trade.status.replace('_', ' ')}`);
+        return;
+      }
+
+      const icon = trade.result === 'profit' ? '✅' : trade.result === 'loss' ? '❌' : '➖';
+      console.log(`${icon} ${trade.symbol} ${trade.action} ${trade.entry_price} -> ${trade.exit_price} ` +
+        `${trade.status}${trade.close_reason ? ` via ${trade.close_reason}` : ''} (${trade.pips_gained} pips, ${trade.r_multiple}R, ${trade.profit})`);
+    });
+
+    console.log('\n📊 Backtest Summary:');
+    console.log(`🔍 Setups: ${summary.setups} (${summary.filled} filled, ${summary.notFilled} not filled, ${summary.noData} without candles)`);
+    console.log(`🎯 Win rate: ${summary.winRate}% (${summary.wins}W / ${summary.losses}L / ${summary.breakevens}BE)`);
+    console.log(`📈 Pips: ${summary.totalPips}, average ${summary.avgRMultiple}R, profit factor ${summary.profitFactor ?? '-'}`);
+    console.log(`💰 Balance: ${summary.initialBalance} -> ${summary.finalBalance} (${summary.returnPercent}%)`);
+    console.log(`📉 Max drawdown: ${summary.maxDrawdown} (${summary.maxDrawdownPercent}%)`);
+
+    return {
+      success: true,
+      summary
+    };
+
+  } catch (error) {
+    console.error('❌ Backtest failed:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// Main execution
+async function main() {
+  console.log('🚀 Traders Helmet Academy - Signal Backtest');
+  console.log('===========================================\n');
+
+  // Usage: node run-backtest.js --setups setups.csv [--fixtures dir] [--timeframe 1h] [--spread 1] [--slippage 0.5] [--balance 10000] [--risk 1] [--to ISO]
+  const options = parseArgs(process.argv.slice(2));
+  const result = await backtestSetups(options);
+
+  process.exit(result.success ? 0 : 1);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = {
+  backtestSetups
+};
@@ -0,0 +1,1861 @@
+// api/admin/routes.js
+const express = require('express');
+const admin = require('firebase-admin');
+const { createClient } = require('@supabase/supabase-js');
+const {
+    validateLevels,
+    calculateOutcome,
+    toNumber,
+    getTargets,
+    buildTargetLadder,
+    recordTargetHit,
+    getDirection
+} = require('../signals/signal-math');
+const { broadcastSignalUpdate } = require('../signals/signal-events');
+const { diffSignal, recordSignalAmendment } = require('../signals/signal-amendments');
+const { recordSignalPerformance, rebuildSignalPerformance } = require('../signals/performance');
+const {
+    BROADCAST_EVENTS,
+    BROADCAST_TIERS,
+    TARGET_KINDS,
+    formatBroadcast,
+    buildBroadcastRequest,
+    sendBroadcast,
+    queueSignalBroadcast,
+    cancelSignalBroadcasts,
+    presentTarget
+} = require('../signals/signal-broadcaster');
+const { getReleaseDelays, buildReleaseSchedule, publishSignal } = require('../signals/release-scheduler');
+const {
+    TEMPLATE_DEFAULT_FIELDS,
+    generateWebhookSecret,
+    presentTemplate
+} = require('../webhooks/signal-webhooks');
+const {
+    MAX_SETUPS,
+    DEFAULT_BACKTEST_OPTIONS,
+    parseSetupsCsv,
+    normalizeSetup,
+    runBacktest
+} = require('../signals/backtester');
+const { createCandleStore } = require('../market/ohlcv-store');
+const { pickProfileFields } = require('../analysts/analyst-profiles');
+const { loadSignalFeedback } = require('../signals/signal-feedback');
+const router = express.Router();
+
+// Initialize Supabase
+const supabaseUrl = process.env.SUPABASE_URL || 'https://vjxnwqjlaxrvqctiphhb.supabase.co';
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// Columns an author may set on create/update; lifecycle columns are owned by the transitions below
+const EDITABLE_SIGNAL_FIELDS = [
+    'title', 'description', 'signal_type', 'symbol', 'action',
+    'entry_price', 'stop_loss', 'take_profit', 'take_profit_targets', 'breakeven_after_target',
+    'timeframe', 'analysis',
+    'risk_level', 'confidence_level', 'tier_access', 'min_tier_level',
+    'priority', 'expires_at', 'publish_at', 'tags', 'attachments'
+];
+
+// Statuses whose content may still be edited
+const EDITABLE_STATUSES = ['draft', 'active'];
+
+// Middleware to verify Firebase token
+async function verifyFirebaseToken(req, res, next) {
+    try {
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({
+                error: 'No valid authorization token provided'
+            });
+        }
+
+        const token = authHeader.substring(7);
+        const decodedToken = await admin.auth().verifyIdToken(token);
+
+        // Get user profile from Supabase
+        const { data: userProfile, error } = await supabase
+            .from('user_profiles')
+            .select('*')
+            .eq('id', decodedToken.uid)
+            .single();
+
+        if (error || !userProfile) {
+            return res.status(404).json({
+                error: 'User profile not found'
+            });
+        }
+
+        req.user = {
+            uid: decodedToken.uid,
+            email: decodedToken.email,
+            role: userProfile.role,
+            isAdmin: userProfile.is_admin,
+            subscriptionTier: userProfile.subscription_tier,
+            profile: userProfile
+        };
+
+        next();
+    } catch (error) {
+        console.error('Auth middleware error:', error);
+        return res.status(401).json({
+            error: 'Invalid or expired token'
+        });
+    }
+}
+
+// Middleware to check admin privileges
+function requireAdmin(req, res, next) {
+    if (!req.user || !req.user.isAdmin) {
+        return res.status(403).json({
+            error: 'Admin access required'
+        });
+    }
+    next();
+}
+
+// Copy whitelisted fields from the request body
+function pickSignalFields(body) {
+    const fields = {};
+
+    EDITABLE_SIGNAL_FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            fields[field] = body[field];
+        }
+    });
+
+    if (fields.symbol) {
+        fields.symbol = String(fields.symbol).toUpperCase();
+    }
+
+    // A ladder sets take_profit to its final rung; a bare take_profit means a single target
+    if (fields.take_profit_targets !== undefined) {
+        fields.take_profit_targets = buildTargetLadder(fields.take_profit_targets);
+        if (fields.take_profit_targets.length > 0) {
+            fields.take_profit = fields.take_profit_targets[fields.take_profit_targets.length - 1].price;
+        }
+    } else if (fields.take_profit !== undefined) {
+        fields.take_profit_targets = [];
+    }
+
+    if (fields.breakeven_after_target !== undefined) {
+        fields.breakeven_after_target = fields.breakeven_after_target === null || fields.breakeven_after_target === '' ?
+            null : Number(fields.breakeven_after_target);
+    }
+
+    // Invalid dates are kept as NaN so the routes can reject them
+    if (fields.publish_at !== undefined) {
+        fields.publish_at = fields.publish_at === null || fields.publish_at === '' ?
+            null : (Number.isNaN(Date.parse(fields.publish_at)) ? NaN : new Date(fields.publish_at).toISOString());
+    }
+
+    return fields;
+}
+
+/**
+ * Carry hit status onto an edited ladder. Rungs already hit are history: they must
+ * reappear unchanged (level, price, close_percent). Returns { targets } or { error }.
+ */
+function mergeTargetProgress(signal, targets) {
+    const hits = getTargets(signal).filter(target => target.status === 'hit');
+
+    for (const hit of hits) {
+        const rung = targets.find(target => target.level === hit.level);
+
+        if (!rung || toNumber(rung.price) !== toNumber(hit.price) ||
+            toNumber(rung.close_percent) !== toNumber(hit.close_percent)) {
+            return { error: `TP${hit.level} has already been hit and cannot be changed` };
+        }
+    }
+
+    return {
+        targets: targets.map(target => hits.find(hit => hit.level === target.level) || target)
+    };
+}
+
+// Copy webhook template settings from the request body. Returns { fields, errors }.
+function pickTemplateFields(body) {
+    const fields = {};
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (body.name !== undefined) {
+        fields.name = String(body.name).trim();
+        if (!fields.name) errors.push('name cannot be empty');
+    }
+
+    if (body.title_template !== undefined) {
+        fields.title_template = String(body.title_template).trim() || '{symbol} {action}';
+    }
+
+    // Only signal columns an alert may default; lifecycle columns stay with the API
+    if (body.defaults !== undefined) {
+        if (!isObject(body.defaults)) {
+            errors.push('defaults must be an object');
+        } else {
+            fields.defaults = {};
+            TEMPLATE_DEFAULT_FIELDS.forEach(field => {
+                if (body.defaults[field] !== undefined) fields.defaults[field] = body.defaults[field];
+            });
+        }
+    }
+
+    if (body.symbol_map !== undefined) {
+        if (!isObject(body.symbol_map) || Object.values(body.symbol_map).some(value => typeof value !== 'string')) {
+            errors.push('symbol_map must map tickers to symbols');
+        } else {
+            fields.symbol_map = body.symbol_map;
+        }
+    }
+
+    ['publish', 'is_active'].forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field] === true || body[field] === 'true';
+    });
+
+    return { fields, errors };
+}
+
+// Copy broadcast target settings from the request body. Returns { fields, errors }.
+function pickTargetFields(body) {
+    const fields = {};
+    const errors = [];
+
+    if (body.name !== undefined) {
+        fields.name = String(body.name).trim();
+        if (!fields.name) errors.push('name cannot be empty');
+    }
+
+    if (body.kind !== undefined) {
+        fields.kind = body.kind;
+        if (!TARGET_KINDS.includes(body.kind)) errors.push(`kind must be one of: ${TARGET_KINDS.join(', ')}`);
+    }
+
+    if (body.url !== undefined) {
+        fields.url = String(body.url).trim();
+        if (!/^https?:\/\//.test(fields.url)) errors.push('url must be an http(s) URL');
+    }
+
+    if (body.chat_id !== undefined) {
+        fields.chat_id = body.chat_id === null || body.chat_id === '' ? null : String(body.chat_id);
+    }
+
+    if (body.tier !== undefined) {
+        fields.tier = body.tier;
+        if (!BROADCAST_TIERS.includes(body.tier)) errors.push(`tier must be one of: ${BROADCAST_TIERS.join(', ')}`);
+    }
+
+    if (body.events !== undefined) {
+        fields.events = Array.isArray(body.events) ? body.events.filter(event => BROADCAST_EVENTS.includes(event)) : [];
+        if (fields.events.length === 0) errors.push(`events must include ${BROADCAST_EVENTS.join(' and/or ')}`);
+    }
+
+    // Per-event message overrides; an empty string falls back to the default template
+    if (body.templates !== undefined) {
+        fields.templates = {};
+        BROADCAST_EVENTS.forEach(event => {
+            if (body.templates && typeof body.templates[event] === 'string' && body.templates[event].trim()) {
+                fields.templates[event] = body.templates[event];
+            }
+        });
+    }
+
+    if (body.is_active !== undefined) {
+        fields.is_active = body.is_active === true || body.is_active === 'true';
+    }
+
+    return { fields, errors };
+}
+
+// Load a broadcast target by id, sending 404 when it does not exist
+async function loadBroadcastTarget(req, res) {
+    const { data: target, error } = await supabase
+        .from('signal_broadcast_targets')
+        .select('*')
+        .eq('id', req.params.id)
+        .single();
+
+    if (error || !target) {
+        res.status(404).json({
+            error: 'Broadcast target not found'
+        });
+        return null;
+    }
+
+    return target;
+}
+
+// Load a stored backtest run, sending 404 otherwise
+async function loadBacktest(req, res) {
+    const { data: backtest, error } = await supabase
+        .from('signal_backtests')
+        .select('*')
+        .eq('id', req.params.id)
+        .single();
+
+    if (error || !backtest) {
+        res.status(404).json({
+            error: 'Backtest not found'
+        });
+        return null;
+    }
+
+    return backtest;
+}
+
+/**
+ * Gather a backtest's setups from the request: a CSV of setups, an array of setup
+ * objects and/or existing signal ids (replayed from when they were published).
+ * Returns { setups, errors }.
+ */
+async function collectBacktestSetups(body) {
+    const raw = [];
+
+    if (typeof body.csv === 'string' && body.csv.trim()) {
+        raw.push(...parseSetupsCsv(body.csv));
+    }
+
+    if (Array.isArray(body.setups)) {
+        raw.push(...body.setups.filter(setup => setup && typeof setup === 'object'));
+    }
+
+    if (Array.isArray(body.signal_ids) && body.signal_ids.length > 0) {
+        const { data: signals, error } = await supabase
+            .from('trading_signals')
+            .select('*')
+            .in('id', body.signal_ids.slice(0, MAX_SETUPS));
+
+        if (error) {
+            throw error;
+        }
+
+        raw.push(...signals.map(signal => ({
+            ...signal,
+            time: (signal.analytics && signal.analytics.published_at) || signal.created_at
+        })));
+    }
+
+    if (raw.length === 0) {
+        return { setups: [], errors: ['Provide csv, setups or signal_ids'] };
+    }
+
+    if (raw.length > MAX_SETUPS) {
+        return { setups: [], errors: [`A backtest can replay at most ${MAX_SETUPS} setups`] };
+    }
+
+    const setups = [];
+    const errors = [];
+    raw.forEach((item, index) => {
+        const normalized = normalizeSetup(item, index);
+        if (normalized.errors.length > 0) {
+            errors.push(...normalized.errors);
+        } else {
+            setups.push(normalized.setup);
+        }
+    });
+
+    return { setups, errors };
+}
+
+// Load one of the caller's webhook templates, sending 404 otherwise
+async function loadWebhookTemplate(req, res) {
+    const { data: template, error } = await supabase
+        .from('signal_webhook_templates')
+        .select('*')
+        .eq('id', req.params.id)
+        .eq('analyst_id', req.user.uid)
+        .single();
+
+    if (error || !template) {
+        res.status(404).json({
+            error: 'Webhook template not found'
+        });
+        return null;
+    }
+
+    return template;
+}
+
+// Load a signal by id, sending 404 when it does not exist
+async function loadSignal(req, res) {
+    const { data: signal, error } = await supabase
+        .from('trading_signals')
+        .select('*')
+        .eq('id', req.params.id)
+        .single();
+
+    if (error || !signal) {
+        res.status(404).json({
+            error: 'Signal not found'
+        });
+        return null;
+    }
+
+    return signal;
+}
+
+// Record a signal lifecycle event in the audit log
+async function logSignalActivity(req, action, signalId, metadata = {}) {
+    const { error } = await supabase
+        .from('user_activity_log')
+        .insert([
+            {
+                user_id: req.user.uid,
+                action,
+                resource_type: 'trading_signal',
+                resource_id: signalId,
+                ip_address: req.ip,
+                user_agent: req.get('user-agent'),
+                metadata,
+                created_at: new Date().toISOString()
+            }
+        ]);
+
+    if (error) {
+        console.error('Signal activity log error:', error);
+    }
+}
+
+// GET /api/admin/signals - List signals in every status, drafts included
+router.get('/signals', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = (page - 1) * limit;
+        const { status, signal_type, symbol } = req.query;
+
+        let query = supabase
+            .from('trading_signals')
+            .select('*', { count: 'exact' })
+            .order('created_at', { ascending: false });
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        if (signal_type) {
+            query = query.eq('signal_type', signal_type);
+        }
+
+        if (symbol) {
+            query = query.eq('symbol', symbol.toUpperCase());
+        }
+
+        const { data: signals, error, count } = await query
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            signals,
+            pagination: {
+                page,
+                limit,
+                total: count,
+                totalPages: Math.ceil(count / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin get signals error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch signals'
+        });
+    }
+});
+
+// GET /api/admin/signals/:id - Get a signal in any status
+router.get('/signals/:id', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const signal = await loadSignal(req, res);
+        if (!signal) return;
+
+        res.json({
+            success: true,
+            signal
+        });
+
+    } catch (error) {
+        console.error('Admin get signal error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch signal'
+        });
+    }
+});
+
+// GET /api/admin/signals/:id/feedback - Member reactions, clarity ratings and comments on a signal
+router.get('/signals/:id/feedback', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const signal = await loadSignal(req, res);
+        if (!signal) return;
+
+        const { summary, responses } = await loadSignalFeedback(supabase, signal.id);
+
+        res.json({
+            success: true,
+            summary,
+            responses
+        });
+
+    } catch (error) {
+        console.error('Admin get signal feedback error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch signal feedback'
+        });
+    }
+});
+
+// POST /api/admin/signals - Create a signal (draft unless publish is requested)
+router.post('/signals', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const fields = pickSignalFields(req.body);
+        const publish = req.body.status === 'active';
+
+        if (!fields.title || !fields.symbol || !fields.signal_type || !fields.action) {
+            return res.status(400).json({
+                error: 'Title, symbol, signal type and action are required'
+            });
+        }
+
+        if (Number.isNaN(fields.publish_at)) {
+            return res.status(400).json({
+                error: 'publish_at must be a valid date'
+            });
+        }
+
+        // Drafts may be saved with levels missing; published signals need all three
+        const levelErrors = validateLevels(fields, publish || Boolean(fields.publish_at));
+        if (levelErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid signal levels',
+                details: levelErrors
+            });
+        }
+
+        const now = new Date().toISOString();
+
+        // Published straight away: Diamond gets it now, lower tiers after their delays
+        const release = publish ?
+            buildReleaseSchedule(fields, await getReleaseDelays(supabase), now) :
+            {};
+
+        const { data: signal, error } = await supabase
+            .from('trading_signals')
+            .insert([
+                {
+                    ...fields,
+                    ...release,
+                    publish_at: publish ? null : (fields.publish_at ?? null),
+                    initial_stop_loss: fields.stop_loss ?? null,
+                    status: publish ? 'active' : 'draft',
+                    result: publish ? 'pending' : null,
+                    analytics: publish ? { published_at: now } : {},
+                    author_id: req.user.uid,
+                    created_at: now,
+                    updated_at: now
+                }
+            ])
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        if (publish) {
+            await queueSignalBroadcast(supabase, signal, 'published');
+        }
+
+        await logSignalActivity(req, 'signal_created', signal.id, {
+            status: signal.status,
+            symbol: signal.symbol
+        });
+
+        res.status(201).json({
+            success: true,
+            message: publish ? 'Signal published' :
+                (signal.publish_at ? 'Signal scheduled for publishing' : 'Signal saved as draft'),
+            signal
+        });
+
+    } catch (error) {
+        console.error('Create signal error:', error);
+        res.status(500).json({
+            error: 'Failed to create signal'
+        });
+    }
+});
+
+// PATCH /api/admin/signals/:id - Edit a draft or active signal
+router.patch('/signals/:id', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const signal = await loadSignal(req, res);
+        if (!signal) return;
+
+        if (!EDITABLE_STATUSES.includes(signal.status)) {
+            return res.status(409).json({
+                error: `Cannot edit a ${signal.status} signal`
+            });
+        }
+
+        const updates = pickSignalFields(req.body);
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                error: 'No editable fields provided'
+            });
+        }
+
+        if (updates.publish_at !== undefined && signal.status !== 'draft') {
+            return res.status(409).json({
+                error: 'Only drafts can be scheduled for publishing'
+            });
+        }
+
+        if (Number.isNaN(updates.publish_at)) {
+            return res.status(400).json({
+                error: 'publish_at must be a valid date'
+            });
+        }
+
+        if (updates.take_profit_targets !== undefined) {
+            const { targets, error: ladderError } = mergeTargetProgress(signal, updates.take_profit_targets);
+            if (ladderError) {
+                return res.status(409).json({
+                    error: ladderError
+                });
+            }
+            updates.take_profit_targets = targets;
+        }
+
+        // Members trade a published signal's stop from the moment it goes out, so risk stays
+        // measured from that stop and any later edit is a move the resolver applies from now on
+        if (updates.stop_loss !== undefined && signal.status === 'draft') {
+            updates.initial_stop_loss = updates.stop_loss;
+        } else if (updates.stop_loss !== undefined && toNumber(updates.stop_loss) !== toNumber(signal.stop_loss)) {
+            updates.stop_moved_at = new Date().toISOString();
+            if (toNumber(signal.initial_stop_loss) === null) {
+                updates.initial_stop_loss = signal.stop_loss;
+            }
+        }
+
+        // Published signals keep an amendment trail, so level changes need a reason
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        const isAmendment = signal.status !== 'draft' && Object.keys(diffSignal(signal, updates)).length > 0;
+        if (isAmendment && !reason) {
+            return res.status(400).json({
+                error: 'A reason is required when changing the levels of a published signal'
+            });
+        }
+
+        // Scheduled drafts publish unattended, so they need complete levels like active signals
+        const scheduled = signal.status === 'draft' && Boolean(updates.publish_at !== undefined ? updates.publish_at : signal.publish_at);
+        const levelErrors = validateLevels({ ...signal, ...updates }, signal.status === 'active' || scheduled);
+        if (levelErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid signal levels',
+                details: levelErrors
+            });
+        }
+
+        // Re-plan the release when an active signal's tiers change, still timed from publishing
+        if (updates.tier_access !== undefined && signal.status === 'active') {
+            const schedule = buildReleaseSchedule(
+                { ...signal, ...updates },
+                await getReleaseDelays(supabase),
+                signal.analytics?.published_at || signal.created_at
+            );
+            Object.assign(updates, schedule);
+        }
+
+        const { data: updatedSignal, error } = await supabase
+            .from('trading_signals')
+            .update({
+                ...updates,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', signal.id)
+            .eq('status', signal.status)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!updatedSignal) {
+            return res.status(409).json({
+                error: `Signal is no longer ${signal.status === 'draft' ? 'a draft' : signal.status}`
+            });
+        }
+
+        if (isAmendment) {
+            const amendment = await recordSignalAmendment(supabase, {
+                before: signal,
+                after: updatedSignal,
+                reason,
+                amendedBy: req.user.uid
+            });
+            await broadcastSignalUpdate(supabase, updatedSignal, signal, amendment);
+        }
+
+        await logSignalActivity(req, 'signal_updated', signal.id, {
+            status: signal.status,
+            fields: Object.keys(updates),
+            reason: reason || null
+        });
+
+        res.json({
+            success: true,
+            message: 'Signal updated',
+            signal: updatedSignal
+        });
+
+    } catch (error) {
+        console.error('Update signal error:', error);
+        res.status(500).json({
+            error: 'Failed to update signal'
+        });
+    }
+});
+
+// POST /api/admin/signals/:id/publish - Move a draft to active
+router.post('/signals/:id/publish', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const signal = await loadSignal(req, res);
+        if (!signal) return;
+
+        if (signal.status !== 'draft') {
+            return res.status(409).json({
+                error: `Only draft signals can be published (signal is ${signal.status})`
+            });
+        }
+
+        const levelErrors = validateLevels(signal, true);
+        if (levelErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Signal levels must be complete before publishing',
+                details: levelErrors
+            });
+        }
+
+        // Publishing by hand overrides any publish_at; tiers are still released in turn
+        const publishedSignal = await publishSignal(supabase, signal, {
+            publishedBy: req.user.uid
+        });
+
+        if (!publishedSignal) {
+            return res.status(409).json({
+                error: 'Signal is no longer a draft'
+            });
+        }
+
+        await logSignalActivity(req, 'signal_published', signal.id, {
+            symbol: signal.symbol,
+            scheduled_for: signal.publish_at || null
+        });
+
+        res.json({
+            success: true,
+            message: 'Signal published',
+            signal: publishedSignal
+        });
+
+    } catch (error) {
+        console.error('Publish signal error:', error);
+        res.status(500).json({
+            error: 'Failed to publish signal'
+        });
+    }
+});
+
+// POST /api/admin/signals/:id/close - Close an active signal at an exit price
+router.post('/signals/:id/close', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const exitPrice = toNumber(req.body.exit_price);
+
+        if (exitPrice === null || exitPrice <= 0) {
+            return res.status(400).json({
+                error: 'A positive exit_price is required'
+            });
+        }
+
+        const signal = await loadSignal(req, res);
+        if (!signal) return;
+
+        if (signal.status !== 'active') {
+            return res.status(409).json({
+                error: `Only active signals can be closed (signal is ${signal.status})`
+            });
+        }
+
+        const outcome = calculateOutcome(signal, exitPrice);
+        const now = new Date().toISOString();
+
+        const { data: closedSignal, error } = await supabase
+            .from('trading_signals')
+            .update({
+                status: 'closed',
+                ...outcome,
+                closed_at: now,
+                analytics: {
+                    ...(signal.analytics || {}),
+                    exit_price: exitPrice,
+                    close_reason: req.body.reason || 'manual'
+                },
+                updated_at: now
+            })
+            .eq('id', signal.id)
+            .eq('status', 'active')
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!closedSignal) {
+            return res.status(409).json({
+                error: 'Signal is no longer active'
+            });
+        }
+
+        await recordSignalPerformance(supabase, closedSignal);
+        const amendment = await recordSignalAmendment(supabase, {
+            before: signal,
+            after: closedSignal,
+            reason: req.body.note || `Closed at ${exitPrice} (${req.body.reason || 'manual'})`,
+            source: 'close',
+            amendedBy: req.user.uid
+        });
+        await broadcastSignalUpdate(supabase, closedSignal, signal, amendment);
+        await queueSignalBroadcast(supabase, closedSignal, 'closed');
+
+        await logSignalActivity(req, 'signal_closed', signal.id, {
+            exit_price: exitPrice,
+            reason: req.body.reason || 'manual',
+            ...outcome
+        });
+
+        res.json({
+            success: true,
+            message: 'Signal closed',
+            signal: closedSignal
+        });
+
+    } catch (error) {
+        console.error('Close signal error:', error);
+        res.status(500).json({
+            error: 'Failed to close signal'
+        });
+    }
+});
+
+// POST /api/admin/signals/:id/stop - Trail the stop of an active signal in the trade's favour
+router.post('/signals/:id/stop', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const stopLoss = toNumber(req.body.stop_loss);
+
+        if (stopLoss === null || stopLoss <= 0) {
+            return res.status(400).json({
+                error: 'A positive stop_loss is required'
+            });
+        }
+
+        const signal = await loadSignal(req, res);
+        if (!signal) return;
+
+        if (signal.status !== 'active') {
+            return res.status(409).json({
+                error: `Only active signals can trail their stop (signal is ${signal.status})`
+            });
+        }
+
+        // A trailing stop only tightens, and must stay short of the next open target
+        const direction = getDirection(signal.action);
+        const currentStop = toNumber(signal.stop_loss);
+        const nextTarget = getTargets(signal).find(target => target.status !== 'hit');
+
+        if (currentStop !== null && (stopLoss - currentStop) * direction <= 0) {
+            return res.status(400).json({
+                error: `A trailing stop must be ${direction > 0 ? 'above' : 'below'} the current stop (${currentStop})`
+            });
+        }
+
+        if (nextTarget && (toNumber(nextTarget.price) - stopLoss) * direction <= 0) {
+            return res.status(400).json({
+                error: `Stop must stay ${direction > 0 ? 'below' : 'above'} TP${nextTarget.level} (${nextTarget.price})`
+            });
+        }
+
+        const now = new Date().toISOString();
+
+        const { data: updatedSignal, error } = await supabase
+            .from('trading_signals')
+            .update({
+                stop_loss: stopLoss,
+                stop_moved_at: now,
+                updated_at: now
+            })
+            .eq('id', signal.id)
+            .eq('status', 'active')
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!updatedSignal) {
+            return res.status(409).json({
+                error: 'Signal is no longer active'
+            });
+        }
+
+        const reason = (typeof req.body.reason === 'string' && req.body.reason.trim()) || 'Trailing stop';
+        const amendment = await recordSignalAmendment(supabase, {
+            before: signal,
+            after: updatedSignal,
+            reason,
+            source: 'trailing_stop',
+            amendedBy: req.user.uid
+        });
+        await broadcastSignalUpdate(supabase, updatedSignal, signal, amendment);
+
+        await logSignalActivity(req, 'signal_stop_trailed', signal.id, {
+            from: currentStop,
+            to: stopLoss,
+            reason
+        });
+
+        res.json({
+            success: true,
+            message: 'Stop loss updated',
+            signal: updatedSignal,
+            amendment
+        });
+
+    } catch (error) {
+        console.error('Trail signal stop error:', error);
+        res.status(500).json({
+            error: 'Failed to update stop loss'
+        });
+    }
+});
+
+// POST /api/admin/signals/:id/targets/:level/hit - Record a partial exit at a take-profit rung;
+// the final rung closes the signal
+router.post('/signals/:id/targets/:level/hit', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const level = parseInt(req.params.level);
+        const signal = await loadSignal(req, res);
+        if (!signal) return;
+
+        if (signal.status !== 'active') {
+            return res.status(409).json({
+                error: `Targets can only be hit on active signals (signal is ${signal.status})`
+            });
+        }
+
+        const target = getTargets(signal).find(rung => rung.level === level);
+        if (!target || target.status === 'hit') {
+            return res.status(409).json({
+                error: target ? `TP${level} has already been hit` : `Signal has no TP${req.params.level}`
+            });
+        }
+
+        const hitPrice = req.body.price === undefined || req.body.price === null ?
+            toNumber(target.price) : toNumber(req.body.price);
+        if (hitPrice === null || hitPrice <= 0) {
+            return res.status(400).json({
+                error: 'price must be a positive number'
+            });
+        }
+
+        const now = new Date().toISOString();
+        const { complete, ...columns } = recordTargetHit(signal, level, hitPrice, now);
+        const updates = { ...columns, updated_at: now };
+
+        if (complete) {
+            Object.assign(updates, {
+                status: 'closed',
+                ...calculateOutcome({ ...signal, ...columns }, hitPrice),
+                closed_at: now,
+                analytics: {
+                    ...(signal.analytics || {}),
+                    exit_price: hitPrice,
+                    close_reason: 'take_profit'
+                }
+            });
+        }
+
+        const { data: updatedSignal, error } = await supabase
+            .from('trading_signals')
+            .update(updates)
+            .eq('id', signal.id)
+            .eq('status', 'active')
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!updatedSignal) {
+            return res.status(409).json({
+                error: 'Signal is no longer active'
+            });
+        }
+
+        if (complete) {
+            await recordSignalPerformance(supabase, updatedSignal);
+        }
+
+        const movedToBreakeven = toNumber(columns.stop_loss) !== toNumber(signal.stop_loss);
+        const amendment = await recordSignalAmendment(supabase, {
+            before: signal,
+            after: updatedSignal,
+            reason: req.body.reason || `TP${level} hit${movedToBreakeven ? '; stop moved to breakeven' : ''}`,
+            source: 'target_hit',
+            amendedBy: req.user.uid
+        });
+        await broadcastSignalUpdate(supabase, updatedSignal, signal, amendment);
+
+        if (complete) {
+            await queueSignalBroadcast(supabase, updatedSignal, 'closed');
+        }
+
+        await logSignalActivity(req, 'signal_target_hit', signal.id, {
+            level,
+            price: hitPrice,
+            stop_loss: columns.stop_loss,
+            closed: complete
+        });
+
+        res.json({
+            success: true,
+            message: complete ? `TP${level} hit, signal closed` : `TP${level} hit`,
+            signal: updatedSignal
+        });
+
+    } catch (error) {
+        console.error('Hit signal target error:', error);
+        res.status(500).json({
+            error: 'Failed to record target hit'
+        });
+    }
+});
+
+// POST /api/admin/signals/:id/cancel - Withdraw a draft or active signal
+router.post('/signals/:id/cancel', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const signal = await loadSignal(req, res);
+        if (!signal) return;
+
+        if (!EDITABLE_STATUSES.includes(signal.status)) {
+            return res.status(409).json({
+                error: `Cannot cancel a ${signal.status} signal`
+            });
+        }
+
+        const now = new Date().toISOString();
+
+        const { data: cancelledSignal, error } = await supabase
+            .from('trading_signals')
+            .update({
+                status: 'cancelled',
+                result: null,
+                closed_at: now,
+                updated_at: now
+            })
+            .eq('id', signal.id)
+            .eq('status', signal.status)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!cancelledSignal) {
+            return res.status(409).json({
+                error: `Signal is no longer ${signal.status === 'draft' ? 'a draft' : signal.status}`
+            });
+        }
+
+        if (signal.status === 'active') {
+            const amendment = await recordSignalAmendment(supabase, {
+                before: signal,
+                after: cancelledSignal,
+                reason: req.body.reason || 'Cancelled',
+                source: 'cancel',
+                amendedBy: req.user.uid
+            });
+            await broadcastSignalUpdate(supabase, cancelledSignal, signal, amendment);
+            await cancelSignalBroadcasts(supabase, signal.id, 'Signal cancelled');
+        }
+
+        await logSignalActivity(req, 'signal_cancelled', signal.id, {
+            previous_status: signal.status,
+            reason: req.body.reason || null
+        });
+
+        res.json({
+            success: true,
+            message: 'Signal cancelled',
+            signal: cancelledSignal
+        });
+
+    } catch (error) {
+        console.error('Cancel signal error:', error);
+        res.status(500).json({
+            error: 'Failed to cancel signal'
+        });
+    }
+});
+
+// DELETE /api/admin/signals/:id - Delete a draft (published signals must be cancelled instead)
+router.delete('/signals/:id', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const signal = await loadSignal(req, res);
+        if (!signal) return;
+
+        if (signal.status !== 'draft') {
+            return res.status(409).json({
+                error: 'Only drafts can be deleted; cancel published signals instead'
+            });
+        }
+
+        const { error } = await supabase
+            .from('trading_signals')
+            .delete()
+            .eq('id', signal.id);
+
+        if (error) {
+            throw error;
+        }
+
+        await logSignalActivity(req, 'signal_deleted', signal.id, {
+            title: signal.title,
+            symbol: signal.symbol
+        });
+
+        res.json({
+            success: true,
+            message: 'Draft deleted'
+        });
+
+    } catch (error) {
+        console.error('Delete signal error:', error);
+        res.status(500).json({
+            error: 'Failed to delete signal'
+        });
+    }
+});
+
+// GET /api/admin/webhook-templates - The caller's signal webhook templates
+router.get('/webhook-templates', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const { data: templates, error } = await supabase
+            .from('signal_webhook_templates')
+            .select('*')
+            .eq('analyst_id', req.user.uid)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            templates: templates.map(template => presentTemplate(template))
+        });
+
+    } catch (error) {
+        console.error('Get webhook templates error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch webhook templates'
+        });
+    }
+});
+
+// POST /api/admin/webhook-templates - Create a template; the response is the only time the secret is shown
+router.post('/webhook-templates', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const { fields, errors } = pickTemplateFields(req.body);
+
+        if (!fields.name) {
+            errors.push('name is required');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid webhook template',
+                details: errors
+            });
+        }
+
+        const { data: template, error } = await supabase
+            .from('signal_webhook_templates')
+            .insert([
+                {
+                    ...fields,
+                    analyst_id: req.user.uid,
+                    secret: generateWebhookSecret()
+                }
+            ])
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook template created',
+            template: presentTemplate(template, { includeSecret: true })
+        });
+
+    } catch (error) {
+        console.error('Create webhook template error:', error);
+        res.status(500).json({
+            error: 'Failed to create webhook template'
+        });
+    }
+});
+
+// PATCH /api/admin/webhook-templates/:id - Update a template's mapping
+router.patch('/webhook-templates/:id', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const template = await loadWebhookTemplate(req, res);
+        if (!template) return;
+
+        const { fields, errors } = pickTemplateFields(req.body);
+
+        if (errors.length > 0 || Object.keys(fields).length === 0) {
+            return res.status(400).json({
+                error: errors.length > 0 ? 'Invalid webhook template' : 'No template fields provided',
+                details: errors
+            });
+        }
+
+        const { data: updatedTemplate, error } = await supabase
+            .from('signal_webhook_templates')
+            .update(fields)
+            .eq('id', template.id)
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Webhook template updated',
+            template: presentTemplate(updatedTemplate)
+        });
+
+    } catch (error) {
+        console.error('Update webhook template error:', error);
+        res.status(500).json({
+            error: 'Failed to update webhook template'
+        });
+    }
+});
+
+// POST /api/admin/webhook-templates/:id/rotate-secret - Replace the signing secret
+router.post('/webhook-templates/:id/rotate-secret', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const template = await loadWebhookTemplate(req, res);
+        if (!template) return;
+
+        const { data: updatedTemplate, error } = await supabase
+            .from('signal_webhook_templates')
+            .update({ secret: generateWebhookSecret() })
+            .eq('id', template.id)
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Webhook secret rotated; update the charting alert before its next delivery',
+            template: presentTemplate(updatedTemplate, { includeSecret: true })
+        });
+
+    } catch (error) {
+        console.error('Rotate webhook secret error:', error);
+        res.status(500).json({
+            error: 'Failed to rotate webhook secret'
+        });
+    }
+});
+
+// DELETE /api/admin/webhook-templates/:id - Delete a template and its delivery log
+router.delete('/webhook-templates/:id', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const template = await loadWebhookTemplate(req, res);
+        if (!template) return;
+
+        const { error } = await supabase
+            .from('signal_webhook_templates')
+            .delete()
+            .eq('id', template.id);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Webhook template deleted'
+        });
+
+    } catch (error) {
+        console.error('Delete webhook template error:', error);
+        res.status(500).json({
+            error: 'Failed to delete webhook template'
+        });
+    }
+});
+
+// GET /api/admin/webhook-templates/:id/deliveries - Recent signed deliveries, newest first
+router.get('/webhook-templates/:id/deliveries', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const template = await loadWebhookTemplate(req, res);
+        if (!template) return;
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        const { data: deliveries, error } = await supabase
+            .from('signal_webhook_deliveries')
+            .select('id, sent_at, received_at, status, error, signal_id, payload')
+            .eq('template_id', template.id)
+            .order('received_at', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            deliveries
+        });
+
+    } catch (error) {
+        console.error('Get webhook deliveries error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch webhook deliveries'
+        });
+    }
+});
+
+// GET /api/admin/broadcast-targets - Outbound messaging targets, ordered by tier
+router.get('/broadcast-targets', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const { data: targets, error } = await supabase
+            .from('signal_broadcast_targets')
+            .select('*')
+            .order('tier', { ascending: true })
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            targets: targets.map(presentTarget)
+        });
+
+    } catch (error) {
+        console.error('Get broadcast targets error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch broadcast targets'
+        });
+    }
+});
+
+// POST /api/admin/broadcast-targets - Add an outbound target for one tier
+router.post('/broadcast-targets', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const { fields, errors } = pickTargetFields(req.body);
+
+        ['name', 'kind', 'url', 'tier'].forEach(field => {
+            if (fields[field] === undefined) errors.push(`${field} is required`);
+        });
+
+        if (fields.kind === 'telegram' && !fields.chat_id) {
+            errors.push('chat_id is required for Telegram targets');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid broadcast target',
+                details: errors
+            });
+        }
+
+        const { data: target, error } = await supabase
+            .from('signal_broadcast_targets')
+            .insert([
+                {
+                    ...fields,
+                    created_by: req.user.uid
+                }
+            ])
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Broadcast target created',
+            target: presentTarget(target)
+        });
+
+    } catch (error) {
+        console.error('Create broadcast target error:', error);
+        res.status(500).json({
+            error: 'Failed to create broadcast target'
+        });
+    }
+});
+
+// PATCH /api/admin/broadcast-targets/:id - Update a target, its templates or its tier
+router.patch('/broadcast-targets/:id', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const target = await loadBroadcastTarget(req, res);
+        if (!target) return;
+
+        const { fields, errors } = pickTargetFields(req.body);
+
+        if (errors.length > 0 || Object.keys(fields).length === 0) {
+            return res.status(400).json({
+                error: errors.length > 0 ? 'Invalid broadcast target' : 'No target fields provided',
+                details: errors
+            });
+        }
+
+        const { data: updatedTarget, error } = await supabase
+            .from('signal_broadcast_targets')
+            .update(fields)
+            .eq('id', target.id)
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Broadcast target updated',
+            target: presentTarget(updatedTarget)
+        });
+
+    } catch (error) {
+        console.error('Update broadcast target error:', error);
+        res.status(500).json({
+            error: 'Failed to update broadcast target'
+        });
+    }
+});
+
+// DELETE /api/admin/broadcast-targets/:id - Remove a target and its delivery log
+router.delete('/broadcast-targets/:id', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const target = await loadBroadcastTarget(req, res);
+        if (!target) return;
+
+        const { error } = await supabase
+            .from('signal_broadcast_targets')
+            .delete()
+            .eq('id', target.id);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Broadcast target deleted'
+        });
+
+    } catch (error) {
+        console.error('Delete broadcast target error:', error);
+        res.status(500).json({
+            error: 'Failed to delete broadcast target'
+        });
+    }
+});
+
+// POST /api/admin/broadcast-targets/:id/test - Post a sample message straight away (no retries, not logged)
+router.post('/broadcast-targets/:id/test', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const target = await loadBroadcastTarget(req, res);
+        if (!target) return;
+
+        const event = BROADCAST_EVENTS.includes(req.body.event) ? req.body.event : 'published';
+        const sample = {
+            id: 'test',
+            title: 'Test signal',
+            symbol: 'EURUSD',
+            action: 'buy',
+            timeframe: 'H1',
+            entry_price: 1.085,
+            stop_loss: 1.08,
+            take_profit: 1.095,
+            result: 'profit',
+            pips_gained: 100
+        };
+
+        const result = await sendBroadcast(buildBroadcastRequest(target, formatBroadcast(target, sample, event), {
+            event,
+            signal_id: sample.id
+        }));
+
+        res.status(result.ok ? 200 : 502).json({
+            success: result.ok,
+            status: result.status,
+            ...(result.ok ? { message: 'Test message sent' } : { error: result.error })
+        });
+
+    } catch (error) {
+        console.error('Test broadcast target error:', error);
+        res.status(500).json({
+            error: 'Failed to send test message'
+        });
+    }
+});
+
+// GET /api/admin/broadcast-targets/:id/deliveries - Delivery log for a target, newest first
+router.get('/broadcast-targets/:id/deliveries', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const target = await loadBroadcastTarget(req, res);
+        if (!target) return;
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        let query = supabase
+            .from('signal_broadcast_deliveries')
+            .select('*, trading_signals(symbol, action)')
+            .eq('target_id', target.id)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (req.query.status) {
+            query = query.eq('status', req.query.status);
+        }
+
+        const { data: deliveries, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            deliveries
+        });
+
+    } catch (error) {
+        console.error('Get broadcast deliveries error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch broadcast deliveries'
+        });
+    }
+});
+
+// POST /api/admin/broadcast-deliveries/:id/retry - Requeue a failed or cancelled delivery now
+router.post('/broadcast-deliveries/:id/retry', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const { data: delivery, error } = await supabase
+            .from('signal_broadcast_deliveries')
+            .update({
+                status: 'pending',
+                attempts: 0,
+                next_attempt_at: new Date().toISOString()
+            })
+            .eq('id', req.params.id)
+            .in('status', ['failed', 'cancelled'])
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!delivery) {
+            return res.status(409).json({
+                error: 'Only failed or cancelled deliveries can be retried'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Delivery queued',
+            delivery
+        });
+
+    } catch (error) {
+        console.error('Retry broadcast delivery error:', error);
+        res.status(500).json({
+            error: 'Failed to retry delivery'
+        });
+    }
+});
+
+// GET /api/admin/backtests - Stored backtest runs, newest first (summaries only)
+router.get('/backtests', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const { data: backtests, error } = await supabase
+            .from('signal_backtests')
+            .select('id, name, parameters, summary, created_by, created_at')
+            .order('created_at', { ascending: false })
+            .limit(50);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            backtests
+        });
+
+    } catch (error) {
+        console.error('Get backtests error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch backtests'
+        });
+    }
+});
+
+// POST /api/admin/backtests - Replay setups over stored candles and keep the result
+// Body: { name, csv? | setups? | signal_ids?, timeframe?, spread_pips?, slippage_pips?, initial_balance?, risk_percent?, to? }
+router.post('/backtests', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const name = String(body.name || '').trim();
+        const to = body.to ? new Date(body.to) : new Date();
+        const parameters = {
+            timeframe: body.timeframe || DEFAULT_BACKTEST_OPTIONS.timeframe,
+            spread_pips: toNumber(body.spread_pips) ?? DEFAULT_BACKTEST_OPTIONS.spreadPips,
+            slippage_pips: toNumber(body.slippage_pips) ?? DEFAULT_BACKTEST_OPTIONS.slippagePips,
+            initial_balance: toNumber(body.initial_balance) ?? DEFAULT_BACKTEST_OPTIONS.initialBalance,
+            risk_percent: toNumber(body.risk_percent) ?? DEFAULT_BACKTEST_OPTIONS.riskPercent,
+            to: Number.isNaN(to.getTime()) ? null : to.toISOString()
+        };
+        const errors = [];
+
+        if (!name) errors.push('name is required');
+        if (!parameters.to) errors.push('to must be a valid date');
+        if (parameters.spread_pips < 0 || parameters.slippage_pips < 0) errors.push('spread_pips and slippage_pips cannot be negative');
+        if (parameters.initial_balance <= 0) errors.push('initial_balance must be positive');
+        if (parameters.risk_percent <= 0 || parameters.risk_percent > 100) errors.push('risk_percent must be between 0 and 100');
+
+        const { setups, errors: setupErrors } = await collectBacktestSetups(body);
+        errors.push(...setupErrors);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid backtest',
+                details: errors
+            });
+        }
+
+        const candleStore = createCandleStore({ supabase });
+        const result = await runBacktest(setups, {
+            candleStore: { getCandles: candleStore.getCandleRange },
+            timeframe: parameters.timeframe,
+            spreadPips: parameters.spread_pips,
+            slippagePips: parameters.slippage_pips,
+            initialBalance: parameters.initial_balance,
+            riskPercent: parameters.risk_percent,
+            to: parameters.to
+        });
+
+        const { data: backtest, error } = await supabase
+            .from('signal_backtests')
+            .insert([
+                {
+                    name,
+                    parameters,
+                    setups,
+                    summary: result.summary,
+                    trades: result.trades,
+                    equity_curve: result.equityCurve,
+                    created_by: req.user.uid
+                }
+            ])
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Backtested ${result.summary.filled} of ${result.summary.setups} setups`,
+            backtest
+        });
+
+    } catch (error) {
+        console.error('Run backtest error:', error);
+        res.status(500).json({
+            error: 'Failed to run backtest'
+        });
+    }
+});
+
+// GET /api/admin/backtests/:id - A stored run with its trades and equity curve
+router.get('/backtests/:id', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const backtest = await loadBacktest(req, res);
+        if (!backtest) return;
+
+        res.json({
+            success: true,
+            backtest
+        });
+
+    } catch (error) {
+        console.error('Get backtest error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch backtest'
+        });
+    }
+});
+
+// DELETE /api/admin/backtests/:id - Remove a stored run
+router.delete('/backtests/:id', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const backtest = await loadBacktest(req, res);
+        if (!backtest) return;
+
+        const { error } = await supabase
+            .from('signal_backtests')
+            .delete()
+            .eq('id', backtest.id);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Backtest deleted'
+        });
+
+    } catch (error) {
+        console.error('Delete backtest error:', error);
+        res.status(500).json({
+            error: 'Failed to delete backtest'
+        });
+    }
+});
+
+// GET /api/admin/analyst-profile - The caller's public analyst profile (null until saved)
+router.get('/analyst-profile', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const { data: profile, error } = await supabase
+            .from('analyst_profiles')
+            .select('*')
+            .eq('user_id', req.user.uid)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            profile
+        });
+
+    } catch (error) {
+        console.error('Get analyst profile error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch analyst profile'
+        });
+    }
+});
+
+// PUT /api/admin/analyst-profile - Create or update the caller's analyst profile
+router.put('/analyst-profile', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const { fields, errors } = pickProfileFields(req.body || {});
+
+        if (fields.display_name === undefined) {
+            errors.push('display_name is required');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid analyst profile',
+                details: errors
+            });
+        }
+
+        const { data: profile, error } = await supabase
+            .from('analyst_profiles')
+            .upsert([
+                {
+                    ...fields,
+                    user_id: req.user.uid
+                }
+            ], { onConflict: 'user_id' })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Analyst profile saved',
+            profile
+        });
+
+    } catch (error) {
+        console.error('Save analyst profile error:', error);
+        res.status(500).json({
+            error: 'Failed to save analyst profile'
+        });
+    }
+});
+
+// POST /api/admin/performance/rebuild - Rewrite signal_performance from every settled signal
+router.post('/performance/rebuild', verifyFirebaseToken, requireAdmin, async (req, res) => {
+    try {
+        const summary = await rebuildSignalPerformance(supabase);
+
+        res.json({
+            success: true,
+            message: `Recorded performance for ${summary.recorded} of ${summary.total} settled signals`,
+            ...summary
+        });
+
+    } catch (error) {
+        console.error('Rebuild signal performance error:', error);
+        res.status(500).json({
+            error: 'Failed to rebuild signal performance'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,336 @@
+// api/alerts/alert-evaluator.js
+// Server-side price alert evaluation. Keeps every active alert in memory grouped by symbol,
+// feeds each symbol from the market provider, and delivers hits as 'alert' notifications
+// so NotificationManager.handleRealtimeNotification() (and its push fallback) shows them.
+const { getMarketProvider } = require('../market/providers');
+const { toDisplaySymbol } = require('../market/symbols');
+const { createCandleStore } = require('../market/ohlcv-store');
+const { getPipSize } = require('../signals/signal-math');
+
+const ALERT_TYPES = ['price_above', 'price_below', 'percent_change', 'signal_distance'];
+
+// Longest percent-change window, and so how much price history is kept per symbol
+const MAX_WINDOW_MINUTES = 1440;
+
+const MINUTE = 60 * 1000;
+
+function formatPrice(value) {
+    return parseFloat(parseFloat(value).toFixed(5)).toString();
+}
+
+/**
+ * Check one alert against the latest price. Returns null, or { message } when it fires.
+ *   previousPrice  last price this alert saw (reference_price before the first tick)
+ *   windowPrice    price window_minutes ago, null until enough history exists
+ *   signal         joined trading_signals row for signal_distance alerts
+ */
+function evaluateAlert(alert, { price, previousPrice = null, windowPrice = null, signal = null }) {
+    const display = toDisplaySymbol(alert.symbol);
+    const target = parseFloat(alert.target_price);
+
+    switch (alert.alert_type) {
+        case 'price_above':
+            if (previousPrice !== null && previousPrice < target && price >= target) {
+                return { message: `${display} crossed above ${formatPrice(target)} (now ${formatPrice(price)})` };
+            }
+            return null;
+
+        case 'price_below':
+            if (previousPrice !== null && previousPrice > target && price <= target) {
+                return { message: `${display} crossed below ${formatPrice(target)} (now ${formatPrice(price)})` };
+            }
+            return null;
+
+        case 'percent_change': {
+            if (!windowPrice) return null;
+
+            const threshold = parseFloat(alert.percent_change);
+            const change = (price - windowPrice) / windowPrice * 100;
+            const hit = threshold >= 0 ? change >= threshold : change <= threshold;
+
+            if (hit) {
+                const direction = change >= 0 ? 'up' : 'down';
+                return {
+                    message: `${display} is ${direction} ${Math.abs(change).toFixed(2)}% in ${alert.window_minutes} minutes (now ${formatPrice(price)})`
+                };
+            }
+            return null;
+        }
+
+        case 'signal_distance': {
+            if (!signal || signal.status !== 'active') return null;
+
+            const level = parseFloat(signal[alert.signal_level]);
+            if (!Number.isFinite(level)) return null;
+
+            const distance = Math.abs(price - level) / getPipSize(alert.symbol, signal.signal_type);
+            if (distance <= parseFloat(alert.distance_pips)) {
+                const label = alert.signal_level === 'stop_loss' ? 'stop loss' : 'take profit';
+                return {
+                    message: `${display} is ${distance.toFixed(1)} pips from the ${label} at ${formatPrice(level)} (now ${formatPrice(price)})`
+                };
+            }
+            return null;
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Long-running evaluator; run it in a persistent process (see api/ws-server.js).
+ * Returns { start, stop, refresh, handleTick }.
+ */
+function createAlertEvaluator(options = {}) {
+    const {
+        supabase,
+        provider = getMarketProvider(),
+        candleStore = supabase ? createCandleStore({ supabase }) : null,
+        refreshInterval = 30000,
+        pollInterval = 1000
+    } = options;
+
+    if (!supabase) {
+        throw new Error('createAlertEvaluator requires a Supabase client');
+    }
+
+    let alertsBySymbol = new Map();   // symbol -> active alerts
+    const lastPrices = new Map();     // alert id -> last price seen by that alert
+    const history = new Map();        // symbol -> [{ time, price }] one sample per minute
+    const feedStops = new Map();      // symbol -> stop function
+    let refreshTimer = null;
+    let pollTimer = null;
+
+    function recordHistory(symbol, time, price) {
+        if (!history.has(symbol)) history.set(symbol, []);
+        const samples = history.get(symbol);
+        const minute = Math.floor(time / MINUTE);
+        const last = samples[samples.length - 1];
+
+        if (!last || Math.floor(last.time / MINUTE) < minute) {
+            samples.push({ time, price });
+        }
+
+        const cutoff = time - (MAX_WINDOW_MINUTES + 1) * MINUTE;
+        while (samples.length > 0 && samples[0].time < cutoff) {
+            samples.shift();
+        }
+    }
+
+    // Price at or just before `minutes` ago; null when history does not reach back that far
+    function getWindowPrice(symbol, minutes, now) {
+        const samples = history.get(symbol) || [];
+        const since = now - minutes * MINUTE;
+        let match = null;
+
+        for (const sample of samples) {
+            if (sample.time > since) break;
+            match = sample;
+        }
+
+        return match ? match.price : null;
+    }
+
+    // Seed history from stored 1m bars so percent-change alerts work right after a restart
+    async function seedHistory(symbol) {
+        if (!candleStore || history.has(symbol)) return;
+
+        try {
+            const { candles } = await candleStore.getCandles(symbol, { timeframe: '1m', limit: MAX_WINDOW_MINUTES });
+            if (history.has(symbol)) return;
+            candles.forEach(candle => recordHistory(symbol, Date.parse(candle.time), candle.open));
+        } catch (error) {
+            console.error(`Alert history seed error for ${symbol}:`, error.message);
+        }
+    }
+
+    async function expireAlert(alert) {
+        const { error } = await supabase
+            .from('price_alerts')
+            .update({ status: 'expired', updated_at: new Date().toISOString() })
+            .eq('id', alert.id)
+            .eq('status', 'active');
+
+        if (error) throw error;
+    }
+
+    async function fireAlert(alert, price, result) {
+        const now = new Date().toISOString();
+
+        // Guard on status so a concurrent edit or a second evaluator never double-delivers
+        const { data: updated, error } = await supabase
+            .from('price_alerts')
+            .update({
+                status: 'triggered',
+                triggered_at: now,
+                triggered_price: price,
+                updated_at: now
+            })
+            .eq('id', alert.id)
+            .eq('status', 'active')
+            .select('id')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!updated) return;
+
+        const { error: notificationError } = await supabase
+            .from('notifications')
+            .insert({
+                user_id: alert.user_id,
+                title: `Price Alert: ${toDisplaySymbol(alert.symbol)}`,
+                message: alert.note ? `${result.message} - ${alert.note}` : result.message,
+                type: 'alert',
+                priority: 'high',
+                action_url: alert.signal_id ? '/pages/signals/index.html' : '/pages/dashboard/index.html',
+                data: {
+                    alert_id: alert.id,
+                    alert_type: alert.alert_type,
+                    symbol: alert.symbol,
+                    price,
+                    signal_id: alert.signal_id || null
+                },
+                created_at: now
+            });
+
+        if (notificationError) throw notificationError;
+    }
+
+    // Evaluate every active alert for the tick's symbol
+    function handleTick(tick) {
+        const price = parseFloat(tick.price !== undefined ? tick.price : tick.bid);
+        if (!Number.isFinite(price)) return;
+
+        const now = Date.now();
+        recordHistory(tick.symbol, now, price);
+
+        const alerts = alertsBySymbol.get(tick.symbol) || [];
+        const remaining = [];
+
+        alerts.forEach(alert => {
+            if (alert.expires_at && Date.parse(alert.expires_at) <= now) {
+                expireAlert(alert).catch(error => console.error(`Alert expiry error for ${alert.id}:`, error.message));
+                return;
+            }
+
+            const previousPrice = lastPrices.has(alert.id)
+                ? lastPrices.get(alert.id)
+                : (alert.reference_price !== null && alert.reference_price !== undefined ? parseFloat(alert.reference_price) : null);
+
+            const result = evaluateAlert(alert, {
+                price,
+                previousPrice,
+                windowPrice: alert.alert_type === 'percent_change'
+                    ? getWindowPrice(tick.symbol, alert.window_minutes, now)
+                    : null,
+                signal: alert.trading_signals
+            });
+
+            lastPrices.set(alert.id, price);
+
+            if (result) {
+                // Drop it from memory straight away; the next refresh agrees once the row is updated
+                lastPrices.delete(alert.id);
+                fireAlert(alert, price, result).catch(error => console.error(`Alert delivery error for ${alert.id}:`, error.message));
+                return;
+            }
+
+            remaining.push(alert);
+        });
+
+        alertsBySymbol.set(tick.symbol, remaining);
+    }
+
+    function startFeed(symbol) {
+        seedHistory(symbol);
+
+        if (typeof provider.subscribeTicks === 'function') {
+            feedStops.set(symbol, provider.subscribeTicks([symbol], handleTick));
+        } else {
+            feedStops.set(symbol, null);
+        }
+    }
+
+    function stopFeed(symbol) {
+        const stop = feedStops.get(symbol);
+        if (stop) stop();
+        feedStops.delete(symbol);
+        history.delete(symbol);
+    }
+
+    // Reload active alerts and start/stop symbol feeds to match
+    async function refresh() {
+        const { data, error } = await supabase
+            .from('price_alerts')
+            .select('*, trading_signals(id, symbol, signal_type, status, stop_loss, take_profit)')
+            .eq('status', 'active');
+
+        if (error) throw error;
+
+        const grouped = new Map();
+        (data || []).forEach(alert => {
+            if (!grouped.has(alert.symbol)) grouped.set(alert.symbol, []);
+            grouped.get(alert.symbol).push(alert);
+        });
+
+        const activeIds = new Set((data || []).map(alert => alert.id));
+        Array.from(lastPrices.keys()).forEach(id => {
+            if (!activeIds.has(id)) lastPrices.delete(id);
+        });
+
+        grouped.forEach((alerts, symbol) => {
+            if (!feedStops.has(symbol)) startFeed(symbol);
+        });
+        Array.from(feedStops.keys()).forEach(symbol => {
+            if (!grouped.has(symbol)) stopFeed(symbol);
+        });
+
+        alertsBySymbol = grouped;
+        return { alerts: activeIds.size, symbols: grouped.size };
+    }
+
+    // Timers start before the first load so a failed start keeps retrying on the next refresh
+    function start() {
+        refreshTimer = setInterval(() => {
+            refresh().catch(error => console.error('Alert refresh error:', error.message));
+        }, refreshInterval);
+
+        // Providers without a push feed are polled for every symbol with an alert
+        if (typeof provider.subscribeTicks !== 'function') {
+            pollTimer = setInterval(async () => {
+                const symbols = Array.from(alertsBySymbol.keys());
+                if (symbols.length === 0) return;
+
+                try {
+                    const quotes = await provider.getQuotes(symbols);
+                    Object.values(quotes).forEach(handleTick);
+                } catch (error) {
+                    console.error('Alert poll error:', error.message);
+                }
+            }, pollInterval);
+        }
+
+        return refresh();
+    }
+
+    function stop() {
+        clearInterval(refreshTimer);
+        if (pollTimer) clearInterval(pollTimer);
+        Array.from(feedStops.keys()).forEach(stopFeed);
+    }
+
+    return {
+        start,
+        stop,
+        refresh,
+        handleTick
+    };
+}
+
+module.exports = {
+    ALERT_TYPES,
+    MAX_WINDOW_MINUTES,
+    evaluateAlert,
+    createAlertEvaluator
+};
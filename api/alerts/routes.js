@@ -0,0 +1,443 @@
+// api/alerts/routes.js
+const express = require('express');
+const admin = require('firebase-admin');
+const { createClient } = require('@supabase/supabase-js');
+const { getMarketProvider } = require('../market/providers');
+const { normalizeSymbol } = require('../market/symbols');
+const { ALERT_TYPES, MAX_WINDOW_MINUTES } = require('./alert-evaluator');
+const { getAccessTier, canAccessSignal, isSignalVisible } = require('../signals/signal-access');
+const router = express.Router();
+
+// Initialize Supabase
+const supabaseUrl = process.env.SUPABASE_URL || 'https://vjxnwqjlaxrvqctiphhb.supabase.co';
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// Active alerts one member may hold at a time
+const MAX_ACTIVE_ALERTS = 50;
+
+const ALERT_STATUSES = ['active', 'triggered', 'cancelled', 'expired'];
+const SIGNAL_LEVELS = ['stop_loss', 'take_profit'];
+
+// Fields a member may change on an existing alert
+const EDITABLE_ALERT_FIELDS = ['target_price', 'percent_change', 'window_minutes', 'distance_pips', 'note', 'expires_at'];
+
+// Middleware to verify Firebase token
+async function verifyFirebaseToken(req, res, next) {
+    try {
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({
+                error: 'No valid authorization token provided'
+            });
+        }
+
+        const token = authHeader.substring(7);
+        const decodedToken = await admin.auth().verifyIdToken(token);
+
+        // Get user profile from Supabase
+        const { data: userProfile, error } = await supabase
+            .from('user_profiles')
+            .select('*')
+            .eq('id', decodedToken.uid)
+            .single();
+
+        if (error || !userProfile) {
+            return res.status(404).json({
+                error: 'User profile not found'
+            });
+        }
+
+        req.user = {
+            uid: decodedToken.uid,
+            email: decodedToken.email,
+            role: userProfile.role,
+            isAdmin: userProfile.is_admin,
+            subscriptionTier: userProfile.subscription_tier,
+            profile: userProfile
+        };
+
+        next();
+    } catch (error) {
+        console.error('Auth middleware error:', error);
+        return res.status(401).json({
+            error: 'Invalid or expired token'
+        });
+    }
+}
+
+// Current price for a symbol from the market provider, or null when it has none
+async function getCurrentPrice(symbol) {
+    const quotes = await getMarketProvider().getQuotes([symbol]);
+    const price = quotes[symbol] ? parseFloat(quotes[symbol].price) : NaN;
+    return Number.isFinite(price) ? price : null;
+}
+
+/**
+ * Validate a complete alert (new, or an existing one merged with its changes) and fill in
+ * the derived columns: symbol for signal alerts, reference_price for crossing alerts.
+ * Sends a 400/403/404 and returns null when the alert is not acceptable.
+ */
+async function prepareAlert(req, res, alert) {
+    const errors = [];
+
+    if (!ALERT_TYPES.includes(alert.alert_type)) {
+        errors.push(`alert_type must be one of: ${ALERT_TYPES.join(', ')}`);
+    }
+
+    if (alert.expires_at && !(Date.parse(alert.expires_at) > Date.now())) {
+        errors.push('expires_at must be a future date');
+    }
+
+    if (alert.alert_type === 'signal_distance') {
+        if (!SIGNAL_LEVELS.includes(alert.signal_level)) {
+            errors.push(`signal_level must be one of: ${SIGNAL_LEVELS.join(', ')}`);
+        }
+        if (!(parseFloat(alert.distance_pips) > 0)) {
+            errors.push('distance_pips must be a positive number');
+        }
+        if (!alert.signal_id) {
+            errors.push('signal_id is required');
+        }
+    } else if (!normalizeSymbol(alert.symbol)) {
+        errors.push('A valid symbol is required');
+    }
+
+    if (alert.alert_type === 'price_above' || alert.alert_type === 'price_below') {
+        if (!(parseFloat(alert.target_price) > 0)) {
+            errors.push('target_price must be a positive number');
+        }
+    }
+
+    if (alert.alert_type === 'percent_change') {
+        const percent = parseFloat(alert.percent_change);
+        const window = parseInt(alert.window_minutes);
+
+        if (!Number.isFinite(percent) || percent === 0 || Math.abs(percent) > 100) {
+            errors.push('percent_change must be a non-zero number between -100 and 100');
+        }
+        if (!(window >= 1 && window <= MAX_WINDOW_MINUTES)) {
+            errors.push(`window_minutes must be between 1 and ${MAX_WINDOW_MINUTES}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        res.status(400).json({
+            error: 'Invalid alert',
+            details: errors
+        });
+        return null;
+    }
+
+    const prepared = { ...alert };
+
+    if (alert.alert_type === 'signal_distance') {
+        const { data: signal, error } = await supabase
+            .from('trading_signals')
+            .select('id, symbol, status, tier_access, released_tiers, next_release_at, stop_loss, take_profit')
+            .eq('id', alert.signal_id)
+            .single();
+
+        const tier = getAccessTier(req.user);
+
+        // Signals still under embargo for the caller's tier are not found either
+        if (error || !signal || !isSignalVisible(signal, tier)) {
+            res.status(404).json({
+                error: 'Signal not found'
+            });
+            return null;
+        }
+
+        if (!canAccessSignal(signal, tier)) {
+            res.status(403).json({
+                error: 'Your subscription tier does not include this signal'
+            });
+            return null;
+        }
+
+        if (signal.status !== 'active' || signal[alert.signal_level] === null) {
+            res.status(400).json({
+                error: 'Alerts can only track the levels of an active signal'
+            });
+            return null;
+        }
+
+        prepared.symbol = signal.symbol;
+        return prepared;
+    }
+
+    prepared.symbol = normalizeSymbol(alert.symbol);
+    prepared.signal_id = null;
+    prepared.signal_level = null;
+
+    if (alert.alert_type === 'price_above' || alert.alert_type === 'price_below') {
+        const price = await getCurrentPrice(prepared.symbol);
+        const target = parseFloat(alert.target_price);
+
+        if (price === null) {
+            res.status(400).json({
+                error: `No current price available for ${prepared.symbol}`
+            });
+            return null;
+        }
+
+        // A crossing alert must start on the other side of its target
+        if ((alert.alert_type === 'price_above' && price >= target) ||
+            (alert.alert_type === 'price_below' && price <= target)) {
+            res.status(400).json({
+                error: `${prepared.symbol} is already ${alert.alert_type === 'price_above' ? 'above' : 'below'} ${target}`,
+                currentPrice: price
+            });
+            return null;
+        }
+
+        prepared.reference_price = price;
+    }
+
+    return prepared;
+}
+
+// Columns written for an alert; fields that do not apply to its type are cleared
+function toAlertRow(alert) {
+    const type = alert.alert_type;
+
+    return {
+        symbol: alert.symbol,
+        alert_type: type,
+        target_price: type === 'price_above' || type === 'price_below' ? parseFloat(alert.target_price) : null,
+        reference_price: type === 'price_above' || type === 'price_below' ? alert.reference_price : null,
+        percent_change: type === 'percent_change' ? parseFloat(alert.percent_change) : null,
+        window_minutes: type === 'percent_change' ? parseInt(alert.window_minutes) : null,
+        signal_id: type === 'signal_distance' ? alert.signal_id : null,
+        signal_level: type === 'signal_distance' ? alert.signal_level : null,
+        distance_pips: type === 'signal_distance' ? parseFloat(alert.distance_pips) : null,
+        note: alert.note || null,
+        expires_at: alert.expires_at || null
+    };
+}
+
+async function countActiveAlerts(userId) {
+    const { count, error } = await supabase
+        .from('price_alerts')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .eq('status', 'active');
+
+    if (error) {
+        throw error;
+    }
+
+    return count || 0;
+}
+
+// Load one of the caller's alerts, or send a 404 and return null
+async function loadAlert(req, res) {
+    const { data: alert, error } = await supabase
+        .from('price_alerts')
+        .select('*')
+        .eq('id', req.params.id)
+        .eq('user_id', req.user.uid)
+        .single();
+
+    if (error || !alert) {
+        res.status(404).json({
+            error: 'Alert not found'
+        });
+        return null;
+    }
+
+    return alert;
+}
+
+// GET /api/alerts - The caller's alerts, newest first
+router.get('/', verifyFirebaseToken, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+        const offset = (page - 1) * limit;
+        const { status, symbol } = req.query;
+
+        if (status && !ALERT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid alert status'
+            });
+        }
+
+        let query = supabase
+            .from('price_alerts')
+            .select('*, trading_signals(id, title, symbol, action, status)', { count: 'exact' })
+            .eq('user_id', req.user.uid)
+            .order('created_at', { ascending: false });
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        if (symbol) {
+            query = query.eq('symbol', normalizeSymbol(symbol) || symbol);
+        }
+
+        const { data: alerts, error, count } = await query
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            alerts,
+            pagination: {
+                page,
+                limit,
+                total: count,
+                totalPages: Math.ceil(count / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get alerts error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch alerts'
+        });
+    }
+});
+
+// POST /api/alerts - Create an alert
+router.post('/', verifyFirebaseToken, async (req, res) => {
+    try {
+        if (await countActiveAlerts(req.user.uid) >= MAX_ACTIVE_ALERTS) {
+            return res.status(409).json({
+                error: `You can have at most ${MAX_ACTIVE_ALERTS} active alerts`
+            });
+        }
+
+        const prepared = await prepareAlert(req, res, req.body || {});
+        if (!prepared) return;
+
+        const { data: alert, error } = await supabase
+            .from('price_alerts')
+            .insert({
+                ...toAlertRow(prepared),
+                user_id: req.user.uid,
+                status: 'active'
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            alert
+        });
+
+    } catch (error) {
+        console.error('Create alert error:', error);
+        res.status(500).json({
+            error: 'Failed to create alert'
+        });
+    }
+});
+
+// PATCH /api/alerts/:id - Edit an alert; status 'active' re-arms it, 'cancelled' switches it off
+router.patch('/:id', verifyFirebaseToken, async (req, res) => {
+    try {
+        const existing = await loadAlert(req, res);
+        if (!existing) return;
+
+        const body = req.body || {};
+        const status = body.status || existing.status;
+
+        if (!['active', 'cancelled'].includes(status) && status !== existing.status) {
+            return res.status(400).json({
+                error: 'Status can only be set to active or cancelled'
+            });
+        }
+
+        const changes = {};
+        EDITABLE_ALERT_FIELDS.forEach(field => {
+            if (body[field] !== undefined) changes[field] = body[field];
+        });
+
+        let row = { status, updated_at: new Date().toISOString() };
+
+        if (status === 'active') {
+            if (existing.status !== 'active' && await countActiveAlerts(req.user.uid) >= MAX_ACTIVE_ALERTS) {
+                return res.status(409).json({
+                    error: `You can have at most ${MAX_ACTIVE_ALERTS} active alerts`
+                });
+            }
+
+            // Re-validate so a re-armed or edited alert starts from the current price
+            const prepared = await prepareAlert(req, res, { ...existing, ...changes });
+            if (!prepared) return;
+
+            row = {
+                ...row,
+                ...toAlertRow(prepared),
+                triggered_at: null,
+                triggered_price: null
+            };
+        } else if (changes.note !== undefined) {
+            row.note = changes.note || null;
+        }
+
+        const { data: alert, error } = await supabase
+            .from('price_alerts')
+            .update(row)
+            .eq('id', existing.id)
+            .eq('user_id', req.user.uid)
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            alert
+        });
+
+    } catch (error) {
+        console.error('Update alert error:', error);
+        res.status(500).json({
+            error: 'Failed to update alert'
+        });
+    }
+});
+
+// DELETE /api/alerts/:id - Remove an alert
+router.delete('/:id', verifyFirebaseToken, async (req, res) => {
+    try {
+        const existing = await loadAlert(req, res);
+        if (!existing) return;
+
+        const { error } = await supabase
+            .from('price_alerts')
+            .delete()
+            .eq('id', existing.id)
+            .eq('user_id', req.user.uid);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Alert deleted'
+        });
+
+    } catch (error) {
+        console.error('Delete alert error:', error);
+        res.status(500).json({
+            error: 'Failed to delete alert'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+// api/analysts/analyst-profiles.js
+// Who made each call: analyst profiles, author names on signals and the leaderboard.
+// Track records come from the signal_performance ledger (see signals/performance.js).
+const { computePerformance, groupPerformance } = require('../signals/performance');
+
+// Leaderboard windows, in days back from now (null = all time)
+const LEADERBOARD_PERIODS = {
+    '30d': 30,
+    '90d': 90,
+    '1y': 365,
+    all: null
+};
+
+// rank_by values mapped to the computePerformance() figure they sort on
+const LEADERBOARD_RANKINGS = {
+    pips: 'totalPips',
+    win_rate: 'winRate',
+    avg_r: 'avgRMultiple',
+    expectancy: 'expectancy'
+};
+
+// Fewest settled signals an analyst needs in the period to be ranked
+const MIN_LEADERBOARD_SIGNALS = 5;
+
+const MAX_SPECIALITIES = 10;
+
+// Start of a leaderboard period as ISO, or null for all time
+function getPeriodStart(period, now = new Date()) {
+    const days = LEADERBOARD_PERIODS[period];
+    return days ? new Date(now.getTime() - days * 86400000).toISOString() : null;
+}
+
+// Copy editable profile fields from the request body. Returns { fields, errors }.
+function pickProfileFields(body) {
+    const fields = {};
+    const errors = [];
+
+    if (body.display_name !== undefined) {
+        fields.display_name = String(body.display_name).trim();
+        if (!fields.display_name) errors.push('display_name cannot be empty');
+    }
+
+    ['headline', 'bio'].forEach(field => {
+        if (body[field] !== undefined) {
+            fields[field] = body[field] === null ? null : String(body[field]).trim() || null;
+        }
+    });
+
+    if (body.avatar_url !== undefined) {
+        fields.avatar_url = body.avatar_url ? String(body.avatar_url).trim() : null;
+        if (fields.avatar_url && !/^https?:\/\//.test(fields.avatar_url)) errors.push('avatar_url must be an http(s) URL');
+    }
+
+    if (body.specialities !== undefined) {
+        const list = Array.isArray(body.specialities) ? body.specialities : String(body.specialities || '').split(',');
+        fields.specialities = [...new Set(list.map(item => String(item).trim()).filter(Boolean))];
+        if (fields.specialities.length > MAX_SPECIALITIES) errors.push(`At most ${MAX_SPECIALITIES} specialities`);
+    }
+
+    if (body.is_public !== undefined) {
+        fields.is_public = body.is_public === true;
+    }
+
+    return { fields, errors };
+}
+
+// Name shown for an author without an analyst profile
+function getFallbackName(user) {
+    return user.display_name ||
+        [user.first_name, user.last_name].filter(Boolean).join(' ') ||
+        'Analyst';
+}
+
+// Public view of an analyst; the profile row wins over the account's own fields
+function presentAnalyst(user, profile = null) {
+    return {
+        id: user.id,
+        display_name: profile?.display_name || getFallbackName(user),
+        headline: profile?.headline || null,
+        bio: profile?.bio ?? user.bio ?? null,
+        specialities: profile?.specialities || [],
+        avatar_url: profile?.avatar_url || user.avatar_url || null
+    };
+}
+
+/**
+ * Public analysts for a set of user ids, keyed by id. Authors who hid their
+ * profile are left out.
+ */
+async function loadAnalysts(supabase, ids) {
+    const uniqueIds = [...new Set(ids.filter(Boolean))];
+    const analysts = new Map();
+
+    if (uniqueIds.length === 0) {
+        return analysts;
+    }
+
+    const [{ data: users, error: usersError }, { data: profiles, error: profilesError }] = await Promise.all([
+        supabase
+            .from('user_profiles')
+            .select('id, display_name, first_name, last_name, avatar_url, bio')
+            .in('id', uniqueIds),
+        supabase
+            .from('analyst_profiles')
+            .select('*')
+            .in('user_id', uniqueIds)
+    ]);
+
+    if (usersError) throw usersError;
+    if (profilesError) throw profilesError;
+
+    const profilesById = new Map((profiles || []).map(profile => [profile.user_id, profile]));
+
+    (users || []).forEach(user => {
+        const profile = profilesById.get(user.id);
+        if (profile && !profile.is_public) return;
+        analysts.set(user.id, presentAnalyst(user, profile));
+    });
+
+    return analysts;
+}
+
+/**
+ * Add author: { id, display_name, avatar_url } to each signal. Failures are logged
+ * and the signals returned as they were, so the feed never breaks over a name.
+ */
+async function attachAuthors(supabase, signals) {
+    try {
+        const analysts = await loadAnalysts(supabase, signals.map(signal => signal.author_id));
+
+        return signals.map(signal => {
+            const analyst = analysts.get(signal.author_id);
+            return {
+                ...signal,
+                author: analyst ? { id: analyst.id, display_name: analyst.display_name, avatar_url: analyst.avatar_url } : null
+            };
+        });
+    } catch (error) {
+        console.error('Attach signal authors error:', error);
+        return signals;
+    }
+}
+
+/**
+ * Rank analysts by one of LEADERBOARD_RANKINGS over ledger entries already limited
+ * to the period. Ties go to the analyst with more signals.
+ */
+function buildLeaderboard(entries, analysts, { rankBy = 'pips', minSignals = MIN_LEADERBOARD_SIGNALS } = {}) {
+    const metric = LEADERBOARD_RANKINGS[rankBy] || LEADERBOARD_RANKINGS.pips;
+
+    return groupPerformance(entries.filter(entry => analysts.has(entry.author_id)), 'author')
+        .filter(group => group.totalSignals >= minSignals)
+        .sort((a, b) => (b[metric] - a[metric]) || (b.totalSignals - a.totalSignals))
+        .map((group, index) => {
+            const { key, currentStreak, ...performance } = group;
+            return {
+                rank: index + 1,
+                analyst: analysts.get(key),
+                ...performance
+            };
+        });
+}
+
+/**
+ * An analyst's track record: overall figures plus the same figures per instrument
+ * and per instrument family.
+ */
+function buildTrackRecord(entries) {
+    return {
+        ...computePerformance(entries),
+        bySymbol: groupPerformance(entries, 'symbol'),
+        bySignalType: groupPerformance(entries, 'signal_type')
+    };
+}
+
+module.exports = {
+    LEADERBOARD_PERIODS,
+    LEADERBOARD_RANKINGS,
+    MIN_LEADERBOARD_SIGNALS,
+    getPeriodStart,
+    pickProfileFields,
+    presentAnalyst,
+    loadAnalysts,
+    attachAuthors,
+    buildLeaderboard,
+    buildTrackRecord
+};
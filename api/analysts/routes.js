@@ -0,0 +1,175 @@
+// api/analysts/routes.js
+// Public analyst pages and leaderboard. Only settled outcomes are shown (no trade
+// levels), so these routes are open to visitors as well as members.
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { loadPerformanceEntries } = require('../signals/performance');
+const {
+    LEADERBOARD_PERIODS,
+    LEADERBOARD_RANKINGS,
+    MIN_LEADERBOARD_SIGNALS,
+    getPeriodStart,
+    presentAnalyst,
+    loadAnalysts,
+    buildLeaderboard,
+    buildTrackRecord
+} = require('./analyst-profiles');
+const router = express.Router();
+
+// Initialize Supabase
+const supabaseUrl = process.env.SUPABASE_URL || 'https://vjxnwqjlaxrvqctiphhb.supabase.co';
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Closed outcomes listed on a profile
+const RECENT_SIGNALS_LIMIT = 10;
+
+// Validate the period query parameter, sending 400 otherwise
+function getPeriod(req, res) {
+    const period = req.query.period || 'all';
+
+    if (LEADERBOARD_PERIODS[period] === undefined) {
+        res.status(400).json({
+            error: `period must be one of: ${Object.keys(LEADERBOARD_PERIODS).join(', ')}`
+        });
+        return null;
+    }
+
+    return period;
+}
+
+// GET /api/analysts - Analysts with a public profile, for the directory and feed filter
+router.get('/', async (req, res) => {
+    try {
+        const { data: profiles, error } = await supabase
+            .from('analyst_profiles')
+            .select('*')
+            .eq('is_public', true)
+            .order('display_name', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            analysts: profiles.map(profile => presentAnalyst({ id: profile.user_id }, profile))
+        });
+
+    } catch (error) {
+        console.error('Get analysts error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch analysts'
+        });
+    }
+});
+
+// GET /api/analysts/leaderboard - Analysts ranked over a period
+// Query: period (30d|90d|1y|all), rank_by (pips|win_rate|avg_r|expectancy), min_signals
+router.get('/leaderboard', async (req, res) => {
+    try {
+        const period = getPeriod(req, res);
+        if (!period) return;
+
+        const rankBy = req.query.rank_by || 'pips';
+        const minSignals = req.query.min_signals !== undefined ?
+            Math.max(parseInt(req.query.min_signals) || 0, 1) : MIN_LEADERBOARD_SIGNALS;
+
+        if (!LEADERBOARD_RANKINGS[rankBy]) {
+            return res.status(400).json({
+                error: `rank_by must be one of: ${Object.keys(LEADERBOARD_RANKINGS).join(', ')}`
+            });
+        }
+
+        const entries = await loadPerformanceEntries(supabase, { since: getPeriodStart(period) });
+        const analysts = await loadAnalysts(supabase, entries.map(entry => entry.author_id));
+
+        res.json({
+            success: true,
+            period,
+            rankBy,
+            minSignals,
+            leaderboard: buildLeaderboard(entries, analysts, { rankBy, minSignals })
+        });
+
+    } catch (error) {
+        console.error('Get analyst leaderboard error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch analyst leaderboard'
+        });
+    }
+});
+
+// GET /api/analysts/:id - Profile and track record (win rate, pips, average R, by instrument)
+router.get('/:id', async (req, res) => {
+    try {
+        const period = getPeriod(req, res);
+        if (!period) return;
+
+        const analysts = UUID_PATTERN.test(req.params.id) ?
+            await loadAnalysts(supabase, [req.params.id]) :
+            new Map();
+        const analyst = analysts.get(req.params.id);
+
+        const { count: authoredSignals } = analyst ? await supabase
+            .from('trading_signals')
+            .select('id', { count: 'exact', head: true })
+            .eq('author_id', analyst.id)
+            .in('status', ['active', 'closed', 'cancelled', 'expired']) : { count: 0 };
+
+        const { data: profile } = analyst ? await supabase
+            .from('analyst_profiles')
+            .select('user_id')
+            .eq('user_id', analyst.id)
+            .maybeSingle() : { data: null };
+
+        // Accounts that never published a signal or a profile are not analysts
+        if (!analyst || (!authoredSignals && !profile)) {
+            return res.status(404).json({
+                error: 'Analyst not found'
+            });
+        }
+
+        const entries = await loadPerformanceEntries(supabase, {
+            author: analyst.id,
+            since: getPeriodStart(period)
+        });
+
+        const { data: recentSignals, error } = await supabase
+            .from('trading_signals')
+            .select('id, symbol, signal_type, action, result, pips_gained, percentage_gain, closed_at')
+            .eq('author_id', analyst.id)
+            .in('status', ['closed', 'expired'])
+            .order('closed_at', { ascending: false })
+            .limit(RECENT_SIGNALS_LIMIT);
+
+        if (error) {
+            throw error;
+        }
+
+        const { count: activeSignals } = await supabase
+            .from('trading_signals')
+            .select('id', { count: 'exact', head: true })
+            .eq('author_id', analyst.id)
+            .eq('status', 'active');
+
+        res.json({
+            success: true,
+            analyst,
+            period,
+            trackRecord: buildTrackRecord(entries),
+            recentSignals,
+            activeSignals
+        });
+
+    } catch (error) {
+        console.error('Get analyst profile error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch analyst profile'
+        });
+    }
+});
+
+module.exports = router;
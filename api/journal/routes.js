@@ -0,0 +1,489 @@
+// api/journal/routes.js
+// Members' trade journal: fills logged against a signal or standalone, realized P&L in
+// the account currency and a side-by-side with the signal's official outcome
+const express = require('express');
+const admin = require('firebase-admin');
+const { createClient } = require('@supabase/supabase-js');
+const { getQuoteCurrency, getConversionRate } = require('../market/fx-rates');
+const { toNumber, resolveInstrumentType } = require('../signals/signal-math');
+const { getAccessTier, canAccessSignal, isSignalVisible } = require('../signals/signal-access');
+const {
+    SCREENSHOT_BUCKET,
+    SUGGESTED_EMOTIONS,
+    pickEntryFields,
+    calculateTradeResult,
+    compareWithSignal,
+    summarizeJournal
+} = require('./trade-journal');
+const router = express.Router();
+
+// Initialize Supabase
+const supabaseUrl = process.env.SUPABASE_URL || 'https://vjxnwqjlaxrvqctiphhb.supabase.co';
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// Screenshot links stay valid for an hour
+const SIGNED_URL_SECONDS = 3600;
+
+// Middleware to verify Firebase token
+async function verifyFirebaseToken(req, res, next) {
+    try {
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({
+                error: 'No valid authorization token provided'
+            });
+        }
+
+        const token = authHeader.substring(7);
+        const decodedToken = await admin.auth().verifyIdToken(token);
+
+        // Get user profile from Supabase
+        const { data: userProfile, error } = await supabase
+            .from('user_profiles')
+            .select('*')
+            .eq('id', decodedToken.uid)
+            .single();
+
+        if (error || !userProfile) {
+            return res.status(404).json({
+                error: 'User profile not found'
+            });
+        }
+
+        req.user = {
+            uid: decodedToken.uid,
+            email: decodedToken.email,
+            role: userProfile.role,
+            isAdmin: userProfile.is_admin,
+            subscriptionTier: userProfile.subscription_tier,
+            profile: userProfile
+        };
+
+        next();
+    } catch (error) {
+        console.error('Auth middleware error:', error);
+        return res.status(401).json({
+            error: 'Invalid or expired token'
+        });
+    }
+}
+
+// Load one of the caller's journal entries, sending 404 when it is not theirs
+async function loadEntry(req, res) {
+    const { data: entry, error } = await supabase
+        .from('trade_journal_entries')
+        .select('*')
+        .eq('id', req.params.id)
+        .eq('user_id', req.user.uid)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+
+    if (!entry) {
+        res.status(404).json({
+            error: 'Journal entry not found'
+        });
+        return null;
+    }
+
+    return entry;
+}
+
+// Load a published signal the caller may log a trade against, sending 404/403 otherwise
+async function loadLinkedSignal(req, res, signalId) {
+    const { data: signal } = await supabase
+        .from('trading_signals')
+        .select('*')
+        .eq('id', signalId)
+        .maybeSingle();
+
+    const tier = getAccessTier(req.user);
+
+    // Signals still under embargo for the caller's tier are not found either
+    if (!signal || !isSignalVisible(signal, tier)) {
+        res.status(404).json({
+            error: 'Signal not found'
+        });
+        return null;
+    }
+
+    if (!canAccessSignal(signal, tier)) {
+        res.status(403).json({
+            error: 'Your subscription tier does not include this signal'
+        });
+        return null;
+    }
+
+    return signal;
+}
+
+/**
+ * Fill the derived columns of a complete entry: quote currency, the rate into the account
+ * currency (given, kept from before, or the current market rate) and the trade result.
+ * Sends 400 and returns null when a closed trade's P&L cannot be converted.
+ */
+async function completeEntry(req, res, entry, previous = null) {
+    const quoteCurrency = getQuoteCurrency(entry.symbol);
+    let conversionRate = null;
+
+    if (entry.exit_price !== null && entry.exit_price !== undefined) {
+        const givenRate = toNumber(req.body.conversion_rate);
+        const keepRate = previous && previous.conversion_rate !== null &&
+            previous.symbol === entry.symbol && previous.account_currency === entry.account_currency;
+
+        conversionRate = givenRate ??
+            (keepRate ? toNumber(previous.conversion_rate) : await getConversionRate(quoteCurrency, entry.account_currency));
+
+        if (!(conversionRate > 0)) {
+            res.status(400).json({
+                error: `No ${quoteCurrency}/${entry.account_currency} rate is available; provide conversion_rate`
+            });
+            return null;
+        }
+
+        entry.closed_at = entry.closed_at || new Date().toISOString();
+    } else {
+        entry.closed_at = null;
+    }
+
+    return {
+        ...entry,
+        quote_currency: quoteCurrency,
+        conversion_rate: conversionRate,
+        ...calculateTradeResult(entry, conversionRate)
+    };
+}
+
+// Signed links for screenshot paths, keyed by path
+async function signScreenshots(paths) {
+    if (paths.length === 0) {
+        return new Map();
+    }
+
+    const { data, error } = await supabase.storage
+        .from(SCREENSHOT_BUCKET)
+        .createSignedUrls(paths, SIGNED_URL_SECONDS);
+
+    if (error) {
+        console.error('Sign journal screenshots error:', error);
+        return new Map();
+    }
+
+    return new Map(data.filter(item => item.signedUrl).map(item => [item.path, item.signedUrl]));
+}
+
+// Delete screenshots no longer attached to an entry; failures only leave orphaned files
+async function removeScreenshots(paths) {
+    if (paths.length === 0) return;
+
+    const { error } = await supabase.storage.from(SCREENSHOT_BUCKET).remove(paths);
+
+    if (error) {
+        console.error('Remove journal screenshots error:', error);
+    }
+}
+
+// Entries with screenshot_urls alongside the stored paths
+async function presentEntries(entries) {
+    const urls = await signScreenshots(entries.flatMap(entry => entry.screenshots || []));
+
+    return entries.map(entry => ({
+        ...entry,
+        status: entry.exit_price === null ? 'open' : 'closed',
+        screenshot_urls: (entry.screenshots || []).map(path => urls.get(path)).filter(Boolean)
+    }));
+}
+
+// GET /api/journal - The caller's journal entries, newest first
+// Query: status (open|closed), symbol, signal_id, from/to (opened_at), page, limit
+router.get('/', verifyFirebaseToken, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = (page - 1) * limit;
+        const { status, symbol, signal_id, from, to } = req.query;
+
+        let query = supabase
+            .from('trade_journal_entries')
+            .select('*', { count: 'exact' })
+            .eq('user_id', req.user.uid)
+            .order('opened_at', { ascending: false });
+
+        if (status === 'open') {
+            query = query.is('exit_price', null);
+        } else if (status === 'closed') {
+            query = query.not('exit_price', 'is', null);
+        }
+
+        if (symbol) {
+            query = query.eq('symbol', symbol.toUpperCase());
+        }
+
+        if (signal_id) {
+            query = query.eq('signal_id', signal_id);
+        }
+
+        if (from) {
+            query = query.gte('opened_at', from);
+        }
+
+        if (to) {
+            query = query.lte('opened_at', to);
+        }
+
+        const { data: entries, error, count } = await query
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            entries: await presentEntries(entries),
+            emotions: SUGGESTED_EMOTIONS,
+            pagination: {
+                page,
+                limit,
+                total: count,
+                totalPages: Math.ceil(count / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get journal error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch journal'
+        });
+    }
+});
+
+// GET /api/journal/summary - Closed-trade totals per account currency, optionally from/to (closed_at)
+router.get('/summary', verifyFirebaseToken, async (req, res) => {
+    try {
+        let query = supabase
+            .from('trade_journal_entries')
+            .select('account_currency, exit_price, realized_pnl, fees, pips, signal_id')
+            .eq('user_id', req.user.uid)
+            .not('exit_price', 'is', null);
+
+        if (req.query.from) {
+            query = query.gte('closed_at', req.query.from);
+        }
+
+        if (req.query.to) {
+            query = query.lte('closed_at', req.query.to);
+        }
+
+        const { data: entries, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            summary: summarizeJournal(entries)
+        });
+
+    } catch (error) {
+        console.error('Get journal summary error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch journal summary'
+        });
+    }
+});
+
+// GET /api/journal/:id - One entry, compared with its signal's official outcome when linked
+router.get('/:id', verifyFirebaseToken, async (req, res) => {
+    try {
+        const entry = await loadEntry(req, res);
+        if (!entry) return;
+
+        const { data: signal } = entry.signal_id ? await supabase
+            .from('trading_signals')
+            .select('*')
+            .eq('id', entry.signal_id)
+            .maybeSingle() : { data: null };
+
+        const [presented] = await presentEntries([entry]);
+        const tier = getAccessTier(req.user);
+
+        // The comparison shows the signal's levels, so only while the caller may still see them
+        res.json({
+            success: true,
+            entry: presented,
+            comparison: signal && isSignalVisible(signal, tier) && canAccessSignal(signal, tier) ?
+                compareWithSignal(entry, signal) : null
+        });
+
+    } catch (error) {
+        console.error('Get journal entry error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch journal entry'
+        });
+    }
+});
+
+// POST /api/journal - Log a trade; with signal_id, symbol, action and stop default to the signal's
+// Body: symbol, action, size, entry_price, exit_price, stop_loss, fees, account_currency,
+// conversion_rate (quote -> account currency, else the market rate), opened_at, closed_at,
+// notes, emotion_tags, screenshots (paths in the journal-screenshots bucket)
+router.post('/', verifyFirebaseToken, async (req, res) => {
+    try {
+        const { fields, errors } = pickEntryFields(req.body || {}, req.user.uid);
+        let signal = null;
+
+        if (req.body.signal_id) {
+            signal = await loadLinkedSignal(req, res, req.body.signal_id);
+            if (!signal) return;
+
+            fields.symbol = fields.symbol || signal.symbol;
+            fields.action = fields.action || signal.action;
+            if (fields.stop_loss === undefined) {
+                fields.stop_loss = toNumber(signal.initial_stop_loss ?? signal.stop_loss);
+            }
+        }
+
+        if (!fields.symbol || !fields.action || !fields.entry_price || !fields.size) {
+            errors.push('symbol, action, entry_price and size are required');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid journal entry',
+                details: errors
+            });
+        }
+
+        const entry = await completeEntry(req, res, {
+            account_currency: 'USD',
+            ...fields,
+            instrument_type: resolveInstrumentType(fields, signal),
+            signal_id: signal ? signal.id : null,
+            user_id: req.user.uid
+        });
+        if (!entry) return;
+
+        const { data: created, error } = await supabase
+            .from('trade_journal_entries')
+            .insert([entry])
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        const [presented] = await presentEntries([created]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Trade logged',
+            entry: presented,
+            comparison: compareWithSignal(created, signal)
+        });
+
+    } catch (error) {
+        console.error('Create journal entry error:', error);
+        res.status(500).json({
+            error: 'Failed to log trade'
+        });
+    }
+});
+
+// PATCH /api/journal/:id - Update an entry (e.g. add the exit to close it); the result is recalculated
+router.patch('/:id', verifyFirebaseToken, async (req, res) => {
+    try {
+        const existing = await loadEntry(req, res);
+        if (!existing) return;
+
+        const { fields, errors } = pickEntryFields(req.body || {}, req.user.uid);
+
+        if (Object.keys(fields).length === 0 && req.body?.conversion_rate === undefined) {
+            errors.push('No changes provided');
+        }
+
+        const merged = { ...existing, ...fields };
+
+        if (merged.entry_price === null || merged.size === null) {
+            errors.push('entry_price and size cannot be removed');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid journal entry',
+                details: errors
+            });
+        }
+
+        const { id, user_id, signal_id, created_at, updated_at, ...columns } = merged;
+        const entry = await completeEntry(req, res, columns, existing);
+        if (!entry) return;
+
+        const { data: updated, error } = await supabase
+            .from('trade_journal_entries')
+            .update(entry)
+            .eq('id', existing.id)
+            .eq('user_id', req.user.uid)
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        await removeScreenshots((existing.screenshots || []).filter(path => !updated.screenshots.includes(path)));
+
+        const [presented] = await presentEntries([updated]);
+
+        res.json({
+            success: true,
+            message: 'Journal entry updated',
+            entry: presented
+        });
+
+    } catch (error) {
+        console.error('Update journal entry error:', error);
+        res.status(500).json({
+            error: 'Failed to update journal entry'
+        });
+    }
+});
+
+// DELETE /api/journal/:id - Delete an entry and its screenshots
+router.delete('/:id', verifyFirebaseToken, async (req, res) => {
+    try {
+        const entry = await loadEntry(req, res);
+        if (!entry) return;
+
+        const { error } = await supabase
+            .from('trade_journal_entries')
+            .delete()
+            .eq('id', entry.id)
+            .eq('user_id', req.user.uid);
+
+        if (error) {
+            throw error;
+        }
+
+        await removeScreenshots(entry.screenshots || []);
+
+        res.json({
+            success: true,
+            message: 'Journal entry deleted'
+        });
+
+    } catch (error) {
+        console.error('Delete journal entry error:', error);
+        res.status(500).json({
+            error: 'Failed to delete journal entry'
+        });
+    }
+});
+
+module.exports = router;
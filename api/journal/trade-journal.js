@@ -0,0 +1,202 @@
+// api/journal/trade-journal.js
+// Members' own trades: field validation, realized P&L in the account currency and the
+// comparison with the signal a trade was taken from
+const { normalizeSymbol } = require('../market/symbols');
+const { getPipSize, getDirection, toNumber, round } = require('../signals/signal-math');
+const { getContractSize } = require('../signals/signal-export');
+
+const INSTRUMENT_TYPES = ['forex', 'crypto', 'stocks', 'commodities', 'indices'];
+
+// Private storage bucket for screenshots; object paths start with the member's user id
+const SCREENSHOT_BUCKET = 'journal-screenshots';
+
+const MAX_SCREENSHOTS = 5;
+const MAX_EMOTION_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_NOTES_LENGTH = 2000;
+
+// Offered in the journal form; members may add their own
+const SUGGESTED_EMOTIONS = ['calm', 'confident', 'disciplined', 'hesitant', 'fearful', 'greedy', 'impatient', 'fomo', 'revenge'];
+
+/**
+ * Copy journal fields from the request body. Returns { fields, errors }; fields holds
+ * only what was given, so the same function serves create and update.
+ */
+function pickEntryFields(body, userId) {
+    const fields = {};
+    const errors = [];
+
+    if (body.symbol !== undefined) {
+        fields.symbol = normalizeSymbol(body.symbol);
+        if (!fields.symbol) errors.push('symbol is not a valid trading symbol');
+    }
+
+    if (body.instrument_type !== undefined) {
+        fields.instrument_type = body.instrument_type;
+        if (!INSTRUMENT_TYPES.includes(fields.instrument_type)) {
+            errors.push(`instrument_type must be one of: ${INSTRUMENT_TYPES.join(', ')}`);
+        }
+    }
+
+    if (body.action !== undefined) {
+        fields.action = body.action;
+        if (!['buy', 'sell'].includes(fields.action)) errors.push('action must be buy or sell');
+    }
+
+    ['entry_price', 'exit_price', 'stop_loss', 'size'].forEach(field => {
+        if (body[field] !== undefined) {
+            fields[field] = toNumber(body[field]);
+            if (fields[field] !== null && !(fields[field] > 0)) errors.push(`${field} must be a positive number`);
+        }
+    });
+
+    if (body.fees !== undefined) {
+        fields.fees = toNumber(body.fees) ?? 0;
+        if (fields.fees < 0) errors.push('fees cannot be negative');
+    }
+
+    if (body.account_currency !== undefined) {
+        fields.account_currency = String(body.account_currency || '').trim().toUpperCase();
+        if (!/^[A-Z]{3}$/.test(fields.account_currency)) errors.push('account_currency must be a 3-letter currency code');
+    }
+
+    ['opened_at', 'closed_at'].forEach(field => {
+        if (body[field] !== undefined) {
+            const date = body[field] ? new Date(body[field]) : null;
+            if (date && Number.isNaN(date.getTime())) {
+                errors.push(`${field} must be a valid date`);
+            } else {
+                fields[field] = date ? date.toISOString() : null;
+            }
+        }
+    });
+
+    if (body.notes !== undefined) {
+        fields.notes = body.notes ? String(body.notes).trim() : null;
+        if (fields.notes && fields.notes.length > MAX_NOTES_LENGTH) {
+            errors.push(`notes must be at most ${MAX_NOTES_LENGTH} characters`);
+        }
+    }
+
+    if (body.emotion_tags !== undefined) {
+        const tags = Array.isArray(body.emotion_tags) ? body.emotion_tags : String(body.emotion_tags || '').split(',');
+        fields.emotion_tags = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+        if (fields.emotion_tags.length > MAX_EMOTION_TAGS) errors.push(`At most ${MAX_EMOTION_TAGS} emotion tags`);
+        if (fields.emotion_tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+            errors.push(`Emotion tags must be at most ${MAX_TAG_LENGTH} characters`);
+        }
+    }
+
+    if (body.screenshots !== undefined) {
+        fields.screenshots = Array.isArray(body.screenshots) ? body.screenshots.map(String) : [];
+        if (fields.screenshots.length > MAX_SCREENSHOTS) errors.push(`At most ${MAX_SCREENSHOTS} screenshots`);
+        if (fields.screenshots.some(path => !path.startsWith(`${userId}/`) || path.includes('..'))) {
+            errors.push('Screenshots must be uploaded to your own journal folder');
+        }
+    }
+
+    return { fields, errors };
+}
+
+/**
+ * Outcome of a closed trade: pips, gross and realized (after fees) P&L in the account
+ * currency and R multiple when a stop was logged. conversionRate turns the instrument's
+ * quote currency into the account currency. Returns nulls for open trades.
+ */
+function calculateTradeResult(entry, conversionRate) {
+    const entryPrice = toNumber(entry.entry_price);
+    const exitPrice = toNumber(entry.exit_price);
+    const size = toNumber(entry.size);
+    const stop = toNumber(entry.stop_loss);
+
+    if (entryPrice === null || exitPrice === null || size === null || !conversionRate) {
+        return { pips: null, gross_pnl: null, realized_pnl: null, r_multiple: null };
+    }
+
+    const move = (exitPrice - entryPrice) * getDirection(entry.action);
+    const grossPnl = move * size * getContractSize(entry.symbol, entry.instrument_type) * conversionRate;
+
+    return {
+        pips: round(move / getPipSize(entry.symbol, entry.instrument_type), 1),
+        gross_pnl: round(grossPnl),
+        realized_pnl: round(grossPnl - (toNumber(entry.fees) || 0)),
+        r_multiple: stop !== null && stop !== entryPrice ? round(move / Math.abs(entryPrice - stop)) : null
+    };
+}
+
+/**
+ * How a member's trade compares with the signal it followed. Price differences are in
+ * pips and signed so positive means the member did better than the official call.
+ */
+function compareWithSignal(entry, signal) {
+    if (!signal) {
+        return null;
+    }
+
+    const direction = getDirection(entry.action);
+    const pipSize = getPipSize(signal.symbol, signal.signal_type);
+    const signalEntry = toNumber(signal.entry_price);
+    const signalExit = toNumber(signal.analytics?.exit_price);
+    const entryPrice = toNumber(entry.entry_price);
+    const exitPrice = toNumber(entry.exit_price);
+    const signalPips = toNumber(signal.pips_gained);
+    const myPips = toNumber(entry.pips);
+
+    return {
+        signal_id: signal.id,
+        signal_status: signal.status,
+        signal_result: signal.result || null,
+        signal_entry: signalEntry,
+        signal_exit: signalExit,
+        signal_pips: signalPips,
+        my_pips: myPips,
+        same_direction: entry.action === signal.action,
+        entry_difference_pips: signalEntry !== null && entryPrice !== null ?
+            round((signalEntry - entryPrice) * direction / pipSize, 1) : null,
+        exit_difference_pips: signalExit !== null && exitPrice !== null ?
+            round((exitPrice - signalExit) * direction / pipSize, 1) : null,
+        pip_difference: signalPips !== null && myPips !== null ? round(myPips - signalPips, 1) : null
+    };
+}
+
+/**
+ * Closed-trade totals per account currency: P&L is never summed across currencies.
+ */
+function summarizeJournal(entries) {
+    const byCurrency = new Map();
+
+    entries.filter(entry => entry.exit_price !== null && entry.realized_pnl !== null).forEach(entry => {
+        const currency = entry.account_currency;
+        const totals = byCurrency.get(currency) || {
+            currency, trades: 0, wins: 0, losses: 0, realizedPnl: 0, fees: 0, pips: 0, followedSignals: 0
+        };
+        const pnl = toNumber(entry.realized_pnl);
+
+        totals.trades += 1;
+        totals.wins += pnl > 0 ? 1 : 0;
+        totals.losses += pnl < 0 ? 1 : 0;
+        totals.realizedPnl += pnl;
+        totals.fees += toNumber(entry.fees) || 0;
+        totals.pips += toNumber(entry.pips) || 0;
+        totals.followedSignals += entry.signal_id ? 1 : 0;
+        byCurrency.set(currency, totals);
+    });
+
+    return [...byCurrency.values()].map(totals => ({
+        ...totals,
+        winRate: totals.trades > 0 ? round((totals.wins / totals.trades) * 100, 1) : 0,
+        realizedPnl: round(totals.realizedPnl),
+        fees: round(totals.fees),
+        pips: round(totals.pips, 1)
+    }));
+}
+
+module.exports = {
+    INSTRUMENT_TYPES,
+    SCREENSHOT_BUCKET,
+    SUGGESTED_EMOTIONS,
+    pickEntryFields,
+    calculateTradeResult,
+    compareWithSignal,
+    summarizeJournal
+};
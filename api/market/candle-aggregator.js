@@ -0,0 +1,269 @@
+// api/market/candle-aggregator.js
+// Pure OHLCV bar building: tick -> 1m bars, roll-ups to higher timeframes, session
+// alignment and gap filling. No I/O, so the store, the import script and the stream share it.
+//
+// Sessions
+//   forex, commodities  trading day rolls over at 17:00 New York time (21:00/22:00 UTC),
+//                       closed from Friday 17:00 to Sunday 17:00 New York time
+//   crypto              UTC days, never closed
+//   stocks              UTC days, closed on Saturday and Sunday (UTC)
+// Bars of 1h and shorter align to the clock; 4h and 1d bars align to the session rollover.
+const { getInstrumentType } = require('./symbols');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Timeframes the store persists, smallest first; each rolls up from the one before it
+const AGGREGATE_TIMEFRAMES = ['1m', '5m', '15m', '1h', '4h', '1d'];
+
+const TIMEFRAME_MS = {
+    '1m': MINUTE,
+    '5m': 5 * MINUTE,
+    '15m': 15 * MINUTE,
+    '1h': HOUR,
+    '4h': 4 * HOUR,
+    '1d': DAY
+};
+
+// Hour of the New York trading day rollover
+const NEW_YORK_ROLLOVER_HOUR = 17;
+
+// nth Sunday (1-based) of a UTC month, as a UTC midnight timestamp
+function nthSunday(year, month, n) {
+    const first = new Date(Date.UTC(year, month, 1));
+    const offset = (7 - first.getUTCDay()) % 7;
+    return Date.UTC(year, month, 1 + offset + (n - 1) * 7);
+}
+
+/**
+ * New York's UTC offset in ms at a moment (-4h in daylight time, -5h otherwise).
+ * US DST runs from 02:00 local on the second Sunday of March to 02:00 local on the
+ * first Sunday of November; computed directly so alignment does not depend on ICU data.
+ */
+function getNewYorkOffset(time) {
+    const year = new Date(time).getUTCFullYear();
+    const dstStart = nthSunday(year, 2, 2) + 7 * HOUR;
+    const dstEnd = nthSunday(year, 10, 1) + 6 * HOUR;
+    return time >= dstStart && time < dstEnd ? -4 * HOUR : -5 * HOUR;
+}
+
+function usesNewYorkSession(symbol) {
+    const type = getInstrumentType(symbol);
+    return type === 'forex' || type === 'commodities';
+}
+
+// Start (ms) of the trading day containing a moment
+function getSessionStart(time, symbol) {
+    if (!usesNewYorkSession(symbol)) {
+        return Math.floor(time / DAY) * DAY;
+    }
+
+    const offset = getNewYorkOffset(time);
+    const local = time + offset;
+    let rollover = Math.floor(local / DAY) * DAY + NEW_YORK_ROLLOVER_HOUR * HOUR;
+    if (local < rollover) rollover -= DAY;
+
+    return rollover - offset;
+}
+
+// Start (ms) of the bar containing a moment
+function getBucketStart(time, timeframe, symbol) {
+    const size = TIMEFRAME_MS[timeframe];
+    if (!size) {
+        throw new Error(`Unsupported timeframe: ${timeframe}`);
+    }
+
+    if (size < 4 * HOUR) {
+        return Math.floor(time / size) * size;
+    }
+
+    const sessionStart = getSessionStart(time, symbol);
+    return sessionStart + Math.floor((time - sessionStart) / size) * size;
+}
+
+// Whether the market for a symbol trades at a moment; gaps are only filled while open
+function isMarketOpen(time, symbol) {
+    const type = getInstrumentType(symbol);
+    if (type === 'crypto') return true;
+
+    if (type === 'stocks') {
+        const day = new Date(time).getUTCDay();
+        return day !== 0 && day !== 6;
+    }
+
+    const local = new Date(time + getNewYorkOffset(time));
+    const day = local.getUTCDay();
+    const hour = local.getUTCHours();
+
+    if (day === 6) return false;
+    if (day === 5 && hour >= NEW_YORK_ROLLOVER_HOUR) return false;
+    if (day === 0 && hour < NEW_YORK_ROLLOVER_HOUR) return false;
+    return true;
+}
+
+function toTime(value) {
+    if (typeof value === 'number') return value;
+    return new Date(value).getTime();
+}
+
+/**
+ * Build bars from raw ticks ({ price | bid, volume, timestamp }).
+ * tick.volume is treated as the traded size of that tick. Returns bars sorted oldest first.
+ */
+function aggregateTicks(ticks, symbol, timeframe = '1m') {
+    const bars = new Map();
+
+    ticks
+        .map(tick => ({
+            time: toTime(tick.timestamp),
+            price: parseFloat(tick.price !== undefined ? tick.price : tick.bid),
+            volume: parseFloat(tick.volume) || 0
+        }))
+        .filter(tick => Number.isFinite(tick.time) && Number.isFinite(tick.price))
+        .sort((a, b) => a.time - b.time)
+        .forEach(tick => {
+            const start = getBucketStart(tick.time, timeframe, symbol);
+            const bar = bars.get(start);
+
+            if (!bar) {
+                bars.set(start, {
+                    time: new Date(start).toISOString(),
+                    open: tick.price,
+                    high: tick.price,
+                    low: tick.price,
+                    close: tick.price,
+                    volume: tick.volume,
+                    tick_count: 1,
+                    filled: false
+                });
+                return;
+            }
+
+            bar.high = Math.max(bar.high, tick.price);
+            bar.low = Math.min(bar.low, tick.price);
+            bar.close = tick.price;
+            bar.volume += tick.volume;
+            bar.tick_count++;
+        });
+
+    return Array.from(bars.values());
+}
+
+/**
+ * Fold a newer partial bar into a stored bar for the same period.
+ * A stored filler bar is replaced outright since it never saw a real trade.
+ */
+function mergeBars(existing, incoming) {
+    if (!existing || existing.filled) {
+        return { ...incoming };
+    }
+
+    return {
+        ...existing,
+        high: Math.max(existing.high, incoming.high),
+        low: Math.min(existing.low, incoming.low),
+        close: incoming.close,
+        volume: (existing.volume || 0) + (incoming.volume || 0),
+        tick_count: (existing.tick_count || 0) + (incoming.tick_count || 0),
+        filled: false
+    };
+}
+
+/**
+ * Combine lower-timeframe bars into the target timeframe.
+ * A rolled-up bar counts as filled only when every bar inside it was.
+ */
+function rollupBars(bars, symbol, timeframe) {
+    const buckets = new Map();
+
+    bars
+        .slice()
+        .sort((a, b) => toTime(a.time) - toTime(b.time))
+        .forEach(bar => {
+            const start = getBucketStart(toTime(bar.time), timeframe, symbol);
+            const bucket = buckets.get(start);
+
+            if (!bucket) {
+                buckets.set(start, {
+                    time: new Date(start).toISOString(),
+                    open: bar.open,
+                    high: bar.high,
+                    low: bar.low,
+                    close: bar.close,
+                    volume: bar.volume || 0,
+                    tick_count: bar.tick_count || 0,
+                    filled: Boolean(bar.filled)
+                });
+                return;
+            }
+
+            bucket.high = Math.max(bucket.high, bar.high);
+            bucket.low = Math.min(bucket.low, bar.low);
+            bucket.close = bar.close;
+            bucket.volume += bar.volume || 0;
+            bucket.tick_count += bar.tick_count || 0;
+            bucket.filled = bucket.filled && Boolean(bar.filled);
+        });
+
+    return Array.from(buckets.values());
+}
+
+/**
+ * Insert flat bars at the previous close for every missing period while the market is open.
+ * `to` (exclusive) extends filling past the last bar; `maxBars` caps how many are synthesized
+ * so a long outage leaves a visible gap instead of thousands of fake bars.
+ */
+function fillGaps(bars, symbol, timeframe, { to = null, maxBars = 5000 } = {}) {
+    const sorted = bars.slice().sort((a, b) => toTime(a.time) - toTime(b.time));
+    const size = TIMEFRAME_MS[timeframe];
+    const result = [];
+    let filledCount = 0;
+
+    const fillUntil = (previous, end) => {
+        let cursor = getBucketStart(toTime(previous.time) + size, timeframe, symbol);
+
+        while (cursor < end && filledCount < maxBars) {
+            if (isMarketOpen(cursor, symbol)) {
+                result.push({
+                    time: new Date(cursor).toISOString(),
+                    open: previous.close,
+                    high: previous.close,
+                    low: previous.close,
+                    close: previous.close,
+                    volume: 0,
+                    tick_count: 0,
+                    filled: true
+                });
+                filledCount++;
+            }
+            cursor = getBucketStart(cursor + size, timeframe, symbol);
+        }
+    };
+
+    sorted.forEach((bar, index) => {
+        if (index > 0) {
+            fillUntil(sorted[index - 1], toTime(bar.time));
+        }
+        result.push(bar);
+    });
+
+    if (to && sorted.length > 0) {
+        fillUntil(sorted[sorted.length - 1], getBucketStart(toTime(to), timeframe, symbol));
+    }
+
+    return result;
+}
+
+module.exports = {
+    AGGREGATE_TIMEFRAMES,
+    TIMEFRAME_MS,
+    getNewYorkOffset,
+    getSessionStart,
+    getBucketStart,
+    isMarketOpen,
+    aggregateTicks,
+    mergeBars,
+    rollupBars,
+    fillGaps
+};
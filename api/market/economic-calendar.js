@@ -0,0 +1,540 @@
+// api/market/economic-calendar.js
+// Economic calendar: ICS/CSV parsing, the economic_events table and signal blackout windows
+const { getInstrumentType } = require('./symbols');
+
+const EVENTS_TABLE = 'economic_events';
+const IMPACT_LEVELS = ['low', 'medium', 'high'];
+
+// Rows per upsert request
+const UPSERT_CHUNK_SIZE = 500;
+
+// Used when system_settings has no signal_blackout_window row
+const DEFAULT_BLACKOUT_SETTINGS = {
+    before_minutes: 120,
+    after_minutes: 30,
+    impacts: ['high']
+};
+
+// Country codes and names feeds use instead of a currency
+const COUNTRY_CURRENCIES = {
+    US: 'USD', USA: 'USD', 'UNITED STATES': 'USD',
+    EU: 'EUR', EMU: 'EUR', EZ: 'EUR', EUROZONE: 'EUR', 'EURO AREA': 'EUR',
+    DE: 'EUR', GERMANY: 'EUR', FR: 'EUR', FRANCE: 'EUR', IT: 'EUR', ITALY: 'EUR', ES: 'EUR', SPAIN: 'EUR',
+    GB: 'GBP', UK: 'GBP', 'UNITED KINGDOM': 'GBP',
+    JP: 'JPY', JAPAN: 'JPY',
+    CH: 'CHF', SWITZERLAND: 'CHF',
+    CA: 'CAD', CANADA: 'CAD',
+    AU: 'AUD', AUSTRALIA: 'AUD',
+    NZ: 'NZD', 'NEW ZEALAND': 'NZD',
+    CN: 'CNY', CHINA: 'CNY'
+};
+
+// Currencies recognised in free text (ICS titles and categories)
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD', 'CNY'];
+
+// Index symbols and the currency whose data moves them
+const INDEX_CURRENCIES = {
+    SPX500: 'USD', US500: 'USD', NAS100: 'USD', US100: 'USD', US30: 'USD',
+    UK100: 'GBP',
+    GER30: 'EUR', GER40: 'EUR', DE40: 'EUR', FRA40: 'EUR', EU50: 'EUR',
+    JPN225: 'JPY', JP225: 'JPY',
+    AUS200: 'AUD'
+};
+
+// Vendor impact labels (words, 1-3 scales, Forex Factory colours)
+const IMPACT_ALIASES = {
+    high: 'high', h: 'high', 3: 'high', red: 'high',
+    medium: 'medium', med: 'medium', moderate: 'medium', m: 'medium', 2: 'medium', orange: 'medium',
+    low: 'low', l: 'low', 1: 'low', yellow: 'low', none: 'low', holiday: 'low', 0: 'low'
+};
+
+// Column names accepted in a CSV header row, mapped to event fields
+const CSV_HEADER_ALIASES = {
+    id: 'id', uid: 'id', event_id: 'id',
+    title: 'title', event: 'title', name: 'title', summary: 'title',
+    country: 'country', region: 'country',
+    currency: 'currency', currencies: 'currency', ccy: 'currency',
+    impact: 'impact', importance: 'impact', volatility: 'impact',
+    date: 'date', time: 'time', datetime: 'datetime', timestamp: 'datetime', scheduled_at: 'datetime',
+    forecast: 'forecast', consensus: 'forecast',
+    previous: 'previous', prior: 'previous',
+    actual: 'actual'
+};
+
+function normalizeImpact(value) {
+    return IMPACT_ALIASES[String(value ?? '').trim().toLowerCase()] || null;
+}
+
+// Currency codes from "USD", "USD|EUR", "usd eur" or a country code/name
+function parseCurrencies(value) {
+    const text = String(value || '').trim().toUpperCase();
+
+    if (COUNTRY_CURRENCIES[text]) {
+        return [COUNTRY_CURRENCIES[text]];
+    }
+
+    return text
+        .split(/[|,;/\s]+/)
+        .map(code => COUNTRY_CURRENCIES[code] || code)
+        .filter(code => /^[A-Z]{3}$/.test(code))
+        .filter((code, index, list) => list.indexOf(code) === index);
+}
+
+// Epoch ms, ISO or "2025-01-10 13:30"; zone-less times are UTC, and all-day
+// or tentative times fall back to midnight
+function parseEventTime(date, time) {
+    const clock = /^\d{1,2}:\d{2}/.test(String(time || '').trim()) ? String(time).trim() : '';
+    const text = [String(date || '').trim(), clock].filter(Boolean).join(' ');
+
+    if (/^\d+$/.test(text)) {
+        const number = parseInt(text);
+        return number < 1e12 ? number * 1000 : number;
+    }
+
+    const iso = text.replace(/^(\d{4})[./](\d{2})[./](\d{2})/, '$1-$2-$3').replace(' ', 'T');
+    const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(iso);
+    return Date.parse(hasZone || !iso.includes('T') ? iso : `${iso}Z`);
+}
+
+function blankToNull(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    return text === '' ? null : text;
+}
+
+/**
+ * Map a parsed feed record onto an economic_events row. The currency comes from
+ * the currency field, falling back to the country. Returns { event } or { error }.
+ */
+function normalizeEvent(record, source = 'import') {
+    const title = blankToNull(record.title);
+    const scheduledAt = record.scheduled_at ?? parseEventTime(record.datetime || record.date, record.time);
+    const currencies = parseCurrencies(record.currency);
+    const country = blankToNull(record.country);
+
+    if (currencies.length === 0 && country) {
+        currencies.push(...parseCurrencies(country));
+    }
+
+    if (!title) {
+        return { error: 'Missing title' };
+    }
+    if (!Number.isFinite(scheduledAt)) {
+        return { error: `Invalid time: ${[record.datetime || record.date, record.time].filter(Boolean).join(' ')}` };
+    }
+    if (currencies.length === 0) {
+        return { error: 'Missing currency or country' };
+    }
+
+    const impact = record.impact === undefined || record.impact === '' ? 'low' : normalizeImpact(record.impact);
+    if (!impact) {
+        return { error: `Unknown impact: ${record.impact}` };
+    }
+
+    const scheduledIso = new Date(scheduledAt).toISOString();
+    const fallbackId = `${currencies[0]}-${title}-${scheduledIso}`.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+    return {
+        event: {
+            external_id: blankToNull(record.id) || fallbackId,
+            title,
+            country: country ? country.toUpperCase() : null,
+            currency: currencies[0],
+            currencies,
+            impact,
+            scheduled_at: scheduledIso,
+            forecast: blankToNull(record.forecast),
+            previous: blankToNull(record.previous),
+            actual: blankToNull(record.actual),
+            source
+        }
+    };
+}
+
+// Split one CSV line, honouring double-quoted cells ("Retail Sales, m/m")
+function splitCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',' || char === ';' || char === '\t') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    cells.push(cell.trim());
+    return cells;
+}
+
+/**
+ * Parse calendar CSV with a header row (title/event, date + time or datetime,
+ * currency and/or country, impact, forecast, previous, actual, optional id).
+ * Returns { events, errors } with bad rows reported by line number.
+ */
+function parseCalendarCsv(text, source = 'csv') {
+    const lines = text.split(/\r?\n/)
+        .map((content, index) => ({ content, line: index + 1 }))
+        .filter(({ content }) => content.trim());
+    const events = [];
+    const errors = [];
+
+    if (lines.length === 0) {
+        return { events, errors };
+    }
+
+    const columns = splitCsvLine(lines[0].content).map(cell => CSV_HEADER_ALIASES[cell.toLowerCase().replace(/\s+/g, '_')] || null);
+
+    if (!columns.includes('title') || !(columns.includes('date') || columns.includes('datetime'))) {
+        errors.push({ line: lines[0].line, error: 'Header row needs a title/event column and a date or datetime column' });
+        return { events, errors };
+    }
+
+    lines.slice(1).forEach(({ content, line }) => {
+        const record = {};
+        splitCsvLine(content).forEach((cell, column) => {
+            if (columns[column]) record[columns[column]] = cell;
+        });
+
+        const { event, error } = normalizeEvent(record, source);
+        if (error) {
+            errors.push({ line, error });
+        } else {
+            events.push(event);
+        }
+    });
+
+    return { events, errors };
+}
+
+// Offset (ms) of an IANA zone from UTC at the given instant
+function getZoneOffset(timeZone, time) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(time)).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - Math.floor(time / 1000) * 1000;
+}
+
+// ICS DATE / DATE-TIME value to epoch ms; TZID times are converted, floating times are UTC
+function parseIcsTime(value, timeZone) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+    if (!match) return NaN;
+
+    const [, year, month, day, hour = 0, minute = 0, second = 0, utc] = match;
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    if (utc || !timeZone || match[4] === undefined) {
+        return wallClock;
+    }
+
+    try {
+        // Two passes so times near a DST change use the offset in force at that instant
+        const guess = wallClock - getZoneOffset(timeZone, wallClock);
+        return wallClock - getZoneOffset(timeZone, guess);
+    } catch (error) {
+        return NaN;
+    }
+}
+
+function unescapeIcsText(value) {
+    return value
+        .replace(/\\n/gi, '\n')
+        .replace(/\\([,;\\])/g, '$1');
+}
+
+// "Forecast: 200K" style values embedded in an ICS DESCRIPTION
+function readDescriptionValue(description, label) {
+    const match = new RegExp(`^\\s*${label}\\s*[:=]\\s*(.+)$`, 'im').exec(description);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Parse an iCalendar feed. Each VEVENT maps UID, SUMMARY and DTSTART onto an event.
+ * Impact comes from X-IMPACT, PRIORITY (1-4 high, 5 medium, 6-9 low) or an
+ * "Impact: High" line in DESCRIPTION; the currency from X-CURRENCY, a currency code
+ * in CATEGORIES, a "USD" / "[USD]" prefix on SUMMARY, or LOCATION as a country.
+ * Returns { events, errors } with bad events reported by their first line number.
+ */
+function parseCalendarIcs(text, source = 'ics') {
+    const events = [];
+    const errors = [];
+
+    // Unfold continuation lines but keep line numbers for error reports
+    const lines = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (/^[ \t]/.test(line) && lines.length > 0) {
+            lines[lines.length - 1].text += line.slice(1);
+        } else {
+            lines.push({ text: line, line: index + 1 });
+        }
+    });
+
+    let current = null;
+
+    lines.forEach(({ text: content, line }) => {
+        if (content === 'BEGIN:VEVENT') {
+            current = { line, properties: {} };
+            return;
+        }
+
+        if (content === 'END:VEVENT' && current) {
+            const { properties } = current;
+            const dtstart = properties.DTSTART || { value: '', params: {} };
+            let title = properties.SUMMARY ? unescapeIcsText(properties.SUMMARY.value).trim() : '';
+            const description = properties.DESCRIPTION ? unescapeIcsText(properties.DESCRIPTION.value) : '';
+
+            const prefix = /^\[?([A-Z]{3})\]?\s+[-:]?\s*(.+)$/.exec(title);
+            const categoryCurrencies = properties.CATEGORIES
+                ? parseCurrencies(properties.CATEGORIES.value).filter(code => CURRENCY_CODES.includes(code))
+                : [];
+
+            let currency = properties['X-CURRENCY'] ? properties['X-CURRENCY'].value : categoryCurrencies.join('|');
+            if (prefix && CURRENCY_CODES.includes(prefix[1]) && (!currency || currency.includes(prefix[1]))) {
+                currency = currency || prefix[1];
+                title = prefix[2];
+            }
+
+            const priority = properties.PRIORITY ? parseInt(properties.PRIORITY.value) : 0;
+            let impact = properties['X-IMPACT'] ? properties['X-IMPACT'].value : readDescriptionValue(description, 'Impact');
+            if (!impact && priority > 0) {
+                impact = priority <= 4 ? 'high' : priority === 5 ? 'medium' : 'low';
+            }
+
+            const { event, error } = normalizeEvent({
+                id: properties.UID ? properties.UID.value : null,
+                title,
+                country: properties.LOCATION ? unescapeIcsText(properties.LOCATION.value) : null,
+                currency,
+                impact: impact ? impact.replace(/\s*impact.*$/i, '') : undefined,
+                scheduled_at: parseIcsTime(dtstart.value, dtstart.params.TZID),
+                datetime: dtstart.value,
+                forecast: readDescriptionValue(description, 'Forecast'),
+                previous: readDescriptionValue(description, 'Previous'),
+                actual: readDescriptionValue(description, 'Actual')
+            }, source);
+
+            if (error) {
+                errors.push({ line: current.line, error });
+            } else {
+                events.push(event);
+            }
+
+            current = null;
+            return;
+        }
+
+        if (!current) return;
+
+        // NAME;PARAM=VALUE;...:value
+        const match = /^([A-Z0-9-]+)((?:;[^:]*)?):(.*)$/i.exec(content);
+        if (!match) return;
+
+        const params = {};
+        match[2].split(';').filter(Boolean).forEach(param => {
+            const [key, value = ''] = param.split('=');
+            params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+        });
+
+        current.properties[match[1].toUpperCase()] = { value: match[3], params };
+    });
+
+    return { events, errors };
+}
+
+// Upsert parsed events keyed by external_id so re-imports refresh actuals and revisions
+async function importEconomicEvents(supabase, events) {
+    for (let i = 0; i < events.length; i += UPSERT_CHUNK_SIZE) {
+        const { error } = await supabase
+            .from(EVENTS_TABLE)
+            .upsert(events.slice(i, i + UPSERT_CHUNK_SIZE), { onConflict: 'external_id' });
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    return { events: events.length };
+}
+
+/**
+ * Events scheduled in [from, to), oldest first. currencies and impacts narrow the
+ * result when given; an event matches when any of its currencies is requested.
+ */
+async function loadEconomicEvents(supabase, { from, to, currencies = [], impacts = [], limit = 500 } = {}) {
+    let query = supabase
+        .from(EVENTS_TABLE)
+        .select('*')
+        .gte('scheduled_at', new Date(from).toISOString())
+        .lt('scheduled_at', new Date(to).toISOString())
+        .order('scheduled_at', { ascending: true })
+        .limit(limit);
+
+    if (currencies.length > 0) {
+        query = query.overlaps('currencies', currencies);
+    }
+
+    if (impacts.length > 0) {
+        query = query.in('impact', impacts);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+        throw error;
+    }
+
+    return data || [];
+}
+
+// Whether anything has been imported yet, so routes know when to fall back to the provider
+async function hasEconomicEvents(supabase) {
+    const { count, error } = await supabase
+        .from(EVENTS_TABLE)
+        .select('id', { count: 'exact', head: true });
+
+    if (error) {
+        throw error;
+    }
+
+    return count > 0;
+}
+
+// Table row to the provider's calendar event shape the client renders
+function presentEvent(row) {
+    return {
+        id: row.external_id,
+        title: row.title,
+        country: row.country,
+        currency: row.currency,
+        currencies: row.currencies || [row.currency],
+        impact: row.impact,
+        date: row.scheduled_at,
+        forecast: row.forecast,
+        previous: row.previous,
+        actual: row.actual
+    };
+}
+
+// Currencies whose economic data moves a symbol
+function getSymbolCurrencies(symbol) {
+    if (INDEX_CURRENCIES[symbol]) {
+        return [INDEX_CURRENCIES[symbol]];
+    }
+
+    if (getInstrumentType(symbol) === 'stocks') {
+        return ['USD'];
+    }
+
+    // Pairs, metals and crypto all end in their quote currency
+    return [symbol.slice(0, 3), symbol.slice(-3)].filter((code, index, list) => list.indexOf(code) === index);
+}
+
+// Blackout window from system_settings merged over the defaults
+async function getBlackoutSettings(supabase) {
+    const { data } = await supabase
+        .from('system_settings')
+        .select('value')
+        .eq('key', 'signal_blackout_window')
+        .maybeSingle();
+
+    const value = data && typeof data.value === 'object' ? data.value : {};
+    const impacts = (Array.isArray(value.impacts) ? value.impacts : []).filter(impact => IMPACT_LEVELS.includes(impact));
+
+    return {
+        before_minutes: Number.isFinite(value.before_minutes) ? value.before_minutes : DEFAULT_BLACKOUT_SETTINGS.before_minutes,
+        after_minutes: Number.isFinite(value.after_minutes) ? value.after_minutes : DEFAULT_BLACKOUT_SETTINGS.after_minutes,
+        impacts: impacts.length > 0 ? impacts : DEFAULT_BLACKOUT_SETTINGS.impacts
+    };
+}
+
+/**
+ * Events that put a symbol in blackout at `now`: a matching currency, an impact in
+ * settings.impacts, and scheduled no more than before_minutes ahead or after_minutes ago.
+ * Each match carries minutes_until (negative once released).
+ */
+function findBlackoutEvents(symbol, events, settings, now = Date.now()) {
+    const currencies = getSymbolCurrencies(symbol);
+
+    return events
+        .filter(event => settings.impacts.includes(event.impact))
+        .filter(event => (event.currencies || [event.currency]).some(code => currencies.includes(code)))
+        .map(event => ({
+            event,
+            minutesUntil: Math.round((new Date(event.scheduled_at).getTime() - now) / 60000)
+        }))
+        .filter(({ minutesUntil }) => minutesUntil <= settings.before_minutes && minutesUntil >= -settings.after_minutes)
+        .map(({ event, minutesUntil }) => ({
+            ...presentEvent(event),
+            minutes_until: minutesUntil
+        }));
+}
+
+/**
+ * Add event_risk (see findBlackoutEvents) to active signals. Calendar failures are
+ * logged and leave the signals untouched rather than failing the signals request.
+ */
+async function attachEventRisk(supabase, signals, now = Date.now()) {
+    const active = signals.filter(signal => signal.status === 'active' && signal.symbol);
+    if (active.length === 0) {
+        return signals;
+    }
+
+    try {
+        const settings = await getBlackoutSettings(supabase);
+        const events = await loadEconomicEvents(supabase, {
+            from: now - settings.after_minutes * 60000,
+            to: now + settings.before_minutes * 60000 + 60000,
+            impacts: settings.impacts
+        });
+
+        return signals.map(signal => (signal.status === 'active' && signal.symbol
+            ? { ...signal, event_risk: findBlackoutEvents(signal.symbol, events, settings, now) }
+            : signal));
+    } catch (error) {
+        console.error('Signal event risk error:', error);
+        return signals;
+    }
+}
+
+module.exports = {
+    EVENTS_TABLE,
+    IMPACT_LEVELS,
+    DEFAULT_BLACKOUT_SETTINGS,
+    normalizeImpact,
+    parseCurrencies,
+    normalizeEvent,
+    parseCalendarCsv,
+    parseCalendarIcs,
+    importEconomicEvents,
+    loadEconomicEvents,
+    hasEconomicEvents,
+    presentEvent,
+    getSymbolCurrencies,
+    getBlackoutSettings,
+    findBlackoutEvents,
+    attachEventRisk
+};
@@ -0,0 +1,91 @@
+// api/market/fx-rates.js
+// Which currency an instrument is priced in, and converting amounts between currencies
+// from provider quotes (direct pair, inverse pair, or through USD)
+const { getMarketProvider } = require('./providers');
+
+// Currencies recognised as the last three letters of a pair
+const CURRENCIES = [
+    'USD', 'EUR', 'GBP', 'JPY', 'CHF', 'AUD', 'NZD', 'CAD',
+    'SEK', 'NOK', 'DKK', 'PLN', 'HUF', 'CZK', 'TRY', 'ZAR',
+    'MXN', 'SGD', 'HKD', 'CNH'
+];
+
+// Index CFDs priced outside USD
+const INDEX_CURRENCIES = {
+    UK100: 'GBP',
+    GER30: 'EUR',
+    GER40: 'EUR',
+    FRA40: 'EUR',
+    EU50: 'EUR',
+    ESP35: 'EUR',
+    JPN225: 'JPY',
+    AUS200: 'AUD',
+    HK50: 'HKD'
+};
+
+// Currency a symbol's prices (and so its raw P&L) are in; USD unless the symbol says otherwise
+function getQuoteCurrency(symbol) {
+    const normalized = String(symbol || '').toUpperCase();
+
+    if (INDEX_CURRENCIES[normalized]) {
+        return INDEX_CURRENCIES[normalized];
+    }
+
+    const suffix = normalized.slice(-3);
+    return normalized.length >= 6 && CURRENCIES.includes(suffix) ? suffix : 'USD';
+}
+
+// Pairs that can price `from` in `to`: direct, inverse and both legs through USD
+function getConversionSymbols(from, to) {
+    const pairs = [[from, to], [from, 'USD'], ['USD', to]]
+        .filter(([base, quote]) => base !== quote)
+        .flatMap(([base, quote]) => [`${base}${quote}`, `${quote}${base}`]);
+
+    return [...new Set(pairs)];
+}
+
+/**
+ * Units of `to` per unit of `from` from a { [symbol]: quote } map, or null when
+ * the quotes cannot price it. Tries the direct pair, its inverse, then via USD.
+ */
+function findConversionRate(from, to, quotes) {
+    const price = (symbol) => {
+        const value = parseFloat(quotes[symbol]?.price);
+        return Number.isFinite(value) && value > 0 ? value : null;
+    };
+
+    const pairRate = (base, quote) => {
+        if (base === quote) return 1;
+        const direct = price(`${base}${quote}`);
+        if (direct) return direct;
+        const inverse = price(`${quote}${base}`);
+        return inverse ? 1 / inverse : null;
+    };
+
+    const rate = pairRate(from, to);
+    if (rate) {
+        return rate;
+    }
+
+    const toUsd = pairRate(from, 'USD');
+    const fromUsd = pairRate('USD', to);
+    return toUsd && fromUsd ? toUsd * fromUsd : null;
+}
+
+// Current rate from the market provider; null when it quotes none of the pairs needed
+async function getConversionRate(from, to, provider = getMarketProvider()) {
+    if (from === to) {
+        return 1;
+    }
+
+    const quotes = await provider.getQuotes(getConversionSymbols(from, to));
+    return findConversionRate(from, to, quotes);
+}
+
+module.exports = {
+    CURRENCIES,
+    getQuoteCurrency,
+    getConversionSymbols,
+    findConversionRate,
+    getConversionRate
+};
@@ -0,0 +1,288 @@
+// api/market/ohlcv-store.js
+// Supabase-backed OHLCV store over market_candles (migration 004).
+// Ticks become 1m bars; every write cascades up 1m -> 5m -> 15m -> 1h -> 4h -> 1d, each level
+// rebuilt from the one below for the periods touched, and gaps are backfilled with flat bars.
+const {
+    AGGREGATE_TIMEFRAMES,
+    TIMEFRAME_MS,
+    getBucketStart,
+    aggregateTicks,
+    mergeBars,
+    rollupBars,
+    fillGaps
+} = require('./candle-aggregator');
+
+const CANDLES_TABLE = 'market_candles';
+
+// PostgREST returns at most 1000 rows per request; upserts are chunked well below that
+const PAGE_SIZE = 1000;
+const UPSERT_CHUNK = 500;
+
+function toIso(time) {
+    return new Date(time).toISOString();
+}
+
+function fromRow(row) {
+    return {
+        time: toIso(row.open_time),
+        open: parseFloat(row.open),
+        high: parseFloat(row.high),
+        low: parseFloat(row.low),
+        close: parseFloat(row.close),
+        volume: parseFloat(row.volume) || 0,
+        tick_count: row.tick_count || 0,
+        filled: Boolean(row.is_filled)
+    };
+}
+
+function toRow(symbol, timeframe, bar, source) {
+    return {
+        symbol,
+        timeframe,
+        open_time: bar.time,
+        open: bar.open,
+        high: bar.high,
+        low: bar.low,
+        close: bar.close,
+        volume: bar.volume || 0,
+        tick_count: bar.tick_count || 0,
+        is_filled: Boolean(bar.filled),
+        source: bar.filled ? 'fill' : source,
+        updated_at: new Date().toISOString()
+    };
+}
+
+function createCandleStore({ supabase, table = CANDLES_TABLE, maxFillBars = 5000 } = {}) {
+    if (!supabase) {
+        throw new Error('createCandleStore requires a Supabase client');
+    }
+
+    // Every bar for a symbol/timeframe in [from, to), oldest first
+    async function loadRange(symbol, timeframe, from, to) {
+        const bars = [];
+
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const { data, error } = await supabase
+                .from(table)
+                .select('*')
+                .eq('symbol', symbol)
+                .eq('timeframe', timeframe)
+                .gte('open_time', toIso(from))
+                .lt('open_time', toIso(to))
+                .order('open_time', { ascending: true })
+                .range(offset, offset + PAGE_SIZE - 1);
+
+            if (error) throw error;
+
+            bars.push(...(data || []).map(fromRow));
+            if (!data || data.length < PAGE_SIZE) break;
+        }
+
+        return bars;
+    }
+
+    // Latest stored bar strictly before a moment, or null
+    async function loadPrevious(symbol, timeframe, before) {
+        const { data, error } = await supabase
+            .from(table)
+            .select('*')
+            .eq('symbol', symbol)
+            .eq('timeframe', timeframe)
+            .lt('open_time', toIso(before))
+            .order('open_time', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data ? fromRow(data) : null;
+    }
+
+    async function upsertBars(symbol, timeframe, bars, source) {
+        const rows = bars.map(bar => toRow(symbol, timeframe, bar, source));
+
+        for (let i = 0; i < rows.length; i += UPSERT_CHUNK) {
+            const { error } = await supabase
+                .from(table)
+                .upsert(rows.slice(i, i + UPSERT_CHUNK), { onConflict: 'symbol,timeframe,open_time' });
+
+            if (error) throw error;
+        }
+    }
+
+    /**
+     * Write bars for one timeframe, backfilling from the last stored bar before them.
+     * merge=true folds them into stored bars (live ticks); otherwise they overwrite (imports).
+     * Returns the bars written, fillers included.
+     */
+    async function writeBars(symbol, timeframe, bars, { source, merge }) {
+        if (bars.length === 0) return [];
+
+        const sorted = bars.slice().sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+        const first = Date.parse(sorted[0].time);
+        const last = Date.parse(sorted[sorted.length - 1].time);
+
+        let incoming = sorted;
+        if (merge) {
+            const stored = await loadRange(symbol, timeframe, first, last + TIMEFRAME_MS[timeframe]);
+            const storedByTime = new Map(stored.map(bar => [bar.time, bar]));
+            incoming = sorted.map(bar => mergeBars(storedByTime.get(bar.time), bar));
+        }
+
+        const previous = await loadPrevious(symbol, timeframe, first);
+        const series = fillGaps(previous ? [previous, ...incoming] : incoming, symbol, timeframe, { maxBars: maxFillBars })
+            .filter(bar => !previous || bar !== previous);
+
+        await upsertBars(symbol, timeframe, series, source);
+        return series;
+    }
+
+    // Rebuild every timeframe above `fromTimeframe` for the periods the written bars touch
+    async function cascade(symbol, fromTimeframe, written) {
+        let lower = fromTimeframe;
+        let touched = written;
+
+        for (const timeframe of AGGREGATE_TIMEFRAMES.slice(AGGREGATE_TIMEFRAMES.indexOf(fromTimeframe) + 1)) {
+            if (touched.length === 0) break;
+
+            const starts = touched.map(bar => getBucketStart(Date.parse(bar.time), timeframe, symbol));
+            const from = Math.min(...starts);
+            const to = Math.max(...starts) + TIMEFRAME_MS[timeframe];
+
+            const sourceBars = await loadRange(symbol, lower, from, to);
+            const rolled = rollupBars(sourceBars, symbol, timeframe);
+            await upsertBars(symbol, timeframe, rolled, 'rollup');
+
+            lower = timeframe;
+            touched = rolled;
+        }
+    }
+
+    /**
+     * Record raw ticks for one symbol. Ticks may span several minutes; late ticks for a
+     * stored minute are merged into it. Returns { bars } with the number of 1m bars written.
+     */
+    async function ingestTicks(symbol, ticks) {
+        const minuteBars = aggregateTicks(ticks, symbol, '1m');
+        const written = await writeBars(symbol, '1m', minuteBars, { source: 'ticks', merge: true });
+        await cascade(symbol, '1m', written);
+        return { bars: written.length };
+    }
+
+    /**
+     * Store historical bars of one timeframe (e.g. from a CSV export), replacing any stored
+     * bars for the same periods, then roll them up to the higher timeframes.
+     * Bars are re-bucketed first so vendor timestamps snap to session-aligned periods.
+     */
+    async function importBars(symbol, timeframe, bars) {
+        if (!TIMEFRAME_MS[timeframe]) {
+            throw new Error(`Unsupported timeframe: ${timeframe}`);
+        }
+
+        const aligned = rollupBars(bars, symbol, timeframe);
+        const written = await writeBars(symbol, timeframe, aligned, { source: 'import', merge: false });
+        await cascade(symbol, timeframe, written);
+        return { bars: written.length, filled: written.filter(bar => bar.filled).length };
+    }
+
+    /**
+     * One page of bars, oldest first.
+     *   before  bars opening strictly before this time (page backwards / older)
+     *   after   bars opening strictly after this time (page forwards / newer)
+     *   neither the latest `limit` bars
+     * from/to bound the window further. hasMore says whether another page exists
+     * in the paging direction.
+     */
+    async function getCandles(symbol, { timeframe = '1h', limit = 100, before = null, after = null, from = null, to = null } = {}) {
+        const ascending = Boolean(after && !before);
+
+        let query = supabase
+            .from(table)
+            .select('*')
+            .eq('symbol', symbol)
+            .eq('timeframe', timeframe);
+
+        if (before) query = query.lt('open_time', toIso(before));
+        if (after) query = query.gt('open_time', toIso(after));
+        if (from) query = query.gte('open_time', toIso(from));
+        if (to) query = query.lte('open_time', toIso(to));
+
+        const { data, error } = await query
+            .order('open_time', { ascending })
+            .limit(limit + 1);
+
+        if (error) throw error;
+
+        const rows = data || [];
+        const hasMore = rows.length > limit;
+        const page = rows.slice(0, limit).map(fromRow);
+
+        return {
+            candles: ascending ? page : page.reverse(),
+            hasMore
+        };
+    }
+
+    // Every bar in [from, to), oldest first, shaped like the fixture store's getCandles()
+    // so stored history can be replayed by the outcome resolver and backtests
+    async function getCandleRange(symbol, { timeframe = '1h', from, to = new Date() } = {}) {
+        return loadRange(symbol, timeframe, from, to);
+    }
+
+    return {
+        ingestTicks,
+        importBars,
+        getCandles,
+        getCandleRange
+    };
+}
+
+/**
+ * Buffer live ticks per symbol and hand them to the store in batches, so a busy feed
+ * costs one write cycle per symbol per interval. Returns { record, flush, stop }.
+ */
+function createTickRecorder(store, { flushInterval = 5000 } = {}) {
+    let buffers = new Map();
+    let flushing = Promise.resolve();
+
+    function record(tick) {
+        if (!buffers.has(tick.symbol)) buffers.set(tick.symbol, []);
+        buffers.get(tick.symbol).push(tick);
+    }
+
+    function flush() {
+        const batch = buffers;
+        buffers = new Map();
+
+        // Serialize flushes so a slow write never interleaves with the next batch
+        flushing = flushing.then(async () => {
+            for (const [symbol, ticks] of batch) {
+                try {
+                    await store.ingestTicks(symbol, ticks);
+                } catch (error) {
+                    console.error(`Candle ingest error for ${symbol}:`, error.message);
+                }
+            }
+        });
+
+        return flushing;
+    }
+
+    const timer = setInterval(flush, flushInterval);
+
+    function stop() {
+        clearInterval(timer);
+        return flush();
+    }
+
+    return {
+        record,
+        flush,
+        stop
+    };
+}
+
+module.exports = {
+    CANDLES_TABLE,
+    createCandleStore,
+    createTickRecorder
+};
@@ -0,0 +1,265 @@
+// api/market/price-stream.js
+// WebSocket price fan-out: per-symbol subscriptions, throttled tick batches and heartbeats.
+//
+// Protocol (JSON text frames)
+//   client -> server  { type: 'subscribe', symbols: [...] }
+//                     { type: 'unsubscribe', symbols: [...] }
+//                     { type: 'ping' }
+//   server -> client  { type: 'welcome', heartbeatInterval, throttleMs }
+//                     { type: 'subscribed', symbols, invalid } / { type: 'unsubscribed', symbols }
+//                     { type: 'ticks', ticks: [{ symbol, price, bid, ask, volume, timestamp }] }
+//                     { type: 'heartbeat', time } / { type: 'pong', time }
+//                     { type: 'error', error }
+// Subscriptions live only as long as the socket; clients resubscribe after reconnecting.
+const WebSocket = require('ws');
+const admin = require('firebase-admin');
+const { getMarketProvider } = require('./providers');
+const { normalizeSymbol, MAX_SYMBOLS_PER_REQUEST } = require('./symbols');
+
+// Browsers cannot set headers on a WebSocket, so the ID token rides in the query string
+async function verifyFirebaseToken(req) {
+    const url = new URL(req.url, 'http://localhost');
+    const token = url.searchParams.get('token');
+
+    if (!token) {
+        throw new Error('No token provided');
+    }
+
+    return admin.auth().verifyIdToken(token);
+}
+
+function send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Start a price stream on an existing HTTP server ({ server }) or its own port ({ port }).
+ * onTick, when given, sees every provider tick before de-duplication (e.g. to record candles).
+ * Returns { wss, close }.
+ */
+function createPriceStreamServer(options = {}) {
+    const {
+        server,
+        port,
+        provider = getMarketProvider(),
+        authenticate = verifyFirebaseToken,
+        throttleMs = 250,
+        heartbeatInterval = 30000,
+        pollInterval = 1000,
+        onTick = null
+    } = options;
+
+    const symbolClients = new Map();   // symbol -> Set<ws>
+    const feedStops = new Map();       // symbol -> stop function (push providers)
+    const lastTicks = new Map();       // symbol -> last tick sent
+    const pendingTicks = new Map();    // symbol -> latest tick waiting for the next flush
+
+    const wss = new WebSocket.Server({
+        ...(server ? { server } : { port }),
+        verifyClient: (info, done) => {
+            authenticate(info.req)
+                .then(user => {
+                    info.req.user = user;
+                    done(true);
+                })
+                .catch(() => done(false, 401, 'Unauthorized'));
+        }
+    });
+
+    function queueTick(tick) {
+        if (onTick) onTick(tick);
+
+        const last = lastTicks.get(tick.symbol);
+        if (last && last.price === tick.price && last.bid === tick.bid && last.ask === tick.ask) {
+            return;
+        }
+
+        // Only the newest tick per symbol survives until the next flush
+        pendingTicks.set(tick.symbol, {
+            symbol: tick.symbol,
+            price: tick.price,
+            bid: tick.bid,
+            ask: tick.ask,
+            volume: tick.volume,
+            timestamp: tick.timestamp || new Date().toISOString()
+        });
+    }
+
+    function startFeed(symbol) {
+        if (typeof provider.subscribeTicks === 'function') {
+            feedStops.set(symbol, provider.subscribeTicks([symbol], queueTick));
+        }
+    }
+
+    function stopFeed(symbol) {
+        const stop = feedStops.get(symbol);
+        if (stop) stop();
+        feedStops.delete(symbol);
+        lastTicks.delete(symbol);
+        pendingTicks.delete(symbol);
+    }
+
+    function subscribe(ws, requested) {
+        const accepted = [];
+        const invalid = [];
+
+        (Array.isArray(requested) ? requested : []).forEach(item => {
+            const symbol = normalizeSymbol(item);
+            if (!symbol) {
+                invalid.push(item);
+                return;
+            }
+            if (ws.symbols.has(symbol)) {
+                accepted.push(symbol);
+                return;
+            }
+            if (ws.symbols.size >= MAX_SYMBOLS_PER_REQUEST) {
+                invalid.push(item);
+                return;
+            }
+
+            ws.symbols.add(symbol);
+            accepted.push(symbol);
+
+            if (!symbolClients.has(symbol)) {
+                symbolClients.set(symbol, new Set());
+                startFeed(symbol);
+            }
+            symbolClients.get(symbol).add(ws);
+        });
+
+        send(ws, { type: 'subscribed', symbols: accepted, invalid });
+
+        // Give new subscribers the current price instead of waiting for the next change
+        const snapshot = accepted.map(symbol => lastTicks.get(symbol)).filter(Boolean);
+        if (snapshot.length > 0) {
+            send(ws, { type: 'ticks', ticks: snapshot });
+        }
+    }
+
+    function unsubscribe(ws, requested) {
+        const removed = [];
+
+        (Array.isArray(requested) ? requested : []).forEach(item => {
+            const symbol = normalizeSymbol(item);
+            if (!symbol || !ws.symbols.has(symbol)) return;
+
+            ws.symbols.delete(symbol);
+            removed.push(symbol);
+
+            const clients = symbolClients.get(symbol);
+            if (clients) {
+                clients.delete(ws);
+                if (clients.size === 0) {
+                    symbolClients.delete(symbol);
+                    stopFeed(symbol);
+                }
+            }
+        });
+
+        send(ws, { type: 'unsubscribed', symbols: removed });
+    }
+
+    wss.on('connection', (ws, req) => {
+        ws.isAlive = true;
+        ws.symbols = new Set();
+        ws.user = req.user;
+
+        ws.on('pong', () => {
+            ws.isAlive = true;
+        });
+
+        ws.on('message', (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch (error) {
+                send(ws, { type: 'error', error: 'Invalid JSON message' });
+                return;
+            }
+
+            switch (message.type) {
+                case 'subscribe':
+                    subscribe(ws, message.symbols);
+                    break;
+                case 'unsubscribe':
+                    unsubscribe(ws, message.symbols);
+                    break;
+                case 'ping':
+                    send(ws, { type: 'pong', time: Date.now() });
+                    break;
+                default:
+                    send(ws, { type: 'error', error: `Unknown message type: ${message.type}` });
+            }
+        });
+
+        ws.on('close', () => {
+            unsubscribe(ws, Array.from(ws.symbols));
+        });
+
+        send(ws, { type: 'welcome', heartbeatInterval, throttleMs });
+    });
+
+    // Throttled fan-out: one batch per client per flush, newest tick per symbol
+    const flushTimer = setInterval(() => {
+        if (pendingTicks.size === 0) return;
+
+        const batches = new Map();
+        pendingTicks.forEach((tick, symbol) => {
+            lastTicks.set(symbol, tick);
+            (symbolClients.get(symbol) || []).forEach(ws => {
+                if (!batches.has(ws)) batches.set(ws, []);
+                batches.get(ws).push(tick);
+            });
+        });
+        pendingTicks.clear();
+
+        batches.forEach((ticks, ws) => send(ws, { type: 'ticks', ticks }));
+    }, throttleMs);
+
+    // Providers without a push feed are polled for every subscribed symbol
+    const pollTimer = typeof provider.subscribeTicks === 'function' ? null : setInterval(async () => {
+        const symbols = Array.from(symbolClients.keys());
+        if (symbols.length === 0) return;
+
+        try {
+            const quotes = await provider.getQuotes(symbols);
+            Object.values(quotes).forEach(queueTick);
+        } catch (error) {
+            console.error('Price stream poll error:', error.message);
+        }
+    }, pollInterval);
+
+    // Protocol-level ping drops dead sockets; the JSON heartbeat lets browsers detect a dead server
+    const heartbeatTimer = setInterval(() => {
+        wss.clients.forEach(ws => {
+            if (!ws.isAlive) {
+                ws.terminate();
+                return;
+            }
+            ws.isAlive = false;
+            ws.ping();
+            send(ws, { type: 'heartbeat', time: Date.now() });
+        });
+    }, heartbeatInterval);
+
+    function close() {
+        clearInterval(flushTimer);
+        clearInterval(heartbeatTimer);
+        if (pollTimer) clearInterval(pollTimer);
+        Array.from(feedStops.keys()).forEach(stopFeed);
+        wss.clients.forEach(ws => ws.terminate());
+        return new Promise(resolve => wss.close(resolve));
+    }
+
+    return {
+        wss,
+        close
+    };
+}
+
+module.exports = {
+    createPriceStreamServer
+};
@@ -0,0 +1,131 @@
+// api/market/providers/file-provider.js
+// Deterministic provider for dev/test: serves quotes, news and calendar from JSON fixtures
+// and candles from the shared candle fixture store
+const fs = require('fs');
+const path = require('path');
+const { createFixtureCandleStore } = require('../../signals/candle-store');
+
+const DEFAULT_MARKET_FIXTURES_DIR = path.join(__dirname, '..', '..', '..', 'database', 'fixtures', 'market');
+
+function readFixture(dir, file, fallback) {
+    const filePath = path.join(dir, file);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : fallback;
+}
+
+function createFileProvider(options = {}) {
+    const dir = options.fixturesDir || DEFAULT_MARKET_FIXTURES_DIR;
+    const candleStore = createFixtureCandleStore({ dir: options.candlesDir });
+
+    const quotes = readFixture(dir, 'quotes.json', {});
+    const news = readFixture(dir, 'news.json', []);
+    const calendar = readFixture(dir, 'calendar.json', []);
+
+    async function getQuotes(symbols) {
+        const result = {};
+
+        for (const symbol of symbols) {
+            if (quotes[symbol]) {
+                result[symbol] = { symbol, ...quotes[symbol] };
+                continue;
+            }
+
+            // Fall back to the last recorded candle so every fixture symbol has a quote
+            const candles = await candleStore.getCandles(symbol, { timeframe: '1h' });
+            if (candles.length > 0) {
+                const last = candles[candles.length - 1];
+                const previous = candles.length > 1 ? candles[candles.length - 2] : last;
+                result[symbol] = {
+                    symbol,
+                    bid: last.close,
+                    ask: last.close,
+                    price: last.close,
+                    open: last.open,
+                    high: last.high,
+                    low: last.low,
+                    previousClose: previous.close,
+                    volume: last.volume,
+                    timestamp: last.time
+                };
+            }
+        }
+
+        return result;
+    }
+
+    async function getCandles(symbol, { timeframe = '1h', limit = 100, from = null, to = null } = {}) {
+        const candles = await candleStore.getCandles(symbol, { timeframe, from, to });
+        return candles.slice(-limit);
+    }
+
+    async function getNews({ limit = 20, symbols = [] } = {}) {
+        return news
+            .filter(article => symbols.length === 0 ||
+                (article.symbols || []).some(symbol => symbols.includes(symbol)))
+            .sort((a, b) => b.published_at.localeCompare(a.published_at))
+            .slice(0, limit);
+    }
+
+    /**
+     * Push ticks by replaying each symbol's fixture candle closes in a loop;
+     * symbols with only a quote fixture get that quote once. Returns a stop function.
+     */
+    function subscribeTicks(symbols, onTick, { interval = 1000 } = {}) {
+        const timers = [];
+        let stopped = false;
+
+        symbols.forEach(async (symbol) => {
+            const candles = await candleStore.getCandles(symbol, { timeframe: '1h' });
+            if (stopped) return;
+
+            if (candles.length === 0) {
+                const snapshot = await getQuotes([symbol]);
+                if (snapshot[symbol]) {
+                    onTick({ ...snapshot[symbol], timestamp: new Date().toISOString() });
+                }
+                return;
+            }
+
+            let index = 0;
+            const emit = () => {
+                const candle = candles[index % candles.length];
+                index++;
+                onTick({
+                    symbol,
+                    bid: candle.close,
+                    ask: candle.close,
+                    price: candle.close,
+                    volume: candle.volume,
+                    timestamp: new Date().toISOString()
+                });
+            };
+
+            emit();
+            timers.push(setInterval(emit, interval));
+        });
+
+        return () => {
+            stopped = true;
+            timers.forEach(timer => clearInterval(timer));
+        };
+    }
+
+    async function getEconomicCalendar({ date = null } = {}) {
+        return calendar
+            .filter(event => !date || event.date.slice(0, 10) === date)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    return {
+        name: 'file',
+        getQuotes,
+        getCandles,
+        getNews,
+        getEconomicCalendar,
+        subscribeTicks
+    };
+}
+
+module.exports = {
+    DEFAULT_MARKET_FIXTURES_DIR,
+    createFileProvider
+};
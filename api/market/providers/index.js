@@ -0,0 +1,55 @@
+// api/market/providers/index.js
+// Market data provider registry. MARKET_DATA_PROVIDER picks the adapter (default: file).
+//
+// An adapter is an object with:
+//   name                                         provider id reported in responses
+//   getQuotes(symbols)                           -> { [symbol]: quote } for the symbols it knows
+//   getCandles(symbol, { timeframe, limit, from, to }) -> candles sorted oldest first
+//   getNews({ limit, symbols })                  -> articles sorted newest first
+//   getEconomicCalendar({ date })                -> events sorted by date
+//   subscribeTicks(symbols, onTick)              optional push feed; returns a stop function.
+//                                                Without it the price stream polls getQuotes.
+// Quotes are { symbol, bid, ask, price, open, high, low, previousClose, volume, timestamp };
+// candles are { time, open, high, low, close, volume } with ISO times. The routes add
+// display fields, so adapters only map vendor payloads onto these shapes.
+const { createFileProvider } = require('./file-provider');
+
+const providerFactories = {
+    file: createFileProvider
+    // Vendor adapters register here, e.g. polygon: createPolygonProvider
+};
+
+let activeProvider = null;
+
+// Add or replace an adapter factory; factories receive process.env-derived options
+function registerMarketProvider(name, factory) {
+    providerFactories[name] = factory;
+
+    if (activeProvider && activeProvider.name === name) {
+        activeProvider = null;
+    }
+}
+
+// Lazily build the configured adapter; unknown names fail loudly rather than serving fake data
+function getMarketProvider() {
+    if (!activeProvider) {
+        const name = process.env.MARKET_DATA_PROVIDER || 'file';
+        const factory = providerFactories[name];
+
+        if (!factory) {
+            throw new Error(`Unknown market data provider: ${name}`);
+        }
+
+        activeProvider = factory({
+            apiKey: process.env.MARKET_DATA_API_KEY,
+            fixturesDir: process.env.MARKET_FIXTURES_DIR
+        });
+    }
+
+    return activeProvider;
+}
+
+module.exports = {
+    registerMarketProvider,
+    getMarketProvider
+};
@@ -0,0 +1,288 @@
+// api/market/routes.js
+const express = require('express');
+const admin = require('firebase-admin');
+const { createClient } = require('@supabase/supabase-js');
+const { getMarketProvider } = require('./providers');
+const { createCandleStore } = require('./ohlcv-store');
+const { AGGREGATE_TIMEFRAMES } = require('./candle-aggregator');
+const {
+    IMPACT_LEVELS,
+    parseCurrencies,
+    loadEconomicEvents,
+    hasEconomicEvents,
+    presentEvent
+} = require('./economic-calendar');
+const { normalizeSymbol, toDisplaySymbol, getInstrumentType, parseSymbolList } = require('./symbols');
+const { getPipSize } = require('../signals/signal-math');
+const router = express.Router();
+
+// Initialize Supabase
+const supabaseUrl = process.env.SUPABASE_URL || 'https://vjxnwqjlaxrvqctiphhb.supabase.co';
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+const candleStore = createCandleStore({ supabase });
+
+// Candle timeframes the API accepts
+const TIMEFRAMES = ['1m', '5m', '15m', '30m', '1h', '4h', '1d', '1w'];
+
+// Middleware to verify Firebase token
+async function verifyFirebaseToken(req, res, next) {
+    try {
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({
+                error: 'No valid authorization token provided'
+            });
+        }
+
+        const token = authHeader.substring(7);
+        const decodedToken = await admin.auth().verifyIdToken(token);
+
+        // Get user profile from Supabase
+        const { data: userProfile, error } = await supabase
+            .from('user_profiles')
+            .select('*')
+            .eq('id', decodedToken.uid)
+            .single();
+
+        if (error || !userProfile) {
+            return res.status(404).json({
+                error: 'User profile not found'
+            });
+        }
+
+        req.user = {
+            uid: decodedToken.uid,
+            email: decodedToken.email,
+            role: userProfile.role,
+            isAdmin: userProfile.is_admin,
+            subscriptionTier: userProfile.subscription_tier,
+            profile: userProfile
+        };
+
+        next();
+    } catch (error) {
+        console.error('Auth middleware error:', error);
+        return res.status(401).json({
+            error: 'Invalid or expired token'
+        });
+    }
+}
+
+// Add display and change fields to a provider quote
+function presentQuote(quote) {
+    const price = parseFloat(quote.price);
+    const previousClose = parseFloat(quote.previousClose);
+    const change = Number.isFinite(previousClose) ? price - previousClose : 0;
+    const pipSize = getPipSize(quote.symbol, getInstrumentType(quote.symbol));
+
+    return {
+        ...quote,
+        displaySymbol: toDisplaySymbol(quote.symbol),
+        type: getInstrumentType(quote.symbol),
+        change: parseFloat(change.toFixed(8)),
+        changePercent: previousClose ? Math.round((change / previousClose) * 10000) / 100 : 0,
+        changePips: Math.round(change / pipSize * 10) / 10
+    };
+}
+
+// GET /api/market/prices - Latest quotes keyed by symbol
+router.get('/prices', verifyFirebaseToken, async (req, res) => {
+    try {
+        const { symbols, invalid } = parseSymbolList(req.query.symbols);
+
+        if (symbols.length === 0) {
+            return res.status(400).json({
+                error: 'At least one valid symbol is required',
+                invalid
+            });
+        }
+
+        const provider = getMarketProvider();
+        const quotes = await provider.getQuotes(symbols);
+
+        const prices = {};
+        Object.values(quotes).forEach(quote => {
+            prices[quote.symbol] = presentQuote(quote);
+        });
+
+        res.json({
+            success: true,
+            provider: provider.name,
+            prices,
+            missing: symbols.filter(symbol => !prices[symbol]),
+            invalid
+        });
+
+    } catch (error) {
+        console.error('Get prices error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch prices'
+        });
+    }
+});
+
+// Cursor query values are ISO times or epoch milliseconds; returns null when absent, NaN when invalid
+function parseCursor(value) {
+    if (value === undefined || value === '') return null;
+    return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+}
+
+// GET /api/market/candles - OHLCV history for one symbol, paged with before/after cursors
+router.get('/candles', verifyFirebaseToken, async (req, res) => {
+    try {
+        const symbol = normalizeSymbol(req.query.symbol);
+        const timeframe = req.query.timeframe || '1h';
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const { from, to } = req.query;
+        const before = parseCursor(req.query.before);
+        const after = parseCursor(req.query.after);
+
+        if (!symbol) {
+            return res.status(400).json({
+                error: 'A valid symbol is required'
+            });
+        }
+
+        if (!TIMEFRAMES.includes(timeframe)) {
+            return res.status(400).json({
+                error: `Timeframe must be one of: ${TIMEFRAMES.join(', ')}`
+            });
+        }
+
+        if (Number.isNaN(before) || Number.isNaN(after)) {
+            return res.status(400).json({
+                error: 'Cursors must be ISO dates or epoch milliseconds'
+            });
+        }
+
+        const provider = getMarketProvider();
+        let source = 'store';
+        let candles = [];
+        let hasMore = false;
+
+        // Aggregated timeframes come from the candle store; anything else, or a symbol the
+        // store has not recorded yet, is answered by the provider without paging
+        if (AGGREGATE_TIMEFRAMES.includes(timeframe)) {
+            ({ candles, hasMore } = await candleStore.getCandles(symbol, { timeframe, limit, before, after, from, to }));
+        }
+
+        if (candles.length === 0 && before === null && after === null) {
+            source = 'provider';
+            candles = await provider.getCandles(symbol, { timeframe, limit, from, to });
+        }
+
+        res.json({
+            success: true,
+            provider: provider.name,
+            source,
+            symbol,
+            timeframe,
+            candles: candles.map(candle => ({
+                ...candle,
+                timestamp: new Date(candle.time).getTime()
+            })),
+            pagination: {
+                limit,
+                before: candles.length > 0 ? candles[0].time : null,
+                after: candles.length > 0 ? candles[candles.length - 1].time : null,
+                hasMore
+            }
+        });
+
+    } catch (error) {
+        console.error('Get candles error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch candles'
+        });
+    }
+});
+
+// GET /api/market/news - Latest market news, optionally for given symbols
+router.get('/news', verifyFirebaseToken, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const { symbols } = parseSymbolList(req.query.symbols);
+
+        const provider = getMarketProvider();
+        const news = await provider.getNews({ limit, symbols });
+
+        res.json({
+            success: true,
+            provider: provider.name,
+            news
+        });
+
+    } catch (error) {
+        console.error('Get news error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch market news'
+        });
+    }
+});
+
+// Days of events returned when no date or range is given
+const CALENDAR_DEFAULT_DAYS = 7;
+
+// GET /api/market/calendar - Economic calendar events for one day (YYYY-MM-DD) or a from/to range,
+// optionally filtered by currency and impact
+router.get('/calendar', verifyFirebaseToken, async (req, res) => {
+    try {
+        const { date } = req.query;
+        const currencies = parseCurrencies(req.query.currency);
+        const impacts = String(req.query.impact || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({
+                error: 'Date must be in YYYY-MM-DD format'
+            });
+        }
+
+        if (impacts.some(impact => !IMPACT_LEVELS.includes(impact))) {
+            return res.status(400).json({
+                error: `Impact must be one of: ${IMPACT_LEVELS.join(', ')}`
+            });
+        }
+
+        const today = new Date().setUTCHours(0, 0, 0, 0);
+        const from = date ? Date.parse(`${date}T00:00:00Z`) : (parseCursor(req.query.from) ?? today);
+        const to = date ? from + 86400000 : (parseCursor(req.query.to) ?? from + CALENDAR_DEFAULT_DAYS * 86400000);
+
+        if (Number.isNaN(from) || Number.isNaN(to) || to <= from) {
+            return res.status(400).json({
+                error: 'from and to must be ISO dates or epoch milliseconds, with from before to'
+            });
+        }
+
+        const provider = getMarketProvider();
+        let source = 'store';
+        let events;
+
+        // Imported events are authoritative; the provider only answers until the first import
+        if (await hasEconomicEvents(supabase)) {
+            const rows = await loadEconomicEvents(supabase, { from, to, currencies, impacts });
+            events = rows.map(presentEvent);
+        } else {
+            source = 'provider';
+            events = (await provider.getEconomicCalendar({ date: date || null }))
+                .filter(event => currencies.length === 0 || currencies.includes(event.currency))
+                .filter(event => impacts.length === 0 || impacts.includes(event.impact));
+        }
+
+        res.json({
+            success: true,
+            provider: provider.name,
+            source,
+            events
+        });
+
+    } catch (error) {
+        console.error('Get economic calendar error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch economic calendar'
+        });
+    }
+});
+
+module.exports = router;
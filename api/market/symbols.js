@@ -0,0 +1,84 @@
+// api/market/symbols.js
+// Canonical symbol handling shared by the market routes and providers
+const THA_Utils = require('../../assets/js/utils');
+
+// Largest symbols list accepted in one request
+const MAX_SYMBOLS_PER_REQUEST = 50;
+
+// Base assets quoted as crypto rather than currency pairs
+const CRYPTO_BASES = ['BTC', 'ETH', 'LTC', 'XRP', 'SOL', 'ADA', 'DOT', 'BNB', 'DOGE'];
+
+// Precious metals and energy quoted against a currency
+const COMMODITY_BASES = ['XAU', 'XAG', 'XPT', 'XPD', 'WTI', 'BRENT'];
+
+// Index CFD tickers: letters then the index's constituent count (NAS100, US30, GER40, JPN225)
+const INDEX_PATTERN = /^[A-Z]{2,4}[0-9]{2,4}$/;
+
+/**
+ * Normalize user/vendor input to the canonical form used across the platform:
+ * upper case, no separators ("eur/usd", "EUR_USD", "EUR-USD" -> "EURUSD").
+ * Returns null when the result fails THA_Utils.validation.isValidTradingSymbol().
+ */
+function normalizeSymbol(input) {
+    if (typeof input !== 'string') {
+        return null;
+    }
+
+    const symbol = input.trim().toUpperCase().replace(/[\s/_\-.]/g, '');
+
+    if (!symbol || !THA_Utils.validation.isValidTradingSymbol(symbol)) {
+        return null;
+    }
+
+    return symbol;
+}
+
+// "EURUSD" -> "EUR/USD"; index and shorter tickers are returned unchanged
+function toDisplaySymbol(symbol) {
+    return symbol.length === 6 && !INDEX_PATTERN.test(symbol) ? `${symbol.slice(0, 3)}/${symbol.slice(3)}` : symbol;
+}
+
+// Instrument family for a canonical symbol, matching trading_signals.signal_type values
+function getInstrumentType(symbol) {
+    if (CRYPTO_BASES.some(base => symbol.startsWith(base))) return 'crypto';
+    if (COMMODITY_BASES.some(base => symbol.startsWith(base))) return 'commodities';
+    if (INDEX_PATTERN.test(symbol)) return 'indices';
+    if (symbol.length === 6) return 'forex';
+    return 'stocks';
+}
+
+/**
+ * Split a comma-separated symbols query into canonical symbols.
+ * Returns { symbols, invalid } so callers can report what was rejected.
+ */
+function parseSymbolList(value) {
+    const raw = String(value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+
+    const symbols = [];
+    const invalid = [];
+
+    raw.forEach(item => {
+        const symbol = normalizeSymbol(item);
+        if (!symbol) {
+            invalid.push(item);
+        } else if (!symbols.includes(symbol)) {
+            symbols.push(symbol);
+        }
+    });
+
+    return {
+        symbols: symbols.slice(0, MAX_SYMBOLS_PER_REQUEST),
+        invalid
+    };
+}
+
+module.exports = {
+    MAX_SYMBOLS_PER_REQUEST,
+    normalizeSymbol,
+    toDisplaySymbol,
+    getInstrumentType,
+    parseSymbolList
+};
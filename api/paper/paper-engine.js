@@ -0,0 +1,597 @@
+// api/paper/paper-engine.js
+// Paper trading: order validation, spread-modelled execution prices, account margin, fills
+// and bracket exits. The routes fill market orders and manual closes; createPaperEngine() runs in the
+// stream process (api/ws-server.js) and fills limit/stop orders and SL/TP from the feed.
+// Spreads are THA_Utils.trading.applySpread(), so the browser re-marks at the same prices.
+const THA_Utils = require('../../assets/js/utils');
+const { getMarketProvider } = require('../market/providers');
+const { normalizeSymbol, toDisplaySymbol } = require('../market/symbols');
+const { getQuoteCurrency, getConversionRate, findConversionRate } = require('../market/fx-rates');
+const { getPipSize, getDirection, toNumber, round } = require('../signals/signal-math');
+const { getContractSize } = require('../signals/signal-export');
+const { INSTRUMENT_TYPES } = require('../journal/trade-journal');
+const { getValuationSymbols, buildPortfolio } = require('../portfolio/portfolio');
+
+const ORDER_TYPES = ['market', 'limit', 'stop'];
+
+// Bid and ask an account with spreadMultiplier trades a symbol at, or null without a price
+function getExecutionQuote(quote, symbol, instrumentType, spreadMultiplier = 1) {
+    return THA_Utils.trading.applySpread(quote, getPipSize(symbol, instrumentType), instrumentType, spreadMultiplier);
+}
+
+/**
+ * Copy order fields from the request body. Returns { fields, errors }.
+ */
+function pickOrderFields(body) {
+    const fields = {};
+    const errors = [];
+
+    if (body.symbol !== undefined) {
+        fields.symbol = normalizeSymbol(body.symbol);
+        if (!fields.symbol) errors.push('symbol is not a valid trading symbol');
+    }
+
+    if (body.instrument_type !== undefined) {
+        fields.instrument_type = body.instrument_type;
+        if (!INSTRUMENT_TYPES.includes(fields.instrument_type)) {
+            errors.push(`instrument_type must be one of: ${INSTRUMENT_TYPES.join(', ')}`);
+        }
+    }
+
+    if (body.action !== undefined) {
+        fields.action = body.action;
+        if (!['buy', 'sell'].includes(fields.action)) errors.push('action must be buy or sell');
+    }
+
+    fields.order_type = body.order_type || 'market';
+    if (!ORDER_TYPES.includes(fields.order_type)) {
+        errors.push(`order_type must be one of: ${ORDER_TYPES.join(', ')}`);
+    }
+
+    ['size', 'price', 'stop_loss', 'take_profit'].forEach(field => {
+        if (body[field] !== undefined) {
+            fields[field] = toNumber(body[field]);
+            if (fields[field] !== null && !(fields[field] > 0)) errors.push(`${field} must be a positive number`);
+        }
+    });
+
+    if (fields.order_type !== 'market' && !fields.price) {
+        errors.push(`price is required for ${fields.order_type} orders`);
+    }
+    if (fields.order_type === 'market') {
+        fields.price = null;
+    }
+
+    if (body.expires_at !== undefined && body.expires_at !== null) {
+        const date = new Date(body.expires_at);
+        if (Number.isNaN(date.getTime()) || date <= new Date()) {
+            errors.push('expires_at must be a future date');
+        } else {
+            fields.expires_at = date.toISOString();
+        }
+    }
+
+    return { fields, errors };
+}
+
+// Bracket problems for a position opened at `price`: stops below longs, targets above
+function validateBracket(action, price, stopLoss, takeProfit) {
+    const errors = [];
+    const direction = getDirection(action);
+
+    if (stopLoss && (stopLoss - price) * direction >= 0) {
+        errors.push(`stop_loss must be ${direction === 1 ? 'below' : 'above'} ${price}`);
+    }
+
+    if (takeProfit && (takeProfit - price) * direction <= 0) {
+        errors.push(`take_profit must be ${direction === 1 ? 'above' : 'below'} ${price}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Fill price for an order at an execution quote, or null while it should keep waiting.
+ * Buys fill at the ask and sells at the bid; a price that gaps through a limit or stop
+ * fills at the market, not at the order price.
+ */
+function getOrderFill(order, quote) {
+    const price = toNumber(order.price);
+    const buy = order.action === 'buy';
+    const market = buy ? quote.ask : quote.bid;
+
+    switch (order.order_type) {
+        case 'market':
+            return market;
+        case 'limit':
+            return (buy ? market <= price : market >= price) ? market : null;
+        case 'stop':
+            return (buy ? market >= price : market <= price) ? market : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Bracket exit for an open position, or null. Longs close at the bid and shorts at the ask;
+ * the stop wins when a single tick crosses both levels.
+ */
+function getBracketExit(position, quote) {
+    const direction = getDirection(position.action);
+    const exitPrice = direction === 1 ? quote.bid : quote.ask;
+    const stop = toNumber(position.stop_loss);
+    const target = toNumber(position.take_profit);
+
+    if (stop !== null && (exitPrice - stop) * direction <= 0) {
+        return { reason: 'stop_loss', price: exitPrice };
+    }
+
+    if (target !== null && (exitPrice - target) * direction >= 0) {
+        return { reason: 'take_profit', price: exitPrice };
+    }
+
+    return null;
+}
+
+// Realized P&L in the account currency; conversionRate is quote -> account currency
+function calculateRealizedPnl(position, exitPrice, conversionRate) {
+    const move = (exitPrice - toNumber(position.entry_price)) * getDirection(position.action);
+    return round(move * toNumber(position.size) * getContractSize(position.symbol, position.instrument_type) * conversionRate);
+}
+
+// Margin an order at `price` needs, in the account currency
+function getRequiredMargin(order, price, conversionRate, leverage) {
+    return round(toNumber(order.size) * getContractSize(order.symbol, order.instrument_type) * price * conversionRate / leverage);
+}
+
+// Cash balance of each account: its starting balance plus the P&L of closed positions
+async function loadAccountBalances(supabase, accounts) {
+    if (accounts.length === 0) {
+        return [];
+    }
+
+    const { data: closed, error } = await supabase
+        .from('paper_positions')
+        .select('account_id, realized_pnl')
+        .in('account_id', accounts.map(account => account.id))
+        .eq('status', 'closed');
+
+    if (error) {
+        throw error;
+    }
+
+    return accounts.map(account => {
+        const realized = closed
+            .filter(position => position.account_id === account.id)
+            .reduce((sum, position) => sum + (toNumber(position.realized_pnl) || 0), 0);
+
+        return {
+            ...account,
+            realized_pnl: round(realized),
+            balance: round(toNumber(account.starting_balance) + realized)
+        };
+    });
+}
+
+/**
+ * Mark-to-market state of one account, with its open positions priced at the account's
+ * modelled bid/ask (so unrealized P&L includes the spread) and its pending orders. Orders
+ * carry pip_size so clients can apply the same spread to ticks, and reserved_margin: the
+ * margin they will need at their price, which free_margin already excludes.
+ */
+async function buildAccountState(supabase, account, provider = getMarketProvider()) {
+    const [positionsResult, ordersResult] = await Promise.all([
+        supabase
+            .from('paper_positions')
+            .select('*')
+            .eq('account_id', account.id)
+            .eq('status', 'open')
+            .order('opened_at', { ascending: false }),
+        supabase
+            .from('paper_orders')
+            .select('*')
+            .eq('account_id', account.id)
+            .eq('status', 'pending')
+            .order('created_at', { ascending: false })
+    ]);
+
+    if (positionsResult.error) throw positionsResult.error;
+    if (ordersResult.error) throw ordersResult.error;
+
+    const [valued] = await loadAccountBalances(supabase, [account]);
+    const positions = positionsResult.data;
+    const symbols = getValuationSymbols([valued], [...positions, ...ordersResult.data], valued.account_currency);
+    const quotes = symbols.length > 0 ? await provider.getQuotes(symbols) : {};
+
+    // Orders whose quote currency cannot be priced reserve nothing until it can
+    const orders = ordersResult.data.map(order => {
+        const rate = findConversionRate(getQuoteCurrency(order.symbol), valued.account_currency, quotes);
+
+        return {
+            ...order,
+            pip_size: getPipSize(order.symbol, order.instrument_type),
+            reserved_margin: rate ? getRequiredMargin(order, toNumber(order.price), rate, account.leverage) : 0
+        };
+    });
+
+    positions.forEach(position => {
+        const quote = quotes[position.symbol];
+        const execution = quote ? getExecutionQuote(quote, position.symbol, position.instrument_type, account.spread_multiplier) : null;
+        if (execution) {
+            quotes[position.symbol] = { ...quote, bid: execution.bid, ask: execution.ask };
+        }
+    });
+
+    const portfolio = buildPortfolio([valued], positions, quotes, valued.account_currency);
+    const summary = portfolio.accounts[0];
+    const reserved = round(orders.reduce((sum, order) => sum + order.reserved_margin, 0));
+
+    return {
+        account: {
+            ...summary,
+            reserved_margin: reserved,
+            free_margin: round(summary.free_margin - reserved)
+        },
+        positions: portfolio.positions,
+        orders,
+        unpriced_symbols: portfolio.unpriced_symbols
+    };
+}
+
+/**
+ * Mark an order filled and open its position. Guarded on status, so an order filled by
+ * the engine and a concurrent cancel (or a second engine) never open two positions.
+ * Returns the position, or null when the order was no longer pending.
+ */
+async function fillOrder(supabase, order, fillPrice) {
+    const now = new Date().toISOString();
+
+    const { data: filled, error } = await supabase
+        .from('paper_orders')
+        .update({ status: 'filled', fill_price: fillPrice, filled_at: now })
+        .eq('id', order.id)
+        .eq('status', 'pending')
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!filled) return null;
+
+    const { data: position, error: positionError } = await supabase
+        .from('paper_positions')
+        .insert([{
+            account_id: order.account_id,
+            user_id: order.user_id,
+            order_id: order.id,
+            signal_id: order.signal_id || null,
+            symbol: order.symbol,
+            instrument_type: order.instrument_type,
+            action: order.action,
+            size: order.size,
+            entry_price: fillPrice,
+            stop_loss: order.stop_loss,
+            take_profit: order.take_profit,
+            opened_at: now
+        }])
+        .select()
+        .single();
+
+    if (positionError) throw positionError;
+
+    await supabase
+        .from('paper_orders')
+        .update({ position_id: position.id })
+        .eq('id', order.id);
+
+    return position;
+}
+
+/**
+ * Close an open position at exitPrice. Guarded on status like fillOrder(); returns the
+ * closed row, or null when it had already been closed.
+ */
+async function closePaperPosition(supabase, position, exitPrice, reason, conversionRate) {
+    const { data: closed, error } = await supabase
+        .from('paper_positions')
+        .update({
+            status: 'closed',
+            exit_price: exitPrice,
+            close_reason: reason,
+            conversion_rate: conversionRate,
+            realized_pnl: calculateRealizedPnl(position, exitPrice, conversionRate),
+            closed_at: new Date().toISOString()
+        })
+        .eq('id', position.id)
+        .eq('status', 'open')
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    return closed;
+}
+
+/**
+ * Long-running order executor; run it in a persistent process (see api/ws-server.js).
+ * Keeps pending orders and open positions in memory by symbol. Returns { start, stop, refresh, handleTick }.
+ */
+function createPaperEngine(options = {}) {
+    const {
+        supabase,
+        provider = getMarketProvider(),
+        refreshInterval = 15000,
+        pollInterval = 1000
+    } = options;
+
+    if (!supabase) {
+        throw new Error('createPaperEngine requires a Supabase client');
+    }
+
+    let ordersBySymbol = new Map();     // symbol -> pending orders
+    let positionsBySymbol = new Map();  // symbol -> open positions
+    const inFlight = new Set();         // order/position ids being filled or closed
+    const feedStops = new Map();        // symbol -> stop function
+    let refreshTimer = null;
+    let pollTimer = null;
+
+    async function notify(row, title, message, type) {
+        const { error } = await supabase
+            .from('notifications')
+            .insert({
+                user_id: row.user_id,
+                title,
+                message,
+                type,
+                action_url: '/pages/dashboard/index.html',
+                data: { paper_account_id: row.account_id, symbol: row.symbol }
+            });
+
+        if (error) console.error('Paper trade notification error:', error.message);
+    }
+
+    function addPosition(position) {
+        if (!positionsBySymbol.has(position.symbol)) positionsBySymbol.set(position.symbol, []);
+        positionsBySymbol.get(position.symbol).push(position);
+    }
+
+    function removeById(map, symbol, id) {
+        map.set(symbol, (map.get(symbol) || []).filter(row => row.id !== id));
+    }
+
+    async function expireOrder(order, status = 'expired') {
+        const { data: ended, error } = await supabase
+            .from('paper_orders')
+            .update({ status })
+            .eq('id', order.id)
+            .eq('status', 'pending')
+            .select('id')
+            .maybeSingle();
+
+        if (error) throw error;
+        return ended;
+    }
+
+    /**
+     * Free margin the order may use at fill time: the account's, plus what the order itself
+     * had reserved. Returns null (retry on a later tick) when the order cannot be valued.
+     */
+    async function getAvailableMargin(order, fillPrice) {
+        const { data: account, error } = await supabase
+            .from('paper_accounts')
+            .select('*')
+            .eq('id', order.account_id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!account) return null;
+
+        const rate = await getConversionRate(getQuoteCurrency(order.symbol), account.account_currency, provider);
+        if (!rate) return null;
+
+        const state = await buildAccountState(supabase, account, provider);
+        const reserved = state.orders.find(row => row.id === order.id)?.reserved_margin || 0;
+
+        return {
+            required: getRequiredMargin(order, fillPrice, rate, account.leverage),
+            free: round(state.account.free_margin + reserved),
+            currency: account.account_currency
+        };
+    }
+
+    // Prices can move between placement and fill, so margin is checked again here
+    async function executeOrder(order, fillPrice) {
+        const margin = await getAvailableMargin(order, fillPrice);
+
+        if (!margin) {
+            console.error(`Paper fill skipped for ${order.id}: the order could not be valued`);
+            return false;
+        }
+
+        if (margin.required > margin.free) {
+            if (await expireOrder(order, 'cancelled')) {
+                await notify(order, `Paper Trade: ${toDisplaySymbol(order.symbol)}`,
+                    `${order.order_type} ${order.action} ${parseFloat(order.size)} cancelled: it needs ${margin.required} ${margin.currency} of margin and ${margin.free} is free`,
+                    'warning');
+            }
+            return true;
+        }
+
+        const position = await fillOrder(supabase, order, fillPrice);
+        if (!position) return;
+
+        addPosition({ ...position, paper_accounts: order.paper_accounts });
+        await notify(order, `Paper Trade: ${toDisplaySymbol(order.symbol)}`,
+            `${order.order_type} ${order.action} ${parseFloat(order.size)} filled at ${fillPrice}`, 'info');
+    }
+
+    async function exitPosition(position, exit) {
+        const currency = position.paper_accounts.account_currency;
+        const rate = await getConversionRate(getQuoteCurrency(position.symbol), currency, provider);
+
+        if (!rate) {
+            // Keep it open; the next tick retries once the conversion pair is quoted
+            console.error(`Paper close skipped for ${position.id}: no ${getQuoteCurrency(position.symbol)}/${currency} rate`);
+            return false;
+        }
+
+        const closed = await closePaperPosition(supabase, position, exit.price, exit.reason, rate);
+        if (closed) {
+            const label = exit.reason === 'stop_loss' ? 'Stop loss' : 'Take profit';
+            await notify(position, `Paper Trade: ${toDisplaySymbol(position.symbol)}`,
+                `${label} hit at ${exit.price}: ${closed.realized_pnl} ${currency}`,
+                closed.realized_pnl >= 0 ? 'success' : 'warning');
+        }
+        return true;
+    }
+
+    // Run a fill or close once per row, dropping it from memory when it is done
+    function runOnce(map, row, task) {
+        if (inFlight.has(row.id)) return;
+        inFlight.add(row.id);
+
+        task()
+            .then(done => {
+                if (done !== false) removeById(map, row.symbol, row.id);
+            })
+            .catch(error => console.error(`Paper engine error for ${row.id}:`, error.message))
+            .finally(() => inFlight.delete(row.id));
+    }
+
+    // Fill pending orders and apply brackets for the tick's symbol
+    function handleTick(tick) {
+        const now = Date.now();
+
+        (ordersBySymbol.get(tick.symbol) || []).forEach(order => {
+            if (order.expires_at && Date.parse(order.expires_at) <= now) {
+                runOnce(ordersBySymbol, order, () => expireOrder(order));
+                return;
+            }
+
+            const quote = getExecutionQuote(tick, order.symbol, order.instrument_type, order.paper_accounts.spread_multiplier);
+            const fillPrice = quote ? getOrderFill(order, quote) : null;
+
+            if (fillPrice !== null) {
+                runOnce(ordersBySymbol, order, () => executeOrder(order, fillPrice));
+            }
+        });
+
+        (positionsBySymbol.get(tick.symbol) || []).forEach(position => {
+            const quote = getExecutionQuote(tick, position.symbol, position.instrument_type, position.paper_accounts.spread_multiplier);
+            const exit = quote ? getBracketExit(position, quote) : null;
+
+            if (exit) {
+                runOnce(positionsBySymbol, position, () => exitPosition(position, exit));
+            }
+        });
+    }
+
+    function startFeed(symbol) {
+        if (typeof provider.subscribeTicks === 'function') {
+            feedStops.set(symbol, provider.subscribeTicks([symbol], handleTick));
+        } else {
+            feedStops.set(symbol, null);
+        }
+    }
+
+    function stopFeed(symbol) {
+        const stop = feedStops.get(symbol);
+        if (stop) stop();
+        feedStops.delete(symbol);
+    }
+
+    function groupBySymbol(rows) {
+        const grouped = new Map();
+        rows.forEach(row => {
+            if (!grouped.has(row.symbol)) grouped.set(row.symbol, []);
+            grouped.get(row.symbol).push(row);
+        });
+        return grouped;
+    }
+
+    // Reload pending orders and open positions and start/stop symbol feeds to match
+    async function refresh() {
+        const [ordersResult, positionsResult] = await Promise.all([
+            supabase
+                .from('paper_orders')
+                .select('*, paper_accounts(account_currency, spread_multiplier)')
+                .eq('status', 'pending'),
+            supabase
+                .from('paper_positions')
+                .select('*, paper_accounts(account_currency, spread_multiplier)')
+                .eq('status', 'open')
+                .or('stop_loss.not.is.null,take_profit.not.is.null')
+        ]);
+
+        if (ordersResult.error) throw ordersResult.error;
+        if (positionsResult.error) throw positionsResult.error;
+
+        ordersBySymbol = groupBySymbol(ordersResult.data || []);
+        positionsBySymbol = groupBySymbol(positionsResult.data || []);
+
+        const symbols = new Set([...ordersBySymbol.keys(), ...positionsBySymbol.keys()]);
+        symbols.forEach(symbol => {
+            if (!feedStops.has(symbol)) startFeed(symbol);
+        });
+        Array.from(feedStops.keys()).forEach(symbol => {
+            if (!symbols.has(symbol)) stopFeed(symbol);
+        });
+
+        return {
+            orders: (ordersResult.data || []).length,
+            positions: (positionsResult.data || []).length,
+            symbols: symbols.size
+        };
+    }
+
+    // Timers start before the first load so a failed start keeps retrying on the next refresh
+    function start() {
+        refreshTimer = setInterval(() => {
+            refresh().catch(error => console.error('Paper engine refresh error:', error.message));
+        }, refreshInterval);
+
+        // Providers without a push feed are polled for every symbol with work to do
+        if (typeof provider.subscribeTicks !== 'function') {
+            pollTimer = setInterval(async () => {
+                const symbols = Array.from(feedStops.keys());
+                if (symbols.length === 0) return;
+
+                try {
+                    const quotes = await provider.getQuotes(symbols);
+                    Object.values(quotes).forEach(handleTick);
+                } catch (error) {
+                    console.error('Paper engine poll error:', error.message);
+                }
+            }, pollInterval);
+        }
+
+        return refresh();
+    }
+
+    function stop() {
+        clearInterval(refreshTimer);
+        if (pollTimer) clearInterval(pollTimer);
+        Array.from(feedStops.keys()).forEach(stopFeed);
+    }
+
+    return {
+        start,
+        stop,
+        refresh,
+        handleTick
+    };
+}
+
+module.exports = {
+    ORDER_TYPES,
+    getExecutionQuote,
+    pickOrderFields,
+    validateBracket,
+    getOrderFill,
+    getBracketExit,
+    calculateRealizedPnl,
+    getRequiredMargin,
+    loadAccountBalances,
+    buildAccountState,
+    fillOrder,
+    closePaperPosition,
+    createPaperEngine
+};
@@ -0,0 +1,670 @@
+// api/paper/routes.js
+// Paper trading: virtual accounts, orders and positions. Market orders and manual closes
+// fill here; limit/stop orders and SL/TP brackets are filled by createPaperEngine()
+const express = require('express');
+const admin = require('firebase-admin');
+const { createClient } = require('@supabase/supabase-js');
+const { getMarketProvider } = require('../market/providers');
+const { getQuoteCurrency, getConversionRate } = require('../market/fx-rates');
+const { toNumber, resolveInstrumentType } = require('../signals/signal-math');
+const { getAccessTier, canAccessSignal, isSignalVisible } = require('../signals/signal-access');
+const { pickAccountFields } = require('../portfolio/portfolio');
+const { calculatePositionRisk, resolveRiskSettings } = require('../risk/risk-manager');
+const {
+    getExecutionQuote,
+    pickOrderFields,
+    validateBracket,
+    getOrderFill,
+    getRequiredMargin,
+    loadAccountBalances,
+    buildAccountState,
+    fillOrder,
+    closePaperPosition
+} = require('./paper-engine');
+const router = express.Router();
+
+// Initialize Supabase
+const supabaseUrl = process.env.SUPABASE_URL || 'https://vjxnwqjlaxrvqctiphhb.supabase.co';
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+const MAX_PAPER_ACCOUNTS = 5;
+const MAX_PENDING_ORDERS = 50;
+const HISTORY_LIMIT = 100;
+
+// Middleware to verify Firebase token
+async function verifyFirebaseToken(req, res, next) {
+    try {
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({
+                error: 'No valid authorization token provided'
+            });
+        }
+
+        const token = authHeader.substring(7);
+        const decodedToken = await admin.auth().verifyIdToken(token);
+
+        // Get user profile from Supabase
+        const { data: userProfile, error } = await supabase
+            .from('user_profiles')
+            .select('*')
+            .eq('id', decodedToken.uid)
+            .single();
+
+        if (error || !userProfile) {
+            return res.status(404).json({
+                error: 'User profile not found'
+            });
+        }
+
+        req.user = {
+            uid: decodedToken.uid,
+            email: decodedToken.email,
+            role: userProfile.role,
+            isAdmin: userProfile.is_admin,
+            subscriptionTier: userProfile.subscription_tier,
+            profile: userProfile
+        };
+
+        next();
+    } catch (error) {
+        console.error('Auth middleware error:', error);
+        return res.status(401).json({
+            error: 'Invalid or expired token'
+        });
+    }
+}
+
+// Load one of the caller's rows by id, sending 404 when it is not theirs
+async function loadOwned(req, res, table, id, label) {
+    const { data: row, error } = await supabase
+        .from(table)
+        .select('*')
+        .eq('id', id)
+        .eq('user_id', req.user.uid)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+
+    if (!row) {
+        res.status(404).json({
+            error: `${label} not found`
+        });
+        return null;
+    }
+
+    return row;
+}
+
+// Load an active signal the caller may paper trade, sending 404/403 otherwise
+async function loadTradableSignal(req, res, signalId) {
+    const { data: signal } = await supabase
+        .from('trading_signals')
+        .select('*')
+        .eq('id', signalId)
+        .maybeSingle();
+
+    const tier = getAccessTier(req.user);
+
+    // Signals still under embargo for the caller's tier are not found either
+    if (!signal || signal.status !== 'active' || !isSignalVisible(signal, tier)) {
+        res.status(404).json({
+            error: 'Signal not found or no longer active'
+        });
+        return null;
+    }
+
+    if (!canAccessSignal(signal, tier)) {
+        res.status(403).json({
+            error: 'Your subscription tier does not include this signal'
+        });
+        return null;
+    }
+
+    return signal;
+}
+
+// Live quote for a symbol at an account's spread, or null when the provider has none
+async function getAccountQuote(account, symbol, instrumentType) {
+    const quotes = await getMarketProvider().getQuotes([symbol]);
+    return quotes[symbol] ? getExecutionQuote(quotes[symbol], symbol, instrumentType, account.spread_multiplier) : null;
+}
+
+// GET /api/paper/accounts - The caller's paper accounts with their cash balances
+router.get('/accounts', verifyFirebaseToken, async (req, res) => {
+    try {
+        const { data: accounts, error } = await supabase
+            .from('paper_accounts')
+            .select('*')
+            .eq('user_id', req.user.uid)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            accounts: await loadAccountBalances(supabase, accounts)
+        });
+
+    } catch (error) {
+        console.error('Get paper accounts error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch paper accounts'
+        });
+    }
+});
+
+// POST /api/paper/accounts - Open a paper account
+// Body: name, account_currency, starting_balance, leverage, spread_multiplier
+router.post('/accounts', verifyFirebaseToken, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { fields, errors } = pickAccountFields({
+            name: body.name,
+            account_currency: body.account_currency,
+            leverage: body.leverage
+        });
+
+        if (!fields.name) {
+            errors.push('name is required');
+        }
+
+        if (body.starting_balance !== undefined) {
+            fields.starting_balance = toNumber(body.starting_balance);
+            if (!(fields.starting_balance > 0)) errors.push('starting_balance must be a positive number');
+        }
+
+        if (body.spread_multiplier !== undefined) {
+            fields.spread_multiplier = toNumber(body.spread_multiplier);
+            if (!(fields.spread_multiplier >= 0 && fields.spread_multiplier <= 10)) {
+                errors.push('spread_multiplier must be between 0 and 10');
+            }
+        }
+
+        const { data: existing, error: existingError } = await supabase
+            .from('paper_accounts')
+            .select('name')
+            .eq('user_id', req.user.uid);
+
+        if (existingError) {
+            throw existingError;
+        }
+
+        if (existing.length >= MAX_PAPER_ACCOUNTS) {
+            errors.push(`You can have at most ${MAX_PAPER_ACCOUNTS} paper accounts`);
+        }
+
+        if (existing.some(account => account.name === fields.name)) {
+            errors.push('You already have a paper account with this name');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid paper account',
+                details: errors
+            });
+        }
+
+        const { data: account, error } = await supabase
+            .from('paper_accounts')
+            .insert([{ ...fields, user_id: req.user.uid }])
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        const [valued] = await loadAccountBalances(supabase, [account]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Paper account opened',
+            account: valued
+        });
+
+    } catch (error) {
+        console.error('Create paper account error:', error);
+        res.status(500).json({
+            error: 'Failed to open paper account'
+        });
+    }
+});
+
+// GET /api/paper/accounts/:id - Account state: equity, margin, open positions and pending orders
+router.get('/accounts/:id', verifyFirebaseToken, async (req, res) => {
+    try {
+        const account = await loadOwned(req, res, 'paper_accounts', req.params.id, 'Paper account');
+        if (!account) return;
+
+        res.json({
+            success: true,
+            ...(await buildAccountState(supabase, account)),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Get paper account error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch paper account'
+        });
+    }
+});
+
+// GET /api/paper/accounts/:id/history - Filled, cancelled and expired orders and closed positions
+router.get('/accounts/:id/history', verifyFirebaseToken, async (req, res) => {
+    try {
+        const account = await loadOwned(req, res, 'paper_accounts', req.params.id, 'Paper account');
+        if (!account) return;
+
+        const [ordersResult, positionsResult] = await Promise.all([
+            supabase
+                .from('paper_orders')
+                .select('*')
+                .eq('account_id', account.id)
+                .neq('status', 'pending')
+                .order('updated_at', { ascending: false })
+                .limit(HISTORY_LIMIT),
+            supabase
+                .from('paper_positions')
+                .select('*')
+                .eq('account_id', account.id)
+                .eq('status', 'closed')
+                .order('closed_at', { ascending: false })
+                .limit(HISTORY_LIMIT)
+        ]);
+
+        if (ordersResult.error) throw ordersResult.error;
+        if (positionsResult.error) throw positionsResult.error;
+
+        res.json({
+            success: true,
+            orders: ordersResult.data,
+            positions: positionsResult.data
+        });
+
+    } catch (error) {
+        console.error('Get paper history error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch paper trading history'
+        });
+    }
+});
+
+// POST /api/paper/accounts/:id/reset - Clear an account's orders and positions back to its starting balance
+router.post('/accounts/:id/reset', verifyFirebaseToken, async (req, res) => {
+    try {
+        const account = await loadOwned(req, res, 'paper_accounts', req.params.id, 'Paper account');
+        if (!account) return;
+
+        const { error: positionsError } = await supabase
+            .from('paper_positions')
+            .delete()
+            .eq('account_id', account.id);
+
+        if (positionsError) {
+            throw positionsError;
+        }
+
+        const { error: ordersError } = await supabase
+            .from('paper_orders')
+            .delete()
+            .eq('account_id', account.id);
+
+        if (ordersError) {
+            throw ordersError;
+        }
+
+        res.json({
+            success: true,
+            message: 'Paper account reset'
+        });
+
+    } catch (error) {
+        console.error('Reset paper account error:', error);
+        res.status(500).json({
+            error: 'Failed to reset paper account'
+        });
+    }
+});
+
+// DELETE /api/paper/accounts/:id - Close a paper account and remove its history
+router.delete('/accounts/:id', verifyFirebaseToken, async (req, res) => {
+    try {
+        const account = await loadOwned(req, res, 'paper_accounts', req.params.id, 'Paper account');
+        if (!account) return;
+
+        const { error } = await supabase
+            .from('paper_accounts')
+            .delete()
+            .eq('id', account.id)
+            .eq('user_id', req.user.uid);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Paper account removed'
+        });
+
+    } catch (error) {
+        console.error('Delete paper account error:', error);
+        res.status(500).json({
+            error: 'Failed to remove paper account'
+        });
+    }
+});
+
+// POST /api/paper/accounts/:id/orders - Place an order; market orders fill immediately
+// Body: symbol, instrument_type, action, order_type (market|limit|stop), size, price, stop_loss,
+// take_profit, expires_at, signal_id. With signal_id, omitted fields come from the signal and
+// an omitted size risks the member's default_risk_percent of the balance to the signal's stop.
+router.post('/accounts/:id/orders', verifyFirebaseToken, async (req, res) => {
+    try {
+        const account = await loadOwned(req, res, 'paper_accounts', req.params.id, 'Paper account');
+        if (!account) return;
+
+        const body = req.body || {};
+        let signal = null;
+
+        if (body.signal_id) {
+            signal = await loadTradableSignal(req, res, body.signal_id);
+            if (!signal) return;
+        }
+
+        const { fields, errors } = pickOrderFields({
+            ...body,
+            symbol: body.symbol ?? signal?.symbol,
+            action: body.action ?? signal?.action,
+            stop_loss: body.stop_loss ?? signal?.stop_loss ?? undefined,
+            take_profit: body.take_profit ?? signal?.take_profit ?? undefined
+        });
+
+        if (!fields.symbol || !fields.action) {
+            errors.push('symbol and action are required');
+        }
+
+        if (!signal && !fields.size) {
+            errors.push('size is required');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid order',
+                details: errors
+            });
+        }
+
+        fields.instrument_type = resolveInstrumentType(fields, signal);
+
+        const quote = await getAccountQuote(account, fields.symbol, fields.instrument_type);
+
+        if (!quote) {
+            return res.status(400).json({
+                error: `No price is available for ${fields.symbol}`
+            });
+        }
+
+        const quoteCurrency = getQuoteCurrency(fields.symbol);
+        const conversionRate = await getConversionRate(quoteCurrency, account.account_currency);
+
+        if (!conversionRate) {
+            return res.status(400).json({
+                error: `No ${quoteCurrency}/${account.account_currency} rate is available`
+            });
+        }
+
+        // Market orders execute at the current bid/ask; pending orders at their own price
+        const executionPrice = fields.order_type === 'market' ?
+            getOrderFill(fields, quote) : fields.price;
+        const [valued] = await loadAccountBalances(supabase, [account]);
+
+        if (!fields.size) {
+            const settings = resolveRiskSettings(req.user.profile.preferences);
+            const { calculation, errors: sizingErrors } = calculatePositionRisk({
+                symbol: fields.symbol,
+                instrument_type: fields.instrument_type,
+                entry_price: executionPrice,
+                stop_loss: fields.stop_loss,
+                account_balance: valued.balance,
+                account_currency: account.account_currency,
+                risk_percent: settings.default_risk_percent
+            }, conversionRate);
+
+            if (sizingErrors || !(calculation.size >= calculation.min_size)) {
+                return res.status(400).json({
+                    error: 'Could not size the order from the signal; provide size',
+                    details: sizingErrors || calculation.warnings
+                });
+            }
+
+            fields.size = calculation.size;
+        }
+
+        const bracketErrors = validateBracket(fields.action, executionPrice, fields.stop_loss, fields.take_profit);
+
+        if (bracketErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid order',
+                details: bracketErrors
+            });
+        }
+
+        const state = await buildAccountState(supabase, account);
+        const requiredMargin = getRequiredMargin(fields, executionPrice, conversionRate, account.leverage);
+
+        if (requiredMargin > state.account.free_margin) {
+            return res.status(400).json({
+                error: 'Insufficient margin',
+                details: [`The order needs ${requiredMargin} ${account.account_currency} of margin; ${state.account.free_margin} is free`]
+            });
+        }
+
+        if (fields.order_type !== 'market' && state.orders.length >= MAX_PENDING_ORDERS) {
+            return res.status(400).json({
+                error: `You can have at most ${MAX_PENDING_ORDERS} pending orders per account`
+            });
+        }
+
+        const { data: order, error } = await supabase
+            .from('paper_orders')
+            .insert([{
+                ...fields,
+                account_id: account.id,
+                user_id: req.user.uid,
+                signal_id: signal?.id || null
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        const position = fields.order_type === 'market' ?
+            await fillOrder(supabase, order, executionPrice) : null;
+
+        res.status(201).json({
+            success: true,
+            message: position ? `Filled at ${executionPrice}` : 'Order placed',
+            order: position ? { ...order, status: 'filled', fill_price: executionPrice, position_id: position.id } : order,
+            position
+        });
+
+    } catch (error) {
+        console.error('Place paper order error:', error);
+        res.status(500).json({
+            error: 'Failed to place order'
+        });
+    }
+});
+
+// DELETE /api/paper/orders/:id - Cancel a pending order
+router.delete('/orders/:id', verifyFirebaseToken, async (req, res) => {
+    try {
+        const { data: cancelled, error } = await supabase
+            .from('paper_orders')
+            .update({ status: 'cancelled' })
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.uid)
+            .eq('status', 'pending')
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!cancelled || cancelled.length === 0) {
+            return res.status(404).json({
+                error: 'Pending order not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Order cancelled',
+            order: cancelled[0]
+        });
+
+    } catch (error) {
+        console.error('Cancel paper order error:', error);
+        res.status(500).json({
+            error: 'Failed to cancel order'
+        });
+    }
+});
+
+// PATCH /api/paper/positions/:id - Move an open position's stop loss or take profit (null removes it)
+router.patch('/positions/:id', verifyFirebaseToken, async (req, res) => {
+    try {
+        const position = await loadOwned(req, res, 'paper_positions', req.params.id, 'Position');
+        if (!position) return;
+
+        const body = req.body || {};
+        const fields = {};
+        const errors = [];
+
+        ['stop_loss', 'take_profit'].forEach(field => {
+            if (body[field] !== undefined) {
+                fields[field] = toNumber(body[field]);
+                if (fields[field] !== null && !(fields[field] > 0)) errors.push(`${field} must be a positive number`);
+            }
+        });
+
+        if (position.status !== 'open') {
+            errors.push('Only open positions can be changed');
+        }
+
+        if (Object.keys(fields).length === 0) {
+            errors.push('No changes provided');
+        }
+
+        if (errors.length === 0) {
+            const account = await loadOwned(req, res, 'paper_accounts', position.account_id, 'Paper account');
+            if (!account) return;
+
+            // A bracket already through the market would close the position on the next tick
+            const quote = await getAccountQuote(account, position.symbol, position.instrument_type);
+            const exitPrice = quote ? (position.action === 'buy' ? quote.bid : quote.ask) : toNumber(position.entry_price);
+
+            errors.push(...validateBracket(position.action, exitPrice,
+                fields.stop_loss === undefined ? null : fields.stop_loss,
+                fields.take_profit === undefined ? null : fields.take_profit));
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid position',
+                details: errors
+            });
+        }
+
+        const { data: updated, error } = await supabase
+            .from('paper_positions')
+            .update(fields)
+            .eq('id', position.id)
+            .eq('status', 'open')
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!updated) {
+            return res.status(409).json({
+                error: 'Position was closed before it could be changed'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Position updated',
+            position: updated
+        });
+
+    } catch (error) {
+        console.error('Update paper position error:', error);
+        res.status(500).json({
+            error: 'Failed to update position'
+        });
+    }
+});
+
+// POST /api/paper/positions/:id/close - Close an open position at the market
+router.post('/positions/:id/close', verifyFirebaseToken, async (req, res) => {
+    try {
+        const position = await loadOwned(req, res, 'paper_positions', req.params.id, 'Position');
+        if (!position) return;
+
+        if (position.status !== 'open') {
+            return res.status(400).json({
+                error: 'Position is already closed'
+            });
+        }
+
+        const account = await loadOwned(req, res, 'paper_accounts', position.account_id, 'Paper account');
+        if (!account) return;
+
+        const quote = await getAccountQuote(account, position.symbol, position.instrument_type);
+        const quoteCurrency = getQuoteCurrency(position.symbol);
+        const conversionRate = await getConversionRate(quoteCurrency, account.account_currency);
+
+        if (!quote || !conversionRate) {
+            return res.status(400).json({
+                error: `No price is available to close ${position.symbol}`
+            });
+        }
+
+        const exitPrice = position.action === 'buy' ? quote.bid : quote.ask;
+        const closed = await closePaperPosition(supabase, position, exitPrice, 'manual', conversionRate);
+
+        if (!closed) {
+            return res.status(409).json({
+                error: 'Position was already closed'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Closed at ${exitPrice}`,
+            position: closed
+        });
+
+    } catch (error) {
+        console.error('Close paper position error:', error);
+        res.status(500).json({
+            error: 'Failed to close position'
+        });
+    }
+});
+
+module.exports = router;
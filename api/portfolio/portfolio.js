@@ -0,0 +1,188 @@
+// api/portfolio/portfolio.js
+// Members' accounts and open positions: field validation and the mark-to-market snapshot.
+// Valuation itself is THA_Utils.trading.markPosition()/summarizePortfolio(), which the
+// dashboard reuses to re-mark positions on every price tick.
+const THA_Utils = require('../../assets/js/utils');
+const { normalizeSymbol } = require('../market/symbols');
+const { CURRENCIES, getQuoteCurrency, getConversionSymbols, findConversionRate } = require('../market/fx-rates');
+const { getPipSize, toNumber } = require('../signals/signal-math');
+const { getContractSize } = require('../signals/signal-export');
+const { INSTRUMENT_TYPES } = require('../journal/trade-journal');
+
+const MAX_ACCOUNTS = 10;
+const MAX_POSITIONS = 100;
+const MAX_NAME_LENGTH = 60;
+const MAX_NOTES_LENGTH = 500;
+const MAX_LEVERAGE = 1000;
+
+function isCurrencyCode(value) {
+    return /^[A-Z]{3}$/.test(value);
+}
+
+/**
+ * Copy account fields from the request body. Returns { fields, errors }; fields holds
+ * only what was given, so the same function serves create and update.
+ */
+function pickAccountFields(body) {
+    const fields = {};
+    const errors = [];
+
+    if (body.name !== undefined) {
+        fields.name = String(body.name || '').trim();
+        if (!fields.name || fields.name.length > MAX_NAME_LENGTH) {
+            errors.push(`name is required and must be at most ${MAX_NAME_LENGTH} characters`);
+        }
+    }
+
+    if (body.broker !== undefined) {
+        fields.broker = body.broker ? String(body.broker).trim().slice(0, MAX_NAME_LENGTH) : null;
+    }
+
+    if (body.account_currency !== undefined) {
+        fields.account_currency = String(body.account_currency || '').trim().toUpperCase();
+        if (!isCurrencyCode(fields.account_currency)) errors.push('account_currency must be a 3-letter currency code');
+    }
+
+    if (body.balance !== undefined) {
+        fields.balance = toNumber(body.balance);
+        if (fields.balance === null || fields.balance < 0) errors.push('balance must be zero or more');
+    }
+
+    if (body.leverage !== undefined) {
+        fields.leverage = parseInt(body.leverage);
+        if (!(fields.leverage >= 1 && fields.leverage <= MAX_LEVERAGE)) {
+            errors.push(`leverage must be between 1 and ${MAX_LEVERAGE}`);
+        }
+    }
+
+    return { fields, errors };
+}
+
+// Position fields from the request body, as { fields, errors }
+function pickPositionFields(body) {
+    const fields = {};
+    const errors = [];
+
+    if (body.symbol !== undefined) {
+        fields.symbol = normalizeSymbol(body.symbol);
+        if (!fields.symbol) errors.push('symbol is not a valid trading symbol');
+    }
+
+    if (body.instrument_type !== undefined) {
+        fields.instrument_type = body.instrument_type;
+        if (!INSTRUMENT_TYPES.includes(fields.instrument_type)) {
+            errors.push(`instrument_type must be one of: ${INSTRUMENT_TYPES.join(', ')}`);
+        }
+    }
+
+    if (body.action !== undefined) {
+        fields.action = body.action;
+        if (!['buy', 'sell'].includes(fields.action)) errors.push('action must be buy or sell');
+    }
+
+    ['size', 'entry_price', 'stop_loss', 'take_profit'].forEach(field => {
+        if (body[field] !== undefined) {
+            fields[field] = toNumber(body[field]);
+            if (fields[field] !== null && !(fields[field] > 0)) errors.push(`${field} must be a positive number`);
+        }
+    });
+
+    if (body.opened_at !== undefined) {
+        const date = new Date(body.opened_at);
+        if (Number.isNaN(date.getTime())) {
+            errors.push('opened_at must be a valid date');
+        } else {
+            fields.opened_at = date.toISOString();
+        }
+    }
+
+    if (body.notes !== undefined) {
+        fields.notes = body.notes ? String(body.notes).trim() : null;
+        if (fields.notes && fields.notes.length > MAX_NOTES_LENGTH) {
+            errors.push(`notes must be at most ${MAX_NOTES_LENGTH} characters`);
+        }
+    }
+
+    return { fields, errors };
+}
+
+/**
+ * Currencies a position is exposed to, as [currency, sign] pairs: a currency pair is long
+ * its base and short its quote; anything else counts toward the currency it is priced in.
+ */
+function getCurrencyLegs(symbol, instrumentType) {
+    const quoteCurrency = getQuoteCurrency(symbol);
+    const baseCurrency = symbol.slice(0, 3);
+
+    if (instrumentType === 'forex' && symbol.length === 6 && CURRENCIES.includes(baseCurrency)) {
+        return [[baseCurrency, 1], [quoteCurrency, -1]];
+    }
+
+    return [[quoteCurrency, 1]];
+}
+
+// Every symbol whose quote a snapshot needs: the positions and the conversion pairs
+function getValuationSymbols(accounts, positions, reportingCurrency) {
+    const currencyById = new Map(accounts.map(account => [account.id, account.account_currency]));
+    const symbols = new Set(positions.map(position => position.symbol));
+
+    positions.forEach(position => {
+        getConversionSymbols(getQuoteCurrency(position.symbol), currencyById.get(position.account_id))
+            .forEach(symbol => symbols.add(symbol));
+    });
+
+    accounts.forEach(account => {
+        getConversionSymbols(account.account_currency, reportingCurrency).forEach(symbol => symbols.add(symbol));
+    });
+
+    return [...symbols];
+}
+
+/**
+ * Mark-to-market snapshot of a member's portfolio from a { [symbol]: quote } map.
+ * Positions gain the valuation inputs (contract_units, pip_size, conversion_rate,
+ * leverage, currency_legs) so clients can re-mark them on ticks; money is per account
+ * currency on positions and accounts, and in reportingCurrency for totals and exposure.
+ */
+function buildPortfolio(accounts, positions, quotes, reportingCurrency) {
+    const accountById = new Map(accounts.map(account => [account.id, account]));
+
+    const valuedAccounts = accounts.map(account => ({
+        ...account,
+        reporting_rate: findConversionRate(account.account_currency, reportingCurrency, quotes)
+    }));
+
+    const marked = positions.map(position => {
+        const account = accountById.get(position.account_id);
+        const quoteCurrency = getQuoteCurrency(position.symbol);
+
+        return THA_Utils.trading.markPosition({
+            ...position,
+            account_currency: account.account_currency,
+            quote_currency: quoteCurrency,
+            contract_units: toNumber(position.size) * getContractSize(position.symbol, position.instrument_type),
+            pip_size: getPipSize(position.symbol, position.instrument_type),
+            conversion_rate: findConversionRate(quoteCurrency, account.account_currency, quotes),
+            leverage: account.leverage,
+            currency_legs: getCurrencyLegs(position.symbol, position.instrument_type)
+        }, quotes[position.symbol]);
+    });
+
+    return {
+        reporting_currency: reportingCurrency,
+        positions: marked,
+        ...THA_Utils.trading.summarizePortfolio(marked, valuedAccounts),
+        unpriced_symbols: [...new Set(marked.filter(position => position.current_price === null).map(position => position.symbol))]
+    };
+}
+
+module.exports = {
+    MAX_ACCOUNTS,
+    MAX_POSITIONS,
+    isCurrencyCode,
+    pickAccountFields,
+    pickPositionFields,
+    getCurrencyLegs,
+    getValuationSymbols,
+    buildPortfolio
+};
@@ -0,0 +1,462 @@
+// api/portfolio/routes.js
+// Members' trading accounts and open positions, marked to market from the price provider
+const express = require('express');
+const admin = require('firebase-admin');
+const { createClient } = require('@supabase/supabase-js');
+const { getMarketProvider } = require('../market/providers');
+const { resolveInstrumentType } = require('../signals/signal-math');
+const {
+    MAX_ACCOUNTS,
+    MAX_POSITIONS,
+    isCurrencyCode,
+    pickAccountFields,
+    pickPositionFields,
+    getValuationSymbols,
+    buildPortfolio
+} = require('./portfolio');
+const router = express.Router();
+
+// Initialize Supabase
+const supabaseUrl = process.env.SUPABASE_URL || 'https://vjxnwqjlaxrvqctiphhb.supabase.co';
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// Tiers with portfolio tracking (the dashboard's portfolio_tracking feature)
+const PORTFOLIO_TIERS = ['platinum', 'diamond', 'admin'];
+
+// Middleware to verify Firebase token
+async function verifyFirebaseToken(req, res, next) {
+    try {
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({
+                error: 'No valid authorization token provided'
+            });
+        }
+
+        const token = authHeader.substring(7);
+        const decodedToken = await admin.auth().verifyIdToken(token);
+
+        // Get user profile from Supabase
+        const { data: userProfile, error } = await supabase
+            .from('user_profiles')
+            .select('*')
+            .eq('id', decodedToken.uid)
+            .single();
+
+        if (error || !userProfile) {
+            return res.status(404).json({
+                error: 'User profile not found'
+            });
+        }
+
+        req.user = {
+            uid: decodedToken.uid,
+            email: decodedToken.email,
+            role: userProfile.role,
+            isAdmin: userProfile.is_admin,
+            subscriptionTier: userProfile.subscription_tier,
+            profile: userProfile
+        };
+
+        next();
+    } catch (error) {
+        console.error('Auth middleware error:', error);
+        return res.status(401).json({
+            error: 'Invalid or expired token'
+        });
+    }
+}
+
+// Middleware limiting portfolio tracking to Platinum and Diamond members
+function requirePortfolioTier(req, res, next) {
+    const tier = req.user.isAdmin ? 'admin' :
+        (req.user.profile.subscription_status === 'active' ? req.user.subscriptionTier : null);
+
+    if (!PORTFOLIO_TIERS.includes(tier)) {
+        return res.status(403).json({
+            error: 'Portfolio tracking is available on the Platinum and Diamond tiers',
+            requiredTier: 'platinum'
+        });
+    }
+
+    next();
+}
+
+const memberOnly = [verifyFirebaseToken, requirePortfolioTier];
+
+async function fetchAccounts(userId) {
+    const { data: accounts, error } = await supabase
+        .from('trading_accounts')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        throw error;
+    }
+
+    return accounts;
+}
+
+// Load one of the caller's rows by id, sending 404 when it is not theirs
+async function loadOwned(req, res, table, id, label) {
+    const { data: row, error } = await supabase
+        .from(table)
+        .select('*')
+        .eq('id', id)
+        .eq('user_id', req.user.uid)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+
+    if (!row) {
+        res.status(404).json({
+            error: `${label} not found`
+        });
+        return null;
+    }
+
+    return row;
+}
+
+// GET /api/portfolio - Accounts and open positions marked to market, with exposure and margin
+// Query: currency (reporting currency for totals and exposure; default the first account's)
+router.get('/', memberOnly, async (req, res) => {
+    try {
+        const accounts = await fetchAccounts(req.user.uid);
+
+        const { data: positions, error } = await supabase
+            .from('portfolio_positions')
+            .select('*')
+            .eq('user_id', req.user.uid)
+            .order('opened_at', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        const reportingCurrency = String(req.query.currency || accounts[0]?.account_currency || 'USD').toUpperCase();
+
+        if (!isCurrencyCode(reportingCurrency)) {
+            return res.status(400).json({
+                error: 'currency must be a 3-letter currency code'
+            });
+        }
+
+        const symbols = getValuationSymbols(accounts, positions, reportingCurrency);
+        const quotes = symbols.length > 0 ? await getMarketProvider().getQuotes(symbols) : {};
+
+        res.json({
+            success: true,
+            portfolio: buildPortfolio(accounts, positions, quotes, reportingCurrency),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Get portfolio error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch portfolio'
+        });
+    }
+});
+
+// GET /api/portfolio/accounts - The caller's trading accounts
+router.get('/accounts', memberOnly, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            accounts: await fetchAccounts(req.user.uid)
+        });
+
+    } catch (error) {
+        console.error('Get trading accounts error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch trading accounts'
+        });
+    }
+});
+
+// POST /api/portfolio/accounts - Add a trading account
+// Body: name, broker, account_currency, balance, leverage
+router.post('/accounts', memberOnly, async (req, res) => {
+    try {
+        const { fields, errors } = pickAccountFields(req.body || {});
+
+        if (!fields.name) {
+            errors.push('name is required');
+        }
+
+        const accounts = await fetchAccounts(req.user.uid);
+
+        if (accounts.length >= MAX_ACCOUNTS) {
+            errors.push(`You can track at most ${MAX_ACCOUNTS} accounts`);
+        }
+
+        if (accounts.some(account => account.name === fields.name)) {
+            errors.push('You already have an account with this name');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid trading account',
+                details: errors
+            });
+        }
+
+        const { data: account, error } = await supabase
+            .from('trading_accounts')
+            .insert([{ ...fields, user_id: req.user.uid }])
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Trading account added',
+            account
+        });
+
+    } catch (error) {
+        console.error('Create trading account error:', error);
+        res.status(500).json({
+            error: 'Failed to add trading account'
+        });
+    }
+});
+
+// PUT /api/portfolio/accounts/:id - Update an account's name, broker, currency, balance or leverage
+router.put('/accounts/:id', memberOnly, async (req, res) => {
+    try {
+        const existing = await loadOwned(req, res, 'trading_accounts', req.params.id, 'Trading account');
+        if (!existing) return;
+
+        const { fields, errors } = pickAccountFields(req.body || {});
+
+        if (Object.keys(fields).length === 0) {
+            errors.push('No changes provided');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid trading account',
+                details: errors
+            });
+        }
+
+        const { data: account, error } = await supabase
+            .from('trading_accounts')
+            .update(fields)
+            .eq('id', existing.id)
+            .eq('user_id', req.user.uid)
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Trading account updated',
+            account
+        });
+
+    } catch (error) {
+        console.error('Update trading account error:', error);
+        res.status(500).json({
+            error: 'Failed to update trading account'
+        });
+    }
+});
+
+// DELETE /api/portfolio/accounts/:id - Remove an account and its open positions
+router.delete('/accounts/:id', memberOnly, async (req, res) => {
+    try {
+        const account = await loadOwned(req, res, 'trading_accounts', req.params.id, 'Trading account');
+        if (!account) return;
+
+        const { error } = await supabase
+            .from('trading_accounts')
+            .delete()
+            .eq('id', account.id)
+            .eq('user_id', req.user.uid);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Trading account removed'
+        });
+
+    } catch (error) {
+        console.error('Delete trading account error:', error);
+        res.status(500).json({
+            error: 'Failed to remove trading account'
+        });
+    }
+});
+
+// POST /api/portfolio/positions - Record an open position
+// Body: account_id, symbol, action, size, entry_price, stop_loss, take_profit, opened_at, notes,
+// instrument_type (guessed from the symbol when omitted), signal_id
+router.post('/positions', memberOnly, async (req, res) => {
+    try {
+        const { fields, errors } = pickPositionFields(req.body || {});
+
+        if (!req.body?.account_id || !fields.symbol || !fields.action || !fields.size || !fields.entry_price) {
+            errors.push('account_id, symbol, action, size and entry_price are required');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid position',
+                details: errors
+            });
+        }
+
+        const account = await loadOwned(req, res, 'trading_accounts', req.body.account_id, 'Trading account');
+        if (!account) return;
+
+        const { count, error: countError } = await supabase
+            .from('portfolio_positions')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', req.user.uid);
+
+        if (countError) {
+            throw countError;
+        }
+
+        if (count >= MAX_POSITIONS) {
+            return res.status(400).json({
+                error: `You can track at most ${MAX_POSITIONS} open positions`
+            });
+        }
+
+        const { data: position, error } = await supabase
+            .from('portfolio_positions')
+            .insert([{
+                ...fields,
+                instrument_type: resolveInstrumentType(fields),
+                account_id: account.id,
+                signal_id: req.body.signal_id || null,
+                user_id: req.user.uid
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Position added',
+            position
+        });
+
+    } catch (error) {
+        console.error('Create position error:', error);
+        res.status(500).json({
+            error: 'Failed to add position'
+        });
+    }
+});
+
+// PATCH /api/portfolio/positions/:id - Update a position (size after a partial close, stop, target, notes)
+router.patch('/positions/:id', memberOnly, async (req, res) => {
+    try {
+        const existing = await loadOwned(req, res, 'portfolio_positions', req.params.id, 'Position');
+        if (!existing) return;
+
+        const { fields, errors } = pickPositionFields(req.body || {});
+
+        if (req.body?.account_id !== undefined) {
+            const account = await loadOwned(req, res, 'trading_accounts', req.body.account_id, 'Trading account');
+            if (!account) return;
+            fields.account_id = account.id;
+        }
+
+        if (fields.symbol && !fields.instrument_type) {
+            fields.instrument_type = resolveInstrumentType(fields);
+        }
+
+        if (Object.keys(fields).length === 0) {
+            errors.push('No changes provided');
+        }
+
+        if (fields.size === null || fields.entry_price === null) {
+            errors.push('size and entry_price cannot be removed');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid position',
+                details: errors
+            });
+        }
+
+        const { data: position, error } = await supabase
+            .from('portfolio_positions')
+            .update(fields)
+            .eq('id', existing.id)
+            .eq('user_id', req.user.uid)
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Position updated',
+            position
+        });
+
+    } catch (error) {
+        console.error('Update position error:', error);
+        res.status(500).json({
+            error: 'Failed to update position'
+        });
+    }
+});
+
+// DELETE /api/portfolio/positions/:id - Remove a position once it is closed
+router.delete('/positions/:id', memberOnly, async (req, res) => {
+    try {
+        const position = await loadOwned(req, res, 'portfolio_positions', req.params.id, 'Position');
+        if (!position) return;
+
+        const { error } = await supabase
+            .from('portfolio_positions')
+            .delete()
+            .eq('id', position.id)
+            .eq('user_id', req.user.uid);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Position removed'
+        });
+
+    } catch (error) {
+        console.error('Delete position error:', error);
+        res.status(500).json({
+            error: 'Failed to remove position'
+        });
+    }
+});
+
+module.exports = router;
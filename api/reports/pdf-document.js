@@ -0,0 +1,134 @@
+// api/reports/pdf-document.js
+// Minimal PDF 1.4 writer for generated statements: text in the standard Helvetica fonts,
+// lines, rectangles and polylines on A4 pages. Coordinates are points from the top-left.
+// Text is limited to WinAnsi; anything else is replaced so the file stays valid.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+// RGB hex (#1a2b3c) as PDF colour operands
+function toRgb(hex) {
+    const value = parseInt(String(hex || '#000000').replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(part => formatNumber(part / 255)).join(' ');
+}
+
+// Escape a string for a PDF literal, replacing characters Helvetica cannot show
+function toPdfString(text) {
+    return String(text ?? '')
+        .replace(/[\u2013\u2014]/g, '-')
+        .replace(/[^\x20-\x7e]/g, '?')
+        .replace(/([\\()])/g, '\\$1');
+}
+
+// Rough Helvetica width for right-aligning numbers: digits and most letters are ~0.55em
+function estimateTextWidth(text, size) {
+    return String(text ?? '').length * size * 0.55;
+}
+
+/**
+ * Create a document. Drawing calls go to the current page; addPage() starts a new one.
+ * Returns the drawing methods and toBuffer().
+ */
+function createPdfDocument({ title = 'Report' } = {}) {
+    const pages = [];
+    let current = null;
+
+    function addPage() {
+        current = [];
+        pages.push(current);
+        return api;
+    }
+
+    function y(top) {
+        return formatNumber(PAGE_HEIGHT - top);
+    }
+
+    function text(x, top, value, { size = 10, bold = false, color = '#000000', align = 'left' } = {}) {
+        const left = align === 'right' ? x - estimateTextWidth(value, size) : x;
+        current.push(`BT ${toRgb(color)} rg /${bold ? 'F2' : 'F1'} ${size} Tf ${formatNumber(left)} ${y(top)} Td (${toPdfString(value)}) Tj ET`);
+        return api;
+    }
+
+    function line(x1, top1, x2, top2, { width = 0.5, color = '#000000' } = {}) {
+        current.push(`${toRgb(color)} RG ${formatNumber(width)} w ${formatNumber(x1)} ${y(top1)} m ${formatNumber(x2)} ${y(top2)} l S`);
+        return api;
+    }
+
+    function rect(x, top, width, height, { fill = null, stroke = null, lineWidth = 0.5 } = {}) {
+        const operator = fill && stroke ? 'B' : fill ? 'f' : 'S';
+        current.push([
+            fill ? `${toRgb(fill)} rg` : '',
+            stroke ? `${toRgb(stroke)} RG ${formatNumber(lineWidth)} w` : '',
+            `${formatNumber(x)} ${y(top + height)} ${formatNumber(width)} ${formatNumber(height)} re ${operator}`
+        ].filter(Boolean).join(' '));
+        return api;
+    }
+
+    function polyline(points, { width = 1, color = '#000000' } = {}) {
+        if (points.length < 2) return api;
+
+        const path = points.map(([x, top], index) => `${formatNumber(x)} ${y(top)} ${index === 0 ? 'm' : 'l'}`).join(' ');
+        current.push(`${toRgb(color)} RG ${formatNumber(width)} w 1 j ${path} S`);
+        return api;
+    }
+
+    // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content per page
+    function toBuffer() {
+        const objects = [];
+        const pageIds = pages.map((_, index) => 6 + index * 2);
+
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+        objects[5] = `<< /Title (${toPdfString(title)}) /Producer (Traders Helmet Academy) >>`;
+
+        pages.forEach((commands, index) => {
+            const stream = commands.join('\n');
+            objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+            objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+        });
+
+        let output = '%PDF-1.4\n';
+        const offsets = [];
+
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = Buffer.byteLength(output, 'latin1');
+            output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+
+        const xref = Buffer.byteLength(output, 'latin1');
+        output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return Buffer.from(output, 'latin1');
+    }
+
+    const api = {
+        width: PAGE_WIDTH,
+        height: PAGE_HEIGHT,
+        addPage,
+        text,
+        line,
+        rect,
+        polyline,
+        toBuffer
+    };
+
+    return api;
+}
+
+module.exports = {
+    PAGE_WIDTH,
+    PAGE_HEIGHT,
+    estimateTextWidth,
+    createPdfDocument
+};
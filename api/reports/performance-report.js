@@ -0,0 +1,265 @@
+// api/reports/performance-report.js
+// Monthly statements: an equity curve, monthly returns, best/worst trades and the signal
+// stats of the member's tier, built either from following every signal at the member's
+// default risk (signal_performance R multiples) or from their own closed journal trades.
+const { loadPerformanceEntries, computePerformance, groupPerformance } = require('../signals/performance');
+const { resolveRiskSettings } = require('../risk/risk-manager');
+const { toNumber, round } = require('../signals/signal-math');
+const { getProfileTier, canAccessSignal } = require('../signals/signal-access');
+
+const REPORT_SOURCES = ['signals', 'journal'];
+
+// Months in the returns table, ending with the report month
+const RETURN_MONTHS = 12;
+const TOP_TRADES = 5;
+
+function isReportMonth(value) {
+    return /^\d{4}-(0[1-9]|1[0-2])$/.test(String(value || ''));
+}
+
+// YYYY-MM `delta` months from `month`
+function shiftMonth(month, delta) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, monthIndex - 1 + delta, 1));
+    return date.toISOString().slice(0, 7);
+}
+
+// The last full month before `now`: what the month-end statement covers
+function getPreviousMonth(now = new Date()) {
+    return shiftMonth(now.toISOString().slice(0, 7), -1);
+}
+
+// [start, end) of a month in UTC as ISO strings
+function getMonthRange(month) {
+    return {
+        start: `${month}-01T00:00:00.000Z`,
+        end: `${shiftMonth(month, 1)}-01T00:00:00.000Z`
+    };
+}
+
+// Months the returns table covers, oldest first
+function getReportMonths(month) {
+    return Array.from({ length: RETURN_MONTHS }, (_, index) => shiftMonth(month, index - RETURN_MONTHS + 1));
+}
+
+/**
+ * Closed-signal ledger rows for the twelve months ending with `month`, for every tier.
+ * Load once and pass to buildPerformanceReport() for each member; it filters by tier.
+ */
+async function loadSignalEntries(supabase, month) {
+    const months = getReportMonths(month);
+    const { end } = getMonthRange(month);
+
+    const entries = await loadPerformanceEntries(supabase, { since: getMonthRange(months[0]).start });
+    return entries.filter(entry => entry.closed_at && entry.closed_at < end);
+}
+
+// The member's closed journal trades for the twelve months ending with `month`
+async function loadJournalEntries(supabase, userId, month) {
+    const months = getReportMonths(month);
+
+    const { data, error } = await supabase
+        .from('trade_journal_entries')
+        .select('*')
+        .eq('user_id', userId)
+        .not('exit_price', 'is', null)
+        .not('realized_pnl', 'is', null)
+        .gte('closed_at', getMonthRange(months[0]).start)
+        .lt('closed_at', getMonthRange(month).end)
+        .order('closed_at', { ascending: true });
+
+    if (error) {
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Trades from following signals: each risks riskPercent of the month's running equity
+ * and returns its R multiple of that, so a month compounds from the starting balance.
+ * Signals without an R multiple (no usable stop) count as trades with no P&L.
+ */
+function signalTrades(entries) {
+    return entries.map(entry => ({
+        id: entry.signal_id,
+        signal_id: entry.signal_id,
+        symbol: entry.symbol,
+        action: entry.action || null,
+        instrument_type: entry.signal_type,
+        closed_at: entry.closed_at,
+        result: entry.result,
+        pips: entry.pips_gained,
+        r_multiple: entry.r_multiple
+    }));
+}
+
+// Trades from the journal, already in the account currency
+function journalTrades(entries) {
+    return entries.map(entry => ({
+        id: entry.id,
+        signal_id: entry.signal_id || null,
+        symbol: entry.symbol,
+        action: entry.action,
+        instrument_type: entry.instrument_type,
+        closed_at: entry.closed_at,
+        result: toNumber(entry.realized_pnl) > 0 ? 'profit' : toNumber(entry.realized_pnl) < 0 ? 'loss' : 'breakeven',
+        pips: toNumber(entry.pips),
+        r_multiple: toNumber(entry.r_multiple),
+        pnl: toNumber(entry.realized_pnl)
+    }));
+}
+
+/**
+ * Run one month's trades (oldest first) from startingBalance. Signal trades get their P&L
+ * here from riskPercent; journal trades carry theirs. Returns the trades with equity after
+ * each, the daily equity curve and the month's totals.
+ */
+function runMonth(month, trades, { startingBalance, riskPercent }) {
+    let equity = startingBalance;
+    let peak = startingBalance;
+    let maxDrawdown = 0;
+    const daily = new Map([[getMonthRange(month).start.slice(0, 10), startingBalance]]);
+
+    const valued = [...trades]
+        .sort((a, b) => String(a.closed_at).localeCompare(String(b.closed_at)))
+        .map(trade => {
+            const pnl = trade.pnl !== undefined ? trade.pnl :
+                round(equity * (trade.r_multiple || 0) * riskPercent / 100);
+            const before = equity;
+
+            equity = round(equity + pnl);
+            peak = Math.max(peak, equity);
+            if (peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak * 100);
+            daily.set(String(trade.closed_at).slice(0, 10), equity);
+
+            return {
+                ...trade,
+                pnl,
+                return_percent: before > 0 ? round(pnl / before * 100) : null,
+                equity_after: equity
+            };
+        });
+
+    const wins = valued.filter(trade => trade.pnl > 0).length;
+    const losses = valued.filter(trade => trade.pnl < 0).length;
+
+    return {
+        trades: valued,
+        curve: [...daily.entries()].map(([date, value]) => ({ date, equity: value })),
+        totals: {
+            month,
+            trades: valued.length,
+            wins,
+            losses,
+            win_rate: valued.length > 0 ? round(wins / valued.length * 100, 1) : 0,
+            pips: round(valued.reduce((sum, trade) => sum + (trade.pips || 0), 0), 1),
+            start_equity: startingBalance,
+            end_equity: equity,
+            pnl: round(equity - startingBalance),
+            return_percent: startingBalance > 0 ? round((equity - startingBalance) / startingBalance * 100) : null,
+            max_drawdown_percent: round(maxDrawdown)
+        }
+    };
+}
+
+// The currency a journal report is in: the one asked for, else the one most trades closed in
+function pickJournalCurrency(entries, requested) {
+    if (requested) {
+        return requested;
+    }
+
+    const counts = new Map();
+    entries.forEach(entry => counts.set(entry.account_currency, (counts.get(entry.account_currency) || 0) + 1));
+
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+/**
+ * Build a member's statement for `month` from preloaded data. Each month of the returns
+ * table starts again from the starting balance, so months compare like for like; the
+ * twelve-month return compounds them. Journal P&L is never mixed across currencies:
+ * trades in other currencies are counted in excluded_trades.
+ */
+function buildPerformanceReport({ month, profile, source, signalEntries = [], journalEntries = [], currency = null, now = new Date() }) {
+    const tier = getProfileTier(profile);
+    const settings = resolveRiskSettings(profile.preferences);
+    const visible = signalEntries.filter(entry => canAccessSignal(entry, tier));
+    const { start, end } = getMonthRange(month);
+    const inMonth = (trade, key) => String(trade.closed_at).slice(0, 7) === key;
+
+    let trades;
+    let reportCurrency;
+    let excludedTrades = 0;
+
+    if (source === 'journal') {
+        reportCurrency = pickJournalCurrency(journalEntries, currency) || settings.account_currency;
+        const matching = journalEntries.filter(entry => entry.account_currency === reportCurrency);
+        excludedTrades = journalEntries.filter(entry => inMonth(entry, month)).length -
+            matching.filter(entry => inMonth(entry, month)).length;
+        trades = journalTrades(matching);
+    } else {
+        reportCurrency = settings.account_currency;
+        trades = signalTrades(visible);
+    }
+
+    const assumptions = { startingBalance: settings.account_balance, riskPercent: settings.default_risk_percent };
+    const months = getReportMonths(month).map(key => runMonth(key, trades.filter(trade => inMonth(trade, key)), assumptions));
+    const current = months[months.length - 1];
+    const byPnl = [...current.trades].sort((a, b) => b.pnl - a.pnl);
+    const monthSignals = visible.filter(entry => entry.closed_at >= start && entry.closed_at < end);
+    const compounded = months.reduce((growth, entry) => growth * (1 + (entry.totals.return_percent || 0) / 100), 1);
+
+    return {
+        month,
+        source,
+        generated_at: now.toISOString(),
+        member: {
+            name: profile.display_name || [profile.first_name, profile.last_name].filter(Boolean).join(' ') || profile.email,
+            tier
+        },
+        currency: reportCurrency,
+        starting_balance: settings.account_balance,
+        risk_percent: source === 'signals' ? settings.default_risk_percent : null,
+        excluded_trades: excludedTrades,
+        summary: {
+            ...current.totals,
+            twelve_month_return_percent: round((compounded - 1) * 100)
+        },
+        equity_curve: current.curve,
+        monthly_returns: months.map(entry => entry.totals),
+        best_trades: byPnl.filter(trade => trade.pnl > 0).slice(0, TOP_TRADES),
+        worst_trades: byPnl.filter(trade => trade.pnl < 0).reverse().slice(0, TOP_TRADES),
+        signal_stats: {
+            tier,
+            ...computePerformance(monthSignals),
+            by_type: groupPerformance(monthSignals, 'signal_type')
+        }
+    };
+}
+
+/**
+ * Load what a member's statement needs and build it. signalEntries may be passed in when
+ * building many statements for the same month (see loadSignalEntries()).
+ */
+async function generatePerformanceReport(supabase, profile, { month, source = 'signals', currency = null, signalEntries = null, now = new Date() }) {
+    const [entries, journalEntries] = await Promise.all([
+        signalEntries || loadSignalEntries(supabase, month),
+        source === 'journal' ? loadJournalEntries(supabase, profile.id, month) : []
+    ]);
+
+    return buildPerformanceReport({ month, profile, source, signalEntries: entries, journalEntries, currency, now });
+}
+
+module.exports = {
+    REPORT_SOURCES,
+    RETURN_MONTHS,
+    isReportMonth,
+    shiftMonth,
+    getPreviousMonth,
+    getMonthRange,
+    loadSignalEntries,
+    loadJournalEntries,
+    buildPerformanceReport,
+    generatePerformanceReport
+};
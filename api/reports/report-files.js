@@ -0,0 +1,292 @@
+// api/reports/report-files.js
+// Downloadable statements: a sectioned CSV for spreadsheets and a one- or two-page PDF
+// with the equity curve drawn from report.equity_curve.
+const { toCsvCell } = require('../signals/signal-export');
+const { createPdfDocument } = require('./pdf-document');
+
+const REPORT_FORMATS = ['pdf', 'csv'];
+
+const FILE_TYPES = {
+    pdf: { extension: 'pdf', contentType: 'application/pdf' },
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' }
+};
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+    'September', 'October', 'November', 'December'];
+
+const TRADE_COLUMNS = ['closed_at', 'symbol', 'action', 'result', 'pips', 'r_multiple', 'pnl', 'return_percent'];
+const RETURN_COLUMNS = ['month', 'trades', 'wins', 'losses', 'win_rate', 'pips', 'pnl', 'return_percent', 'max_drawdown_percent'];
+const STATS_COLUMNS = ['key', 'totalSignals', 'wins', 'losses', 'winRate', 'totalPips', 'avgRMultiple', 'expectancy', 'maxDrawdown'];
+
+const COLORS = {
+    text: '#212529',
+    muted: '#6c757d',
+    rule: '#dee2e6',
+    band: '#f1f3f5',
+    accent: '#0d6efd',
+    profit: '#198754',
+    loss: '#dc3545'
+};
+
+function formatMonth(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return `${MONTH_NAMES[monthIndex - 1]} ${year}`;
+}
+
+function formatMoney(value, currency) {
+    return value === null || value === undefined ? '-' :
+        `${value < 0 ? '-' : ''}${Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency}`;
+}
+
+function formatPercent(value) {
+    return value === null || value === undefined ? '-' : `${value > 0 ? '+' : ''}${value}%`;
+}
+
+function sourceLabel(report) {
+    return report.source === 'journal' ?
+        'your trade journal' :
+        `following every signal on your tier at ${report.risk_percent}% risk per trade`;
+}
+
+function csvRows(columns, rows) {
+    return [columns.join(','), ...rows.map(row => columns.map(column => toCsvCell(row[column])).join(','))];
+}
+
+/**
+ * One CSV with a blank line between sections: summary, equity curve, monthly returns,
+ * best and worst trades, and signal stats by instrument type.
+ */
+function formatReportCsv(report) {
+    const summary = report.summary;
+    const sections = [
+        ['section', 'statement'],
+        ['month', report.month],
+        ['source', report.source],
+        ['member', report.member.name],
+        ['tier', report.member.tier || ''],
+        ['currency', report.currency],
+        ['starting_balance', report.starting_balance],
+        ['risk_percent', report.risk_percent ?? ''],
+        ['end_equity', summary.end_equity],
+        ['pnl', summary.pnl],
+        ['return_percent', summary.return_percent],
+        ['twelve_month_return_percent', summary.twelve_month_return_percent],
+        ['max_drawdown_percent', summary.max_drawdown_percent],
+        ['trades', summary.trades],
+        ['win_rate', summary.win_rate],
+        ['excluded_trades', report.excluded_trades],
+        ['generated_at', report.generated_at]
+    ].map(row => row.map(toCsvCell).join(','));
+
+    const lines = [
+        ...sections,
+        '',
+        'section,equity_curve',
+        ...csvRows(['date', 'equity'], report.equity_curve),
+        '',
+        'section,monthly_returns',
+        ...csvRows(RETURN_COLUMNS, report.monthly_returns),
+        '',
+        'section,best_trades',
+        ...csvRows(TRADE_COLUMNS, report.best_trades),
+        '',
+        'section,worst_trades',
+        ...csvRows(TRADE_COLUMNS, report.worst_trades),
+        '',
+        'section,signal_stats',
+        ...csvRows(STATS_COLUMNS, [{ key: 'all', ...report.signal_stats }, ...report.signal_stats.by_type])
+    ];
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Statement PDF: headline figures, equity curve, monthly returns, best/worst trades and
+ * the tier's signal stats. Tables start a new page when they would run off the bottom.
+ */
+function formatReportPdf(report) {
+    const pdf = createPdfDocument({ title: `Statement ${report.month}` });
+    const margin = 40;
+    const right = pdf.width - margin;
+    const currency = report.currency;
+    let top = margin;
+
+    pdf.addPage();
+
+    function ensureSpace(height) {
+        if (top + height > pdf.height - margin) {
+            pdf.addPage();
+            top = margin;
+        }
+    }
+
+    function heading(label) {
+        ensureSpace(40);
+        top += 14;
+        pdf.text(margin, top, label, { size: 12, bold: true, color: COLORS.text });
+        top += 8;
+        pdf.line(margin, top, right, top, { color: COLORS.rule });
+        top += 14;
+    }
+
+    // columns: [{ label, x, align, value(row), color(row) }]
+    function table(columns, rows, empty) {
+        ensureSpace(30);
+        columns.forEach(column => pdf.text(column.x, top, column.label, { size: 8, bold: true, color: COLORS.muted, align: column.align }));
+        top += 14;
+
+        if (rows.length === 0) {
+            pdf.text(margin, top, empty, { size: 9, color: COLORS.muted });
+            top += 14;
+            return;
+        }
+
+        rows.forEach((row, index) => {
+            ensureSpace(14);
+            if (index % 2 === 0) pdf.rect(margin - 4, top - 10, right - margin + 8, 14, { fill: COLORS.band });
+            columns.forEach(column => pdf.text(column.x, top, column.value(row), {
+                size: 9,
+                color: column.color ? column.color(row) : COLORS.text,
+                align: column.align
+            }));
+            top += 14;
+        });
+    }
+
+    const pnlColor = value => value > 0 ? COLORS.profit : value < 0 ? COLORS.loss : COLORS.text;
+
+    // Header
+    pdf.text(margin, top + 10, 'Traders Helmet Academy', { size: 18, bold: true, color: COLORS.accent });
+    pdf.text(right, top + 10, `Statement - ${formatMonth(report.month)}`, { size: 12, bold: true, align: 'right' });
+    top += 30;
+    pdf.text(margin, top, `${report.member.name}${report.member.tier ? ` - ${report.member.tier} tier` : ''}`, { size: 10 });
+    top += 14;
+    pdf.text(margin, top, `Built from ${sourceLabel(report)}, starting each month from ${formatMoney(report.starting_balance, currency)}`,
+        { size: 9, color: COLORS.muted });
+    top += 24;
+
+    // Headline figures
+    const summary = report.summary;
+    const figures = [
+        ['End Equity', formatMoney(summary.end_equity, currency), COLORS.text],
+        ['P&L', formatMoney(summary.pnl, currency), pnlColor(summary.pnl)],
+        ['Return', formatPercent(summary.return_percent), pnlColor(summary.return_percent)],
+        ['12-Month Return', formatPercent(summary.twelve_month_return_percent), pnlColor(summary.twelve_month_return_percent)],
+        ['Max Drawdown', `${summary.max_drawdown_percent}%`, COLORS.text],
+        ['Trades / Win Rate', `${summary.trades} / ${summary.win_rate}%`, COLORS.text]
+    ];
+    const cell = (right - margin) / 3;
+    figures.forEach(([label, value, color], index) => {
+        const x = margin + (index % 3) * cell;
+        const rowTop = top + Math.floor(index / 3) * 36;
+        pdf.text(x, rowTop, label, { size: 8, color: COLORS.muted });
+        pdf.text(x, rowTop + 16, value, { size: 13, bold: true, color });
+    });
+    top += 72;
+
+    if (report.excluded_trades > 0) {
+        pdf.text(margin, top, `${report.excluded_trades} trades in other account currencies are not included`, { size: 8, color: COLORS.muted });
+        top += 12;
+    }
+
+    // Equity curve
+    heading('Equity Curve');
+    const chart = { x: margin, top, width: right - margin, height: 160 };
+    const values = report.equity_curve.map(point => point.equity);
+    const low = Math.min(...values, report.starting_balance);
+    const high = Math.max(...values, report.starting_balance);
+    const span = high - low || 1;
+    const monthStart = Date.parse(`${report.month}-01T00:00:00Z`);
+    const monthDays = new Date(Date.UTC(Number(report.month.slice(0, 4)), Number(report.month.slice(5, 7)), 0)).getUTCDate();
+    const scaleY = value => chart.top + chart.height - (value - low) / span * chart.height;
+    const scaleX = date => chart.x + (Date.parse(`${date}T00:00:00Z`) - monthStart) / (monthDays * 86400000) * chart.width;
+
+    pdf.rect(chart.x, chart.top, chart.width, chart.height, { stroke: COLORS.rule });
+    pdf.line(chart.x, scaleY(report.starting_balance), chart.x + chart.width, scaleY(report.starting_balance),
+        { color: COLORS.rule, width: 0.5 });
+
+    // Steps: equity holds between trade days
+    const points = [];
+    report.equity_curve.forEach((point, index) => {
+        if (index > 0) points.push([scaleX(point.date), scaleY(report.equity_curve[index - 1].equity)]);
+        points.push([scaleX(point.date), scaleY(point.equity)]);
+    });
+    points.push([chart.x + chart.width, points[points.length - 1][1]]);
+    pdf.polyline(points, { color: pnlColor(summary.pnl) === COLORS.text ? COLORS.accent : pnlColor(summary.pnl), width: 1.5 });
+
+    pdf.text(chart.x + 4, chart.top + 10, formatMoney(high, currency), { size: 7, color: COLORS.muted });
+    pdf.text(chart.x + 4, chart.top + chart.height - 4, formatMoney(low, currency), { size: 7, color: COLORS.muted });
+    top += chart.height + 12;
+    pdf.text(chart.x, top, `1 ${formatMonth(report.month)}`, { size: 7, color: COLORS.muted });
+    pdf.text(right, top, `${monthDays} ${formatMonth(report.month)}`, { size: 7, color: COLORS.muted, align: 'right' });
+    top += 10;
+
+    // Monthly returns
+    heading('Monthly Returns');
+    table([
+        { label: 'Month', x: margin, value: row => formatMonth(row.month) },
+        { label: 'Trades', x: 200, align: 'right', value: row => String(row.trades) },
+        { label: 'Win Rate', x: 260, align: 'right', value: row => `${row.win_rate}%` },
+        { label: 'Pips', x: 320, align: 'right', value: row => String(row.pips) },
+        { label: 'P&L', x: 420, align: 'right', value: row => formatMoney(row.pnl, currency), color: row => pnlColor(row.pnl) },
+        { label: 'Return', x: 480, align: 'right', value: row => formatPercent(row.return_percent), color: row => pnlColor(row.return_percent) },
+        { label: 'Max DD', x: right, align: 'right', value: row => `${row.max_drawdown_percent}%` }
+    ], [...report.monthly_returns].reverse(), 'No trades');
+
+    // Best and worst trades
+    const tradeColumns = [
+        { label: 'Closed', x: margin, value: row => String(row.closed_at).slice(0, 10) },
+        { label: 'Symbol', x: 110, value: row => row.symbol },
+        { label: 'Side', x: 180, value: row => String(row.action || '-').toUpperCase() },
+        { label: 'Pips', x: 280, align: 'right', value: row => row.pips === null || row.pips === undefined ? '-' : String(row.pips) },
+        { label: 'R', x: 330, align: 'right', value: row => row.r_multiple === null || row.r_multiple === undefined ? '-' : String(row.r_multiple) },
+        { label: 'P&L', x: 450, align: 'right', value: row => formatMoney(row.pnl, currency), color: row => pnlColor(row.pnl) },
+        { label: 'Return', x: right, align: 'right', value: row => formatPercent(row.return_percent), color: row => pnlColor(row.pnl) }
+    ];
+
+    heading('Best Trades');
+    table(tradeColumns, report.best_trades, 'No winning trades this month');
+    heading('Worst Trades');
+    table(tradeColumns, report.worst_trades, 'No losing trades this month');
+
+    // Signal stats for the member's tier
+    const stats = report.signal_stats;
+    heading(`Signal Performance${stats.tier ? ` - ${stats.tier} tier` : ''}`);
+    table([
+        { label: 'Type', x: margin, value: row => row.key },
+        { label: 'Signals', x: 160, align: 'right', value: row => String(row.totalSignals) },
+        { label: 'Win Rate', x: 220, align: 'right', value: row => `${row.winRate}%` },
+        { label: 'Pips', x: 290, align: 'right', value: row => String(row.totalPips), color: row => pnlColor(row.totalPips) },
+        { label: 'Avg R', x: 350, align: 'right', value: row => String(row.avgRMultiple) },
+        { label: 'Expectancy', x: 430, align: 'right', value: row => String(row.expectancy) },
+        { label: 'Max DD (pips)', x: right, align: 'right', value: row => String(row.maxDrawdown) }
+    ], stats.totalSignals > 0 ? [{ key: 'All signals', ...stats }, ...stats.by_type] : [], 'No signals closed this month');
+
+    ensureSpace(30);
+    top += 16;
+    pdf.text(margin, top, `Generated ${report.generated_at.slice(0, 16).replace('T', ' ')} UTC. Past performance does not guarantee future results.`,
+        { size: 7, color: COLORS.muted });
+
+    return pdf.toBuffer();
+}
+
+/**
+ * Render a statement in one of REPORT_FORMATS. Returns { body, filename, contentType }.
+ */
+function exportReport(report, format) {
+    const fileType = FILE_TYPES[format];
+
+    return {
+        body: format === 'pdf' ? formatReportPdf(report) : formatReportCsv(report),
+        filename: `tha-statement-${report.month}-${report.source}.${fileType.extension}`,
+        contentType: fileType.contentType
+    };
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    formatMonth,
+    formatReportCsv,
+    formatReportPdf,
+    exportReport
+};
@@ -0,0 +1,199 @@
+// api/reports/report-scheduler.js
+// Month-end statements: once a month has finished, generate each member's statement for it,
+// store the snapshot in performance_reports and send a notification linking to it.
+// Members opt out with user_profiles.preferences.reports.monthly = false.
+const { loadSignalEntries, loadJournalEntries, generatePerformanceReport, getPreviousMonth, getMonthRange } = require('./performance-report');
+const { formatMonth } = require('./report-files');
+
+// Members looked at per page, and statements generated per tick so one tick stays short
+const PAGE_SIZE = 100;
+const MAX_REPORTS_PER_TICK = 200;
+
+const HOUR = 60 * 60 * 1000;
+
+function wantsMonthlyReport(profile) {
+    return profile.preferences?.reports?.monthly !== false;
+}
+
+// Members who get statements: active subscribers and admins, one page at a time
+async function loadMembers(supabase, offset) {
+    const { data, error } = await supabase
+        .from('user_profiles')
+        .select('*')
+        .or('subscription_status.eq.active,is_admin.eq.true')
+        .order('id', { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+        throw error;
+    }
+
+    return data || [];
+}
+
+// Of `userIds`, those who already have this month's statement
+async function loadReportedUsers(supabase, month, userIds) {
+    const { data, error } = await supabase
+        .from('performance_reports')
+        .select('user_id')
+        .eq('month', month)
+        .eq('source', 'signals')
+        .in('user_id', userIds);
+
+    if (error) {
+        throw error;
+    }
+
+    return new Set((data || []).map(row => row.user_id));
+}
+
+/**
+ * Generate, store and announce one member's statements for `month`. A journal statement
+ * is added when they closed journal trades that month. Returns false when another run
+ * stored the signals statement first, in which case nothing is sent.
+ */
+async function sendMonthlyReport(supabase, profile, { month, signalEntries, now = new Date() }) {
+    const { start, end } = getMonthRange(month);
+    const journalEntries = await loadJournalEntries(supabase, profile.id, month);
+    const hasJournal = journalEntries.some(entry => entry.closed_at >= start && entry.closed_at < end);
+
+    const reports = [await generatePerformanceReport(supabase, profile, { month, source: 'signals', signalEntries, now })];
+    if (hasJournal) {
+        reports.push(await generatePerformanceReport(supabase, profile, { month, source: 'journal', signalEntries, now }));
+    }
+
+    // The unique key turns a concurrent duplicate into a no-op that returns no rows
+    const { data: stored, error } = await supabase
+        .from('performance_reports')
+        .upsert(reports.map(report => ({
+            user_id: profile.id,
+            month,
+            source: report.source,
+            report
+        })), { onConflict: 'user_id,month,source', ignoreDuplicates: true })
+        .select('source');
+
+    if (error) {
+        throw error;
+    }
+
+    if (!(stored || []).some(row => row.source === 'signals')) {
+        return false;
+    }
+
+    const summary = reports[0].summary;
+    const trades = summary.trades === 1 ? '1 trade' : `${summary.trades} trades`;
+    const { error: notifyError } = await supabase
+        .from('notifications')
+        .insert({
+            user_id: profile.id,
+            title: `Your ${formatMonth(month)} statement is ready`,
+            message: summary.trades > 0
+                ? `Following our signals returned ${summary.return_percent}% over ${trades}. Download it as PDF or CSV.`
+                : 'No signals on your plan closed this month. Download your statement as PDF or CSV.',
+            type: 'info',
+            action_url: `/pages/dashboard/index.html?report=${month}`,
+            data: { month, sources: reports.map(report => report.source) }
+        });
+
+    if (notifyError) console.error('Monthly report notification error:', notifyError.message);
+
+    return true;
+}
+
+/**
+ * Send last month's statements to every member who does not have one yet, up to
+ * MAX_REPORTS_PER_TICK; the rest follow on later ticks.
+ */
+async function sendMonthlyReports(supabase, { now = new Date() } = {}) {
+    const month = getPreviousMonth(now);
+    const summary = { month, sent: 0, failed: 0 };
+    let signalEntries = null;
+    let offset = 0;
+
+    while (summary.sent + summary.failed < MAX_REPORTS_PER_TICK) {
+        const members = await loadMembers(supabase, offset);
+        if (members.length === 0) break;
+        offset += members.length;
+
+        const reported = await loadReportedUsers(supabase, month, members.map(member => member.id));
+        const pending = members.filter(member => wantsMonthlyReport(member) && !reported.has(member.id));
+
+        for (const profile of pending) {
+            if (summary.sent + summary.failed >= MAX_REPORTS_PER_TICK) break;
+
+            try {
+                // Every statement this month shares one load of the closed-signal ledger
+                if (!signalEntries) signalEntries = await loadSignalEntries(supabase, month);
+
+                if (await sendMonthlyReport(supabase, profile, { month, signalEntries, now })) {
+                    summary.sent++;
+                }
+            } catch (error) {
+                console.error(`Monthly report error for ${profile.id}:`, error.message);
+                summary.failed++;
+            }
+        }
+
+        if (members.length < PAGE_SIZE) break;
+    }
+
+    return summary;
+}
+
+/**
+ * Check for unsent statements every `interval` ms. Ticks never overlap; once every
+ * member has last month's statement a tick is one query per page of members.
+ */
+function createMonthlyReportScheduler(options = {}) {
+    const { supabase, interval = HOUR } = options;
+
+    if (!supabase) {
+        throw new Error('createMonthlyReportScheduler requires a Supabase client');
+    }
+
+    let timer = null;
+    let running = false;
+
+    async function tick() {
+        if (running) return null;
+        running = true;
+
+        try {
+            const summary = await sendMonthlyReports(supabase, { now: new Date() });
+
+            if (summary.sent > 0 || summary.failed > 0) {
+                console.log(`📊 Sent ${summary.sent} ${summary.month} statements (${summary.failed} failed)`);
+            }
+
+            return summary;
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        timer = setInterval(() => {
+            tick().catch(error => console.error('Monthly report error:', error.message));
+        }, interval);
+
+        return tick();
+    }
+
+    function stop() {
+        clearInterval(timer);
+    }
+
+    return {
+        start,
+        stop,
+        tick
+    };
+}
+
+module.exports = {
+    wantsMonthlyReport,
+    sendMonthlyReport,
+    sendMonthlyReports,
+    createMonthlyReportScheduler
+};
@@ -0,0 +1,234 @@
+// api/reports/routes.js
+// Monthly statements: the stored month-end snapshots, live statements for any month to date,
+// PDF/CSV downloads and the member's opt-out from the month-end notification
+const express = require('express');
+const admin = require('firebase-admin');
+const { createClient } = require('@supabase/supabase-js');
+const { REPORT_SOURCES, isReportMonth, generatePerformanceReport } = require('./performance-report');
+const { REPORT_FORMATS, exportReport } = require('./report-files');
+const router = express.Router();
+
+// Initialize Supabase
+const supabaseUrl = process.env.SUPABASE_URL || 'https://vjxnwqjlaxrvqctiphhb.supabase.co';
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// Middleware to verify Firebase token
+async function verifyFirebaseToken(req, res, next) {
+    try {
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({
+                error: 'No valid authorization token provided'
+            });
+        }
+
+        const token = authHeader.substring(7);
+        const decodedToken = await admin.auth().verifyIdToken(token);
+
+        // Get user profile from Supabase
+        const { data: userProfile, error } = await supabase
+            .from('user_profiles')
+            .select('*')
+            .eq('id', decodedToken.uid)
+            .single();
+
+        if (error || !userProfile) {
+            return res.status(404).json({
+                error: 'User profile not found'
+            });
+        }
+
+        req.user = {
+            uid: decodedToken.uid,
+            email: decodedToken.email,
+            role: userProfile.role,
+            isAdmin: userProfile.is_admin,
+            subscriptionTier: userProfile.subscription_tier,
+            profile: userProfile
+        };
+
+        next();
+    } catch (error) {
+        console.error('Auth middleware error:', error);
+        return res.status(401).json({
+            error: 'Invalid or expired token'
+        });
+    }
+}
+
+/**
+ * The statement for req.params.month in query source/currency. A finished month uses the
+ * snapshot sent at month end unless another currency is asked for; anything else is
+ * generated now. Sends a 400 and returns null for a bad month, source or currency.
+ */
+async function resolveReport(req, res) {
+    const { month } = req.params;
+    const source = req.query.source || 'signals';
+    const currency = req.query.currency ? String(req.query.currency).toUpperCase() : null;
+    const errors = [];
+
+    if (!isReportMonth(month)) {
+        errors.push('month must be YYYY-MM');
+    } else if (month > new Date().toISOString().slice(0, 7)) {
+        errors.push('month cannot be in the future');
+    }
+
+    if (!REPORT_SOURCES.includes(source)) {
+        errors.push(`source must be one of: ${REPORT_SOURCES.join(', ')}`);
+    }
+
+    if (currency && !/^[A-Z]{3}$/.test(currency)) {
+        errors.push('currency must be a 3-letter code');
+    }
+
+    if (errors.length > 0) {
+        res.status(400).json({
+            error: 'Invalid report request',
+            details: errors
+        });
+        return null;
+    }
+
+    if (!currency) {
+        const { data: stored, error } = await supabase
+            .from('performance_reports')
+            .select('report')
+            .eq('user_id', req.user.uid)
+            .eq('month', month)
+            .eq('source', source)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (stored) {
+            return stored.report;
+        }
+    }
+
+    return generatePerformanceReport(supabase, req.user.profile, { month, source, currency });
+}
+
+// GET /api/reports - List the caller's month-end statements, newest first
+router.get('/', verifyFirebaseToken, async (req, res) => {
+    try {
+        const { data: reports, error } = await supabase
+            .from('performance_reports')
+            .select('id, month, source, created_at, summary:report->summary, currency:report->currency')
+            .eq('user_id', req.user.uid)
+            .order('month', { ascending: false })
+            .order('source', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            reports,
+            settings: {
+                monthly: req.user.profile.preferences?.reports?.monthly !== false
+            }
+        });
+
+    } catch (error) {
+        console.error('Get reports error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch reports'
+        });
+    }
+});
+
+// PUT /api/reports/settings - Turn the month-end statement notification on or off
+// Body: monthly (boolean)
+router.put('/settings', verifyFirebaseToken, async (req, res) => {
+    try {
+        const { monthly } = req.body || {};
+
+        if (typeof monthly !== 'boolean') {
+            return res.status(400).json({
+                error: 'Invalid report settings',
+                details: ['monthly must be true or false']
+            });
+        }
+
+        const preferences = req.user.profile.preferences || {};
+        const reports = { ...(preferences.reports || {}), monthly };
+
+        const { error } = await supabase
+            .from('user_profiles')
+            .update({ preferences: { ...preferences, reports } })
+            .eq('id', req.user.uid);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: monthly ? 'Monthly statements turned on' : 'Monthly statements turned off',
+            settings: reports
+        });
+
+    } catch (error) {
+        console.error('Update report settings error:', error);
+        res.status(500).json({
+            error: 'Failed to save report settings'
+        });
+    }
+});
+
+// GET /api/reports/:month - Statement for a month (YYYY-MM)
+// Query: source (signals|journal), currency (journal statements in another account currency)
+router.get('/:month', verifyFirebaseToken, async (req, res) => {
+    try {
+        const report = await resolveReport(req, res);
+        if (!report) return;
+
+        res.json({
+            success: true,
+            report
+        });
+
+    } catch (error) {
+        console.error('Get report error:', error);
+        res.status(500).json({
+            error: 'Failed to generate report'
+        });
+    }
+});
+
+// GET /api/reports/:month/download - Statement as a file
+// Query: format (pdf|csv), source, currency
+router.get('/:month/download', verifyFirebaseToken, async (req, res) => {
+    try {
+        const format = req.query.format || 'pdf';
+
+        if (!REPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                error: 'Invalid report request',
+                details: [`format must be one of: ${REPORT_FORMATS.join(', ')}`]
+            });
+        }
+
+        const report = await resolveReport(req, res);
+        if (!report) return;
+
+        const file = exportReport(report, format);
+
+        res.attachment(file.filename);
+        res.type(file.contentType);
+        res.send(file.body);
+
+    } catch (error) {
+        console.error('Download report error:', error);
+        res.status(500).json({
+            error: 'Failed to download report'
+        });
+    }
+});
+
+module.exports = router;
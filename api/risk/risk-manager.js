@@ -0,0 +1,190 @@
+// api/risk/risk-manager.js
+// Position sizing for every instrument family from its contract spec, and the member's
+// per-trade and daily risk limits. Sizes come from THA_Utils.trading.calculatePositionSize()
+// with the quote -> account currency rate, so crosses and JPY pairs size correctly.
+const THA_Utils = require('../../assets/js/utils');
+const { getInstrumentType } = require('../market/symbols');
+const { getQuoteCurrency } = require('../market/fx-rates');
+const { getPipSize, toNumber, round } = require('../signals/signal-math');
+const { getContractSize } = require('../signals/signal-export');
+const { INSTRUMENT_TYPES } = require('../journal/trade-journal');
+
+// Order sizes brokers accept per family; forex and commodities trade in lots, the rest in units
+const SIZE_STEPS = {
+    forex: { unit: 'lots', step: 0.01, min: 0.01 },
+    commodities: { unit: 'lots', step: 0.01, min: 0.01 },
+    crypto: { unit: 'units', step: 0.001, min: 0.001 },
+    indices: { unit: 'units', step: 0.1, min: 0.1 },
+    stocks: { unit: 'units', step: 1, min: 1 }
+};
+
+// Limits used until a member saves their own (percent of the account balance)
+const DEFAULT_RISK_SETTINGS = {
+    max_risk_per_trade: 2,
+    max_daily_risk: 6,
+    default_risk_percent: 1,
+    account_balance: 10000,
+    account_currency: 'USD'
+};
+
+// Contract spec for a symbol: contract size, pip size, quote currency and order size step
+function getInstrumentSpec(symbol, instrumentType = null) {
+    const type = INSTRUMENT_TYPES.includes(instrumentType) ? instrumentType : getInstrumentType(symbol);
+    const sizing = SIZE_STEPS[type];
+
+    return {
+        symbol,
+        instrument_type: type,
+        contract_size: getContractSize(symbol, type),
+        pip_size: getPipSize(symbol, type),
+        quote_currency: getQuoteCurrency(symbol),
+        size_unit: sizing.unit,
+        size_step: sizing.step,
+        min_size: sizing.min
+    };
+}
+
+// Round down to the order step so the risk taken never exceeds the risk asked for
+function toOrderSize(contracts, step) {
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    return parseFloat((Math.floor(contracts / step + 1e-9) * step).toFixed(decimals));
+}
+
+/**
+ * Size a trade to risk `risk_percent` of `account_balance` between entry and stop.
+ * conversionRate turns the instrument's quote currency into the account currency.
+ * Returns { calculation } or { errors } when the inputs cannot be sized.
+ */
+function calculatePositionRisk(input, conversionRate) {
+    const errors = [];
+    const entry = toNumber(input.entry_price);
+    const stop = toNumber(input.stop_loss);
+    const target = toNumber(input.take_profit);
+    const balance = toNumber(input.account_balance);
+    const riskPercent = toNumber(input.risk_percent);
+    const leverage = toNumber(input.leverage);
+
+    if (!(entry > 0) || !(stop > 0)) errors.push('entry_price and stop_loss must be positive numbers');
+    if (entry === stop) errors.push('stop_loss must differ from entry_price');
+    if (!(balance > 0)) errors.push('account_balance must be a positive number');
+    if (!(riskPercent > 0 && riskPercent <= 100)) errors.push('risk_percent must be between 0 and 100');
+    if (!(conversionRate > 0)) errors.push('conversion_rate must be a positive number');
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    const spec = getInstrumentSpec(input.symbol, input.instrument_type);
+    const distance = Math.abs(entry - stop);
+    const units = THA_Utils.trading.calculatePositionSize(balance, riskPercent, entry, stop, conversionRate);
+    const size = toOrderSize(units / spec.contract_size, spec.size_step);
+    const contracts = size * spec.contract_size;
+    const pipValue = THA_Utils.trading.calculatePipValue(spec.symbol, input.account_currency, spec.contract_size, {
+        conversionRate,
+        pipSize: spec.pip_size
+    });
+    const riskAmount = contracts * distance * conversionRate;
+    const rewardAmount = target !== null ? contracts * Math.abs(target - entry) * conversionRate : null;
+    const notional = contracts * entry * conversionRate;
+    const warnings = [];
+
+    if (size < spec.min_size) {
+        warnings.push(`The risk allowed is too small for the minimum size of ${spec.min_size} ${spec.size_unit}`);
+    }
+
+    return {
+        calculation: {
+            ...spec,
+            account_currency: input.account_currency,
+            conversion_rate: conversionRate,
+            stop_distance: round(distance, 8),
+            stop_pips: round(distance / spec.pip_size, 1),
+            target_risk_amount: round(balance * riskPercent / 100),
+            size,
+            units: round(contracts, 6),
+            pip_value: round(pipValue, 4),
+            position_pip_value: round(pipValue * size, 4),
+            risk_amount: round(riskAmount),
+            risk_percent: round(riskAmount / balance * 100, 3),
+            reward_amount: rewardAmount !== null ? round(rewardAmount) : null,
+            risk_reward: rewardAmount !== null && riskAmount > 0 ? round(rewardAmount / riskAmount) : null,
+            notional: round(notional),
+            margin: leverage > 0 ? round(notional / leverage) : null,
+            warnings
+        }
+    };
+}
+
+/**
+ * Check a trade's risk against the member's limits. usedToday is the percent already
+ * committed since midnight UTC. Returns the violations and the most the next trade may risk.
+ */
+function checkRiskLimits(settings, riskPercent, usedToday) {
+    const violations = [];
+    const remainingToday = Math.max(0, settings.max_daily_risk - usedToday);
+
+    if (riskPercent > settings.max_risk_per_trade) {
+        violations.push(`Risk of ${riskPercent}% exceeds your ${settings.max_risk_per_trade}% per-trade limit`);
+    }
+
+    if (riskPercent > remainingToday) {
+        violations.push(`Only ${round(remainingToday, 3)}% of your ${settings.max_daily_risk}% daily risk is left`);
+    }
+
+    return {
+        max_risk_per_trade: settings.max_risk_per_trade,
+        max_daily_risk: settings.max_daily_risk,
+        used_today: round(usedToday, 3),
+        remaining_today: round(remainingToday, 3),
+        max_allowed: round(Math.min(settings.max_risk_per_trade, remainingToday), 3),
+        violations
+    };
+}
+
+// A member's risk settings: their saved values over the defaults
+function resolveRiskSettings(preferences) {
+    return { ...DEFAULT_RISK_SETTINGS, ...(preferences?.risk || {}) };
+}
+
+// Risk settings from the request body merged over the current ones, as { settings, errors }
+function pickRiskSettings(body, current) {
+    const settings = { ...current };
+    const errors = [];
+
+    ['max_risk_per_trade', 'max_daily_risk', 'default_risk_percent'].forEach(field => {
+        if (body[field] !== undefined) {
+            settings[field] = toNumber(body[field]);
+            if (!(settings[field] > 0 && settings[field] <= 100)) errors.push(`${field} must be between 0 and 100`);
+        }
+    });
+
+    if (body.account_balance !== undefined) {
+        settings.account_balance = toNumber(body.account_balance);
+        if (!(settings.account_balance > 0)) errors.push('account_balance must be a positive number');
+    }
+
+    if (body.account_currency !== undefined) {
+        settings.account_currency = String(body.account_currency || '').trim().toUpperCase();
+        if (!/^[A-Z]{3}$/.test(settings.account_currency)) errors.push('account_currency must be a 3-letter currency code');
+    }
+
+    if (errors.length === 0) {
+        if (settings.max_daily_risk < settings.max_risk_per_trade) {
+            errors.push('max_daily_risk cannot be lower than max_risk_per_trade');
+        }
+        if (settings.default_risk_percent > settings.max_risk_per_trade) {
+            errors.push('default_risk_percent cannot exceed max_risk_per_trade');
+        }
+    }
+
+    return { settings, errors };
+}
+
+module.exports = {
+    DEFAULT_RISK_SETTINGS,
+    getInstrumentSpec,
+    calculatePositionRisk,
+    checkRiskLimits,
+    resolveRiskSettings,
+    pickRiskSettings
+};
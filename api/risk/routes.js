@@ -0,0 +1,368 @@
+// api/risk/routes.js
+// Risk calculator: position sizing for any instrument, the member's per-trade and daily
+// limits, and the ledger of committed risk the daily limit is enforced against
+const express = require('express');
+const admin = require('firebase-admin');
+const { createClient } = require('@supabase/supabase-js');
+const { getConversionRate } = require('../market/fx-rates');
+const { normalizeSymbol } = require('../market/symbols');
+const { toNumber } = require('../signals/signal-math');
+const {
+    getInstrumentSpec,
+    calculatePositionRisk,
+    checkRiskLimits,
+    resolveRiskSettings,
+    pickRiskSettings
+} = require('./risk-manager');
+const router = express.Router();
+
+// Initialize Supabase
+const supabaseUrl = process.env.SUPABASE_URL || 'https://vjxnwqjlaxrvqctiphhb.supabase.co';
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// Middleware to verify Firebase token
+async function verifyFirebaseToken(req, res, next) {
+    try {
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({
+                error: 'No valid authorization token provided'
+            });
+        }
+
+        const token = authHeader.substring(7);
+        const decodedToken = await admin.auth().verifyIdToken(token);
+
+        // Get user profile from Supabase
+        const { data: userProfile, error } = await supabase
+            .from('user_profiles')
+            .select('*')
+            .eq('id', decodedToken.uid)
+            .single();
+
+        if (error || !userProfile) {
+            return res.status(404).json({
+                error: 'User profile not found'
+            });
+        }
+
+        req.user = {
+            uid: decodedToken.uid,
+            email: decodedToken.email,
+            role: userProfile.role,
+            isAdmin: userProfile.is_admin,
+            subscriptionTier: userProfile.subscription_tier,
+            profile: userProfile
+        };
+
+        next();
+    } catch (error) {
+        console.error('Auth middleware error:', error);
+        return res.status(401).json({
+            error: 'Invalid or expired token'
+        });
+    }
+}
+
+// Start of the current UTC day; daily risk resets at midnight UTC
+function startOfToday() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())).toISOString();
+}
+
+// Today's committed trades and the percent of risk they used
+async function getTodayUsage(userId) {
+    const { data: entries, error } = await supabase
+        .from('risk_ledger')
+        .select('*')
+        .eq('user_id', userId)
+        .gte('created_at', startOfToday())
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        throw error;
+    }
+
+    return {
+        entries,
+        usedPercent: entries.reduce((sum, entry) => sum + (toNumber(entry.risk_percent) || 0), 0)
+    };
+}
+
+/**
+ * Size the trade in the request body and check it against the caller's limits. Sends
+ * 400 and returns null when the inputs are invalid or no conversion rate is available.
+ */
+async function sizeTrade(req, res) {
+    const settings = resolveRiskSettings(req.user.profile.preferences);
+    const body = req.body || {};
+    const symbol = normalizeSymbol(body.symbol);
+
+    if (!symbol) {
+        res.status(400).json({
+            error: 'Invalid trade',
+            details: ['symbol is not a valid trading symbol']
+        });
+        return null;
+    }
+
+    const input = {
+        symbol,
+        instrument_type: body.instrument_type,
+        entry_price: body.entry_price,
+        stop_loss: body.stop_loss,
+        take_profit: body.take_profit,
+        leverage: body.leverage,
+        account_balance: body.account_balance ?? settings.account_balance,
+        account_currency: String(body.account_currency || settings.account_currency).toUpperCase(),
+        risk_percent: body.risk_percent ?? settings.default_risk_percent
+    };
+
+    const spec = getInstrumentSpec(symbol, input.instrument_type);
+    const conversionRate = toNumber(body.conversion_rate) ??
+        await getConversionRate(spec.quote_currency, input.account_currency);
+
+    if (!conversionRate) {
+        res.status(400).json({
+            error: `No ${spec.quote_currency}/${input.account_currency} rate is available; provide conversion_rate`
+        });
+        return null;
+    }
+
+    const { calculation, errors } = calculatePositionRisk(input, conversionRate);
+
+    if (errors) {
+        res.status(400).json({
+            error: 'Invalid trade',
+            details: errors
+        });
+        return null;
+    }
+
+    const usage = await getTodayUsage(req.user.uid);
+
+    return {
+        calculation,
+        limits: checkRiskLimits(settings, calculation.risk_percent, usage.usedPercent),
+        settings
+    };
+}
+
+// GET /api/risk/settings - The caller's risk limits and sizing defaults
+router.get('/settings', verifyFirebaseToken, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            settings: resolveRiskSettings(req.user.profile.preferences)
+        });
+
+    } catch (error) {
+        console.error('Get risk settings error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch risk settings'
+        });
+    }
+});
+
+// PUT /api/risk/settings - Save risk limits and sizing defaults
+// Body: max_risk_per_trade, max_daily_risk, default_risk_percent (percent of balance),
+// account_balance, account_currency
+router.put('/settings', verifyFirebaseToken, async (req, res) => {
+    try {
+        const preferences = req.user.profile.preferences || {};
+        const { settings, errors } = pickRiskSettings(req.body || {}, resolveRiskSettings(preferences));
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid risk settings',
+                details: errors
+            });
+        }
+
+        const { error } = await supabase
+            .from('user_profiles')
+            .update({ preferences: { ...preferences, risk: settings } })
+            .eq('id', req.user.uid);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Risk settings saved',
+            settings
+        });
+
+    } catch (error) {
+        console.error('Update risk settings error:', error);
+        res.status(500).json({
+            error: 'Failed to save risk settings'
+        });
+    }
+});
+
+// GET /api/risk/specs/:symbol - Contract spec for a symbol; query instrument_type overrides the guess
+router.get('/specs/:symbol', verifyFirebaseToken, async (req, res) => {
+    try {
+        const symbol = normalizeSymbol(req.params.symbol);
+
+        if (!symbol) {
+            return res.status(400).json({
+                error: 'Invalid symbol'
+            });
+        }
+
+        res.json({
+            success: true,
+            spec: getInstrumentSpec(symbol, req.query.instrument_type)
+        });
+
+    } catch (error) {
+        console.error('Get instrument spec error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch instrument spec'
+        });
+    }
+});
+
+// POST /api/risk/calculate - Size a trade and check it against the caller's limits
+// Body: symbol, instrument_type, entry_price, stop_loss, take_profit, leverage, account_balance,
+// account_currency, risk_percent (defaults from the settings), conversion_rate (else the market rate)
+router.post('/calculate', verifyFirebaseToken, async (req, res) => {
+    try {
+        const result = await sizeTrade(req, res);
+        if (!result) return;
+
+        res.json({
+            success: true,
+            calculation: result.calculation,
+            limits: result.limits
+        });
+
+    } catch (error) {
+        console.error('Risk calculation error:', error);
+        res.status(500).json({
+            error: 'Failed to calculate position size'
+        });
+    }
+});
+
+// GET /api/risk/usage - Risk committed today (UTC) and what is left of the daily limit
+router.get('/usage', verifyFirebaseToken, async (req, res) => {
+    try {
+        const settings = resolveRiskSettings(req.user.profile.preferences);
+        const usage = await getTodayUsage(req.user.uid);
+
+        res.json({
+            success: true,
+            entries: usage.entries,
+            limits: checkRiskLimits(settings, 0, usage.usedPercent)
+        });
+
+    } catch (error) {
+        console.error('Get risk usage error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch risk usage'
+        });
+    }
+});
+
+// POST /api/risk/commit - Record a sized trade against today's risk; refused over either limit
+// Body: as /calculate, plus action and signal_id
+router.post('/commit', verifyFirebaseToken, async (req, res) => {
+    try {
+        const result = await sizeTrade(req, res);
+        if (!result) return;
+
+        const { calculation, limits } = result;
+
+        if (limits.violations.length > 0) {
+            return res.status(400).json({
+                error: 'Risk limit exceeded',
+                details: limits.violations,
+                limits
+            });
+        }
+
+        if (calculation.size < calculation.min_size) {
+            return res.status(400).json({
+                error: 'Invalid trade',
+                details: calculation.warnings
+            });
+        }
+
+        const { data: entry, error } = await supabase
+            .from('risk_ledger')
+            .insert([{
+                user_id: req.user.uid,
+                signal_id: req.body.signal_id || null,
+                symbol: calculation.symbol,
+                instrument_type: calculation.instrument_type,
+                action: ['buy', 'sell'].includes(req.body.action) ? req.body.action : null,
+                size: calculation.size,
+                entry_price: toNumber(req.body.entry_price),
+                stop_loss: toNumber(req.body.stop_loss),
+                risk_amount: calculation.risk_amount,
+                risk_percent: calculation.risk_percent,
+                account_currency: calculation.account_currency
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Trade risk recorded',
+            entry,
+            calculation,
+            limits: checkRiskLimits(result.settings, 0, limits.used_today + calculation.risk_percent)
+        });
+
+    } catch (error) {
+        console.error('Commit risk error:', error);
+        res.status(500).json({
+            error: 'Failed to record trade risk'
+        });
+    }
+});
+
+// DELETE /api/risk/ledger/:id - Withdraw a committed trade that was not taken
+router.delete('/ledger/:id', verifyFirebaseToken, async (req, res) => {
+    try {
+        const { data: deleted, error } = await supabase
+            .from('risk_ledger')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.uid)
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!deleted || deleted.length === 0) {
+            return res.status(404).json({
+                error: 'Ledger entry not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Trade risk withdrawn'
+        });
+
+    } catch (error) {
+        console.error('Delete risk ledger entry error:', error);
+        res.status(500).json({
+            error: 'Failed to withdraw trade risk'
+        });
+    }
+});
+
+module.exports = router;
@@ -20,7 +20,7 @@ app.use(helmet({
             scriptSrc: ["'self'", "'unsafe-inline'", "cdnjs.cloudflare.com", "js.stripe.com"],
             fontSrc: ["'self'", "fonts.gstatic.com", "cdnjs.cloudflare.com"],
             imgSrc: ["'self'", "data:", "*.stripe.com"],
-            connectSrc: ["'self'", "vjxnwqjlaxrvqctiphhb.supabase.co", "api.stripe.com", "*.vercel.app"],
+            connectSrc: ["'self'", "vjxnwqjlaxrvqctiphhb.supabase.co", "api.stripe.com", "*.vercel.app", "wss://ws.tradershelmet.com", "wss://staging-ws.tradershelmet.com"],
             frameSrc: ["js.stripe.com", "hooks.stripe.com"]
         }
     }
@@ -52,7 +52,9 @@ const corsOptions = {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    // Export downloads are named by the server
+    exposedHeaders: ['Content-Disposition']
 };
 
 app.use(cors(corsOptions));
@@ -62,7 +64,13 @@ app.use(compression());
 app.use(morgan('combined'));
 
 // Body parsing
-app.use(express.json({ limit: '10mb' }));
+// The raw bytes are kept for webhooks whose HMAC signature covers the exact body
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static file serving - Fixed paths for Vercel
@@ -138,6 +146,102 @@ function loadRoutesSafely() {
             });
         });
         
+        app.use('/api/signals', (req, res) => {
+            res.status(503).json({
+                error: 'Service temporarily unavailable',
+                message: 'Signals service is not properly configured',
+                code: 'ENV_CONFIG_ERROR'
+            });
+        });
+        
+        app.use('/api/admin', (req, res) => {
+            res.status(503).json({
+                error: 'Service temporarily unavailable',
+                message: 'Admin service is not properly configured',
+                code: 'ENV_CONFIG_ERROR'
+            });
+        });
+        
+        app.use('/api/market', (req, res) => {
+            res.status(503).json({
+                error: 'Service temporarily unavailable',
+                message: 'Market data service is not properly configured',
+                code: 'ENV_CONFIG_ERROR'
+            });
+        });
+        
+        app.use('/api/alerts', (req, res) => {
+            res.status(503).json({
+                error: 'Service temporarily unavailable',
+                message: 'Alerts service is not properly configured',
+                code: 'ENV_CONFIG_ERROR'
+            });
+        });
+        
+        app.use('/api/watchlists', (req, res) => {
+            res.status(503).json({
+                error: 'Service temporarily unavailable',
+                message: 'Watchlist service is not properly configured',
+                code: 'ENV_CONFIG_ERROR'
+            });
+        });
+        
+        app.use('/api/webhooks', (req, res) => {
+            res.status(503).json({
+                error: 'Service temporarily unavailable',
+                message: 'Webhook service is not properly configured',
+                code: 'ENV_CONFIG_ERROR'
+            });
+        });
+        
+        app.use('/api/analysts', (req, res) => {
+            res.status(503).json({
+                error: 'Service temporarily unavailable',
+                message: 'Analyst service is not properly configured',
+                code: 'ENV_CONFIG_ERROR'
+            });
+        });
+        
+        app.use('/api/journal', (req, res) => {
+            res.status(503).json({
+                error: 'Service temporarily unavailable',
+                message: 'Journal service is not properly configured',
+                code: 'ENV_CONFIG_ERROR'
+            });
+        });
+        
+        app.use('/api/portfolio', (req, res) => {
+            res.status(503).json({
+                error: 'Service temporarily unavailable',
+                message: 'Portfolio service is not properly configured',
+                code: 'ENV_CONFIG_ERROR'
+            });
+        });
+        
+        app.use('/api/risk', (req, res) => {
+            res.status(503).json({
+                error: 'Service temporarily unavailable',
+                message: 'Risk service is not properly configured',
+                code: 'ENV_CONFIG_ERROR'
+            });
+        });
+        
+        app.use('/api/paper', (req, res) => {
+            res.status(503).json({
+                error: 'Service temporarily unavailable',
+                message: 'Paper trading service is not properly configured',
+                code: 'ENV_CONFIG_ERROR'
+            });
+        });
+        
+        app.use('/api/reports', (req, res) => {
+            res.status(503).json({
+                error: 'Service temporarily unavailable',
+                message: 'Reports service is not properly configured',
+                code: 'ENV_CONFIG_ERROR'
+            });
+        });
+        
         return;
     }
     
@@ -171,6 +275,126 @@ function loadRoutesSafely() {
             res.status(500).json({ error: 'Payment service temporarily unavailable' });
         });
     }
+
+    try {
+        app.use('/api/signals', require('./signals/routes'));
+        console.log('✅ Signal routes loaded');
+    } catch (error) {
+        console.error('❌ Failed to load signal routes:', error.message);
+        app.use('/api/signals', (req, res) => {
+            res.status(500).json({ error: 'Signals service temporarily unavailable' });
+        });
+    }
+
+    try {
+        app.use('/api/admin', require('./admin/routes'));
+        console.log('✅ Admin routes loaded');
+    } catch (error) {
+        console.error('❌ Failed to load admin routes:', error.message);
+        app.use('/api/admin', (req, res) => {
+            res.status(500).json({ error: 'Admin service temporarily unavailable' });
+        });
+    }
+
+    try {
+        app.use('/api/market', require('./market/routes'));
+        console.log('✅ Market routes loaded');
+    } catch (error) {
+        console.error('❌ Failed to load market routes:', error.message);
+        app.use('/api/market', (req, res) => {
+            res.status(500).json({ error: 'Market data service temporarily unavailable' });
+        });
+    }
+
+    try {
+        app.use('/api/alerts', require('./alerts/routes'));
+        console.log('✅ Alert routes loaded');
+    } catch (error) {
+        console.error('❌ Failed to load alert routes:', error.message);
+        app.use('/api/alerts', (req, res) => {
+            res.status(500).json({ error: 'Alerts service temporarily unavailable' });
+        });
+    }
+
+    try {
+        app.use('/api/watchlists', require('./watchlists/routes'));
+        console.log('✅ Watchlist routes loaded');
+    } catch (error) {
+        console.error('❌ Failed to load watchlist routes:', error.message);
+        app.use('/api/watchlists', (req, res) => {
+            res.status(500).json({ error: 'Watchlist service temporarily unavailable' });
+        });
+    }
+
+    try {
+        app.use('/api/webhooks', require('./webhooks/routes'));
+        console.log('✅ Webhook routes loaded');
+    } catch (error) {
+        console.error('❌ Failed to load webhook routes:', error.message);
+        app.use('/api/webhooks', (req, res) => {
+            res.status(500).json({ error: 'Webhook service temporarily unavailable' });
+        });
+    }
+
+    try {
+        app.use('/api/analysts', require('./analysts/routes'));
+        console.log('✅ Analyst routes loaded');
+    } catch (error) {
+        console.error('❌ Failed to load analyst routes:', error.message);
+        app.use('/api/analysts', (req, res) => {
+            res.status(500).json({ error: 'Analyst service temporarily unavailable' });
+        });
+    }
+
+    try {
+        app.use('/api/journal', require('./journal/routes'));
+        console.log('✅ Journal routes loaded');
+    } catch (error) {
+        console.error('❌ Failed to load journal routes:', error.message);
+        app.use('/api/journal', (req, res) => {
+            res.status(500).json({ error: 'Journal service temporarily unavailable' });
+        });
+    }
+
+    try {
+        app.use('/api/portfolio', require('./portfolio/routes'));
+        console.log('✅ Portfolio routes loaded');
+    } catch (error) {
+        console.error('❌ Failed to load portfolio routes:', error.message);
+        app.use('/api/portfolio', (req, res) => {
+            res.status(500).json({ error: 'Portfolio service temporarily unavailable' });
+        });
+    }
+
+    try {
+        app.use('/api/risk', require('./risk/routes'));
+        console.log('✅ Risk routes loaded');
+    } catch (error) {
+        console.error('❌ Failed to load risk routes:', error.message);
+        app.use('/api/risk', (req, res) => {
+            res.status(500).json({ error: 'Risk service temporarily unavailable' });
+        });
+    }
+
+    try {
+        app.use('/api/paper', require('./paper/routes'));
+        console.log('✅ Paper trading routes loaded');
+    } catch (error) {
+        console.error('❌ Failed to load paper trading routes:', error.message);
+        app.use('/api/paper', (req, res) => {
+            res.status(500).json({ error: 'Paper trading service temporarily unavailable' });
+        });
+    }
+
+    try {
+        app.use('/api/reports', require('./reports/routes'));
+        console.log('✅ Report routes loaded');
+    } catch (error) {
+        console.error('❌ Failed to load report routes:', error.message);
+        app.use('/api/reports', (req, res) => {
+            res.status(500).json({ error: 'Reports service temporarily unavailable' });
+        });
+    }
 }
 
 // Load routes
@@ -187,7 +411,19 @@ app.use('/api/*', (req, res) => {
             '/api/env-check',
             '/api/auth/*',
             '/api/users/*',
-            '/api/payments/*'
+            '/api/payments/*',
+            '/api/signals/*',
+            '/api/admin/*',
+            '/api/market/*',
+            '/api/alerts/*',
+            '/api/watchlists/*',
+            '/api/webhooks/*',
+            '/api/analysts/*',
+            '/api/journal/*',
+            '/api/portfolio/*',
+            '/api/risk/*',
+            '/api/paper/*',
+            '/api/reports/*'
         ]
     });
 });
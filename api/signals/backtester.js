@@ -0,0 +1,377 @@
+// api/signals/backtester.js
+// Replays signal setups over stored candles to show how a strategy's calls would have
+// performed. Each setup fills at its entry (limit) or the next open (market) with spread
+// and slippage charged against it, then runs through the outcome resolver's rules. Trades
+// are sized at a fixed percentage of closed equity to draw the equity curve.
+const { normalizeSymbol, getInstrumentType } = require('../market/symbols');
+const {
+    getPipSize,
+    getDirection,
+    toNumber,
+    round,
+    buildTargetLadder,
+    validateLevels,
+    calculateOutcome,
+    calculateRMultiple
+} = require('./signal-math');
+const { resolveSignal } = require('./outcome-resolver');
+const { computePerformance } = require('./performance');
+
+// Most setups one run may replay
+const MAX_SETUPS = 500;
+
+const ENTRY_TYPES = ['limit', 'market'];
+
+const DEFAULT_BACKTEST_OPTIONS = {
+    timeframe: '1h',
+    spreadPips: 0,
+    slippagePips: 0,
+    initialBalance: 10000,
+    riskPercent: 1
+};
+
+const ACTION_ALIASES = {
+    buy: 'buy',
+    long: 'buy',
+    sell: 'sell',
+    short: 'sell'
+};
+
+// First of several spellings a setup may use for a value
+function pick(raw, keys) {
+    const key = keys.find(name => raw[name] !== undefined && raw[name] !== null && raw[name] !== '');
+    return key === undefined ? undefined : raw[key];
+}
+
+// Split one CSV line, honouring double-quoted cells
+function splitCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    cells.push(cell.trim());
+    return cells;
+}
+
+/**
+ * Read a CSV of setups into raw objects keyed by lower-cased header. Columns:
+ * time, symbol, action, entry, sl, tp (a price or a ladder as "1.09;1.10"), and optionally
+ * entry_type (limit|market), expires_at, timeframe, breakeven_after_target.
+ */
+function parseSetupsCsv(text) {
+    const lines = String(text || '')
+        .split(/\r?\n/)
+        .filter(line => line.trim() !== '');
+
+    if (lines.length === 0) {
+        return [];
+    }
+
+    const headers = splitCsvLine(lines[0]).map(header => header.toLowerCase().replace(/\s+/g, '_'));
+
+    return lines.slice(1).map(line => {
+        const cells = splitCsvLine(line);
+        return headers.reduce((row, header, index) => {
+            row[header] = cells[index] !== undefined ? cells[index] : '';
+            return row;
+        }, {});
+    });
+}
+
+/**
+ * Validate a raw setup (JSON, CSV row or a stored signal) and shape it like a signal
+ * row. Returns { setup, errors }.
+ */
+function normalizeSetup(raw, index = 0) {
+    const errors = [];
+    const symbol = normalizeSymbol(String(pick(raw, ['symbol', 'ticker']) || ''));
+    const side = pick(raw, ['action', 'side', 'direction']);
+    const action = side !== undefined ? ACTION_ALIASES[String(side).trim().toLowerCase()] : undefined;
+    const time = pick(raw, ['time', 'opened_at', 'published_at', 'created_at']);
+    const entryType = String(pick(raw, ['entry_type', 'order_type']) || 'limit').toLowerCase();
+
+    if (!symbol) errors.push('symbol is missing or not recognised');
+    if (!action) errors.push('action must be buy or sell');
+    if (!time || Number.isNaN(new Date(time).getTime())) errors.push('time must be a valid date');
+    if (!ENTRY_TYPES.includes(entryType)) errors.push(`entry_type must be one of ${ENTRY_TYPES.join(', ')}`);
+
+    const takeProfit = pick(raw, ['tp', 'take_profit', 'target']);
+    let targets = pick(raw, ['targets', 'take_profit_targets']);
+    if (targets === undefined && typeof takeProfit === 'string' && /[;|]/.test(takeProfit)) {
+        targets = takeProfit;
+    }
+    if (typeof targets === 'string') {
+        targets = targets.split(/[;|]/).map(price => price.trim()).filter(Boolean);
+    }
+
+    const setup = {
+        id: raw.id || `setup-${index + 1}`,
+        title: raw.title || null,
+        symbol,
+        signal_type: raw.signal_type || (symbol ? getInstrumentType(symbol) : null),
+        action,
+        entry_type: entryType,
+        entry_price: toNumber(pick(raw, ['entry', 'entry_price', 'price'])),
+        stop_loss: toNumber(pick(raw, ['initial_stop_loss', 'sl', 'stop_loss', 'stop'])),
+        take_profit: toNumber(takeProfit),
+        take_profit_targets: Array.isArray(targets) ? buildTargetLadder(targets) : [],
+        breakeven_after_target: toNumber(raw.breakeven_after_target),
+        time: time && !Number.isNaN(new Date(time).getTime()) ? new Date(time).toISOString() : null,
+        expires_at: raw.expires_at ? new Date(raw.expires_at).toISOString() : null
+    };
+
+    if (setup.take_profit_targets.length > 0) {
+        setup.take_profit = setup.take_profit_targets[setup.take_profit_targets.length - 1].price;
+    }
+
+    // Market setups fill at the next open, so only their stop and target are required
+    if (action) {
+        errors.push(...validateLevels(setup, entryType !== 'market'));
+        if (entryType === 'market' && (setup.stop_loss === null || setup.take_profit === null)) {
+            errors.push('stop_loss and take_profit are required');
+        }
+    }
+
+    return {
+        setup,
+        errors: errors.map(message => `Setup ${index + 1}: ${message}`)
+    };
+}
+
+/**
+ * Find a setup's fill in candles (oldest first). Limit setups fill at entry on the first
+ * candle trading through it; market setups at the first open after the setup time.
+ * Spread is paid on every fill and slippage on market fills, both against the trade.
+ * Returns { index, price, time } or null when the order never filled.
+ */
+function findFill(setup, candles, { spreadPips, slippagePips }) {
+    const pipSize = getPipSize(setup.symbol, setup.signal_type);
+    const direction = getDirection(setup.action);
+
+    for (let index = 0; index < candles.length; index++) {
+        const candle = candles[index];
+
+        if (candle.time < setup.time) continue;
+        if (setup.expires_at && candle.time >= setup.expires_at) break;
+
+        if (setup.entry_type === 'market') {
+            return {
+                index,
+                time: candle.time,
+                price: candle.open + direction * (spreadPips + slippagePips) * pipSize
+            };
+        }
+
+        if (candle.low <= setup.entry_price && candle.high >= setup.entry_price) {
+            return {
+                index,
+                time: candle.time,
+                price: setup.entry_price + direction * spreadPips * pipSize
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Simulate one setup. Stops fill with slippage against the trade; targets are resting
+ * orders and fill at their price. A trade still open when the candles run out is
+ * marked to the last close.
+ */
+function simulateSetup(setup, candles, costs) {
+    const base = {
+        setup_id: setup.id,
+        symbol: setup.symbol,
+        action: setup.action,
+        entry_type: setup.entry_type,
+        setup_time: setup.time
+    };
+
+    if (candles.length === 0) {
+        return { ...base, status: 'no_data' };
+    }
+
+    const fill = findFill(setup, candles, costs);
+    if (!fill) {
+        return { ...base, status: 'not_filled' };
+    }
+
+    const pipSize = getPipSize(setup.symbol, setup.signal_type);
+    const direction = getDirection(setup.action);
+    const remaining = candles.slice(fill.index);
+    const lastCandle = remaining[remaining.length - 1];
+
+    const signal = {
+        ...setup,
+        entry_price: round(fill.price, 6),
+        initial_stop_loss: setup.stop_loss,
+        status: 'active',
+        created_at: fill.time,
+        analytics: { published_at: fill.time }
+    };
+
+    // Past the last candle the resolver would expire the trade rather than leave it open
+    const resolution = resolveSignal(signal, remaining, lastCandle.time);
+    const settled = resolution && resolution.status !== 'active';
+    const state = resolution ? { ...signal, take_profit_targets: resolution.take_profit_targets } : signal;
+
+    let exitPrice = settled ? resolution.exit_price : lastCandle.close;
+    if (settled && resolution.close_reason === 'stop_loss') {
+        exitPrice -= direction * costs.slippagePips * pipSize;
+    }
+
+    const outcome = calculateOutcome(state, exitPrice);
+
+    return {
+        ...base,
+        status: settled ? resolution.status : 'open',
+        close_reason: settled ? resolution.close_reason : null,
+        entry_time: fill.time,
+        entry_price: signal.entry_price,
+        exit_time: settled ? resolution.closed_at : lastCandle.time,
+        exit_price: round(exitPrice, 6),
+        targets_hit: state.take_profit_targets.filter(target => target.status === 'hit').length,
+        result: outcome.result,
+        pips_gained: outcome.pips_gained,
+        r_multiple: calculateRMultiple({ ...signal, pips_gained: outcome.pips_gained })
+    };
+}
+
+/**
+ * Size filled trades in exit order at riskPercent of closed equity and build the
+ * equity curve, with the largest peak-to-trough fall in money and percent.
+ */
+function buildEquityCurve(trades, { initialBalance, riskPercent }) {
+    let equity = initialBalance;
+    let peak = initialBalance;
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+
+    const ordered = [...trades].sort((a, b) => a.exit_time.localeCompare(b.exit_time));
+    const curve = [{
+        time: ordered.length > 0 ? ordered[0].entry_time : null,
+        equity: initialBalance,
+        drawdown_percent: 0
+    }];
+
+    ordered.forEach(trade => {
+        trade.profit = round((trade.r_multiple || 0) * equity * riskPercent / 100);
+        equity = round(equity + trade.profit);
+        peak = Math.max(peak, equity);
+
+        const drawdown = peak - equity;
+        const drawdownPercent = peak > 0 ? drawdown / peak * 100 : 0;
+        maxDrawdown = Math.max(maxDrawdown, drawdown);
+        maxDrawdownPercent = Math.max(maxDrawdownPercent, drawdownPercent);
+
+        trade.equity = equity;
+        curve.push({ time: trade.exit_time, equity, drawdown_percent: round(drawdownPercent) });
+    });
+
+    const grossProfit = ordered.filter(trade => trade.profit > 0).reduce((sum, trade) => sum + trade.profit, 0);
+    const grossLoss = Math.abs(ordered.filter(trade => trade.profit < 0).reduce((sum, trade) => sum + trade.profit, 0));
+
+    return {
+        curve,
+        finalBalance: equity,
+        netProfit: round(equity - initialBalance),
+        returnPercent: round((equity - initialBalance) / initialBalance * 100),
+        profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss) : null,
+        maxDrawdown: round(maxDrawdown),
+        maxDrawdownPercent: round(maxDrawdownPercent)
+    };
+}
+
+/**
+ * Run setups (already normalized) against a candle store exposing
+ * getCandles(symbol, { timeframe, from, to }) -> candles oldest first.
+ * Returns { summary, trades, equityCurve }.
+ */
+async function runBacktest(setups, options = {}) {
+    const { candleStore, to = new Date() } = options;
+    const settings = { ...DEFAULT_BACKTEST_OPTIONS, ...options };
+    const costs = { spreadPips: settings.spreadPips, slippagePips: settings.slippagePips };
+
+    // One candle read per symbol covering every setup on it
+    const bySymbol = new Map();
+    setups.forEach(setup => {
+        if (!bySymbol.has(setup.symbol)) bySymbol.set(setup.symbol, []);
+        bySymbol.get(setup.symbol).push(setup);
+    });
+
+    const trades = [];
+    for (const [symbol, symbolSetups] of bySymbol) {
+        const from = symbolSetups.reduce((earliest, setup) => (setup.time < earliest ? setup.time : earliest), symbolSetups[0].time);
+        const candles = await candleStore.getCandles(symbol, { timeframe: settings.timeframe, from, to });
+
+        symbolSetups.forEach(setup => trades.push(simulateSetup(setup, candles, costs)));
+    }
+
+    const filled = trades.filter(trade => trade.entry_time);
+    const equity = buildEquityCurve(filled, settings);
+    const performance = computePerformance(filled.map(trade => ({
+        result: trade.result,
+        pips_gained: trade.pips_gained,
+        r_multiple: trade.r_multiple,
+        closed_at: trade.exit_time
+    })));
+
+    return {
+        summary: {
+            setups: setups.length,
+            filled: filled.length,
+            open: filled.filter(trade => trade.status === 'open').length,
+            notFilled: trades.filter(trade => trade.status === 'not_filled').length,
+            noData: trades.filter(trade => trade.status === 'no_data').length,
+            wins: performance.wins,
+            losses: performance.losses,
+            breakevens: performance.breakevens,
+            winRate: performance.winRate,
+            totalPips: performance.totalPips,
+            avgRMultiple: performance.avgRMultiple,
+            expectancy: performance.expectancy,
+            initialBalance: settings.initialBalance,
+            finalBalance: equity.finalBalance,
+            netProfit: equity.netProfit,
+            returnPercent: equity.returnPercent,
+            profitFactor: equity.profitFactor,
+            maxDrawdown: equity.maxDrawdown,
+            maxDrawdownPercent: equity.maxDrawdownPercent
+        },
+        trades: trades.sort((a, b) => String(a.setup_time).localeCompare(String(b.setup_time))),
+        equityCurve: equity.curve
+    };
+}
+
+module.exports = {
+    MAX_SETUPS,
+    ENTRY_TYPES,
+    DEFAULT_BACKTEST_OPTIONS,
+    parseSetupsCsv,
+    normalizeSetup,
+    simulateSetup,
+    runBacktest
+};
@@ -0,0 +1,75 @@
+// api/signals/candle-store.js
+// Read-only OHLCV source backed by JSON fixture files, used to replay price action offline
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'database', 'fixtures', 'candles');
+
+// Fixture files are named <SYMBOL>_<timeframe>.json, e.g. EURUSD_1h.json
+function getFixturePath(dir, symbol, timeframe) {
+    const normalized = String(symbol).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return path.join(dir, `${normalized}_${timeframe}.json`);
+}
+
+// Accept either {time, open, high, low, close} objects or [time, o, h, l, c, v] rows
+function normalizeCandle(raw) {
+    const candle = Array.isArray(raw) ?
+        { time: raw[0], open: raw[1], high: raw[2], low: raw[3], close: raw[4], volume: raw[5] } :
+        raw;
+
+    return {
+        time: new Date(candle.time).toISOString(),
+        open: parseFloat(candle.open),
+        high: parseFloat(candle.high),
+        low: parseFloat(candle.low),
+        close: parseFloat(candle.close),
+        volume: candle.volume !== undefined ? parseFloat(candle.volume) : 0
+    };
+}
+
+/**
+ * Create a candle store that serves candles from fixture files.
+ * getCandles(symbol, { timeframe, from, to }) resolves to candles sorted oldest first.
+ */
+function createFixtureCandleStore(options = {}) {
+    const dir = options.dir || DEFAULT_FIXTURES_DIR;
+    const cache = new Map();
+
+    function load(symbol, timeframe) {
+        const filePath = getFixturePath(dir, symbol, timeframe);
+
+        if (!cache.has(filePath)) {
+            if (!fs.existsSync(filePath)) {
+                cache.set(filePath, []);
+            } else {
+                const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                const rows = Array.isArray(parsed) ? parsed : parsed.candles || [];
+                cache.set(filePath, rows
+                    .map(normalizeCandle)
+                    .sort((a, b) => a.time.localeCompare(b.time)));
+            }
+        }
+
+        return cache.get(filePath);
+    }
+
+    async function getCandles(symbol, { timeframe = '1h', from = null, to = null } = {}) {
+        const fromTime = from ? new Date(from).toISOString() : null;
+        const toTime = to ? new Date(to).toISOString() : null;
+
+        return load(symbol, timeframe).filter(candle =>
+            (!fromTime || candle.time >= fromTime) &&
+            (!toTime || candle.time <= toTime)
+        );
+    }
+
+    return {
+        getCandles
+    };
+}
+
+module.exports = {
+    DEFAULT_FIXTURES_DIR,
+    createFixtureCandleStore,
+    normalizeCandle
+};
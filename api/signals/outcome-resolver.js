@@ -0,0 +1,259 @@
+// api/signals/outcome-resolver.js
+// Replays candles over active signals, records take-profit rungs as they are hit and closes
+// the ones whose stop, final target or expiry was reached
+const { calculateOutcome, getTargets, recordTargetHit, getDirection, toNumber } = require('./signal-math');
+const { broadcastSignalUpdate } = require('./signal-events');
+const { recordSignalAmendment } = require('./signal-amendments');
+const { recordSignalPerformance } = require('./performance');
+const { queueSignalBroadcast } = require('./signal-broadcaster');
+
+// When the signal went live; drafts published later carry published_at in analytics
+function getSignalStart(signal) {
+    return (signal.analytics && signal.analytics.published_at) || signal.created_at;
+}
+
+// Exit fill for a touched level: the level itself, or the open when price gapped through it
+function getFillPrice(level, candleOpen, gapped) {
+    return gapped ? candleOpen : level;
+}
+
+// Stop that applied to a candle: the published stop until the stop was last moved
+// (breakeven or trailing), the current stop_loss from the candle after that
+function getStopAt(state, initialStop, time) {
+    const movedAt = state.stop_moved_at ? new Date(state.stop_moved_at).toISOString() : null;
+    return movedAt && time > movedAt ? toNumber(state.stop_loss) : initialStop;
+}
+
+/**
+ * Walk candles in time order and decide how far a signal got.
+ * Returns null when nothing changed, { status: 'active', take_profit_targets, stop_loss }
+ * when rungs were hit but the position is still open, otherwise the closing columns.
+ * Within one candle the stop is assumed to come before any target, since OHLC data
+ * cannot tell which was touched earlier; a stop moved to breakeven applies from the
+ * next candle. Rungs recorded earlier keep their original hit times.
+ */
+function resolveSignal(signal, candles, now = new Date()) {
+    const initialStop = toNumber(signal.initial_stop_loss) ?? toNumber(signal.stop_loss);
+
+    if (toNumber(signal.entry_price) === null || initialStop === null || getTargets(signal).length === 0) {
+        return null;
+    }
+
+    const isBuy = getDirection(signal.action) > 0;
+    const start = new Date(getSignalStart(signal)).toISOString();
+    const expiry = signal.expires_at ? new Date(signal.expires_at).toISOString() : null;
+    let state = { ...signal, take_profit_targets: getTargets(signal) };
+    let progressed = false;
+    let lastClose = null;
+    let lastTime = null;
+
+    for (const candle of candles) {
+        if (candle.time < start) continue;
+        if (expiry && candle.time >= expiry) break;
+
+        const stop = getStopAt(state, initialStop, candle.time);
+
+        if (stop !== null && (isBuy ? candle.low <= stop : candle.high >= stop)) {
+            const gapped = isBuy ? candle.open <= stop : candle.open >= stop;
+            return buildResolution(state, 'closed', 'stop_loss', getFillPrice(stop, candle.open, gapped), candle.time);
+        }
+
+        for (const target of state.take_profit_targets) {
+            const price = toNumber(target.price);
+            if (target.status === 'hit' || !(isBuy ? candle.high >= price : candle.low <= price)) continue;
+
+            const gapped = isBuy ? candle.open >= price : candle.open <= price;
+            const { complete, ...columns } = recordTargetHit(state, target.level, getFillPrice(price, candle.open, gapped), candle.time);
+            state = { ...state, ...columns };
+            progressed = true;
+
+            if (complete) {
+                const finalRung = columns.take_profit_targets[columns.take_profit_targets.length - 1];
+                return buildResolution(state, 'closed', 'take_profit', finalRung.hit_price, candle.time);
+            }
+        }
+
+        lastClose = candle.close;
+        lastTime = candle.time;
+    }
+
+    if (expiry && new Date(now).toISOString() >= expiry) {
+        // Mark to the last close inside the window; no data means it never moved
+        const exitPrice = lastClose !== null ? lastClose : toNumber(signal.entry_price);
+        return buildResolution(state, 'expired', 'expired', exitPrice, lastTime || expiry);
+    }
+
+    if (progressed) {
+        return {
+            status: 'active',
+            take_profit_targets: state.take_profit_targets,
+            stop_loss: state.stop_loss,
+            stop_moved_at: state.stop_moved_at || null
+        };
+    }
+
+    return null;
+}
+
+// Amendment reasons for resolver closes
+const CLOSE_REASON_LABELS = {
+    stop_loss: 'Stop loss hit',
+    take_profit: 'Final take profit hit',
+    expired: 'Signal expired'
+};
+
+function buildResolution(state, status, reason, exitPrice, exitTime) {
+    return {
+        status,
+        ...calculateOutcome(state, exitPrice),
+        take_profit_targets: state.take_profit_targets,
+        stop_loss: state.stop_loss,
+        stop_moved_at: state.stop_moved_at || null,
+        closed_at: exitTime,
+        exit_price: exitPrice,
+        close_reason: reason
+    };
+}
+
+/**
+ * Resolve every active signal against a candle store.
+ * Options: supabase (required unless signals are passed in), candleStore, timeframe,
+ * now, dryRun (compute only), signals (skip the database read, e.g. from a fixture).
+ */
+async function resolveActiveSignals(options = {}) {
+    const {
+        supabase,
+        candleStore,
+        timeframe = '1h',
+        now = new Date(),
+        dryRun = false
+    } = options;
+
+    let signals = options.signals;
+
+    if (!signals) {
+        const { data, error } = await supabase
+            .from('trading_signals')
+            .select('*')
+            .eq('status', 'active');
+
+        if (error) {
+            throw error;
+        }
+
+        signals = data;
+    }
+
+    const summary = {
+        checked: signals.length,
+        resolved: [],
+        targetsHit: [],
+        errors: []
+    };
+
+    for (const signal of signals) {
+        try {
+            const candles = await candleStore.getCandles(signal.symbol, {
+                timeframe,
+                from: getSignalStart(signal),
+                to: now
+            });
+
+            const resolution = resolveSignal(signal, candles, now);
+            if (!resolution) continue;
+
+            if (resolution.status === 'active') {
+                const previouslyHit = getTargets(signal)
+                    .filter(target => target.status === 'hit')
+                    .map(target => target.level);
+                const newHits = resolution.take_profit_targets
+                    .filter(target => target.status === 'hit' && !previouslyHit.includes(target.level));
+                newHits.forEach(target => summary.targetsHit.push({ id: signal.id, symbol: signal.symbol, ...target }));
+
+                if (dryRun) continue;
+
+                // Still open: persist the ladder and any breakeven stop, guarded like a close
+                const { data: updatedSignal, error } = await supabase
+                    .from('trading_signals')
+                    .update({
+                        take_profit_targets: resolution.take_profit_targets,
+                        stop_loss: resolution.stop_loss,
+                        stop_moved_at: resolution.stop_moved_at,
+                        updated_at: new Date().toISOString()
+                    })
+                    .eq('id', signal.id)
+                    .eq('status', 'active')
+                    .select()
+                    .maybeSingle();
+
+                if (error) {
+                    throw error;
+                }
+
+                if (updatedSignal) {
+                    const movedToBreakeven = toNumber(updatedSignal.stop_loss) !== toNumber(signal.stop_loss);
+                    const amendment = await recordSignalAmendment(supabase, {
+                        before: signal,
+                        after: updatedSignal,
+                        reason: newHits.map(target => `TP${target.level} hit`).join(', ') +
+                            (movedToBreakeven ? '; stop moved to breakeven' : ''),
+                        source: 'target_hit'
+                    });
+                    await broadcastSignalUpdate(supabase, updatedSignal, signal, amendment);
+                }
+
+                continue;
+            }
+
+            summary.resolved.push({ id: signal.id, symbol: signal.symbol, ...resolution });
+
+            if (dryRun) continue;
+
+            const { exit_price, close_reason, ...columns } = resolution;
+
+            // Guard on status so a concurrent manual close wins
+            const { data: updatedSignal, error } = await supabase
+                .from('trading_signals')
+                .update({
+                    ...columns,
+                    analytics: {
+                        ...(signal.analytics || {}),
+                        exit_price,
+                        close_reason,
+                        resolved_by: 'resolver'
+                    },
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', signal.id)
+                .eq('status', 'active')
+                .select()
+                .maybeSingle();
+
+            if (error) {
+                throw error;
+            }
+
+            if (updatedSignal) {
+                await recordSignalPerformance(supabase, updatedSignal);
+                const amendment = await recordSignalAmendment(supabase, {
+                    before: signal,
+                    after: updatedSignal,
+                    reason: CLOSE_REASON_LABELS[close_reason] || close_reason,
+                    source: 'resolver'
+                });
+                await broadcastSignalUpdate(supabase, updatedSignal, signal, amendment);
+                await queueSignalBroadcast(supabase, updatedSignal, 'closed');
+            }
+
+        } catch (error) {
+            summary.errors.push({ id: signal.id, error: error.message });
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    resolveSignal,
+    resolveActiveSignals
+};
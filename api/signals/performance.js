@@ -0,0 +1,249 @@
+// api/signals/performance.js
+// Records closed-signal outcomes in signal_performance and aggregates them into stats
+const { calculateRMultiple, toNumber, round } = require('./signal-math');
+
+// Slices accepted by group_by, mapped to how each ledger entry is keyed
+const PERFORMANCE_DIMENSIONS = {
+    symbol: entry => entry.symbol,
+    signal_type: entry => entry.signal_type,
+    risk_level: entry => entry.risk_level,
+    author: entry => entry.author_id,
+    month: entry => (entry.closed_at || '').slice(0, 7)
+};
+
+// Statuses that produce a ledger row
+const SETTLED_STATUSES = ['closed', 'expired'];
+
+// PostgREST returns at most 1000 rows per request, so the ledger is read in pages
+const PAGE_SIZE = 1000;
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Upsert the ledger row for a settled signal. Errors are logged, not thrown,
+ * so a failed write never blocks the close itself.
+ */
+async function recordSignalPerformance(supabase, signal) {
+    if (!SETTLED_STATUSES.includes(signal.status) || !signal.result || signal.result === 'pending') {
+        return null;
+    }
+
+    const { data, error } = await supabase
+        .from('signal_performance')
+        .upsert([
+            {
+                signal_id: signal.id,
+                result: signal.result,
+                pips_gained: signal.pips_gained,
+                percentage_gain: signal.percentage_gain,
+                r_multiple: calculateRMultiple(signal),
+                success_rate: signal.result === 'profit' ? 100 : 0,
+                closed_at: signal.closed_at,
+                last_updated: new Date().toISOString()
+            }
+        ], { onConflict: 'signal_id' })
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Record signal performance error:', error);
+        return null;
+    }
+
+    return data;
+}
+
+/**
+ * Rewrite the ledger from every settled signal (backfill after imports or manual edits).
+ */
+async function rebuildSignalPerformance(supabase) {
+    const { data: signals, error } = await supabase
+        .from('trading_signals')
+        .select('*')
+        .in('status', SETTLED_STATUSES)
+        .not('result', 'is', null);
+
+    if (error) {
+        throw error;
+    }
+
+    let recorded = 0;
+    for (const signal of signals) {
+        if (await recordSignalPerformance(supabase, signal)) {
+            recorded++;
+        }
+    }
+
+    return {
+        total: signals.length,
+        recorded
+    };
+}
+
+// Ledger query for a slice, ordered so consecutive pages neither skip nor repeat rows
+function buildPerformanceQuery(supabase, filters) {
+    let query = supabase
+        .from('signal_performance')
+        .select(`
+            signal_id,
+            result,
+            pips_gained,
+            percentage_gain,
+            r_multiple,
+            closed_at,
+            trading_signals!inner(symbol, action, signal_type, risk_level, author_id, tier_access)
+        `)
+        .order('closed_at', { ascending: true })
+        .order('signal_id', { ascending: true });
+
+    if (filters.symbol) {
+        query = query.eq('trading_signals.symbol', filters.symbol.toUpperCase());
+    }
+
+    if (filters.signal_type) {
+        query = query.eq('trading_signals.signal_type', filters.signal_type);
+    }
+
+    if (filters.risk_level) {
+        query = query.eq('trading_signals.risk_level', filters.risk_level);
+    }
+
+    if (filters.author) {
+        query = query.eq('trading_signals.author_id', filters.author);
+    }
+
+    if (filters.since) {
+        query = query.gte('closed_at', new Date(filters.since).toISOString());
+    }
+
+    if (filters.month && /^\d{4}-\d{2}$/.test(filters.month)) {
+        const [year, month] = filters.month.split('-').map(Number);
+        query = query
+            .gte('closed_at', new Date(Date.UTC(year, month - 1, 1)).toISOString())
+            .lt('closed_at', new Date(Date.UTC(year, month, 1)).toISOString());
+    }
+
+    return query;
+}
+
+/**
+ * Load ledger rows joined to their signal's slice columns, filtered by the given slice.
+ * Filters: symbol, signal_type, risk_level, author, month (YYYY-MM), since (closed at or after).
+ */
+async function loadPerformanceEntries(supabase, filters = {}) {
+    const rows = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await buildPerformanceQuery(supabase, filters)
+            .range(offset, offset + PAGE_SIZE - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return rows.map(row => ({
+        signal_id: row.signal_id,
+        result: row.result,
+        pips_gained: toNumber(row.pips_gained),
+        percentage_gain: toNumber(row.percentage_gain),
+        r_multiple: toNumber(row.r_multiple),
+        closed_at: row.closed_at,
+        ...row.trading_signals
+    }));
+}
+
+/**
+ * Aggregate ledger entries (oldest first) into win rate, R-multiple, expectancy,
+ * drawdown and streak figures. Breakevens count as trades but end any streak.
+ */
+function computePerformance(entries) {
+    const sorted = [...entries].sort((a, b) => String(a.closed_at).localeCompare(String(b.closed_at)));
+    const wins = sorted.filter(entry => entry.result === 'profit');
+    const losses = sorted.filter(entry => entry.result === 'loss');
+    const total = sorted.length;
+
+    const pips = sorted.map(entry => entry.pips_gained || 0);
+    const rMultiples = sorted.filter(entry => entry.r_multiple !== null).map(entry => entry.r_multiple);
+    const winR = wins.filter(entry => entry.r_multiple !== null).map(entry => entry.r_multiple);
+    const lossR = losses.filter(entry => entry.r_multiple !== null).map(entry => Math.abs(entry.r_multiple));
+
+    const winRate = total > 0 ? wins.length / total : 0;
+    const lossRate = total > 0 ? losses.length / total : 0;
+
+    // Peak-to-trough fall of the cumulative pip curve
+    let equity = 0;
+    let peak = 0;
+    let maxDrawdown = 0;
+    pips.forEach(value => {
+        equity += value;
+        peak = Math.max(peak, equity);
+        maxDrawdown = Math.max(maxDrawdown, peak - equity);
+    });
+
+    let longestWinStreak = 0;
+    let longestLossStreak = 0;
+    let currentStreak = { type: null, length: 0 };
+    sorted.forEach(entry => {
+        const type = entry.result === 'profit' ? 'win' : entry.result === 'loss' ? 'loss' : null;
+
+        if (type && type === currentStreak.type) {
+            currentStreak.length++;
+        } else {
+            currentStreak = { type, length: type ? 1 : 0 };
+        }
+
+        if (type === 'win') longestWinStreak = Math.max(longestWinStreak, currentStreak.length);
+        if (type === 'loss') longestLossStreak = Math.max(longestLossStreak, currentStreak.length);
+    });
+
+    const totalPips = pips.reduce((sum, value) => sum + value, 0);
+
+    return {
+        totalSignals: total,
+        wins: wins.length,
+        losses: losses.length,
+        breakevens: total - wins.length - losses.length,
+        winRate: round(winRate * 100, 1),
+        totalPips: round(totalPips, 1),
+        avgPips: round(average(pips), 1),
+        avgRMultiple: round(average(rMultiples)),
+        expectancy: round(winRate * average(winR) - lossRate * average(lossR)),
+        maxDrawdown: round(maxDrawdown, 1),
+        longestWinStreak,
+        longestLossStreak,
+        currentStreak
+    };
+}
+
+/**
+ * Split entries by one of PERFORMANCE_DIMENSIONS and aggregate each group.
+ */
+function groupPerformance(entries, dimension) {
+    const keyOf = PERFORMANCE_DIMENSIONS[dimension];
+    const groups = new Map();
+
+    entries.forEach(entry => {
+        const key = keyOf(entry) || 'unknown';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+    });
+
+    return Array.from(groups.entries())
+        .map(([key, groupEntries]) => ({ key, ...computePerformance(groupEntries) }))
+        .sort((a, b) => String(a.key).localeCompare(String(b.key)));
+}
+
+module.exports = {
+    PERFORMANCE_DIMENSIONS,
+    recordSignalPerformance,
+    rebuildSignalPerformance,
+    loadPerformanceEntries,
+    computePerformance,
+    groupPerformance
+};
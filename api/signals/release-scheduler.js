@@ -0,0 +1,316 @@
+// api/signals/release-scheduler.js
+// Scheduled publishing and tier-staggered release. Diamond receives a signal first, then
+// Platinum, then Gold, each after the delay in the 'signal_release_delays' setting.
+// Tiers are released by adding them to released_tiers: RLS and the realtime channel
+// only expose an active row to tiers listed there, so that update is the delivery.
+const { validateLevels } = require('./signal-math');
+const { recordSignalAmendment } = require('./signal-amendments');
+const { queueSignalBroadcast } = require('./signal-broadcaster');
+
+// Highest tier first: a tier is never released before the tiers above it
+const RELEASE_ORDER = ['diamond', 'platinum', 'gold'];
+
+const DEFAULT_RELEASE_DELAYS = {
+    diamond: 0,
+    platinum: 5,
+    gold: 15
+};
+
+const MINUTE = 60 * 1000;
+
+// Release delays in minutes, read from system_settings with defaults for missing tiers.
+// A lower tier never waits less than the tier above it.
+async function getReleaseDelays(supabase) {
+    const { data } = await supabase
+        .from('system_settings')
+        .select('value')
+        .eq('key', 'signal_release_delays')
+        .maybeSingle();
+
+    const value = data && typeof data.value === 'object' ? data.value : {};
+    const delays = {};
+    let floor = 0;
+
+    RELEASE_ORDER.forEach(tier => {
+        const minutes = Number.isFinite(value[tier]) && value[tier] >= 0 ? value[tier] : DEFAULT_RELEASE_DELAYS[tier];
+        floor = Math.max(floor, minutes);
+        delays[tier] = floor;
+    });
+
+    return delays;
+}
+
+// Tiers a signal is released to; an empty tier_access means every tier
+function getReleaseTiers(signal) {
+    if (!Array.isArray(signal.tier_access) || signal.tier_access.length === 0) {
+        return [...RELEASE_ORDER];
+    }
+
+    return RELEASE_ORDER.filter(tier => signal.tier_access.includes(tier));
+}
+
+// released_tiers and next_release_at for a tier_release_at map as of `now`
+function getReleaseState(tierReleaseAt, now = Date.now()) {
+    const releasedTiers = [];
+    let nextReleaseAt = null;
+
+    RELEASE_ORDER.forEach(tier => {
+        if (!tierReleaseAt[tier]) return;
+
+        const releaseAt = Date.parse(tierReleaseAt[tier]);
+        if (releaseAt <= now) {
+            releasedTiers.push(tier);
+        } else if (nextReleaseAt === null || releaseAt < nextReleaseAt) {
+            nextReleaseAt = releaseAt;
+        }
+    });
+
+    return {
+        released_tiers: releasedTiers,
+        next_release_at: nextReleaseAt === null ? null : new Date(nextReleaseAt).toISOString()
+    };
+}
+
+/**
+ * Release columns for a signal published at `publishedAt`: when each tier in its
+ * tier_access gets it, and which of them already have it at `now`.
+ */
+function buildReleaseSchedule(signal, delays, publishedAt, now = Date.now()) {
+    const start = Date.parse(publishedAt);
+    const tierReleaseAt = {};
+
+    getReleaseTiers(signal).forEach(tier => {
+        tierReleaseAt[tier] = new Date(start + (delays[tier] || 0) * MINUTE).toISOString();
+    });
+
+    return {
+        tier_release_at: tierReleaseAt,
+        ...getReleaseState(tierReleaseAt, now)
+    };
+}
+
+// Whether a tier's embargo on an active signal has lifted. Tiers outside tier_access
+// see the locked preview once every entitled tier has been released.
+function isReleasedTo(signal, tier) {
+    if (tier === 'admin' || signal.status !== 'active') {
+        return true;
+    }
+
+    if (Array.isArray(signal.released_tiers) && signal.released_tiers.includes(tier)) {
+        return true;
+    }
+
+    return !signal.next_release_at && !getReleaseTiers(signal).includes(tier);
+}
+
+/**
+ * Move a draft to active and start its release schedule. Returns the published row,
+ * or null when the draft was published or edited away by someone else first.
+ */
+async function publishSignal(supabase, signal, { reason = 'Published', publishedBy = null, delays = null, now = new Date() } = {}) {
+    const publishedAt = now.toISOString();
+    const schedule = buildReleaseSchedule(signal, delays || await getReleaseDelays(supabase), publishedAt, now.getTime());
+
+    // The outcome resolver replays price from published_at, not from when the draft was saved
+    const { data: publishedSignal, error } = await supabase
+        .from('trading_signals')
+        .update({
+            status: 'active',
+            result: 'pending',
+            initial_stop_loss: signal.stop_loss,
+            publish_at: null,
+            ...schedule,
+            analytics: {
+                ...(signal.analytics || {}),
+                published_at: publishedAt
+            },
+            updated_at: publishedAt
+        })
+        .eq('id', signal.id)
+        .eq('status', 'draft')
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+
+    if (!publishedSignal) {
+        return null;
+    }
+
+    await recordSignalAmendment(supabase, {
+        before: signal,
+        after: publishedSignal,
+        reason,
+        source: 'publish',
+        amendedBy: publishedBy
+    });
+    await queueSignalBroadcast(supabase, publishedSignal, 'published', now);
+
+    return publishedSignal;
+}
+
+/**
+ * Publish drafts whose publish_at has passed, highest priority first. Drafts with
+ * incomplete levels are unscheduled rather than retried every tick.
+ */
+async function publishScheduledSignals(supabase, { now = new Date() } = {}) {
+    const { data: drafts, error } = await supabase
+        .from('trading_signals')
+        .select('*')
+        .eq('status', 'draft')
+        .lte('publish_at', now.toISOString())
+        .order('priority', { ascending: false })
+        .order('publish_at', { ascending: true });
+
+    if (error) {
+        throw error;
+    }
+
+    const summary = { published: 0, failed: 0 };
+    if (!drafts || drafts.length === 0) {
+        return summary;
+    }
+
+    const delays = await getReleaseDelays(supabase);
+
+    for (const draft of drafts) {
+        const levelErrors = validateLevels(draft, true);
+
+        if (levelErrors.length > 0) {
+            console.error(`Scheduled publish skipped for ${draft.id}: ${levelErrors.join('; ')}`);
+            await supabase
+                .from('trading_signals')
+                .update({ publish_at: null, updated_at: now.toISOString() })
+                .eq('id', draft.id)
+                .eq('status', 'draft');
+            summary.failed++;
+            continue;
+        }
+
+        const published = await publishSignal(supabase, draft, {
+            reason: 'Scheduled publish',
+            publishedBy: draft.author_id || null,
+            delays,
+            now
+        });
+
+        if (published) {
+            summary.published++;
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Lift embargoes that have expired, highest priority first. The update is guarded on
+ * next_release_at so two schedulers never release the same step twice.
+ */
+async function releaseDueTiers(supabase, { now = new Date() } = {}) {
+    const { data: signals, error } = await supabase
+        .from('trading_signals')
+        .select('id, priority, tier_release_at, released_tiers, next_release_at')
+        .eq('status', 'active')
+        .lte('next_release_at', now.toISOString())
+        .order('priority', { ascending: false })
+        .order('next_release_at', { ascending: true });
+
+    if (error) {
+        throw error;
+    }
+
+    const summary = { signals: 0, tiers: 0 };
+
+    for (const signal of signals || []) {
+        const state = getReleaseState(signal.tier_release_at || {}, now.getTime());
+
+        const { data: released, error: updateError } = await supabase
+            .from('trading_signals')
+            .update(state)
+            .eq('id', signal.id)
+            .eq('status', 'active')
+            .eq('next_release_at', signal.next_release_at)
+            .select('id')
+            .maybeSingle();
+
+        if (updateError) {
+            console.error(`Signal release error for ${signal.id}:`, updateError.message);
+            continue;
+        }
+
+        if (released) {
+            summary.signals++;
+            summary.tiers += state.released_tiers.filter(tier => !(signal.released_tiers || []).includes(tier)).length;
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Poll for scheduled drafts and pending embargoes every `interval` ms.
+ * Ticks never overlap; a slow tick delays the next one.
+ */
+function createReleaseScheduler(options = {}) {
+    const { supabase, interval = 15000 } = options;
+
+    if (!supabase) {
+        throw new Error('createReleaseScheduler requires a Supabase client');
+    }
+
+    let timer = null;
+    let running = false;
+
+    async function tick() {
+        if (running) return null;
+        running = true;
+
+        try {
+            const now = new Date();
+            const publishing = await publishScheduledSignals(supabase, { now });
+            const release = await releaseDueTiers(supabase, { now });
+
+            if (publishing.published > 0 || release.tiers > 0) {
+                console.log(`📣 Published ${publishing.published} scheduled signals, released ${release.tiers} tier embargoes`);
+            }
+
+            return { ...publishing, released: release.tiers };
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        timer = setInterval(() => {
+            tick().catch(error => console.error('Signal release error:', error.message));
+        }, interval);
+
+        return tick();
+    }
+
+    function stop() {
+        clearInterval(timer);
+    }
+
+    return {
+        start,
+        stop,
+        tick
+    };
+}
+
+module.exports = {
+    RELEASE_ORDER,
+    DEFAULT_RELEASE_DELAYS,
+    getReleaseDelays,
+    getReleaseTiers,
+    getReleaseState,
+    buildReleaseSchedule,
+    isReleasedTo,
+    publishSignal,
+    publishScheduledSignals,
+    releaseDueTiers,
+    createReleaseScheduler
+};
@@ -0,0 +1,799 @@
+// api/signals/routes.js
+const express = require('express');
+const admin = require('firebase-admin');
+const { createClient } = require('@supabase/supabase-js');
+const {
+    PERFORMANCE_DIMENSIONS,
+    loadPerformanceEntries,
+    computePerformance,
+    groupPerformance
+} = require('./performance');
+const { attachEventRisk } = require('../market/economic-calendar');
+const { loadSignalAmendments } = require('./signal-amendments');
+const { MEMBER_VISIBLE_STATUSES, getAccessTier, canAccessSignal, isSignalVisible } = require('./signal-access');
+const {
+    EXPORT_FORMATS,
+    EXPORT_SCOPES,
+    EXPORT_LIMIT,
+    DEFAULT_ACCOUNT_BALANCE,
+    DEFAULT_RISK_PERCENT,
+    loadConversionRates,
+    exportSignals
+} = require('./signal-export');
+const { resolveRiskSettings } = require('../risk/risk-manager');
+const { attachAuthors } = require('../analysts/analyst-profiles');
+const { pickFeedbackFields, presentOwnFeedback, attachFeedback } = require('./signal-feedback');
+const { MAX_PRESETS, parseSearchFilters, applySearchFilters, pickPresetFields } = require('./signal-search');
+const router = express.Router();
+
+// Initialize Supabase
+const supabaseUrl = process.env.SUPABASE_URL || 'https://vjxnwqjlaxrvqctiphhb.supabase.co';
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// Tier ordering used for upgrade prompts (lowest first)
+const TIER_ORDER = ['gold', 'platinum', 'diamond'];
+
+// How far back each tier may browse closed signals (days, -1 = unlimited)
+const TIER_HISTORY_DAYS = {
+    gold: 7,
+    platinum: 30,
+    diamond: -1,
+    admin: -1
+};
+
+// Tiers that may download signal files for their trading terminals
+const EXPORT_TIERS = ['diamond', 'admin'];
+
+// Fields hidden from members whose tier is not in the signal's tier_access
+const LOCKED_FIELDS = [
+    'entry_price', 'stop_loss', 'initial_stop_loss', 'take_profit', 'take_profit_targets',
+    'description', 'analysis', 'attachments'
+];
+
+// Middleware to verify Firebase token
+async function verifyFirebaseToken(req, res, next) {
+    try {
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({
+                error: 'No valid authorization token provided'
+            });
+        }
+
+        const token = authHeader.substring(7);
+        const decodedToken = await admin.auth().verifyIdToken(token);
+
+        // Get user profile from Supabase
+        const { data: userProfile, error } = await supabase
+            .from('user_profiles')
+            .select('*')
+            .eq('id', decodedToken.uid)
+            .single();
+
+        if (error || !userProfile) {
+            return res.status(404).json({
+                error: 'User profile not found'
+            });
+        }
+
+        req.user = {
+            uid: decodedToken.uid,
+            email: decodedToken.email,
+            role: userProfile.role,
+            isAdmin: userProfile.is_admin,
+            subscriptionTier: userProfile.subscription_tier,
+            profile: userProfile
+        };
+
+        next();
+    } catch (error) {
+        console.error('Auth middleware error:', error);
+        return res.status(401).json({
+            error: 'Invalid or expired token'
+        });
+    }
+}
+
+// Lowest tier that unlocks a signal, for the upgrade prompt
+function getRequiredTier(signal) {
+    if (!Array.isArray(signal.tier_access) || signal.tier_access.length === 0) {
+        return TIER_ORDER[0];
+    }
+
+    return TIER_ORDER.find(tier => signal.tier_access.includes(tier)) || TIER_ORDER[TIER_ORDER.length - 1];
+}
+
+// Strip trade levels from signals the caller's tier cannot see
+function presentSignal(signal, tier) {
+    if (canAccessSignal(signal, tier)) {
+        return { ...signal, locked: false };
+    }
+
+    const redacted = { ...signal, locked: true, required_tier: getRequiredTier(signal) };
+    LOCKED_FIELDS.forEach(field => {
+        redacted[field] = null;
+    });
+
+    return redacted;
+}
+
+// Load a signal the caller is allowed to interact with
+async function loadAccessibleSignal(req, res) {
+    const tier = getAccessTier(req.user);
+
+    const { data: signal, error } = await supabase
+        .from('trading_signals')
+        .select('*')
+        .eq('id', req.params.id)
+        .single();
+
+    // Signals still under embargo for the caller's tier are not found either
+    if (error || !signal || !isSignalVisible(signal, tier)) {
+        res.status(404).json({
+            error: 'Signal not found'
+        });
+        return null;
+    }
+
+    if (!canAccessSignal(signal, tier)) {
+        res.status(403).json({
+            error: 'Your subscription tier does not include this signal',
+            requiredTier: getRequiredTier(signal)
+        });
+        return null;
+    }
+
+    return signal;
+}
+
+// GET /api/signals - List signals visible to the caller's tier
+// Query: status, signal_type, risk_level, symbol, author, search (title, description and tags),
+// from/to (created_at), min_confidence/max_confidence, page, limit
+router.get('/', verifyFirebaseToken, async (req, res) => {
+    try {
+        const tier = getAccessTier(req.user);
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = (page - 1) * limit;
+        const { signal_type, risk_level, symbol, author } = req.query;
+        const status = req.query.status || 'active';
+        const search = parseSearchFilters(req.query);
+
+        if (tier !== 'admin' && !MEMBER_VISIBLE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid signal status'
+            });
+        }
+
+        if (search.errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid search filters',
+                details: search.errors
+            });
+        }
+
+        let query = supabase
+            .from('trading_signals')
+            .select('*', { count: 'exact' })
+            .eq('status', status)
+            .order('priority', { ascending: false })
+            .order('created_at', { ascending: false });
+
+        if (signal_type) {
+            query = query.eq('signal_type', signal_type);
+        }
+
+        if (risk_level) {
+            query = query.eq('risk_level', risk_level);
+        }
+
+        if (symbol) {
+            query = query.eq('symbol', symbol.toUpperCase());
+        }
+
+        if (author) {
+            query = query.eq('author_id', author);
+        }
+
+        query = applySearchFilters(query, search.filters);
+
+        // Same rule as isReleasedTo(): the caller's tier is released, or every tier is
+        if (status === 'active' && tier !== 'admin') {
+            query = tier ?
+                query.or(`released_tiers.cs.{${tier}},next_release_at.is.null`) :
+                query.is('next_release_at', null);
+        }
+
+        const { data: signals, error, count } = await query
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        // Active signals carry event_risk: high-impact releases inside the blackout window
+        const presented = await attachFeedback(supabase, await attachAuthors(supabase,
+            await attachEventRisk(supabase, signals.map(signal => presentSignal(signal, tier)))), req.user.uid);
+
+        res.json({
+            success: true,
+            signals: presented,
+            pagination: {
+                page,
+                limit,
+                total: count,
+                totalPages: Math.ceil(count / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get signals error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch signals'
+        });
+    }
+});
+
+// GET /api/signals/history - Closed signals within the caller's tier history window
+router.get('/history', verifyFirebaseToken, async (req, res) => {
+    try {
+        const tier = getAccessTier(req.user);
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const historyDays = TIER_HISTORY_DAYS[tier];
+
+        if (historyDays === undefined) {
+            return res.json({
+                success: true,
+                signals: []
+            });
+        }
+
+        let query = supabase
+            .from('trading_signals')
+            .select('*')
+            .in('status', ['closed', 'cancelled', 'expired'])
+            .order('closed_at', { ascending: false })
+            .limit(limit);
+
+        if (historyDays !== -1) {
+            const since = new Date();
+            since.setDate(since.getDate() - historyDays);
+            query = query.gte('created_at', since.toISOString());
+        }
+
+        const { data: signals, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            signals: await attachFeedback(supabase, signals.map(signal => presentSignal(signal, tier)), req.user.uid)
+        });
+
+    } catch (error) {
+        console.error('Get signal history error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch signal history'
+        });
+    }
+});
+
+// GET /api/signals/export - Download signals as CSV, JSON or an MT4/MT5 .set file (Diamond)
+// Query: format (csv|json|mt4), scope (active|history|all), the list filters (signal_type, status,
+// risk_level, symbol, author, search, date and confidence ranges) and account_balance/account_currency/risk_percent
+// for lot sizing; account_currency defaults to the member's risk settings
+router.get('/export', verifyFirebaseToken, async (req, res) => {
+    try {
+        const tier = getAccessTier(req.user);
+
+        if (!EXPORT_TIERS.includes(tier)) {
+            return res.status(403).json({
+                error: 'Signal export is available on the Diamond tier',
+                requiredTier: 'diamond'
+            });
+        }
+
+        const format = req.query.format || 'csv';
+        const scope = req.query.scope || 'active';
+        const { signal_type, status, risk_level, symbol, author } = req.query;
+        const accountBalance = req.query.account_balance !== undefined ?
+            parseFloat(req.query.account_balance) : DEFAULT_ACCOUNT_BALANCE;
+        const riskPercent = req.query.risk_percent !== undefined ?
+            parseFloat(req.query.risk_percent) : DEFAULT_RISK_PERCENT;
+        const accountCurrency = String(req.query.account_currency ||
+            resolveRiskSettings(req.user.profile.preferences).account_currency).toUpperCase();
+        const search = parseSearchFilters(req.query);
+
+        if (!EXPORT_FORMATS.includes(format) || !EXPORT_SCOPES.includes(scope)) {
+            return res.status(400).json({
+                error: `format must be one of ${EXPORT_FORMATS.join(', ')} and scope one of ${EXPORT_SCOPES.join(', ')}`
+            });
+        }
+
+        if (!(accountBalance > 0) || !(riskPercent > 0) || riskPercent > 100) {
+            return res.status(400).json({
+                error: 'account_balance must be positive and risk_percent between 0 and 100'
+            });
+        }
+
+        if (!/^[A-Z]{3}$/.test(accountCurrency)) {
+            return res.status(400).json({
+                error: 'account_currency must be a 3-letter currency code'
+            });
+        }
+
+        if (status && tier !== 'admin' && !MEMBER_VISIBLE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid signal status'
+            });
+        }
+
+        if (search.errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid search filters',
+                details: search.errors
+            });
+        }
+
+        // A status filter from the signals page wins over the scope
+        const statuses = status ? [status] :
+            scope === 'active' ? ['active'] :
+                scope === 'history' ? ['closed', 'cancelled', 'expired'] :
+                    MEMBER_VISIBLE_STATUSES;
+
+        let query = supabase
+            .from('trading_signals')
+            .select('*')
+            .in('status', statuses)
+            .order('created_at', { ascending: false })
+            .limit(EXPORT_LIMIT);
+
+        if (signal_type) {
+            query = query.eq('signal_type', signal_type);
+        }
+
+        if (risk_level) {
+            query = query.eq('risk_level', risk_level);
+        }
+
+        if (symbol) {
+            query = query.eq('symbol', symbol.toUpperCase());
+        }
+
+        if (author) {
+            query = query.eq('author_id', author);
+        }
+
+        query = applySearchFilters(query, search.filters);
+
+        const { data: signals, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        // Only signals the caller could open: released to their tier and not locked
+        const exported = signals.filter(signal => isSignalVisible(signal, tier) && canAccessSignal(signal, tier));
+        const conversionRates = await loadConversionRates(exported, accountCurrency);
+        const file = exportSignals(exported, { format, scope, accountBalance, accountCurrency, riskPercent, conversionRates });
+
+        res.attachment(file.filename);
+        res.type(file.contentType);
+        res.send(file.body);
+
+    } catch (error) {
+        console.error('Export signals error:', error);
+        res.status(500).json({
+            error: 'Failed to export signals'
+        });
+    }
+});
+
+// GET /api/signals/favorites - Get the caller's favorite signals
+router.get('/favorites', verifyFirebaseToken, async (req, res) => {
+    try {
+        const tier = getAccessTier(req.user);
+
+        const { data: favorites, error } = await supabase
+            .from('signal_favorites')
+            .select(`
+                created_at,
+                trading_signals(*)
+            `)
+            .eq('user_id', req.user.uid)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        const signals = favorites
+            .filter(favorite => favorite.trading_signals)
+            .map(favorite => ({
+                ...presentSignal(favorite.trading_signals, tier),
+                favorited_at: favorite.created_at
+            }));
+
+        res.json({
+            success: true,
+            signals
+        });
+
+    } catch (error) {
+        console.error('Get favorites error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch favorite signals'
+        });
+    }
+});
+
+// GET /api/signals/presets - The caller's saved filter presets
+router.get('/presets', verifyFirebaseToken, async (req, res) => {
+    try {
+        const { data: presets, error } = await supabase
+            .from('signal_filter_presets')
+            .select('id, name, filters, created_at, updated_at')
+            .eq('user_id', req.user.uid)
+            .order('name', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            presets
+        });
+
+    } catch (error) {
+        console.error('Get filter presets error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch filter presets'
+        });
+    }
+});
+
+// POST /api/signals/presets - Save a named filter preset, replacing one with the same name
+router.post('/presets', verifyFirebaseToken, async (req, res) => {
+    try {
+        const { fields, errors } = pickPresetFields(req.body || {});
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid filter preset',
+                details: errors
+            });
+        }
+
+        const { count, error: countError } = await supabase
+            .from('signal_filter_presets')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', req.user.uid)
+            .neq('name', fields.name);
+
+        if (countError) {
+            throw countError;
+        }
+
+        if (count >= MAX_PRESETS) {
+            return res.status(400).json({
+                error: `You can save up to ${MAX_PRESETS} filter presets`
+            });
+        }
+
+        const { data: preset, error } = await supabase
+            .from('signal_filter_presets')
+            .upsert([
+                {
+                    ...fields,
+                    user_id: req.user.uid
+                }
+            ], { onConflict: 'user_id,name' })
+            .select('id, name, filters, created_at, updated_at')
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Filter preset saved',
+            preset
+        });
+
+    } catch (error) {
+        console.error('Save filter preset error:', error);
+        res.status(500).json({
+            error: 'Failed to save filter preset'
+        });
+    }
+});
+
+// DELETE /api/signals/presets/:presetId - Delete one of the caller's filter presets
+router.delete('/presets/:presetId', verifyFirebaseToken, async (req, res) => {
+    try {
+        const { data: deleted, error } = await supabase
+            .from('signal_filter_presets')
+            .delete()
+            .eq('id', req.params.presetId)
+            .eq('user_id', req.user.uid)
+            .select('id');
+
+        if (error) {
+            throw error;
+        }
+
+        if (deleted.length === 0) {
+            return res.status(404).json({
+                error: 'Filter preset not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Filter preset deleted'
+        });
+
+    } catch (error) {
+        console.error('Delete filter preset error:', error);
+        res.status(500).json({
+            error: 'Failed to delete filter preset'
+        });
+    }
+});
+
+// GET /api/signals/stats - Performance statistics for the caller's tier
+// Optional slice filters: symbol, signal_type, risk_level, author, month (YYYY-MM); group_by: one of PERFORMANCE_DIMENSIONS
+router.get('/stats', verifyFirebaseToken, async (req, res) => {
+    try {
+        const tier = getAccessTier(req.user);
+        const { symbol, signal_type, risk_level, author, month, group_by } = req.query;
+
+        if (group_by && !PERFORMANCE_DIMENSIONS[group_by]) {
+            return res.status(400).json({
+                error: `group_by must be one of: ${Object.keys(PERFORMANCE_DIMENSIONS).join(', ')}`
+            });
+        }
+
+        // Counted here rather than in the query so tier_access and the release embargo apply
+        const { data: activeRows, error: activeError } = await supabase
+            .from('trading_signals')
+            .select('id, status, tier_access, released_tiers, next_release_at')
+            .eq('status', 'active');
+
+        if (activeError) {
+            throw activeError;
+        }
+
+        const activeSignals = (activeRows || [])
+            .filter(signal => isSignalVisible(signal, tier) && canAccessSignal(signal, tier))
+            .length;
+
+        const entries = (await loadPerformanceEntries(supabase, { symbol, signal_type, risk_level, author, month }))
+            .filter(entry => canAccessSignal(entry, tier));
+
+        const performance = computePerformance(entries);
+
+        const { count: favorites } = await supabase
+            .from('signal_favorites')
+            .select('*', { count: 'exact', head: true })
+            .eq('user_id', req.user.uid);
+
+        res.json({
+            success: true,
+            stats: {
+                activeSignals,
+                closedSignals: performance.totalSignals,
+                ...performance,
+                favorites
+            },
+            breakdown: group_by ? groupPerformance(entries, group_by) : undefined
+        });
+
+    } catch (error) {
+        console.error('Get signal stats error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch signal statistics'
+        });
+    }
+});
+
+// GET /api/signals/:id - Get a single signal
+router.get('/:id', verifyFirebaseToken, async (req, res) => {
+    try {
+        const tier = getAccessTier(req.user);
+
+        const { data: signal, error } = await supabase
+            .from('trading_signals')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (error || !signal || !isSignalVisible(signal, tier)) {
+            return res.status(404).json({
+                error: 'Signal not found'
+            });
+        }
+
+        const [presented] = await attachFeedback(supabase, await attachAuthors(supabase,
+            await attachEventRisk(supabase, [presentSignal(signal, tier)])), req.user.uid);
+
+        res.json({
+            success: true,
+            signal: presented
+        });
+
+    } catch (error) {
+        console.error('Get signal error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch signal'
+        });
+    }
+});
+
+// GET /api/signals/:id/amendments - Versioned level and status changes, oldest first
+router.get('/:id/amendments', verifyFirebaseToken, async (req, res) => {
+    try {
+        const signal = await loadAccessibleSignal(req, res);
+        if (!signal) return;
+
+        const amendments = await loadSignalAmendments(supabase, signal.id);
+
+        res.json({
+            success: true,
+            amendments
+        });
+
+    } catch (error) {
+        console.error('Get signal amendments error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch signal amendments'
+        });
+    }
+});
+
+// POST /api/signals/:id/view - Record that the caller opened a signal
+router.post('/:id/view', verifyFirebaseToken, async (req, res) => {
+    try {
+        const signal = await loadAccessibleSignal(req, res);
+        if (!signal) return;
+
+        const { error } = await supabase
+            .from('signal_views')
+            .upsert([
+                {
+                    user_id: req.user.uid,
+                    signal_id: signal.id,
+                    viewed_at: new Date().toISOString()
+                }
+            ], { onConflict: 'user_id,signal_id' });
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true
+        });
+
+    } catch (error) {
+        console.error('Mark signal viewed error:', error);
+        res.status(500).json({
+            error: 'Failed to record signal view'
+        });
+    }
+});
+
+// PUT /api/signals/:id/feedback - Record whether the caller took the signal, a 1-5 clarity rating and a comment
+// Body: any of reaction (took|skipped), clarity_rating, comment; null clears a field
+router.put('/:id/feedback', verifyFirebaseToken, async (req, res) => {
+    try {
+        const signal = await loadAccessibleSignal(req, res);
+        if (!signal) return;
+
+        const { fields, errors } = pickFeedbackFields(req.body || {});
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid feedback',
+                details: errors
+            });
+        }
+
+        // Feedback is kept on the view row; giving feedback also counts as a view
+        const { data: view, error } = await supabase
+            .from('signal_views')
+            .upsert([
+                {
+                    ...fields,
+                    user_id: req.user.uid,
+                    signal_id: signal.id,
+                    feedback_at: new Date().toISOString()
+                }
+            ], { onConflict: 'user_id,signal_id' })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Thanks for your feedback',
+            feedback: presentOwnFeedback(view)
+        });
+
+    } catch (error) {
+        console.error('Save signal feedback error:', error);
+        res.status(500).json({
+            error: 'Failed to save feedback'
+        });
+    }
+});
+
+// POST /api/signals/:id/favorite - Add a signal to the caller's favorites
+router.post('/:id/favorite', verifyFirebaseToken, async (req, res) => {
+    try {
+        const signal = await loadAccessibleSignal(req, res);
+        if (!signal) return;
+
+        const { error } = await supabase
+            .from('signal_favorites')
+            .upsert([
+                {
+                    user_id: req.user.uid,
+                    signal_id: signal.id,
+                    created_at: new Date().toISOString()
+                }
+            ], { onConflict: 'user_id,signal_id', ignoreDuplicates: true });
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Signal added to favorites'
+        });
+
+    } catch (error) {
+        console.error('Add favorite error:', error);
+        res.status(500).json({
+            error: 'Failed to add favorite'
+        });
+    }
+});
+
+// DELETE /api/signals/:id/favorite - Remove a signal from the caller's favorites
+router.delete('/:id/favorite', verifyFirebaseToken, async (req, res) => {
+    try {
+        const { error } = await supabase
+            .from('signal_favorites')
+            .delete()
+            .eq('user_id', req.user.uid)
+            .eq('signal_id', req.params.id);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: 'Signal removed from favorites'
+        });
+
+    } catch (error) {
+        console.error('Remove favorite error:', error);
+        res.status(500).json({
+            error: 'Failed to remove favorite'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+// api/signals/signal-access.js
+// Which signals a member may see: the tier their subscription entitles them to, each
+// signal's tier_access and the release embargo (release-scheduler.js). Every route that
+// loads a signal on a member's behalf checks it through here.
+const { isReleasedTo } = require('./release-scheduler');
+
+// Statuses members are allowed to see (drafts stay with the authors)
+const MEMBER_VISIBLE_STATUSES = ['active', 'closed', 'cancelled', 'expired'];
+
+// Resolve the tier a profile is entitled to (null when the subscription is not active)
+function getProfileTier(profile) {
+    if (profile.is_admin) {
+        return 'admin';
+    }
+
+    if (profile.subscription_status !== 'active') {
+        return null;
+    }
+
+    return profile.subscription_tier || null;
+}
+
+// Resolve the tier a request is entitled to
+function getAccessTier(user) {
+    return getProfileTier(user.profile);
+}
+
+// Check a signal's tier_access against the caller's tier
+function canAccessSignal(signal, tier) {
+    if (tier === 'admin') {
+        return true;
+    }
+
+    if (!tier) {
+        return false;
+    }
+
+    if (!Array.isArray(signal.tier_access) || signal.tier_access.length === 0) {
+        return true;
+    }
+
+    return signal.tier_access.includes(tier);
+}
+
+// Whether a signal exists for the caller at all: published and out of embargo for their tier.
+// Signals that fail this are reported as not found rather than locked.
+function isSignalVisible(signal, tier) {
+    if (tier !== 'admin' && !MEMBER_VISIBLE_STATUSES.includes(signal.status)) {
+        return false;
+    }
+
+    return isReleasedTo(signal, tier);
+}
+
+module.exports = {
+    MEMBER_VISIBLE_STATUSES,
+    getProfileTier,
+    getAccessTier,
+    canAccessSignal,
+    isSignalVisible
+};
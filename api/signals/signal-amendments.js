@@ -0,0 +1,120 @@
+// api/signals/signal-amendments.js
+// Versioned history of changes to a published signal's levels and status
+const { getTargets, toNumber } = require('./signal-math');
+
+// Columns whose changes become amendments subscribers are told about
+const AMENDED_FIELDS = ['entry_price', 'stop_loss', 'take_profit', 'take_profit_targets', 'status'];
+
+// Ladder reduced to what subscribers compare: level, price, share and hit status
+function summarizeTargets(signal) {
+    return getTargets(signal).map(target => ({
+        level: target.level,
+        price: toNumber(target.price),
+        close_percent: toNumber(target.close_percent),
+        status: target.status
+    }));
+}
+
+/**
+ * Field-by-field diff of two versions of a signal row: { field: { from, to } } for
+ * every amended field that changed. Prices compare numerically, so "1.1" and 1.10 match.
+ */
+function diffSignal(before, after) {
+    const changes = {};
+
+    AMENDED_FIELDS.forEach(field => {
+        if (after[field] === undefined) return;
+
+        let from = before[field] ?? null;
+        let to = after[field] ?? null;
+
+        if (field === 'take_profit_targets') {
+            from = summarizeTargets(before);
+            to = summarizeTargets(after);
+            if (JSON.stringify(from) === JSON.stringify(to)) return;
+        } else if (field !== 'status') {
+            from = toNumber(from);
+            to = toNumber(to);
+        }
+
+        if (field !== 'take_profit_targets' && from === to) return;
+
+        changes[field] = { from, to };
+    });
+
+    return changes;
+}
+
+/**
+ * Store the diff between two rows of a signal as its next amendment version.
+ * Returns the amendment, or null when nothing tracked changed. Failures are logged
+ * and swallowed like the performance ledger; the signal row is the source of truth.
+ */
+async function recordSignalAmendment(supabase, { before, after, reason = null, source = 'manual', amendedBy = null }) {
+    const changes = diffSignal(before, after);
+
+    if (Object.keys(changes).length === 0) {
+        return null;
+    }
+
+    // Two writers can race for the same version; the unique index rejects one, which retries
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const { data: latest } = await supabase
+            .from('signal_amendments')
+            .select('version')
+            .eq('signal_id', after.id)
+            .order('version', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        const { data, error } = await supabase
+            .from('signal_amendments')
+            .insert([
+                {
+                    signal_id: after.id,
+                    version: (latest ? latest.version : 0) + 1,
+                    changes,
+                    reason,
+                    source,
+                    amended_by: amendedBy,
+                    created_at: new Date().toISOString()
+                }
+            ])
+            .select()
+            .single();
+
+        if (!error) {
+            return data;
+        }
+
+        if (error.code !== '23505') {
+            console.error('Record signal amendment error:', error);
+            return null;
+        }
+    }
+
+    console.error('Record signal amendment error: version conflict for signal', after.id);
+    return null;
+}
+
+// Amendments of one signal, oldest first
+async function loadSignalAmendments(supabase, signalId) {
+    const { data, error } = await supabase
+        .from('signal_amendments')
+        .select('*')
+        .eq('signal_id', signalId)
+        .order('version', { ascending: true });
+
+    if (error) {
+        throw error;
+    }
+
+    return data || [];
+}
+
+module.exports = {
+    AMENDED_FIELDS,
+    diffSignal,
+    recordSignalAmendment,
+    loadSignalAmendments
+};
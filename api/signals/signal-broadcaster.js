@@ -0,0 +1,383 @@
+// api/signals/signal-broadcaster.js
+// Outbound signal broadcasts. Publishing or closing a signal queues one message per
+// active target whose tier the signal is for; the broadcaster posts due messages and
+// retries failures with exponential backoff. Each tier has its own targets, and a
+// publish is not due before that tier's release embargo lifts.
+const { getTargets, toNumber } = require('./signal-math');
+
+const BROADCAST_EVENTS = ['published', 'closed'];
+const BROADCAST_TIERS = ['gold', 'platinum', 'diamond'];
+const TARGET_KINDS = ['telegram', 'discord', 'generic'];
+
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_MS = 30 * 1000;
+const MAX_RETRY_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Longest message each platform accepts
+// Signal status an event's message still makes sense for when it comes due
+const EVENT_SIGNAL_STATUSES = {
+    published: 'active',
+    closed: 'closed'
+};
+
+const MESSAGE_LIMITS = {
+    telegram: 4096,
+    discord: 2000,
+    generic: 10000
+};
+
+const DEFAULT_TEMPLATES = {
+    published: '🚨 {action} {symbol} ({timeframe})\nEntry: {entry}\nSL: {stop_loss}\nTP: {targets}\n{url}',
+    closed: '🏁 {symbol} {action} closed: {result} ({pips} pips)\n{url}'
+};
+
+const SITE_URL = process.env.SITE_URL || 'https://tradershelmet.com';
+
+function formatPrice(value) {
+    const number = toNumber(value);
+    return number === null ? '-' : parseFloat(number.toFixed(5)).toString();
+}
+
+// Placeholder values for a signal's message
+function getTemplateValues(signal, target) {
+    const targets = getTargets(signal);
+
+    return {
+        title: signal.title || '',
+        symbol: signal.symbol || '',
+        action: (signal.action || '').toUpperCase(),
+        timeframe: signal.timeframe || '',
+        risk_level: signal.risk_level || '',
+        entry: formatPrice(signal.entry_price),
+        stop_loss: formatPrice(signal.stop_loss),
+        take_profit: formatPrice(signal.take_profit),
+        targets: targets.length > 0 ?
+            targets.map(rung => `TP${rung.level} ${formatPrice(rung.price)}`).join(', ') :
+            formatPrice(signal.take_profit),
+        result: signal.result || '',
+        pips: signal.pips_gained ?? '-',
+        percentage: signal.percentage_gain ?? '-',
+        tier: target.tier,
+        url: `${SITE_URL}/signals/#${signal.id}`
+    };
+}
+
+/**
+ * Render a target's message for a signal event. Targets may override the template per
+ * event; unknown placeholders render empty and empty "()" left behind are dropped.
+ */
+function formatBroadcast(target, signal, event) {
+    const template = (target.templates && target.templates[event]) || DEFAULT_TEMPLATES[event];
+    const values = getTemplateValues(signal, target);
+
+    const message = template
+        .replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : ''))
+        .replace(/ ?\(\s*\)/g, '');
+
+    return message.slice(0, MESSAGE_LIMITS[target.kind] || MESSAGE_LIMITS.generic);
+}
+
+// HTTP request for a message in the shape each platform expects
+function buildBroadcastRequest(target, message, delivery = {}) {
+    let body;
+
+    switch (target.kind) {
+        case 'telegram':
+            body = { chat_id: target.chat_id, text: message, disable_web_page_preview: true };
+            break;
+        case 'discord':
+            body = { content: message };
+            break;
+        default:
+            body = {
+                text: message,
+                event: delivery.event,
+                signal_id: delivery.signal_id,
+                tier: target.tier
+            };
+    }
+
+    return {
+        url: target.url,
+        options: {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        }
+    };
+}
+
+/**
+ * POST one request. Returns { ok, status, error, retryable, retryAfterMs }: network errors,
+ * timeouts, 429 and 5xx are worth retrying; other 4xx responses will not get better.
+ */
+async function sendBroadcast(request, { fetchImpl = global.fetch, timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+    try {
+        const response = await fetchImpl(request.url, {
+            ...request.options,
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+
+        if (response.ok) {
+            return { ok: true, status: response.status };
+        }
+
+        const retryAfter = parseFloat(response.headers.get('retry-after'));
+        const text = await response.text().catch(() => '');
+
+        return {
+            ok: false,
+            status: response.status,
+            error: `HTTP ${response.status}${text ? `: ${text.slice(0, 300)}` : ''}`,
+            retryable: response.status === 429 || response.status >= 500,
+            retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+        };
+    } catch (error) {
+        return {
+            ok: false,
+            status: null,
+            error: error.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : error.message,
+            retryable: true,
+            retryAfterMs: null
+        };
+    }
+}
+
+// Wait before the next attempt: 30s, 1m, 2m... capped at an hour, or what the target asked for
+function getRetryDelay(attempts, retryAfterMs = null) {
+    const backoff = Math.min(BASE_RETRY_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_RETRY_MS);
+    return retryAfterMs ? Math.max(backoff, retryAfterMs) : backoff;
+}
+
+/**
+ * Queue a signal event for every active target of a tier the signal is for. A publish
+ * is due when the target's tier is released; a close is only sent to tiers that
+ * already received the signal, and cancels publishes still waiting on an embargo.
+ * Failures are logged and swallowed; the signal row is the source of truth.
+ */
+async function queueSignalBroadcast(supabase, signal, event, now = new Date()) {
+    try {
+        const { data: targets, error } = await supabase
+            .from('signal_broadcast_targets')
+            .select('*')
+            .eq('is_active', true)
+            .contains('events', [event]);
+
+        if (error) throw error;
+
+        // Published signals list their tiers in tier_release_at; older ones only in tier_access
+        const releaseAt = signal.tier_release_at || {};
+        const tiers = Object.keys(releaseAt).length > 0 ? Object.keys(releaseAt) :
+            (Array.isArray(signal.tier_access) && signal.tier_access.length > 0 ? signal.tier_access : BROADCAST_TIERS);
+        const rows = [];
+        const embargoedTargets = [];
+
+        (targets || []).filter(target => tiers.includes(target.tier)).forEach(target => {
+            const tierReleaseAt = releaseAt[target.tier] ? new Date(releaseAt[target.tier]) : now;
+
+            if (event === 'closed' && tierReleaseAt > now) {
+                embargoedTargets.push(target.id);
+                return;
+            }
+
+            rows.push({
+                target_id: target.id,
+                signal_id: signal.id,
+                event,
+                message: formatBroadcast(target, signal, event),
+                next_attempt_at: (tierReleaseAt > now ? tierReleaseAt : now).toISOString()
+            });
+        });
+
+        if (embargoedTargets.length > 0) {
+            await supabase
+                .from('signal_broadcast_deliveries')
+                .update({ status: 'cancelled', last_error: 'Signal closed before the tier was released' })
+                .eq('signal_id', signal.id)
+                .eq('status', 'pending')
+                .in('target_id', embargoedTargets);
+        }
+
+        if (rows.length === 0) {
+            return 0;
+        }
+
+        // A signal is announced once per target and event, however often this is called
+        const { error: insertError } = await supabase
+            .from('signal_broadcast_deliveries')
+            .upsert(rows, { onConflict: 'target_id,signal_id,event', ignoreDuplicates: true });
+
+        if (insertError) throw insertError;
+
+        return rows.length;
+    } catch (error) {
+        console.error('Queue signal broadcast error:', error);
+        return 0;
+    }
+}
+
+/**
+ * Cancel a signal's deliveries that have not gone out yet, e.g. publishes still waiting
+ * on a tier's embargo when the signal is withdrawn. Failures are logged and swallowed.
+ */
+async function cancelSignalBroadcasts(supabase, signalId, reason) {
+    const { error } = await supabase
+        .from('signal_broadcast_deliveries')
+        .update({ status: 'cancelled', last_error: reason })
+        .eq('signal_id', signalId)
+        .eq('status', 'pending');
+
+    if (error) {
+        console.error(`Cancel signal broadcasts error for ${signalId}:`, error.message);
+    }
+}
+
+/**
+ * Post every delivery that is due, oldest first. The message is rendered from the signal
+ * as it stands now, so amendments made during a tier's embargo reach that tier; the text
+ * stored when queueing is only the fallback. Each attempt is recorded on the delivery
+ * row with the text posted: sent, pending with the next retry time, or failed after
+ * MAX_ATTEMPTS. Deliveries whose signal has since moved on (a publish for a withdrawn or
+ * closed signal) are cancelled instead of posted.
+ */
+async function deliverDueBroadcasts(supabase, { fetchImpl = global.fetch, now = new Date(), limit = 50 } = {}) {
+    const { data: deliveries, error } = await supabase
+        .from('signal_broadcast_deliveries')
+        .select('*, signal_broadcast_targets(*), trading_signals(*)')
+        .eq('status', 'pending')
+        .lte('next_attempt_at', now.toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .limit(limit);
+
+    if (error) {
+        throw error;
+    }
+
+    const summary = { sent: 0, retried: 0, failed: 0 };
+
+    for (const delivery of deliveries || []) {
+        const target = delivery.signal_broadcast_targets;
+        const signal = delivery.trading_signals;
+        let updates;
+
+        if (!target || !target.is_active) {
+            updates = { status: 'cancelled', last_error: 'Target disabled' };
+        } else if (signal && signal.status !== EVENT_SIGNAL_STATUSES[delivery.event]) {
+            updates = { status: 'cancelled', last_error: `Signal is ${signal.status}` };
+        } else {
+            const message = signal ? formatBroadcast(target, signal, delivery.event) : delivery.message;
+            const result = await sendBroadcast(buildBroadcastRequest(target, message, delivery), { fetchImpl });
+            const attempts = delivery.attempts + 1;
+
+            if (result.ok) {
+                updates = { status: 'sent', attempts, message, response_status: result.status, last_error: null, sent_at: new Date().toISOString() };
+                summary.sent++;
+            } else if (!result.retryable || attempts >= MAX_ATTEMPTS) {
+                updates = { status: 'failed', attempts, message, response_status: result.status, last_error: result.error };
+                summary.failed++;
+            } else {
+                updates = {
+                    attempts,
+                    message,
+                    response_status: result.status,
+                    last_error: result.error,
+                    next_attempt_at: new Date(Date.now() + getRetryDelay(attempts, result.retryAfterMs)).toISOString()
+                };
+                summary.retried++;
+            }
+        }
+
+        const { error: updateError } = await supabase
+            .from('signal_broadcast_deliveries')
+            .update(updates)
+            .eq('id', delivery.id)
+            .eq('attempts', delivery.attempts);
+
+        if (updateError) {
+            console.error(`Broadcast delivery update error for ${delivery.id}:`, updateError.message);
+        }
+    }
+
+    return summary;
+}
+
+// Target as listed to admins: the URL path usually holds a bot token, so only the origin is shown
+function presentTarget(target) {
+    let urlPreview = '';
+    try {
+        urlPreview = `${new URL(target.url).origin}/…`;
+    } catch (error) {
+        urlPreview = '(invalid URL)';
+    }
+
+    const { url, ...rest } = target;
+    return { ...rest, url_preview: urlPreview };
+}
+
+/**
+ * Poll for due deliveries every `interval` ms. Ticks never overlap. Run a single
+ * broadcaster: two would both post a delivery before either records it.
+ */
+function createSignalBroadcaster(options = {}) {
+    const { supabase, interval = 10000, fetchImpl = global.fetch } = options;
+
+    if (!supabase) {
+        throw new Error('createSignalBroadcaster requires a Supabase client');
+    }
+
+    let timer = null;
+    let running = false;
+
+    async function tick() {
+        if (running) return null;
+        running = true;
+
+        try {
+            const summary = await deliverDueBroadcasts(supabase, { fetchImpl });
+
+            if (summary.sent > 0 || summary.failed > 0) {
+                console.log(`📤 Broadcast ${summary.sent} signal messages (${summary.retried} retrying, ${summary.failed} failed)`);
+            }
+
+            return summary;
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        timer = setInterval(() => {
+            tick().catch(error => console.error('Signal broadcast error:', error.message));
+        }, interval);
+
+        return tick();
+    }
+
+    function stop() {
+        clearInterval(timer);
+    }
+
+    return {
+        start,
+        stop,
+        tick
+    };
+}
+
+module.exports = {
+    BROADCAST_EVENTS,
+    BROADCAST_TIERS,
+    TARGET_KINDS,
+    MAX_ATTEMPTS,
+    DEFAULT_TEMPLATES,
+    formatBroadcast,
+    buildBroadcastRequest,
+    sendBroadcast,
+    getRetryDelay,
+    queueSignalBroadcast,
+    cancelSignalBroadcasts,
+    deliverDueBroadcasts,
+    presentTarget,
+    createSignalBroadcaster
+};
@@ -0,0 +1,96 @@
+// api/signals/signal-events.js
+// Push signal lifecycle changes to connected clients on the 'signals' realtime channel.
+// Members' RLS only exposes active rows, so postgres_changes never delivers a close to them;
+// the broadcast carries the same {eventType, new, old} payload SupabaseManager re-emits as realtime:signals.
+// Amendments ride along as metadata only (version, reason, changed field names): the level
+// values are tier-restricted, so clients fetch the diff from /api/signals/:id/amendments.
+// Broadcasts reach every subscriber, so while lower tiers are still under embargo the
+// payload is cut down to identifiers; released tiers already hold the rest.
+
+const SIGNALS_CHANNEL = 'signals';
+const SIGNAL_UPDATE_EVENT = 'signal_update';
+
+// Fields safe to broadcast to every subscriber regardless of tier
+const BROADCAST_FIELDS = [
+    'id', 'title', 'symbol', 'signal_type', 'action', 'status', 'result',
+    'pips_gained', 'percentage_gain', 'closed_at', 'tier_access',
+    'released_tiers', 'next_release_at', 'updated_at'
+];
+
+// Fields broadcast while a signal's release is still in progress
+const EMBARGO_BROADCAST_FIELDS = ['id', 'status', 'result', 'tier_access', 'released_tiers', 'next_release_at', 'updated_at'];
+
+function pickBroadcastFields(signal, embargoed = false) {
+    const payload = {};
+
+    (embargoed ? EMBARGO_BROADCAST_FIELDS : BROADCAST_FIELDS).forEach(field => {
+        if (signal && signal[field] !== undefined) {
+            payload[field] = signal[field];
+        }
+    });
+
+    return payload;
+}
+
+// Public part of an amendment
+function pickAmendmentFields(amendment) {
+    return {
+        id: amendment.id,
+        version: amendment.version,
+        reason: amendment.reason,
+        source: amendment.source,
+        fields: Object.keys(amendment.changes || {}),
+        created_at: amendment.created_at
+    };
+}
+
+/**
+ * Broadcast an UPDATE for a signal whose status or levels changed, with the
+ * amendment that recorded it when there is one.
+ * Failures are logged and swallowed; the database row is the source of truth.
+ */
+async function broadcastSignalUpdate(supabase, newSignal, oldSignal, amendment = null) {
+    const channel = supabase.channel(SIGNALS_CHANNEL);
+    // next_release_at stays set when a signal closes mid-release, so closes are cut down too
+    const embargoed = Boolean(newSignal && newSignal.next_release_at);
+
+    try {
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('Realtime subscribe timed out')), 5000);
+
+            channel.subscribe((status) => {
+                if (status === 'SUBSCRIBED') {
+                    clearTimeout(timeout);
+                    resolve();
+                } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                    clearTimeout(timeout);
+                    reject(new Error(`Realtime channel ${status}`));
+                }
+            });
+        });
+
+        await channel.send({
+            type: 'broadcast',
+            event: SIGNAL_UPDATE_EVENT,
+            payload: {
+                eventType: 'UPDATE',
+                new: pickBroadcastFields(newSignal, embargoed),
+                old: pickBroadcastFields(oldSignal, embargoed),
+                ...(amendment ? { amendment: pickAmendmentFields(amendment) } : {})
+            }
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Signal broadcast error:', error.message);
+        return false;
+    } finally {
+        await supabase.removeChannel(channel);
+    }
+}
+
+module.exports = {
+    SIGNALS_CHANNEL,
+    SIGNAL_UPDATE_EVENT,
+    broadcastSignalUpdate
+};
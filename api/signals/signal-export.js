@@ -0,0 +1,255 @@
+// api/signals/signal-export.js
+// Signal exports for trading terminals: CSV, JSON and an MT4/MT5 .set file. Lot sizes
+// come from THA_Utils.trading.calculatePositionSize() for the account balance and risk
+// the member enters, converted from units to lots with the instrument's contract size.
+// Risk is converted from each instrument's quote currency into the account currency.
+const THA_Utils = require('../../assets/js/utils');
+const { getTargets, toNumber } = require('./signal-math');
+const { getQuoteCurrency, getConversionRate } = require('../market/fx-rates');
+
+const EXPORT_FORMATS = ['csv', 'json', 'mt4'];
+const EXPORT_SCOPES = ['active', 'history', 'all'];
+
+// Most signals one export returns
+const EXPORT_LIMIT = 500;
+
+const DEFAULT_ACCOUNT_BALANCE = 10000;
+const DEFAULT_RISK_PERCENT = 1;
+
+// Units in one standard lot by instrument family; metals and energies by symbol
+const CONTRACT_SIZES = {
+    forex: 100000,
+    crypto: 1,
+    indices: 1,
+    stocks: 1,
+    commodities: 1000
+};
+
+const SYMBOL_CONTRACT_SIZES = {
+    XAU: 100,
+    XAG: 5000,
+    XPT: 100,
+    XPD: 100
+};
+
+const LOT_STEP = 0.01;
+
+const FILE_TYPES = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+    mt4: { extension: 'set', contentType: 'text/plain; charset=utf-8' }
+};
+
+const CSV_COLUMNS = [
+    'id', 'published_at', 'status', 'result', 'symbol', 'action', 'timeframe', 'signal_type',
+    'risk_level', 'entry_price', 'stop_loss', 'take_profit', 'targets', 'lots', 'risk_amount',
+    'pips_gained', 'closed_at'
+];
+
+function getContractSize(symbol, signalType) {
+    const prefix = Object.keys(SYMBOL_CONTRACT_SIZES).find(base => String(symbol || '').startsWith(base));
+
+    if (prefix) {
+        return SYMBOL_CONTRACT_SIZES[prefix];
+    }
+
+    return CONTRACT_SIZES[signalType] || CONTRACT_SIZES.forex;
+}
+
+// Round down to the broker lot step so the risk taken never exceeds the risk asked for
+function toLots(units, contractSize) {
+    const lots = Math.floor((units / contractSize) / LOT_STEP + 1e-9) * LOT_STEP;
+    return parseFloat(lots.toFixed(2));
+}
+
+/**
+ * Quote currency -> account currency rates for the signals being exported, from the
+ * market provider. A currency the provider cannot price maps to null.
+ */
+async function loadConversionRates(signals, accountCurrency, provider) {
+    const currencies = [...new Set(signals.map(signal => getQuoteCurrency(signal.symbol)))];
+    const rates = await Promise.all(currencies.map(currency =>
+        getConversionRate(currency, accountCurrency, provider).catch(() => null)));
+
+    return Object.fromEntries(currencies.map((currency, index) => [currency, rates[index]]));
+}
+
+/**
+ * Lots for a signal at `riskPercent` of `accountBalance`. Sized on the stop the signal
+ * was published with, so a trailed stop does not inflate the size of a running trade.
+ * conversionRates maps quote currencies to the account currency (see loadConversionRates());
+ * a missing map means the account is in the quote currency.
+ * Returns null when the signal has no usable entry and stop or no conversion rate.
+ */
+function calculateLots(signal, { accountBalance, riskPercent, conversionRates = null }) {
+    const entry = toNumber(signal.entry_price);
+    const stop = toNumber(signal.initial_stop_loss ?? signal.stop_loss);
+    const conversionRate = conversionRates ? conversionRates[getQuoteCurrency(signal.symbol)] : 1;
+
+    if (entry === null || stop === null || entry === stop || !(conversionRate > 0)) {
+        return null;
+    }
+
+    const units = THA_Utils.trading.calculatePositionSize(accountBalance, riskPercent, entry, stop, conversionRate);
+    return toLots(units, getContractSize(signal.symbol, signal.signal_type));
+}
+
+// Split a position across the take-profit ladder by close_percent; the last rung takes what is left
+function splitLots(lots, targets) {
+    let remaining = lots;
+
+    return targets.map((target, index) => {
+        const share = index === targets.length - 1 ?
+            remaining :
+            Math.floor((lots * (target.close_percent ?? 100) / 100) / LOT_STEP + 1e-9) * LOT_STEP;
+
+        remaining = parseFloat((remaining - share).toFixed(2));
+        return { ...target, lots: parseFloat(share.toFixed(2)) };
+    });
+}
+
+/**
+ * Flatten a signal into the record every format is written from.
+ */
+function buildExportRecord(signal, sizing) {
+    const lots = calculateLots(signal, sizing);
+    const targets = getTargets(signal).filter(target => toNumber(target.price) !== null);
+    const rungs = lots === null ? targets.map(target => ({ ...target, lots: null })) : splitLots(lots, targets);
+
+    return {
+        id: signal.id,
+        title: signal.title || '',
+        published_at: signal.analytics?.published_at || signal.created_at || null,
+        status: signal.status,
+        result: signal.result || null,
+        symbol: signal.symbol,
+        action: signal.action,
+        timeframe: signal.timeframe || null,
+        signal_type: signal.signal_type || null,
+        risk_level: signal.risk_level || null,
+        entry_price: toNumber(signal.entry_price),
+        stop_loss: toNumber(signal.stop_loss),
+        take_profit: toNumber(signal.take_profit),
+        targets: rungs.map(target => ({
+            level: target.level,
+            price: toNumber(target.price),
+            close_percent: target.close_percent ?? 100,
+            status: target.status || 'pending',
+            lots: target.lots
+        })),
+        lots,
+        risk_amount: parseFloat((sizing.accountBalance * sizing.riskPercent / 100).toFixed(2)),
+        pips_gained: toNumber(signal.pips_gained),
+        closed_at: signal.closed_at || null
+    };
+}
+
+// Quote a CSV cell; text starting with a formula character is prefixed so spreadsheets show it as text
+function toCsvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = String(value);
+
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(records) {
+    const rows = records.map(record => CSV_COLUMNS.map(column => {
+        if (column === 'targets') {
+            return toCsvCell(record.targets.map(target => `TP${target.level} ${target.price} (${target.close_percent}%)`).join('; '));
+        }
+        return toCsvCell(record[column]);
+    }).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function formatJson(records, meta) {
+    return JSON.stringify({ ...meta, count: records.length, signals: records }, null, 2);
+}
+
+/**
+ * MT4/MT5 expert-advisor inputs, one numbered block per signal. Type follows the
+ * terminal's order constants (0 = buy, 1 = sell); each rung has its price and lots.
+ */
+function formatSetFile(records, meta) {
+    const lines = [
+        `; Traders Helmet Academy signals exported ${meta.exported_at}`,
+        `; Lots sized for a ${meta.account_balance} ${meta.account_currency} balance risking ${meta.risk_percent}% per signal`,
+        `SignalCount=${records.length}`
+    ];
+
+    records.forEach((record, index) => {
+        const key = `Signal${index + 1}_`;
+
+        lines.push(
+            `; ${record.symbol} ${String(record.action).toUpperCase()}${record.timeframe ? ` ${record.timeframe}` : ''} - ${record.status}`,
+            `${key}Id=${record.id}`,
+            `${key}Symbol=${record.symbol}`,
+            `${key}Type=${record.action === 'sell' ? 1 : 0}`,
+            `${key}Entry=${record.entry_price ?? 0}`,
+            `${key}StopLoss=${record.stop_loss ?? 0}`,
+            `${key}TakeProfit=${record.take_profit ?? 0}`,
+            `${key}Lots=${record.lots ?? 0}`,
+            `${key}TargetCount=${record.targets.length}`
+        );
+
+        record.targets.forEach(target => {
+            lines.push(
+                `${key}TP${target.level}=${target.price}`,
+                `${key}TP${target.level}_Lots=${target.lots ?? 0}`
+            );
+        });
+
+        lines.push(`${key}Comment=THA ${String(record.id).slice(0, 8)}`);
+    });
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Render signals in one of EXPORT_FORMATS. Returns { body, filename, contentType }.
+ */
+function exportSignals(signals, { format, scope, accountBalance, accountCurrency, riskPercent, conversionRates = null, now = new Date() }) {
+    const sizing = { accountBalance, riskPercent, conversionRates };
+    const records = signals.map(signal => buildExportRecord(signal, sizing));
+    const meta = {
+        exported_at: now.toISOString(),
+        scope,
+        account_balance: accountBalance,
+        account_currency: accountCurrency,
+        risk_percent: riskPercent
+    };
+
+    const body = format === 'csv' ? formatCsv(records) :
+        format === 'mt4' ? formatSetFile(records, meta) :
+            formatJson(records, meta);
+
+    const fileType = FILE_TYPES[format];
+
+    return {
+        body,
+        filename: `tha-signals-${scope}-${meta.exported_at.slice(0, 10)}.${fileType.extension}`,
+        contentType: fileType.contentType
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_SCOPES,
+    EXPORT_LIMIT,
+    DEFAULT_ACCOUNT_BALANCE,
+    DEFAULT_RISK_PERCENT,
+    getContractSize,
+    loadConversionRates,
+    calculateLots,
+    buildExportRecord,
+    toCsvCell,
+    exportSignals
+};
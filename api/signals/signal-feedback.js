@@ -0,0 +1,170 @@
+// api/signals/signal-feedback.js
+// Member feedback on signals: took / skipped, a 1-5 clarity rating and a short comment.
+// Stored on the member's signal_views row; totals come from the signal_engagement view.
+
+const FEEDBACK_REACTIONS = ['took', 'skipped'];
+
+const MAX_COMMENT_LENGTH = 280;
+
+// Copy feedback fields from the request body; null clears one. Returns { fields, errors }.
+function pickFeedbackFields(body) {
+    const fields = {};
+    const errors = [];
+
+    if (body.reaction !== undefined) {
+        fields.reaction = body.reaction || null;
+        if (fields.reaction && !FEEDBACK_REACTIONS.includes(fields.reaction)) {
+            errors.push(`reaction must be one of: ${FEEDBACK_REACTIONS.join(', ')}`);
+        }
+    }
+
+    if (body.clarity_rating !== undefined) {
+        fields.clarity_rating = body.clarity_rating === null || body.clarity_rating === '' ?
+            null : Number(body.clarity_rating);
+        if (fields.clarity_rating !== null &&
+            !(Number.isInteger(fields.clarity_rating) && fields.clarity_rating >= 1 && fields.clarity_rating <= 5)) {
+            errors.push('clarity_rating must be a whole number from 1 to 5');
+        }
+    }
+
+    if (body.comment !== undefined) {
+        fields.feedback_comment = body.comment === null ? null : String(body.comment).trim() || null;
+        if (fields.feedback_comment && fields.feedback_comment.length > MAX_COMMENT_LENGTH) {
+            errors.push(`comment must be at most ${MAX_COMMENT_LENGTH} characters`);
+        }
+    }
+
+    if (Object.keys(fields).length === 0) {
+        errors.push('Provide a reaction, clarity_rating or comment');
+    }
+
+    return { fields, errors };
+}
+
+// Totals shown on a signal card, from a signal_engagement row
+function presentEngagement(row) {
+    const took = row?.took_count || 0;
+    const skipped = row?.skipped_count || 0;
+
+    return {
+        views: row?.views || 0,
+        took,
+        skipped,
+        took_rate: took + skipped > 0 ? Math.round((took / (took + skipped)) * 100) : null,
+        ratings: row?.rating_count || 0,
+        avg_clarity: row?.avg_clarity !== null && row?.avg_clarity !== undefined ? parseFloat(row.avg_clarity) : null,
+        comments: row?.comment_count || 0
+    };
+}
+
+// A member's own feedback on a signal, from their signal_views row
+function presentOwnFeedback(view) {
+    if (!view || !view.feedback_at) {
+        return null;
+    }
+
+    return {
+        reaction: view.reaction,
+        clarity_rating: view.clarity_rating,
+        comment: view.feedback_comment,
+        feedback_at: view.feedback_at
+    };
+}
+
+/**
+ * Add feedback (engagement totals) and my_feedback (the caller's own) to each
+ * signal. Failures are logged and the signals returned as they were.
+ */
+async function attachFeedback(supabase, signals, userId) {
+    const ids = signals.map(signal => signal.id).filter(Boolean);
+    if (ids.length === 0) {
+        return signals;
+    }
+
+    try {
+        const [{ data: engagement, error: engagementError }, { data: views, error: viewsError }] = await Promise.all([
+            supabase
+                .from('signal_engagement')
+                .select('signal_id, views, took_count, skipped_count, rating_count, avg_clarity, comment_count')
+                .in('signal_id', ids),
+            supabase
+                .from('signal_views')
+                .select('signal_id, reaction, clarity_rating, feedback_comment, feedback_at')
+                .eq('user_id', userId)
+                .in('signal_id', ids)
+        ]);
+
+        if (engagementError) throw engagementError;
+        if (viewsError) throw viewsError;
+
+        const engagementById = new Map((engagement || []).map(row => [row.signal_id, row]));
+        const viewsById = new Map((views || []).map(view => [view.signal_id, view]));
+
+        return signals.map(signal => ({
+            ...signal,
+            feedback: presentEngagement(engagementById.get(signal.id)),
+            my_feedback: presentOwnFeedback(viewsById.get(signal.id))
+        }));
+    } catch (error) {
+        console.error('Attach signal feedback error:', error);
+        return signals;
+    }
+}
+
+/**
+ * Totals and individual responses on one signal for the analyst view, newest first
+ */
+async function loadSignalFeedback(supabase, signalId, { limit = 100 } = {}) {
+    const [{ data: engagement, error: engagementError }, { data: responses, error: responsesError }] = await Promise.all([
+        supabase
+            .from('signal_engagement')
+            .select('*')
+            .eq('signal_id', signalId)
+            .maybeSingle(),
+        supabase
+            .from('signal_views')
+            .select('user_id, reaction, clarity_rating, feedback_comment, feedback_at, viewed_at')
+            .eq('signal_id', signalId)
+            .not('feedback_at', 'is', null)
+            .order('feedback_at', { ascending: false })
+            .limit(limit)
+    ]);
+
+    if (engagementError) throw engagementError;
+    if (responsesError) throw responsesError;
+
+    const userIds = [...new Set((responses || []).map(response => response.user_id))];
+    const { data: users, error: usersError } = userIds.length > 0 ? await supabase
+        .from('user_profiles')
+        .select('id, display_name, first_name, last_name')
+        .in('id', userIds) : { data: [] };
+
+    if (usersError) throw usersError;
+
+    const usersById = new Map((users || []).map(user => [user.id, user]));
+    const getMemberName = (user) => user?.display_name ||
+        [user?.first_name, user?.last_name].filter(Boolean).join(' ') ||
+        'Member';
+
+    return {
+        summary: presentEngagement(engagement),
+        responses: (responses || []).map(response => ({
+            member: getMemberName(usersById.get(response.user_id)),
+            reaction: response.reaction,
+            clarity_rating: response.clarity_rating,
+            comment: response.feedback_comment,
+            feedback_at: response.feedback_at,
+            viewed_at: response.viewed_at
+        }))
+    };
+}
+
+module.exports = {
+    FEEDBACK_REACTIONS,
+    MAX_COMMENT_LENGTH,
+    pickFeedbackFields,
+    presentEngagement,
+    presentOwnFeedback,
+    attachFeedback,
+    loadSignalFeedback
+};
@@ -0,0 +1,324 @@
+// api/signals/signal-math.js
+// Price-level validation and outcome math shared by the signal routes and jobs
+const { getInstrumentType } = require('../market/symbols');
+
+// Pip size by instrument family; forex majors quote to 4dp, JPY crosses to 2dp
+const PIP_SIZES = {
+    forex: 0.0001,
+    forex_jpy: 0.01,
+    metals: 0.1,
+    commodities: 0.01,
+    indices: 1,
+    crypto: 1,
+    stocks: 0.01
+};
+
+const METAL_PREFIXES = ['XAU', 'XAG', 'XPT', 'XPD'];
+
+// Metals that quote finer than their family; silver trades to 3dp, so its pip is 0.01
+const SYMBOL_PIP_SIZES = {
+    XAG: 0.01
+};
+
+// Most take-profit rungs a signal may carry
+const MAX_TARGETS = 5;
+
+// Pip size for a symbol, using the signal_type column as the family hint
+function getPipSize(symbol, signalType = 'forex') {
+    const normalized = String(symbol || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+    const prefix = METAL_PREFIXES.find(candidate => normalized.startsWith(candidate));
+    if (prefix) {
+        return SYMBOL_PIP_SIZES[prefix] || PIP_SIZES.metals;
+    }
+
+    if (signalType === 'forex') {
+        return normalized.includes('JPY') ? PIP_SIZES.forex_jpy : PIP_SIZES.forex;
+    }
+
+    return PIP_SIZES[signalType] || PIP_SIZES.forex;
+}
+
+// Instrument type for a new journal entry, paper order or position: the linked signal's,
+// else the member's, else guessed from the symbol
+function resolveInstrumentType(fields, signal = null) {
+    return signal?.signal_type || fields.instrument_type || getInstrumentType(fields.symbol);
+}
+
+// +1 for longs, -1 for shorts
+function getDirection(action) {
+    return action === 'sell' ? -1 : 1;
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * The signal's take-profit ladder ordered by level. Signals without a ladder read
+ * as a single rung at take_profit that closes the whole position.
+ */
+function getTargets(signal) {
+    const ladder = Array.isArray(signal.take_profit_targets) ? signal.take_profit_targets : [];
+
+    if (ladder.length > 0) {
+        return ladder
+            .map(target => ({ ...target }))
+            .sort((a, b) => a.level - b.level);
+    }
+
+    const price = toNumber(signal.take_profit);
+    return price === null ? [] : [
+        { level: 1, price, close_percent: 100, status: 'pending', hit_at: null, hit_price: null }
+    ];
+}
+
+/**
+ * Build a pending ladder from author input: prices, or { price, close_percent } rungs.
+ * When no rung gives close_percent the position is split evenly, remainder on TP1.
+ */
+function buildTargetLadder(input) {
+    const rungs = (Array.isArray(input) ? input : [])
+        .map(rung => (typeof rung === 'object' && rung !== null ? rung : { price: rung }));
+    const splitEvenly = rungs.every(rung => rung.close_percent === undefined || rung.close_percent === null || rung.close_percent === '');
+    const share = Math.floor(100 / (rungs.length || 1));
+
+    return rungs.map((rung, index) => ({
+        level: index + 1,
+        price: toNumber(rung.price),
+        close_percent: splitEvenly ?
+            (index === 0 ? 100 - share * (rungs.length - 1) : share) :
+            toNumber(rung.close_percent),
+        status: 'pending',
+        hit_at: null,
+        hit_price: null
+    }));
+}
+
+// Ladder checks: prices beyond entry and each other in the trade's direction, closes summing to 100
+function validateTargets(action, entry, targets) {
+    const errors = [];
+    const direction = getDirection(action);
+
+    if (targets.length > MAX_TARGETS) {
+        errors.push(`At most ${MAX_TARGETS} take-profit targets are allowed`);
+    }
+
+    targets.forEach((target, index) => {
+        const label = `TP${target.level || index + 1}`;
+
+        if (target.price === null || !(target.price > 0)) {
+            errors.push(`${label} price must be a positive number`);
+            return;
+        }
+        if (!(target.close_percent > 0)) {
+            errors.push(`${label} close percent must be greater than 0`);
+        }
+
+        const previous = index === 0 ? entry : targets[index - 1].price;
+        if (previous !== null && previous > 0 && (target.price - previous) * direction <= 0) {
+            errors.push(index === 0 ?
+                `${label} must be ${direction > 0 ? 'above' : 'below'} entry for a ${action} signal` :
+                `${label} must be beyond TP${index}`);
+        }
+    });
+
+    const totalPercent = targets.reduce((sum, target) => sum + (target.close_percent || 0), 0);
+    if (targets.length > 0 && Math.abs(totalPercent - 100) > 0.01) {
+        errors.push(`Target close percents must add up to 100 (got ${round(totalPercent, 2)})`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validate entry/SL/TP ordering for a buy or sell, plus the take-profit ladder and
+ * breakeven rung when given. Returns a list of error messages; empty when the levels
+ * are consistent. With requireAll=false, missing levels are allowed (drafts).
+ */
+function validateLevels(signal, requireAll = true) {
+    const { action, entry_price, stop_loss, take_profit } = signal;
+    const errors = [];
+
+    if (!['buy', 'sell'].includes(action)) {
+        errors.push('Action must be buy or sell');
+        return errors;
+    }
+
+    const levels = {
+        entry_price: toNumber(entry_price),
+        stop_loss: toNumber(stop_loss),
+        take_profit: toNumber(take_profit)
+    };
+
+    Object.entries(levels).forEach(([field, value]) => {
+        if (value === null) {
+            if (requireAll) {
+                errors.push(`${field} is required`);
+            }
+        } else if (value <= 0) {
+            errors.push(`${field} must be a positive number`);
+        }
+    });
+
+    const { entry_price: entry, take_profit: target } = levels;
+
+    // Ordering is checked against the published stop; once trailed or moved to
+    // breakeven the live stop may legitimately sit at or beyond entry
+    const stop = toNumber(signal.initial_stop_loss) ?? levels.stop_loss;
+
+    if (action === 'buy') {
+        if (entry !== null && stop !== null && stop >= entry) {
+            errors.push('Stop loss must be below entry for a buy signal');
+        }
+        if (entry !== null && target !== null && target <= entry) {
+            errors.push('Take profit must be above entry for a buy signal');
+        }
+    } else {
+        if (entry !== null && stop !== null && stop <= entry) {
+            errors.push('Stop loss must be above entry for a sell signal');
+        }
+        if (entry !== null && target !== null && target >= entry) {
+            errors.push('Take profit must be below entry for a sell signal');
+        }
+    }
+
+    const ladder = Array.isArray(signal.take_profit_targets) ? signal.take_profit_targets : [];
+    if (ladder.length > 0) {
+        errors.push(...validateTargets(action, entry, getTargets(signal).map(target => ({
+            ...target,
+            price: toNumber(target.price),
+            close_percent: toNumber(target.close_percent)
+        }))));
+    }
+
+    const breakeven = signal.breakeven_after_target;
+    if (breakeven !== undefined && breakeven !== null) {
+        const rungs = getTargets(signal).length;
+        if (!Number.isInteger(breakeven) || breakeven < 1 || (rungs > 0 && breakeven >= rungs)) {
+            errors.push('Breakeven must follow a target before the last one');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Mark a pending rung hit and return the columns to write. Once the breakeven rung
+ * (or a later one) is hit the stop moves to entry, unless it is already past it,
+ * and stop_moved_at records when. complete is true when every rung has been hit.
+ */
+function recordTargetHit(signal, level, hitPrice, hitAt) {
+    const targets = getTargets(signal);
+    const target = targets.find(rung => rung.level === level);
+
+    if (!target || target.status === 'hit') {
+        throw new Error(`Target ${level} is not pending`);
+    }
+
+    target.status = 'hit';
+    target.hit_at = new Date(hitAt).toISOString();
+    target.hit_price = toNumber(hitPrice);
+
+    const entry = toNumber(signal.entry_price);
+    const breakeven = toNumber(signal.breakeven_after_target);
+    let stopLoss = toNumber(signal.stop_loss);
+    let stopMovedAt = signal.stop_moved_at || null;
+
+    if (breakeven !== null && level >= breakeven && entry !== null &&
+        (stopLoss === null || (entry - stopLoss) * getDirection(signal.action) > 0)) {
+        stopLoss = entry;
+        stopMovedAt = target.hit_at;
+    }
+
+    return {
+        take_profit_targets: targets,
+        stop_loss: stopLoss,
+        stop_moved_at: stopMovedAt,
+        complete: targets.every(rung => rung.status === 'hit')
+    };
+}
+
+function round(value, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Compute result, pips_gained and percentage_gain for a signal exited at exitPrice.
+ * Rungs already hit closed their close_percent at their own fill, so the figures are
+ * the position-weighted blend; only the remainder exits at exitPrice.
+ */
+function calculateOutcome(signal, exitPrice) {
+    const entry = toNumber(signal.entry_price);
+    const exit = toNumber(exitPrice);
+
+    if (entry === null || exit === null) {
+        throw new Error('Entry and exit prices are required to calculate an outcome');
+    }
+
+    const direction = getDirection(signal.action);
+    const pipSize = getPipSize(signal.symbol, signal.signal_type);
+
+    const legs = getTargets(signal)
+        .filter(target => target.status === 'hit')
+        .map(target => ({
+            price: toNumber(target.hit_price) ?? toNumber(target.price),
+            percent: toNumber(target.close_percent) || 0
+        }));
+    const closedPercent = legs.reduce((sum, leg) => sum + leg.percent, 0);
+    legs.push({ price: exit, percent: Math.max(0, 100 - closedPercent) });
+
+    const move = legs.reduce((sum, leg) => sum + (leg.price - entry) * direction * leg.percent / 100, 0);
+    const pips = round(move / pipSize, 2);
+    const percentage = round((move / entry) * 100, 2);
+
+    let result = 'breakeven';
+    if (pips > 0) result = 'profit';
+    if (pips < 0) result = 'loss';
+
+    return {
+        result,
+        pips_gained: pips,
+        percentage_gain: percentage
+    };
+}
+
+/**
+ * R-multiple of a closed signal: pips gained relative to the pips risked at publish,
+ * so moving the stop to breakeven does not change the unit of risk.
+ */
+function calculateRMultiple(signal) {
+    const entry = toNumber(signal.entry_price);
+    const stop = toNumber(signal.initial_stop_loss) ?? toNumber(signal.stop_loss);
+    const pips = toNumber(signal.pips_gained);
+
+    if (entry === null || stop === null || pips === null || entry === stop) {
+        return null;
+    }
+
+    const riskPips = Math.abs(entry - stop) / getPipSize(signal.symbol, signal.signal_type);
+    return round(pips / riskPips, 2);
+}
+
+module.exports = {
+    PIP_SIZES,
+    SYMBOL_PIP_SIZES,
+    MAX_TARGETS,
+    getPipSize,
+    resolveInstrumentType,
+    round,
+    getDirection,
+    toNumber,
+    getTargets,
+    buildTargetLadder,
+    validateLevels,
+    recordTargetHit,
+    calculateOutcome,
+    calculateRMultiple
+};
@@ -0,0 +1,120 @@
+// api/signals/signal-search.js
+// Search filters shared by the signal list and export (full text, date and confidence
+// ranges) and the named filter presets members save to their profile.
+
+const MAX_SEARCH_LENGTH = 200;
+
+const MAX_PRESETS = 20;
+
+const MAX_PRESET_NAME_LENGTH = 60;
+
+// Filter names a preset may hold: the signals page's own, so presets round-trip to the URL
+const PRESET_FILTER_KEYS = [
+    'type', 'status', 'risk', 'symbol', 'analyst', 'search',
+    'dateRange', 'dateFrom', 'dateTo', 'minConfidence', 'maxConfidence'
+];
+
+/**
+ * Read search, from, to, min_confidence and max_confidence from a request query.
+ * Returns { filters, errors }; filters holds only what was given.
+ */
+function parseSearchFilters(query) {
+    const filters = {};
+    const errors = [];
+
+    if (query.search !== undefined && String(query.search).trim()) {
+        filters.search = String(query.search).trim();
+        if (filters.search.length > MAX_SEARCH_LENGTH) {
+            errors.push(`search must be at most ${MAX_SEARCH_LENGTH} characters`);
+        }
+    }
+
+    ['from', 'to'].forEach(field => {
+        if (query[field]) {
+            const date = new Date(query[field]);
+            if (Number.isNaN(date.getTime())) {
+                errors.push(`${field} must be a valid date`);
+            } else {
+                filters[field] = date.toISOString();
+            }
+        }
+    });
+
+    if (filters.from && filters.to && filters.from > filters.to) {
+        errors.push('from must be before to');
+    }
+
+    [['min_confidence', 'minConfidence'], ['max_confidence', 'maxConfidence']].forEach(([param, field]) => {
+        if (query[param] !== undefined && query[param] !== '') {
+            const value = Number(query[param]);
+            if (!Number.isInteger(value) || value < 1 || value > 100) {
+                errors.push(`${param} must be a whole number from 1 to 100`);
+            } else {
+                filters[field] = value;
+            }
+        }
+    });
+
+    if (filters.minConfidence && filters.maxConfidence && filters.minConfidence > filters.maxConfidence) {
+        errors.push('min_confidence must not exceed max_confidence');
+    }
+
+    return { filters, errors };
+}
+
+// Add parsed search filters to a trading_signals query
+function applySearchFilters(query, filters) {
+    if (filters.search) {
+        query = query.textSearch('search_vector', filters.search, { type: 'websearch', config: 'english' });
+    }
+
+    if (filters.from) {
+        query = query.gte('created_at', filters.from);
+    }
+
+    if (filters.to) {
+        query = query.lte('created_at', filters.to);
+    }
+
+    if (filters.minConfidence) {
+        query = query.gte('confidence_level', filters.minConfidence);
+    }
+
+    if (filters.maxConfidence) {
+        query = query.lte('confidence_level', filters.maxConfidence);
+    }
+
+    return query;
+}
+
+// Copy a preset's name and known filters from the request body. Returns { fields, errors }.
+function pickPresetFields(body) {
+    const errors = [];
+    const name = String(body.name || '').trim();
+
+    if (!name) {
+        errors.push('name is required');
+    } else if (name.length > MAX_PRESET_NAME_LENGTH) {
+        errors.push(`name must be at most ${MAX_PRESET_NAME_LENGTH} characters`);
+    }
+
+    if (!body.filters || typeof body.filters !== 'object' || Array.isArray(body.filters)) {
+        errors.push('filters must be an object');
+    }
+
+    const filters = {};
+    Object.entries(body.filters || {}).forEach(([key, value]) => {
+        if (!PRESET_FILTER_KEYS.includes(key) || value === null || value === '' || value === 'all') return;
+        filters[key] = String(value).slice(0, MAX_SEARCH_LENGTH);
+    });
+
+    return { fields: { name, filters }, errors };
+}
+
+module.exports = {
+    MAX_PRESETS,
+    PRESET_FILTER_KEYS,
+    parseSearchFilters,
+    applySearchFilters,
+    pickPresetFields
+};
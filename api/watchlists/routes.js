@@ -0,0 +1,615 @@
+// api/watchlists/routes.js
+const express = require('express');
+const admin = require('firebase-admin');
+const { createClient } = require('@supabase/supabase-js');
+const { normalizeSymbol } = require('../market/symbols');
+const router = express.Router();
+
+// Initialize Supabase
+const supabaseUrl = process.env.SUPABASE_URL || 'https://vjxnwqjlaxrvqctiphhb.supabase.co';
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// Watchlists and symbols per list by subscription tier (free = no active subscription)
+const WATCHLIST_LIMITS = {
+    free: { watchlists: 1, symbols: 10 },
+    gold: { watchlists: 3, symbols: 25 },
+    platinum: { watchlists: 10, symbols: 50 },
+    diamond: { watchlists: 25, symbols: 100 },
+    admin: { watchlists: 100, symbols: 200 }
+};
+
+const MAX_NAME_LENGTH = 60;
+const MAX_NOTE_LENGTH = 500;
+
+const LIST_COLUMNS = 'id, name, description, position, is_default, created_at, updated_at, user_watchlist_items(id, symbol, position, note, added_at)';
+
+// Middleware to verify Firebase token
+async function verifyFirebaseToken(req, res, next) {
+    try {
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({
+                error: 'No valid authorization token provided'
+            });
+        }
+
+        const token = authHeader.substring(7);
+        const decodedToken = await admin.auth().verifyIdToken(token);
+
+        // Get user profile from Supabase
+        const { data: userProfile, error } = await supabase
+            .from('user_profiles')
+            .select('*')
+            .eq('id', decodedToken.uid)
+            .single();
+
+        if (error || !userProfile) {
+            return res.status(404).json({
+                error: 'User profile not found'
+            });
+        }
+
+        req.user = {
+            uid: decodedToken.uid,
+            email: decodedToken.email,
+            role: userProfile.role,
+            isAdmin: userProfile.is_admin,
+            subscriptionTier: userProfile.subscription_tier,
+            profile: userProfile
+        };
+
+        next();
+    } catch (error) {
+        console.error('Auth middleware error:', error);
+        return res.status(401).json({
+            error: 'Invalid or expired token'
+        });
+    }
+}
+
+function getWatchlistLimits(user) {
+    if (user.isAdmin) {
+        return { tier: 'admin', ...WATCHLIST_LIMITS.admin };
+    }
+
+    const tier = user.profile.subscription_status === 'active' && WATCHLIST_LIMITS[user.subscriptionTier]
+        ? user.subscriptionTier
+        : 'free';
+
+    return { tier, ...WATCHLIST_LIMITS[tier] };
+}
+
+// Items come back from the join unordered; present them by position
+function presentWatchlist(watchlist) {
+    const { user_watchlist_items: items = [], ...list } = watchlist;
+
+    return {
+        ...list,
+        items: items.slice().sort((a, b) => a.position - b.position)
+    };
+}
+
+// One of a user's watchlists with its items, or null
+async function fetchWatchlist(userId, watchlistId) {
+    const { data: watchlist, error } = await supabase
+        .from('user_watchlists')
+        .select(LIST_COLUMNS)
+        .eq('id', watchlistId)
+        .eq('user_id', userId)
+        .single();
+
+    return error || !watchlist ? null : presentWatchlist(watchlist);
+}
+
+// Load the watchlist named by :id, or send a 404 and return null
+async function loadWatchlist(req, res) {
+    const watchlist = await fetchWatchlist(req.user.uid, req.params.id);
+
+    if (!watchlist) {
+        res.status(404).json({
+            error: 'Watchlist not found'
+        });
+        return null;
+    }
+
+    return watchlist;
+}
+
+function validateName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+        return 'Name is required';
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+        return `Name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+    return null;
+}
+
+function validateNote(note) {
+    if (note !== null && note !== undefined && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+        return `Note must be text of at most ${MAX_NOTE_LENGTH} characters`;
+    }
+    return null;
+}
+
+// Persist a new order; `ids` must be exactly the current ids in the wanted order
+async function applyOrder(table, ids, scope) {
+    for (let position = 0; position < ids.length; position++) {
+        let query = supabase
+            .from(table)
+            .update({ position, updated_at: new Date().toISOString() })
+            .eq('id', ids[position]);
+
+        Object.entries(scope).forEach(([column, value]) => {
+            query = query.eq(column, value);
+        });
+
+        const { error } = await query;
+        if (error) {
+            throw error;
+        }
+    }
+}
+
+function sameMembers(a, b) {
+    return a.length === b.length && new Set(a).size === a.length && a.every(item => b.includes(item));
+}
+
+// Only one default list per user; clear the flag elsewhere before setting it
+async function clearDefault(userId) {
+    const { error } = await supabase
+        .from('user_watchlists')
+        .update({ is_default: false })
+        .eq('user_id', userId)
+        .eq('is_default', true);
+
+    if (error) {
+        throw error;
+    }
+}
+
+// GET /api/watchlists - The caller's watchlists with items, plus their tier limits
+router.get('/', verifyFirebaseToken, async (req, res) => {
+    try {
+        const { data: watchlists, error } = await supabase
+            .from('user_watchlists')
+            .select(LIST_COLUMNS)
+            .eq('user_id', req.user.uid)
+            .order('position', { ascending: true })
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            watchlists: watchlists.map(presentWatchlist),
+            limits: getWatchlistLimits(req.user)
+        });
+
+    } catch (error) {
+        console.error('Get watchlists error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch watchlists'
+        });
+    }
+});
+
+// POST /api/watchlists - Create a named watchlist, optionally seeded with symbols
+router.post('/', verifyFirebaseToken, async (req, res) => {
+    try {
+        const { name, description = null, symbols = [] } = req.body || {};
+        const limits = getWatchlistLimits(req.user);
+
+        const nameError = validateName(name);
+        if (nameError) {
+            return res.status(400).json({
+                error: nameError
+            });
+        }
+
+        const { count, error: countError } = await supabase
+            .from('user_watchlists')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', req.user.uid);
+
+        if (countError) {
+            throw countError;
+        }
+
+        if (count >= limits.watchlists) {
+            return res.status(409).json({
+                error: `Your ${limits.tier} plan allows ${limits.watchlists} watchlist${limits.watchlists === 1 ? '' : 's'}`,
+                limits
+            });
+        }
+
+        const normalized = [...new Set((Array.isArray(symbols) ? symbols : []).map(normalizeSymbol))];
+        if (normalized.includes(null)) {
+            return res.status(400).json({
+                error: 'Symbols contain an invalid entry'
+            });
+        }
+        if (normalized.length > limits.symbols) {
+            return res.status(409).json({
+                error: `Your ${limits.tier} plan allows ${limits.symbols} symbols per watchlist`,
+                limits
+            });
+        }
+
+        const { data: watchlist, error } = await supabase
+            .from('user_watchlists')
+            .insert({
+                user_id: req.user.uid,
+                name: name.trim(),
+                description,
+                position: count,
+                is_default: count === 0
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        if (normalized.length > 0) {
+            const { error: itemsError } = await supabase
+                .from('user_watchlist_items')
+                .insert(normalized.map((symbol, position) => ({
+                    watchlist_id: watchlist.id,
+                    symbol,
+                    position
+                })));
+
+            if (itemsError) {
+                throw itemsError;
+            }
+        }
+
+        res.status(201).json({
+            success: true,
+            watchlist: await fetchWatchlist(req.user.uid, watchlist.id)
+        });
+
+    } catch (error) {
+        console.error('Create watchlist error:', error);
+        res.status(500).json({
+            error: 'Failed to create watchlist'
+        });
+    }
+});
+
+// PUT /api/watchlists/order - Reorder the caller's watchlists ({ ids: [...] })
+router.put('/order', verifyFirebaseToken, async (req, res) => {
+    try {
+        const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+
+        const { data: existing, error } = await supabase
+            .from('user_watchlists')
+            .select('id')
+            .eq('user_id', req.user.uid);
+
+        if (error) {
+            throw error;
+        }
+
+        if (!sameMembers(ids, existing.map(list => list.id))) {
+            return res.status(400).json({
+                error: 'ids must list each of your watchlists exactly once'
+            });
+        }
+
+        await applyOrder('user_watchlists', ids, { user_id: req.user.uid });
+
+        res.json({
+            success: true,
+            message: 'Watchlists reordered'
+        });
+
+    } catch (error) {
+        console.error('Reorder watchlists error:', error);
+        res.status(500).json({
+            error: 'Failed to reorder watchlists'
+        });
+    }
+});
+
+// GET /api/watchlists/:id - One watchlist with its items
+router.get('/:id', verifyFirebaseToken, async (req, res) => {
+    try {
+        const watchlist = await loadWatchlist(req, res);
+        if (!watchlist) return;
+
+        res.json({
+            success: true,
+            watchlist
+        });
+
+    } catch (error) {
+        console.error('Get watchlist error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch watchlist'
+        });
+    }
+});
+
+// PATCH /api/watchlists/:id - Rename, describe or make default
+router.patch('/:id', verifyFirebaseToken, async (req, res) => {
+    try {
+        const existing = await loadWatchlist(req, res);
+        if (!existing) return;
+
+        const { name, description, is_default } = req.body || {};
+        const updates = { updated_at: new Date().toISOString() };
+
+        if (name !== undefined) {
+            const nameError = validateName(name);
+            if (nameError) {
+                return res.status(400).json({
+                    error: nameError
+                });
+            }
+            updates.name = name.trim();
+        }
+
+        if (description !== undefined) {
+            updates.description = description || null;
+        }
+
+        if (is_default === true && !existing.is_default) {
+            await clearDefault(req.user.uid);
+            updates.is_default = true;
+        }
+
+        const { error } = await supabase
+            .from('user_watchlists')
+            .update(updates)
+            .eq('id', existing.id)
+            .eq('user_id', req.user.uid);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            watchlist: await fetchWatchlist(req.user.uid, existing.id)
+        });
+
+    } catch (error) {
+        console.error('Update watchlist error:', error);
+        res.status(500).json({
+            error: 'Failed to update watchlist'
+        });
+    }
+});
+
+// DELETE /api/watchlists/:id - Delete a watchlist; the next one becomes default if needed
+router.delete('/:id', verifyFirebaseToken, async (req, res) => {
+    try {
+        const existing = await loadWatchlist(req, res);
+        if (!existing) return;
+
+        const { error } = await supabase
+            .from('user_watchlists')
+            .delete()
+            .eq('id', existing.id)
+            .eq('user_id', req.user.uid);
+
+        if (error) {
+            throw error;
+        }
+
+        if (existing.is_default) {
+            const { data: next } = await supabase
+                .from('user_watchlists')
+                .select('id')
+                .eq('user_id', req.user.uid)
+                .order('position', { ascending: true })
+                .limit(1)
+                .maybeSingle();
+
+            if (next) {
+                await supabase
+                    .from('user_watchlists')
+                    .update({ is_default: true })
+                    .eq('id', next.id);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'Watchlist deleted'
+        });
+
+    } catch (error) {
+        console.error('Delete watchlist error:', error);
+        res.status(500).json({
+            error: 'Failed to delete watchlist'
+        });
+    }
+});
+
+// POST /api/watchlists/:id/items - Add a symbol to the end of a watchlist
+router.post('/:id/items', verifyFirebaseToken, async (req, res) => {
+    try {
+        const watchlist = await loadWatchlist(req, res);
+        if (!watchlist) return;
+
+        const symbol = normalizeSymbol(req.body?.symbol);
+        const note = req.body?.note || null;
+        const limits = getWatchlistLimits(req.user);
+
+        if (!symbol) {
+            return res.status(400).json({
+                error: 'A valid symbol is required'
+            });
+        }
+
+        const noteError = validateNote(note);
+        if (noteError) {
+            return res.status(400).json({
+                error: noteError
+            });
+        }
+
+        if (watchlist.items.some(item => item.symbol === symbol)) {
+            return res.status(409).json({
+                error: `${symbol} is already in ${watchlist.name}`
+            });
+        }
+
+        if (watchlist.items.length >= limits.symbols) {
+            return res.status(409).json({
+                error: `Your ${limits.tier} plan allows ${limits.symbols} symbols per watchlist`,
+                limits
+            });
+        }
+
+        const position = watchlist.items.reduce((max, item) => Math.max(max, item.position + 1), 0);
+
+        const { data: item, error } = await supabase
+            .from('user_watchlist_items')
+            .insert({
+                watchlist_id: watchlist.id,
+                symbol,
+                note,
+                position
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            item
+        });
+
+    } catch (error) {
+        console.error('Add watchlist item error:', error);
+        res.status(500).json({
+            error: 'Failed to add symbol to watchlist'
+        });
+    }
+});
+
+// PUT /api/watchlists/:id/items/order - Reorder symbols ({ symbols: [...] })
+router.put('/:id/items/order', verifyFirebaseToken, async (req, res) => {
+    try {
+        const watchlist = await loadWatchlist(req, res);
+        if (!watchlist) return;
+
+        const symbols = (Array.isArray(req.body?.symbols) ? req.body.symbols : []).map(normalizeSymbol);
+
+        if (!sameMembers(symbols, watchlist.items.map(item => item.symbol))) {
+            return res.status(400).json({
+                error: 'symbols must list each symbol in the watchlist exactly once'
+            });
+        }
+
+        const idsBySymbol = new Map(watchlist.items.map(item => [item.symbol, item.id]));
+        await applyOrder('user_watchlist_items', symbols.map(symbol => idsBySymbol.get(symbol)), {
+            watchlist_id: watchlist.id
+        });
+
+        res.json({
+            success: true,
+            watchlist: await fetchWatchlist(req.user.uid, watchlist.id)
+        });
+
+    } catch (error) {
+        console.error('Reorder watchlist items error:', error);
+        res.status(500).json({
+            error: 'Failed to reorder watchlist'
+        });
+    }
+});
+
+// PATCH /api/watchlists/:id/items/:symbol - Update the note on a symbol
+router.patch('/:id/items/:symbol', verifyFirebaseToken, async (req, res) => {
+    try {
+        const watchlist = await loadWatchlist(req, res);
+        if (!watchlist) return;
+
+        const item = watchlist.items.find(entry => entry.symbol === normalizeSymbol(req.params.symbol));
+        if (!item) {
+            return res.status(404).json({
+                error: 'Symbol not in watchlist'
+            });
+        }
+
+        const note = req.body?.note || null;
+        const noteError = validateNote(note);
+        if (noteError) {
+            return res.status(400).json({
+                error: noteError
+            });
+        }
+
+        const { data: updated, error } = await supabase
+            .from('user_watchlist_items')
+            .update({ note, updated_at: new Date().toISOString() })
+            .eq('id', item.id)
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            item: updated
+        });
+
+    } catch (error) {
+        console.error('Update watchlist item error:', error);
+        res.status(500).json({
+            error: 'Failed to update watchlist item'
+        });
+    }
+});
+
+// DELETE /api/watchlists/:id/items/:symbol - Remove a symbol from a watchlist
+router.delete('/:id/items/:symbol', verifyFirebaseToken, async (req, res) => {
+    try {
+        const watchlist = await loadWatchlist(req, res);
+        if (!watchlist) return;
+
+        const item = watchlist.items.find(entry => entry.symbol === normalizeSymbol(req.params.symbol));
+        if (!item) {
+            return res.status(404).json({
+                error: 'Symbol not in watchlist'
+            });
+        }
+
+        const { error } = await supabase
+            .from('user_watchlist_items')
+            .delete()
+            .eq('id', item.id);
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            message: `${item.symbol} removed from ${watchlist.name}`
+        });
+
+    } catch (error) {
+        console.error('Remove watchlist item error:', error);
+        res.status(500).json({
+            error: 'Failed to remove symbol from watchlist'
+        });
+    }
+});
+
+module.exports = router;
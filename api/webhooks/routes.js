@@ -0,0 +1,163 @@
+// api/webhooks/routes.js
+// Inbound webhooks. Callers are machines, so requests are authenticated by HMAC
+// signature (see signal-webhooks.js) instead of Firebase tokens.
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { validateLevels } = require('../signals/signal-math');
+const { getReleaseDelays, buildReleaseSchedule } = require('../signals/release-scheduler');
+const { queueSignalBroadcast } = require('../signals/signal-broadcaster');
+const { parseTimestamp, parseSignature, verifySignature, mapAlertToSignal } = require('./signal-webhooks');
+const router = express.Router();
+
+// Initialize Supabase
+const supabaseUrl = process.env.SUPABASE_URL || 'https://vjxnwqjlaxrvqctiphhb.supabase.co';
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// Record why a signed delivery did not become a signal
+async function rejectDelivery(deliveryId, message) {
+    const { error } = await supabase
+        .from('signal_webhook_deliveries')
+        .update({ status: 'rejected', error: message })
+        .eq('id', deliveryId);
+
+    if (error) {
+        console.error('Webhook delivery update error:', error);
+    }
+}
+
+// POST /api/webhooks/signals - Create a signal from a signed charting alert
+// Body: { template_id, symbol, action, entry, sl, tp, timeframe?, comment? }
+router.post('/signals', async (req, res) => {
+    try {
+        const payload = req.body || {};
+
+        if (!req.rawBody || !payload.template_id) {
+            return res.status(400).json({
+                error: 'A JSON body with template_id is required'
+            });
+        }
+
+        const { data: template } = await supabase
+            .from('signal_webhook_templates')
+            .select('*')
+            .eq('id', payload.template_id)
+            .eq('is_active', true)
+            .maybeSingle();
+
+        // Unknown templates get the same answer as bad signatures so ids cannot be probed
+        const timestamp = req.get('x-webhook-timestamp');
+        const signature = req.get('x-webhook-signature');
+        const signatureError = template ?
+            verifySignature(template.secret, { timestamp, signature, rawBody: req.rawBody.toString('utf8') }) :
+            'Invalid webhook signature';
+
+        if (signatureError) {
+            return res.status(401).json({
+                error: signatureError
+            });
+        }
+
+        // Claiming the signature first makes a replayed request fail before it creates anything
+        const { data: delivery, error: deliveryError } = await supabase
+            .from('signal_webhook_deliveries')
+            .insert([
+                {
+                    template_id: template.id,
+                    signature: parseSignature(signature),
+                    sent_at: new Date(parseTimestamp(timestamp) * 1000).toISOString(),
+                    payload
+                }
+            ])
+            .select()
+            .single();
+
+        if (deliveryError) {
+            if (deliveryError.code === '23505') {
+                return res.status(409).json({
+                    error: 'Webhook already received'
+                });
+            }
+            throw deliveryError;
+        }
+
+        const { fields, errors } = mapAlertToSignal(template, payload);
+        const publish = template.publish === true;
+
+        if (errors.length === 0) {
+            // Drafts may arrive with levels missing; published signals need all three
+            errors.push(...validateLevels(fields, publish));
+        }
+
+        if (errors.length > 0) {
+            await rejectDelivery(delivery.id, errors.join('; '));
+            return res.status(400).json({
+                error: 'Invalid alert payload',
+                details: errors
+            });
+        }
+
+        const now = new Date().toISOString();
+        const release = publish ?
+            buildReleaseSchedule(fields, await getReleaseDelays(supabase), now) :
+            {};
+
+        const { data: signal, error } = await supabase
+            .from('trading_signals')
+            .insert([
+                {
+                    ...fields,
+                    ...release,
+                    initial_stop_loss: fields.stop_loss ?? null,
+                    status: publish ? 'active' : 'draft',
+                    result: publish ? 'pending' : null,
+                    analytics: publish ?
+                        { published_at: now, source: 'webhook', webhook_template_id: template.id } :
+                        { source: 'webhook', webhook_template_id: template.id },
+                    author_id: template.analyst_id,
+                    created_at: now,
+                    updated_at: now
+                }
+            ])
+            .select()
+            .single();
+
+        if (error) {
+            await rejectDelivery(delivery.id, error.message);
+            throw error;
+        }
+
+        if (publish) {
+            await queueSignalBroadcast(supabase, signal, 'published');
+        }
+
+        await supabase
+            .from('signal_webhook_deliveries')
+            .update({ status: 'accepted', signal_id: signal.id })
+            .eq('id', delivery.id);
+
+        await supabase
+            .from('signal_webhook_templates')
+            .update({ last_used_at: now })
+            .eq('id', template.id);
+
+        res.status(201).json({
+            success: true,
+            message: publish ? 'Signal published' : 'Signal saved as draft',
+            signal: {
+                id: signal.id,
+                status: signal.status,
+                symbol: signal.symbol,
+                action: signal.action
+            }
+        });
+
+    } catch (error) {
+        console.error('Signal webhook error:', error);
+        res.status(500).json({
+            error: 'Failed to process webhook'
+        });
+    }
+});
+
+module.exports = router;
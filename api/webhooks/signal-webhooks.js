@@ -0,0 +1,192 @@
+// api/webhooks/signal-webhooks.js
+// Signing and mapping for inbound charting alerts. A sender signs each request with its
+// template's secret:
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+// Requests older than SIGNATURE_TOLERANCE_SECONDS are refused, and the delivery log
+// refuses a signature it has already seen, so a captured request cannot be replayed.
+const crypto = require('crypto');
+const { normalizeSymbol, getInstrumentType } = require('../market/symbols');
+const { buildTargetLadder, toNumber } = require('../signals/signal-math');
+
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// The only header shapes accepted; anything looser would let one signature be replayed
+// under several spellings past the delivery log's unique key
+const SIGNATURE_PATTERN = /^(?:sha256=)?([0-9a-f]{64})$/i;
+const TIMESTAMP_PATTERN = /^[0-9]{1,12}$/;
+
+// Signal columns a template's defaults may set
+const TEMPLATE_DEFAULT_FIELDS = [
+    'signal_type', 'timeframe', 'risk_level', 'confidence_level', 'tier_access',
+    'min_tier_level', 'priority', 'tags', 'analysis', 'description', 'breakeven_after_target'
+];
+
+// Alert wording for each side
+const ACTION_ALIASES = {
+    buy: 'buy',
+    long: 'buy',
+    sell: 'sell',
+    short: 'sell'
+};
+
+function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signPayload(secret, timestamp, rawBody) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${rawBody}`)
+        .digest('hex');
+}
+
+// Unix seconds from an X-Webhook-Timestamp header, or null unless it is only digits
+function parseTimestamp(timestamp) {
+    return TIMESTAMP_PATTERN.test(String(timestamp ?? '')) ? Number(timestamp) : null;
+}
+
+// Lowercase hex digest from an X-Webhook-Signature header, or null when malformed.
+// This is the delivery log's replay key, so every accepted spelling maps to one value.
+function parseSignature(signature) {
+    const match = SIGNATURE_PATTERN.exec(String(signature ?? ''));
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Check a delivery's timestamp and signature. Returns null when valid, otherwise the
+ * reason it was refused.
+ */
+function verifySignature(secret, { timestamp, signature, rawBody, now = Date.now() }) {
+    const sentAt = parseTimestamp(timestamp);
+    const digest = parseSignature(signature);
+
+    if (!timestamp || !signature) {
+        return 'Missing webhook signature';
+    }
+
+    if (sentAt === null) {
+        return 'Invalid webhook timestamp';
+    }
+
+    if (!digest) {
+        return 'Invalid webhook signature';
+    }
+
+    if (Math.abs(now / 1000 - sentAt) > SIGNATURE_TOLERANCE_SECONDS) {
+        return 'Webhook timestamp outside the allowed window';
+    }
+
+    const expected = Buffer.from(signPayload(secret, sentAt, rawBody), 'hex');
+    const received = Buffer.from(digest, 'hex');
+
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return 'Invalid webhook signature';
+    }
+
+    return null;
+}
+
+// First of several spellings an alert may use for a value
+function pick(payload, keys) {
+    const key = keys.find(name => payload[name] !== undefined && payload[name] !== null && payload[name] !== '');
+    return key === undefined ? undefined : payload[key];
+}
+
+// "{symbol} {action}" -> "EURUSD BUY"
+function renderTitle(template, values) {
+    return String(template.title_template || '{symbol} {action}')
+        .replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined && values[name] !== null ? values[name] : ''))
+        .replace(/\(\s*\)|\[\s*\]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Turn an alert payload into trading_signals columns through a template. Accepts the
+ * names charting platforms commonly use (ticker/symbol, side/action, price/entry, sl, tp).
+ * tp may be a single price or a ladder: an array of prices or { price, close_percent } rungs.
+ * Returns { fields, errors }; the caller validates levels for the chosen status.
+ */
+function mapAlertToSignal(template, payload) {
+    const errors = [];
+    const fields = {};
+    const defaults = template.defaults || {};
+
+    TEMPLATE_DEFAULT_FIELDS.forEach(field => {
+        if (defaults[field] !== undefined) {
+            fields[field] = defaults[field];
+        }
+    });
+
+    // Exchange prefixes ("OANDA:EUR_USD") are dropped unless the template maps the ticker
+    const ticker = pick(payload, ['symbol', 'ticker']);
+    const symbolMap = template.symbol_map || {};
+    const mapped = ticker !== undefined ? (symbolMap[ticker] || String(ticker).split(':').pop()) : undefined;
+    const symbol = mapped !== undefined ? normalizeSymbol(mapped) : null;
+
+    if (!symbol) {
+        errors.push(ticker === undefined ? 'symbol is required' : `Unrecognised symbol: ${ticker}`);
+    } else {
+        fields.symbol = symbol;
+        fields.signal_type = fields.signal_type || getInstrumentType(symbol);
+    }
+
+    const side = pick(payload, ['action', 'side', 'direction']);
+    const action = side !== undefined ? ACTION_ALIASES[String(side).trim().toLowerCase()] : undefined;
+    if (!action) {
+        errors.push(side === undefined ? 'action is required' : `action must be buy or sell (got ${side})`);
+    } else {
+        fields.action = action;
+    }
+
+    const entry = pick(payload, ['entry', 'entry_price', 'price']);
+    const stop = pick(payload, ['sl', 'stop_loss', 'stop']);
+    const target = pick(payload, ['tp', 'take_profit', 'target', 'targets']);
+
+    if (entry !== undefined) fields.entry_price = toNumber(entry);
+    if (stop !== undefined) fields.stop_loss = toNumber(stop);
+
+    if (Array.isArray(target)) {
+        fields.take_profit_targets = buildTargetLadder(target);
+        if (fields.take_profit_targets.length > 0) {
+            fields.take_profit = fields.take_profit_targets[fields.take_profit_targets.length - 1].price;
+        }
+    } else if (target !== undefined) {
+        fields.take_profit = toNumber(target);
+        fields.take_profit_targets = [];
+    }
+
+    const timeframe = pick(payload, ['timeframe', 'interval']);
+    if (timeframe !== undefined) fields.timeframe = String(timeframe);
+
+    const comment = pick(payload, ['comment', 'message', 'analysis']);
+    if (comment !== undefined) fields.analysis = String(comment);
+
+    fields.title = pick(payload, ['title']) || renderTitle(template, {
+        symbol: fields.symbol,
+        action: fields.action ? fields.action.toUpperCase() : '',
+        timeframe: fields.timeframe,
+        template: template.name
+    });
+
+    return { fields, errors };
+}
+
+// Template as shown to its owner; the secret is only returned on create and rotate
+function presentTemplate(template, { includeSecret = false } = {}) {
+    const { secret, ...rest } = template;
+    return includeSecret ? { ...rest, secret } : rest;
+}
+
+module.exports = {
+    SIGNATURE_TOLERANCE_SECONDS,
+    TEMPLATE_DEFAULT_FIELDS,
+    generateWebhookSecret,
+    signPayload,
+    parseTimestamp,
+    parseSignature,
+    verifySignature,
+    mapAlertToSignal,
+    presentTemplate
+};
@@ -0,0 +1,121 @@
+// WebSocket price streaming server, candle recorder, price alert evaluator, signal release
+// scheduler, outbound signal broadcaster, paper trading engine and month-end statements
+// Runs as its own process: Vercel functions cannot hold sockets open
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { createPriceStreamServer } = require('./market/price-stream');
+const { createCandleStore, createTickRecorder } = require('./market/ohlcv-store');
+const { createAlertEvaluator } = require('./alerts/alert-evaluator');
+const { createReleaseScheduler } = require('./signals/release-scheduler');
+const { createSignalBroadcaster } = require('./signals/signal-broadcaster');
+const { createPaperEngine } = require('./paper/paper-engine');
+const { createMonthlyReportScheduler } = require('./reports/report-scheduler');
+
+const port = parseInt(process.env.WS_PORT) || 3001;
+
+const supabaseUrl = process.env.SUPABASE_URL || 'https://vjxnwqjlaxrvqctiphhb.supabase.co';
+const supabase = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_KEY);
+
+// RECORD_CANDLES=true stores streamed ticks as OHLCV bars and EVALUATE_ALERTS=true checks
+// price alerts. Both are off by default so dev fixture replays never reach the shared
+// database. Only subscribed symbols are recorded; alerts run their own feeds.
+let recorder = null;
+if (process.env.RECORD_CANDLES === 'true') {
+    recorder = createTickRecorder(createCandleStore({ supabase }), {
+        flushInterval: parseInt(process.env.CANDLE_FLUSH_MS) || 5000
+    });
+}
+
+const stream = createPriceStreamServer({
+    port,
+    throttleMs: parseInt(process.env.WS_THROTTLE_MS) || 250,
+    heartbeatInterval: parseInt(process.env.WS_HEARTBEAT_INTERVAL) || 30000,
+    onTick: recorder ? recorder.record : null
+});
+
+let alertEvaluator = null;
+if (process.env.EVALUATE_ALERTS === 'true') {
+    alertEvaluator = createAlertEvaluator({
+        supabase,
+        refreshInterval: parseInt(process.env.ALERT_REFRESH_MS) || 30000
+    });
+    alertEvaluator.start()
+        .then(({ alerts, symbols }) => console.log(`✅ Evaluating ${alerts} price alerts across ${symbols} symbols`))
+        .catch(error => console.error('❌ Price alert evaluator failed to start:', error.message));
+}
+
+// RELEASE_SIGNALS=true publishes scheduled drafts and lifts tier embargoes. Run it in
+// one process; without it scheduled drafts stay drafts and lower tiers never receive signals.
+let releaseScheduler = null;
+if (process.env.RELEASE_SIGNALS === 'true') {
+    releaseScheduler = createReleaseScheduler({
+        supabase,
+        interval: parseInt(process.env.SIGNAL_RELEASE_MS) || 15000
+    });
+    releaseScheduler.start()
+        .then(() => console.log('✅ Signal release scheduler running'))
+        .catch(error => console.error('❌ Signal release scheduler failed to start:', error.message));
+}
+
+// BROADCAST_SIGNALS=true posts queued signal messages to Telegram/Discord/webhook targets.
+// Run it in one process only so a message is never posted twice.
+let broadcaster = null;
+if (process.env.BROADCAST_SIGNALS === 'true') {
+    broadcaster = createSignalBroadcaster({
+        supabase,
+        interval: parseInt(process.env.SIGNAL_BROADCAST_MS) || 10000
+    });
+    broadcaster.start()
+        .then(() => console.log('✅ Signal broadcaster running'))
+        .catch(error => console.error('❌ Signal broadcaster failed to start:', error.message));
+}
+
+// EXECUTE_PAPER_ORDERS=true fills paper limit/stop orders and SL/TP brackets from the feed.
+// Without it paper market orders still fill, but pending orders wait and brackets never trigger.
+let paperEngine = null;
+if (process.env.EXECUTE_PAPER_ORDERS === 'true') {
+    paperEngine = createPaperEngine({
+        supabase,
+        refreshInterval: parseInt(process.env.PAPER_REFRESH_MS) || 15000
+    });
+    paperEngine.start()
+        .then(({ orders, positions, symbols }) => console.log(`✅ Paper engine watching ${orders} orders and ${positions} positions across ${symbols} symbols`))
+        .catch(error => console.error('❌ Paper trading engine failed to start:', error.message));
+}
+
+// SEND_MONTHLY_REPORTS=true generates last month's statements and notifies members once the
+// month has ended. Statements are stored per member, so a second process only repeats the checks.
+let reportScheduler = null;
+if (process.env.SEND_MONTHLY_REPORTS === 'true') {
+    reportScheduler = createMonthlyReportScheduler({
+        supabase,
+        interval: parseInt(process.env.REPORT_SCHEDULE_MS) || 60 * 60 * 1000
+    });
+    reportScheduler.start()
+        .then(() => console.log('✅ Monthly report scheduler running'))
+        .catch(error => console.error('❌ Monthly report scheduler failed to start:', error.message));
+}
+
+stream.wss.on('listening', () => {
+    console.log(`✅ Price stream listening on ws://localhost:${port}`);
+});
+
+stream.wss.on('error', (error) => {
+    console.error('❌ Price stream error:', error.message);
+    process.exit(1);
+});
+
+// Graceful shutdown
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, async () => {
+        console.log('🛑 Shutting down price stream...');
+        await stream.close();
+        if (alertEvaluator) alertEvaluator.stop();
+        if (releaseScheduler) releaseScheduler.stop();
+        if (broadcaster) broadcaster.stop();
+        if (paperEngine) paperEngine.stop();
+        if (reportScheduler) reportScheduler.stop();
+        if (recorder) await recorder.stop();
+        process.exit(0);
+    });
+});
@@ -13,6 +13,9 @@ class AdminPanelManager {
     this.refreshIntervals = new Map();
     this.realTimeSubscriptions = new Map();
     
+    // Take-profit rungs offered on the signal form (TP1/TP2/TP3)
+    this.signalTargetRungs = 3;
+    
     // Admin permissions based on role
     this.permissions = {
       super_admin: ['*'], // All permissions
@@ -556,7 +559,7 @@ class AdminPanelManager {
       return '<div class="alert alert-warning">Access denied: Signal management</div>';
     }
 
-    const signals = await this.fetchSignals();
+    const [signals, stats] = await Promise.all([this.fetchSignals(), this.fetchSignalStats()]);
     
     return `
       <div class="admin-signals">
@@ -570,6 +573,18 @@ class AdminPanelManager {
               <button class="btn btn-primary btn-sm me-2" id="create-signal">
                 <i class="fas fa-plus"></i> Create Signal
               </button>
+              <button class="btn btn-outline-primary btn-sm me-2" id="signal-webhooks">
+                <i class="fas fa-plug"></i> Webhooks
+              </button>
+              <button class="btn btn-outline-primary btn-sm me-2" id="signal-broadcasts">
+                <i class="fas fa-bullhorn"></i> Broadcasts
+              </button>
+              <button class="btn btn-outline-primary btn-sm me-2" id="signal-backtests">
+                <i class="fas fa-history"></i> Backtest
+              </button>
+              <button class="btn btn-outline-primary btn-sm me-2" id="analyst-profile">
+                <i class="fas fa-user-tie"></i> Profile
+              </button>
               <button class="btn btn-outline-success btn-sm me-2" id="bulk-actions">
                 <i class="fas fa-tasks"></i> Bulk Actions
               </button>
@@ -591,13 +606,15 @@ class AdminPanelManager {
           <div class="col-md-3">
             <div class="stat-card">
               <h6>Win Rate</h6>
-              <h3 class="text-success">${this.calculateWinRate(signals)}%</h3>
+              <h3 class="text-success">${stats?.winRate ?? this.calculateWinRate(signals)}%</h3>
+              ${stats ? `<small class="text-muted">${stats.totalSignals} closed, expectancy ${stats.expectancy}R</small>` : ''}
             </div>
           </div>
           <div class="col-md-3">
             <div class="stat-card">
               <h6>Avg. Pips</h6>
-              <h3 class="text-info">${this.calculateAvgPips(signals)}</h3>
+              <h3 class="text-info">${stats?.avgPips ?? this.calculateAvgPips(signals)}</h3>
+              ${stats ? `<small class="text-muted">Max drawdown ${stats.maxDrawdown} pips</small>` : ''}
             </div>
           </div>
           <div class="col-md-3">
@@ -671,13 +688,26 @@ class AdminPanelManager {
   async fetchSignals() {
     try {
       const response = await window.apiService?.admin.getSignals();
-      return response?.data || this.getMockSignals();
+      return response?.data?.signals || this.getMockSignals();
     } catch (error) {
       console.error('Failed to fetch signals:', error);
       return this.getMockSignals();
     }
   }
 
+  /**
+   * Fetch server-side signal performance (null falls back to the loaded page)
+   */
+  async fetchSignalStats() {
+    try {
+      const response = await window.apiService?.signals.getStats();
+      return response?.data?.stats || null;
+    } catch (error) {
+      console.error('Failed to fetch signal stats:', error);
+      return null;
+    }
+  }
+
   /**
    * Generate users table rows
    */
@@ -733,7 +763,12 @@ class AdminPanelManager {
           </span>
         </td>
         <td>${signal.entry_price}</td>
-        <td><span class="badge bg-${this.getSignalStatusColor(signal.status)}">${signal.status}</span></td>
+        <td>
+          <span class="badge bg-${this.getSignalStatusColor(signal.status)}">${signal.status}</span>
+          ${signal.status === 'draft' && signal.publish_at ? `
+            <small class="text-muted d-block" title="${new Date(signal.publish_at).toLocaleString()}">Scheduled</small>
+          ` : ''}
+        </td>
         <td>${this.formatRelativeTime(signal.created_at)}</td>
         <td>
           ${signal.result ? `
@@ -747,12 +782,31 @@ class AdminPanelManager {
             <button class="btn btn-outline-primary" onclick="adminPanel.viewSignal('${signal.id}')">
               <i class="fas fa-eye"></i>
             </button>
-            <button class="btn btn-outline-warning" onclick="adminPanel.editSignal('${signal.id}')">
-              <i class="fas fa-edit"></i>
-            </button>
-            <button class="btn btn-outline-danger" onclick="adminPanel.deleteSignal('${signal.id}')">
-              <i class="fas fa-trash"></i>
-            </button>
+            ${['draft', 'active'].includes(signal.status) ? `
+              <button class="btn btn-outline-warning" onclick="adminPanel.editSignal('${signal.id}')" title="Edit">
+                <i class="fas fa-edit"></i>
+              </button>
+            ` : ''}
+            ${signal.status === 'draft' ? `
+              <button class="btn btn-outline-success" onclick="adminPanel.publishSignal('${signal.id}')" title="Publish">
+                <i class="fas fa-paper-plane"></i>
+              </button>
+            ` : ''}
+            ${signal.status === 'active' ? `
+              <button class="btn btn-outline-info" onclick="adminPanel.showCloseSignalModal('${signal.id}')" title="Close">
+                <i class="fas fa-flag-checkered"></i>
+              </button>
+            ` : ''}
+            ${['draft', 'active'].includes(signal.status) ? `
+              <button class="btn btn-outline-secondary" onclick="adminPanel.cancelSignal('${signal.id}')" title="Cancel">
+                <i class="fas fa-ban"></i>
+              </button>
+            ` : ''}
+            ${signal.status === 'draft' ? `
+              <button class="btn btn-outline-danger" onclick="adminPanel.deleteSignal('${signal.id}')" title="Delete draft">
+                <i class="fas fa-trash"></i>
+              </button>
+            ` : ''}
           </div>
         </td>
       </tr>
@@ -924,17 +978,276 @@ class AdminPanelManager {
    * Signal management actions
    */
   async viewSignal(signalId) {
-    // Implementation for viewing signal details
-    console.log('View signal:', signalId);
+    try {
+      const response = await window.apiService?.admin.getSignal(signalId);
+      const signal = response?.data?.signal;
+      if (!signal) throw new Error('Signal not found');
+
+      tradersHelmet.showModal(`
+        <table class="table table-sm">
+          <tr><th>Symbol</th><td>${signal.symbol} (${signal.signal_type})</td></tr>
+          <tr><th>Action</th><td>${signal.action.toUpperCase()}</td></tr>
+          <tr><th>Entry</th><td>${signal.entry_price ?? '-'}</td></tr>
+          <tr><th>Stop Loss</th><td>${signal.stop_loss ?? '-'}${signal.initial_stop_loss !== null && signal.initial_stop_loss !== undefined &&
+            parseFloat(signal.initial_stop_loss) !== parseFloat(signal.stop_loss) ? ` <small class="text-muted">(published ${signal.initial_stop_loss})</small>` : ''}</td></tr>
+          ${THA_Utils.trading.getTakeProfitTargets(signal).map(target => `
+            <tr>
+              <th>TP${target.level} <small class="text-muted">${target.close_percent}%</small></th>
+              <td>
+                ${target.price}
+                ${target.status === 'hit' ? `
+                  <span class="badge bg-success">Hit ${target.hit_price} · ${new Date(target.hit_at).toLocaleString()}</span>
+                ` : signal.status === 'active' ? `
+                  <button class="btn btn-sm btn-outline-success ms-2" data-target-level="${target.level}">Mark hit</button>
+                ` : ''}
+              </td>
+            </tr>
+          `).join('')}
+          ${signal.breakeven_after_target ? `<tr><th>Breakeven</th><td>Stop to entry after TP${signal.breakeven_after_target}</td></tr>` : ''}
+          <tr><th>Status</th><td>${signal.status}</td></tr>
+          <tr><th>Result</th><td>${signal.result || '-'}</td></tr>
+          <tr><th>Pips</th><td>${signal.pips_gained ?? '-'}</td></tr>
+          <tr><th>Return</th><td>${signal.percentage_gain !== null && signal.percentage_gain !== undefined ? `${signal.percentage_gain}%` : '-'}</td></tr>
+          <tr><th>Tiers</th><td>${(signal.tier_access || []).join(', ')}</td></tr>
+          ${signal.status === 'draft' && signal.publish_at ? `
+            <tr><th>Scheduled</th><td>${new Date(signal.publish_at).toLocaleString()}</td></tr>
+          ` : ''}
+          ${Object.entries(signal.tier_release_at || {}).map(([tier, releaseAt]) => `
+            <tr>
+              <th>${tier} release</th>
+              <td>
+                ${new Date(releaseAt).toLocaleString()}
+                ${(signal.released_tiers || []).includes(tier) ? '<span class="badge bg-success ms-2">Released</span>' : '<span class="badge bg-secondary ms-2">Embargoed</span>'}
+              </td>
+            </tr>
+          `).join('')}
+        </table>
+        ${signal.analysis ? `<p>${signal.analysis}</p>` : ''}
+        ${signal.status === 'active' ? `
+          <button class="btn btn-sm btn-outline-primary mb-3" id="trail-signal-stop">Trail Stop</button>
+        ` : ''}
+        <h6>Change History</h6>
+        <div id="admin-signal-amendments"><p class="text-muted">Loading...</p></div>
+        <h6>Member Feedback</h6>
+        <div id="admin-signal-feedback"><p class="text-muted">Loading...</p></div>
+      `, { title: signal.title });
+
+      document.querySelectorAll('[data-target-level]').forEach(button => {
+        button.addEventListener('click', () => this.hitSignalTarget(signal, parseInt(button.dataset.targetLevel)));
+      });
+      document.getElementById('trail-signal-stop')?.addEventListener('click', () => this.trailSignalStop(signal));
+
+      this.loadSignalAmendments(signal.id);
+      this.loadSignalFeedback(signal.id);
+    } catch (error) {
+      console.error('Failed to fetch signal details:', error);
+      tradersHelmet.showNotification('Failed to load signal details', 'error');
+    }
   }
 
   async editSignal(signalId) {
-    // Implementation for editing signal
-    console.log('Edit signal:', signalId);
+    try {
+      const response = await window.apiService?.admin.getSignal(signalId);
+      const signal = response?.data?.signal;
+      if (!signal) throw new Error('Signal not found');
+
+      this.showSignalFormModal(signal);
+    } catch (error) {
+      console.error('Failed to fetch signal details:', error);
+      tradersHelmet.showNotification('Failed to load signal details', 'error');
+    }
+  }
+
+  async publishSignal(signalId) {
+    if (!confirm('Publish this signal to members?')) return;
+
+    try {
+      await window.apiService?.admin.publishSignal(signalId);
+      tradersHelmet.showNotification('Signal published successfully', 'success');
+      this.refreshSignalsData();
+    } catch (error) {
+      console.error('Failed to publish signal:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to publish signal'), 'error');
+    }
+  }
+
+  /**
+   * Amendment history for the signal view modal
+   */
+  async loadSignalAmendments(signalId) {
+    const container = document.getElementById('admin-signal-amendments');
+    if (!container) return;
+
+    try {
+      const response = await window.apiService?.signals.getAmendments(signalId);
+      const amendments = response?.data?.amendments || [];
+      const describe = changes => Object.entries(changes).map(([field, { from, to }]) =>
+        field === 'take_profit_targets' ?
+          `targets: ${(to || []).map(target => `TP${target.level} ${target.price}${target.status === 'hit' ? ' ✓' : ''}`).join(', ')}` :
+          `${field}: ${from ?? '-'} → ${to ?? '-'}`
+      ).join('<br>');
+
+      container.innerHTML = amendments.length === 0 ? '<p class="text-muted">No amendments</p>' : `
+        <table class="table table-sm">
+          <thead><tr><th>Version</th><th>When</th><th>Source</th><th>Changes</th><th>Reason</th></tr></thead>
+          <tbody>
+            ${amendments.map(amendment => `
+              <tr>
+                <td>v${amendment.version}</td>
+                <td>${new Date(amendment.created_at).toLocaleString()}</td>
+                <td>${amendment.source}</td>
+                <td><small>${describe(amendment.changes)}</small></td>
+                <td>${amendment.reason ? THA_Utils.string.escapeHtml(amendment.reason) : '-'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+    } catch (error) {
+      console.error('Failed to load signal amendments:', error);
+      container.innerHTML = '<p class="text-muted">Failed to load amendments</p>';
+    }
+  }
+
+  /**
+   * Member reactions, clarity ratings and comments for the signal view modal
+   */
+  async loadSignalFeedback(signalId) {
+    const container = document.getElementById('admin-signal-feedback');
+    if (!container) return;
+
+    try {
+      const response = await window.apiService?.admin.getSignalFeedback(signalId);
+      const summary = response?.data?.summary;
+      const responses = response?.data?.responses || [];
+
+      container.innerHTML = `
+        <p>
+          ${summary.views} views ·
+          ${summary.took} took · ${summary.skipped} skipped${summary.took_rate !== null ? ` (${summary.took_rate}% took it)` : ''} ·
+          clarity ${summary.avg_clarity !== null ? `${summary.avg_clarity}/5 from ${summary.ratings}` : '-'}
+        </p>
+        ${responses.length === 0 ? '<p class="text-muted">No feedback yet</p>' : `
+          <table class="table table-sm">
+            <thead><tr><th>Member</th><th>When</th><th>Reaction</th><th>Clarity</th><th>Comment</th></tr></thead>
+            <tbody>
+              ${responses.map(item => `
+                <tr>
+                  <td>${THA_Utils.string.escapeHtml(item.member)}</td>
+                  <td>${new Date(item.feedback_at).toLocaleString()}</td>
+                  <td>${item.reaction || '-'}</td>
+                  <td>${item.clarity_rating ?? '-'}</td>
+                  <td>${item.comment ? THA_Utils.string.escapeHtml(item.comment) : '-'}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+      `;
+    } catch (error) {
+      console.error('Failed to load signal feedback:', error);
+      container.innerHTML = '<p class="text-muted">Failed to load feedback</p>';
+    }
+  }
+
+  /**
+   * Tighten the stop of an active signal; subscribers are notified of the amendment
+   */
+  async trailSignalStop(signal) {
+    const stopLoss = prompt(`New stop loss (current ${signal.stop_loss}):`);
+    if (stopLoss === null || stopLoss === '') return;
+
+    const reason = prompt('Reason shown to subscribers:', 'Trailing stop');
+    if (reason === null) return;
+
+    try {
+      await window.apiService?.admin.trailStop(signal.id, parseFloat(stopLoss), reason || null);
+      tradersHelmet.closeModal();
+      tradersHelmet.showNotification('Stop loss updated', 'success');
+      this.refreshSignalsData();
+    } catch (error) {
+      console.error('Failed to trail stop:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to update stop loss'), 'error');
+    }
+  }
+
+  /**
+   * Record a partial exit at a take-profit rung; the final rung closes the signal
+   */
+  async hitSignalTarget(signal, level) {
+    const target = THA_Utils.trading.getTakeProfitTargets(signal).find(rung => rung.level === level);
+    const price = prompt(`Fill price for TP${level}:`, target?.price ?? '');
+    if (price === null) return;
+
+    try {
+      const response = await window.apiService?.admin.hitSignalTarget(signal.id, level, price === '' ? null : parseFloat(price));
+      tradersHelmet.closeModal();
+      tradersHelmet.showNotification(response?.data?.message || `TP${level} hit`, 'success');
+      this.refreshSignalsData();
+    } catch (error) {
+      console.error('Failed to record target hit:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to record target hit'), 'error');
+    }
+  }
+
+  showCloseSignalModal(signalId) {
+    tradersHelmet.showModal(`
+      <form id="close-signal-form">
+        <div class="mb-3">
+          <label class="form-label" for="close-exit-price">Exit Price</label>
+          <input type="number" step="any" min="0" class="form-control" id="close-exit-price" name="exit_price" required>
+        </div>
+        <div class="mb-3">
+          <label class="form-label" for="close-reason">Reason</label>
+          <select class="form-select" id="close-reason" name="reason">
+            <option value="manual">Manual close</option>
+            <option value="take_profit">Take profit hit</option>
+            <option value="stop_loss">Stop loss hit</option>
+          </select>
+        </div>
+        <button type="submit" class="btn btn-primary">Close Signal</button>
+      </form>
+    `, { title: 'Close Signal', size: 'small' });
+
+    document.getElementById('close-signal-form')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const formData = new FormData(e.target);
+      this.closeSignal(signalId, parseFloat(formData.get('exit_price')), formData.get('reason'));
+    });
+  }
+
+  async closeSignal(signalId, exitPrice, reason = 'manual') {
+    try {
+      const response = await window.apiService?.admin.closeSignal(signalId, exitPrice, reason);
+      const signal = response?.data?.signal;
+      tradersHelmet.closeModal();
+      tradersHelmet.showNotification(
+        `Signal closed: ${signal?.result || 'done'} (${signal?.pips_gained ?? 0} pips)`,
+        'success'
+      );
+      this.refreshSignalsData();
+    } catch (error) {
+      console.error('Failed to close signal:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to close signal'), 'error');
+    }
+  }
+
+  async cancelSignal(signalId) {
+    const reason = prompt('Reason for cancelling this signal (optional):');
+    if (reason === null) return;
+
+    try {
+      await window.apiService?.admin.cancelSignal(signalId, reason || null);
+      tradersHelmet.showNotification('Signal cancelled', 'success');
+      this.refreshSignalsData();
+    } catch (error) {
+      console.error('Failed to cancel signal:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to cancel signal'), 'error');
+    }
   }
 
   async deleteSignal(signalId) {
-    if (!confirm('Are you sure you want to delete this signal?')) return;
+    if (!confirm('Are you sure you want to delete this draft?')) return;
 
     try {
       await window.apiService?.admin.deleteSignal(signalId);
@@ -942,7 +1255,13 @@ class AdminPanelManager {
       this.refreshSignalsData();
     } catch (error) {
       console.error('Failed to delete signal:', error);
-      tradersHelmet.showNotification('Failed to delete signal', 'error');
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to delete signal'), 'error');
+    }
+  }
+
+  async refreshSignalsData() {
+    if (this.activeSection === 'signals') {
+      await this.loadSectionContent('signals');
     }
   }
 
@@ -1454,27 +1773,815 @@ class AdminPanelManager {
         this.showCreateSignalModal();
       });
     }
+
+    document.getElementById('signal-webhooks')?.addEventListener('click', () => this.showWebhookTemplatesModal());
+    document.getElementById('signal-broadcasts')?.addEventListener('click', () => this.showBroadcastTargetsModal());
+    document.getElementById('signal-backtests')?.addEventListener('click', () => this.showBacktestsModal());
+    document.getElementById('analyst-profile')?.addEventListener('click', () => this.showAnalystProfileModal());
+  }
+
+  /**
+   * The signed-in analyst's public profile shown beside their signals and on the leaderboard
+   */
+  async showAnalystProfileModal() {
+    let profile = null;
+    try {
+      const response = await window.apiService?.admin.getAnalystProfile();
+      profile = response?.data?.profile || null;
+    } catch (error) {
+      console.error('Failed to load analyst profile:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to load analyst profile'), 'error');
+      return;
+    }
+
+    tradersHelmet.showModal(`
+      <form id="analyst-profile-form">
+        <div class="row g-2">
+          <div class="col-md-6">
+            <label class="form-label" for="analyst-display-name">Display Name</label>
+            <input type="text" class="form-control" id="analyst-display-name" name="display_name"
+                   value="${THA_Utils.string.escapeHtml(profile?.display_name || '')}" required>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label" for="analyst-headline">Headline</label>
+            <input type="text" class="form-control" id="analyst-headline" name="headline"
+                   value="${THA_Utils.string.escapeHtml(profile?.headline || '')}" placeholder="e.g. Swing trader, 10 years on majors">
+          </div>
+          <div class="col-12">
+            <label class="form-label" for="analyst-bio">Bio</label>
+            <textarea class="form-control" id="analyst-bio" name="bio" rows="4">${THA_Utils.string.escapeHtml(profile?.bio || '')}</textarea>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label" for="analyst-specialities">Specialities</label>
+            <input type="text" class="form-control" id="analyst-specialities" name="specialities"
+                   value="${THA_Utils.string.escapeHtml((profile?.specialities || []).join(', '))}" placeholder="Gold, EURUSD, Price action">
+          </div>
+          <div class="col-md-6">
+            <label class="form-label" for="analyst-avatar">Avatar URL</label>
+            <input type="url" class="form-control" id="analyst-avatar" name="avatar_url" value="${THA_Utils.string.escapeHtml(profile?.avatar_url || '')}">
+          </div>
+          <div class="col-12">
+            <div class="form-check">
+              <input class="form-check-input" type="checkbox" id="analyst-public" name="is_public" ${profile?.is_public === false ? '' : 'checked'}>
+              <label class="form-check-label" for="analyst-public">Show my profile and track record publicly</label>
+            </div>
+          </div>
+        </div>
+        <div class="text-end mt-3">
+          <button type="submit" class="btn btn-primary">Save Profile</button>
+        </div>
+      </form>
+    `, { title: 'Analyst Profile' });
+
+    document.getElementById('analyst-profile-form')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const formData = new FormData(e.target);
+      try {
+        await window.apiService?.admin.saveAnalystProfile({
+          display_name: formData.get('display_name').trim(),
+          headline: formData.get('headline'),
+          bio: formData.get('bio'),
+          specialities: formData.get('specialities'),
+          avatar_url: formData.get('avatar_url'),
+          is_public: formData.get('is_public') === 'on'
+        });
+        tradersHelmet.showNotification('Analyst profile saved', 'success');
+        tradersHelmet.closeModal();
+      } catch (error) {
+        console.error('Failed to save analyst profile:', error);
+        tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to save analyst profile'), 'error');
+      }
+    });
+  }
+
+  /**
+   * Stored backtest runs with a form to replay a CSV of setups (or existing signals)
+   */
+  async showBacktestsModal() {
+    let backtests = [];
+    try {
+      const response = await window.apiService?.admin.getBacktests();
+      backtests = response?.data?.backtests || [];
+    } catch (error) {
+      console.error('Failed to load backtests:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to load backtests'), 'error');
+      return;
+    }
+
+    tradersHelmet.showModal(`
+      ${backtests.length === 0 ? '<p class="text-muted">No backtests yet</p>' : `
+        <table class="table table-sm">
+          <thead><tr><th>Run</th><th>When</th><th>Filled</th><th>Win Rate</th><th>Return</th><th>Max DD</th><th></th></tr></thead>
+          <tbody>
+            ${backtests.map(backtest => `
+              <tr>
+                <td>${THA_Utils.string.escapeHtml(backtest.name)}</td>
+                <td>${new Date(backtest.created_at).toLocaleString()}</td>
+                <td>${backtest.summary.filled ?? 0}/${backtest.summary.setups ?? 0}</td>
+                <td>${backtest.summary.winRate ?? 0}%</td>
+                <td class="${backtest.summary.returnPercent >= 0 ? 'text-success' : 'text-danger'}">${backtest.summary.returnPercent ?? 0}%</td>
+                <td>${backtest.summary.maxDrawdownPercent ?? 0}%</td>
+                <td class="text-end">
+                  <button class="btn btn-sm btn-outline-primary" data-view-backtest="${backtest.id}">View</button>
+                  <button class="btn btn-sm btn-outline-danger" data-delete-backtest="${backtest.id}">Delete</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
+      <form id="backtest-form" class="row g-2 align-items-end">
+        <div class="col-md-4">
+          <label class="form-label" for="backtest-name">Name</label>
+          <input type="text" class="form-control" id="backtest-name" name="name" required>
+        </div>
+        <div class="col-md-2">
+          <label class="form-label" for="backtest-timeframe">Candles</label>
+          <select class="form-select" id="backtest-timeframe" name="timeframe">
+            ${['5m', '15m', '1h', '4h', '1d'].map(timeframe => `
+              <option value="${timeframe}" ${timeframe === '1h' ? 'selected' : ''}>${timeframe}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="col-md-2">
+          <label class="form-label" for="backtest-spread">Spread (pips)</label>
+          <input type="number" class="form-control" id="backtest-spread" name="spread_pips" min="0" step="0.1" value="1">
+        </div>
+        <div class="col-md-2">
+          <label class="form-label" for="backtest-slippage">Slippage (pips)</label>
+          <input type="number" class="form-control" id="backtest-slippage" name="slippage_pips" min="0" step="0.1" value="0.5">
+        </div>
+        <div class="col-md-2">
+          <label class="form-label" for="backtest-risk">Risk %</label>
+          <input type="number" class="form-control" id="backtest-risk" name="risk_percent" min="0.01" max="100" step="0.01" value="1">
+        </div>
+        <div class="col-md-3">
+          <label class="form-label" for="backtest-balance">Starting Balance</label>
+          <input type="number" class="form-control" id="backtest-balance" name="initial_balance" min="1" step="any" value="10000">
+        </div>
+        <div class="col-md-9">
+          <label class="form-label" for="backtest-signals">Signal IDs (optional, comma separated)</label>
+          <input type="text" class="form-control" id="backtest-signals" name="signal_ids">
+        </div>
+        <div class="col-12">
+          <label class="form-label" for="backtest-csv">Setups CSV</label>
+          <textarea class="form-control font-monospace" id="backtest-csv" name="csv" rows="6"
+                    placeholder="time,symbol,action,entry,sl,tp,entry_type&#10;2025-01-06T08:00:00Z,EURUSD,buy,1.0850,1.0820,1.0880;1.0910,limit"></textarea>
+        </div>
+        <div class="col-12 text-end">
+          <button type="submit" class="btn btn-primary">Run Backtest</button>
+        </div>
+      </form>
+    `, { title: 'Signal Backtests', size: 'large' });
+
+    document.getElementById('backtest-form')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const formData = new FormData(e.target);
+      const submitButton = e.target.querySelector('button[type="submit"]');
+      submitButton.disabled = true;
+
+      try {
+        const response = await window.apiService?.admin.runBacktest({
+          name: formData.get('name').trim(),
+          timeframe: formData.get('timeframe'),
+          spread_pips: parseFloat(formData.get('spread_pips')) || 0,
+          slippage_pips: parseFloat(formData.get('slippage_pips')) || 0,
+          risk_percent: parseFloat(formData.get('risk_percent')),
+          initial_balance: parseFloat(formData.get('initial_balance')),
+          signal_ids: formData.get('signal_ids').split(',').map(id => id.trim()).filter(Boolean),
+          csv: formData.get('csv')
+        });
+        tradersHelmet.showNotification(response?.data?.message || 'Backtest complete', 'success');
+        this.showBacktestResult(response?.data?.backtest);
+      } catch (error) {
+        console.error('Failed to run backtest:', error);
+        tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to run backtest'), 'error');
+        submitButton.disabled = false;
+      }
+    });
+
+    document.querySelectorAll('[data-view-backtest]').forEach(button => {
+      button.addEventListener('click', async () => {
+        try {
+          const response = await window.apiService?.admin.getBacktest(button.dataset.viewBacktest);
+          this.showBacktestResult(response?.data?.backtest);
+        } catch (error) {
+          console.error('Failed to load backtest:', error);
+          tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to load backtest'), 'error');
+        }
+      });
+    });
+    document.querySelectorAll('[data-delete-backtest]').forEach(button => {
+      button.addEventListener('click', async () => {
+        if (!confirm('Delete this backtest?')) return;
+        try {
+          await window.apiService?.admin.deleteBacktest(button.dataset.deleteBacktest);
+          tradersHelmet.showNotification('Backtest deleted', 'success');
+          this.showBacktestsModal();
+        } catch (error) {
+          console.error('Failed to delete backtest:', error);
+          tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to delete backtest'), 'error');
+        }
+      });
+    });
+  }
+
+  /**
+   * One backtest: headline figures, equity and drawdown curves drawn with TradingCharts, and the trades
+   */
+  showBacktestResult(backtest) {
+    if (!backtest) return;
+
+    const summary = backtest.summary || {};
+    const trades = backtest.trades || [];
+    const curve = backtest.equity_curve || [];
+    const resultColors = { profit: 'success', loss: 'danger', breakeven: 'secondary' };
+
+    tradersHelmet.showModal(`
+      <div class="row text-center mb-3">
+        <div class="col"><small class="text-muted d-block">Trades</small><strong>${summary.filled}/${summary.setups}</strong></div>
+        <div class="col"><small class="text-muted d-block">Win Rate</small><strong>${summary.winRate}%</strong></div>
+        <div class="col"><small class="text-muted d-block">Pips</small><strong>${summary.totalPips}</strong></div>
+        <div class="col"><small class="text-muted d-block">Avg R</small><strong>${summary.avgRMultiple}</strong></div>
+        <div class="col"><small class="text-muted d-block">Profit Factor</small><strong>${summary.profitFactor ?? '-'}</strong></div>
+        <div class="col"><small class="text-muted d-block">Return</small>
+          <strong class="${summary.returnPercent >= 0 ? 'text-success' : 'text-danger'}">${summary.returnPercent}%</strong></div>
+        <div class="col"><small class="text-muted d-block">Max Drawdown</small><strong>${summary.maxDrawdownPercent}%</strong></div>
+      </div>
+      <p class="text-muted small">
+        ${backtest.parameters?.timeframe} candles, ${backtest.parameters?.spread_pips} pip spread,
+        ${backtest.parameters?.slippage_pips} pip slippage, ${backtest.parameters?.risk_percent}% risk per trade.
+        ${summary.notFilled ? `${summary.notFilled} never filled.` : ''}
+        ${summary.noData ? `${summary.noData} had no stored candles.` : ''}
+        ${summary.open ? `${summary.open} still open, marked to the last close.` : ''}
+      </p>
+      <div id="backtest-equity-chart" style="height: 240px;"></div>
+      <div id="backtest-drawdown-chart" class="mt-3" style="height: 140px;"></div>
+      <table class="table table-sm mt-3">
+        <thead><tr><th>Setup</th><th>Symbol</th><th>Entry</th><th>Exit</th><th>Status</th><th>Pips</th><th>R</th><th>P/L</th></tr></thead>
+        <tbody>
+          ${trades.map(trade => `
+            <tr>
+              <td><small>${new Date(trade.setup_time).toLocaleString()}</small></td>
+              <td>${trade.action.toUpperCase()} ${trade.symbol}</td>
+              <td>${trade.entry_price ?? '-'}</td>
+              <td>${trade.exit_price ?? '-'}${trade.close_reason ? ` <small class="text-muted">${trade.close_reason.replace('_', ' ')}</small>` : ''}</td>
+              <td>${trade.result ? `<span class="badge bg-${resultColors[trade.result]}">${trade.result}</span>` : ''} <small>${trade.status.replace('_', ' ')}</small></td>
+              <td>${trade.pips_gained ?? '-'}</td>
+              <td>${trade.r_multiple ?? '-'}</td>
+              <td>${trade.profit ?? '-'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `, { title: `Backtest: ${THA_Utils.string.escapeHtml(backtest.name)}`, size: 'large' });
+
+    if (!window.tradingCharts || curve.length < 2) return;
+
+    const charts = [
+      {
+        id: 'backtest-equity-chart',
+        series: [{ label: 'Equity', points: curve.map(point => ({ x: point.time, y: point.equity })), fill: true, stepped: true }],
+        format: value => value.toFixed(2)
+      },
+      {
+        id: 'backtest-drawdown-chart',
+        series: [{
+          label: 'Drawdown %',
+          points: curve.map(point => ({ x: point.time, y: -point.drawdown_percent })),
+          color: '#ff4444',
+          fillColor: 'rgba(255, 68, 68, 0.2)',
+          fill: true,
+          stepped: true
+        }],
+        format: value => `${value.toFixed(1)}%`
+      }
+    ];
+
+    charts.forEach(({ id, series, format }) => {
+      window.tradingCharts.destroyChart(id);
+      window.tradingCharts.createChart(id, 'line', {
+        chartOptions: { scales: { y: { ticks: { callback: format } } } }
+      });
+      window.tradingCharts.setSeries(id, series);
+    });
+  }
+
+  /**
+   * List outbound broadcast targets per tier with test, enable/disable and delete actions
+   */
+  async showBroadcastTargetsModal() {
+    let targets = [];
+    try {
+      const response = await window.apiService?.admin.getBroadcastTargets();
+      targets = response?.data?.targets || [];
+    } catch (error) {
+      console.error('Failed to load broadcast targets:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to load broadcast targets'), 'error');
+      return;
+    }
+
+    tradersHelmet.showModal(`
+      ${targets.length === 0 ? '<p class="text-muted">No broadcast targets yet</p>' : `
+        <table class="table table-sm">
+          <thead><tr><th>Tier</th><th>Name</th><th>Kind</th><th>Endpoint</th><th>Events</th><th></th></tr></thead>
+          <tbody>
+            ${targets.map(target => `
+              <tr>
+                <td>${target.tier}</td>
+                <td>${THA_Utils.string.escapeHtml(target.name)}${target.is_active ? '' : ' <span class="badge bg-secondary">Disabled</span>'}</td>
+                <td>${target.kind}</td>
+                <td><small>${THA_Utils.string.escapeHtml(target.url_preview)}</small></td>
+                <td>${(target.events || []).join(', ')}</td>
+                <td class="text-end">
+                  <button class="btn btn-sm btn-outline-primary" data-test-target="${target.id}">Test</button>
+                  <button class="btn btn-sm btn-outline-secondary" data-deliveries-target="${target.id}">Log</button>
+                  <button class="btn btn-sm btn-outline-warning" data-toggle-target="${target.id}" data-active="${target.is_active}">
+                    ${target.is_active ? 'Disable' : 'Enable'}
+                  </button>
+                  <button class="btn btn-sm btn-outline-danger" data-delete-target="${target.id}">Delete</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
+      <form id="broadcast-target-form" class="row g-2 align-items-end">
+        <div class="col-md-3">
+          <label class="form-label" for="broadcast-name">Name</label>
+          <input type="text" class="form-control" id="broadcast-name" name="name" required>
+        </div>
+        <div class="col-md-2">
+          <label class="form-label" for="broadcast-kind">Kind</label>
+          <select class="form-select" id="broadcast-kind" name="kind">
+            <option value="telegram">Telegram</option>
+            <option value="discord">Discord</option>
+            <option value="generic">Webhook</option>
+          </select>
+        </div>
+        <div class="col-md-2">
+          <label class="form-label" for="broadcast-tier">Tier</label>
+          <select class="form-select" id="broadcast-tier" name="tier">
+            ${['gold', 'platinum', 'diamond'].map(tier => `<option value="${tier}">${tier}</option>`).join('')}
+          </select>
+        </div>
+        <div class="col-md-5">
+          <label class="form-label" for="broadcast-url">URL</label>
+          <input type="url" class="form-control" id="broadcast-url" name="url" placeholder="https://api.telegram.org/bot&lt;token&gt;/sendMessage" required>
+        </div>
+        <div class="col-md-3">
+          <label class="form-label" for="broadcast-chat">Telegram Chat ID</label>
+          <input type="text" class="form-control" id="broadcast-chat" name="chat_id">
+        </div>
+        <div class="col-md-7">
+          <label class="form-label" for="broadcast-template">Published Message</label>
+          <input type="text" class="form-control" id="broadcast-template" name="published_template"
+                 placeholder="Default: 🚨 {action} {symbol} ({timeframe}) Entry/SL/TP and link">
+        </div>
+        <div class="col-md-2">
+          <button type="submit" class="btn btn-primary w-100">Add</button>
+        </div>
+      </form>
+    `, { title: 'Signal Broadcasts', size: 'large' });
+
+    document.getElementById('broadcast-target-form')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const formData = new FormData(e.target);
+      try {
+        await window.apiService?.admin.createBroadcastTarget({
+          name: formData.get('name').trim(),
+          kind: formData.get('kind'),
+          tier: formData.get('tier'),
+          url: formData.get('url').trim(),
+          chat_id: formData.get('chat_id').trim() || null,
+          templates: { published: formData.get('published_template') }
+        });
+        tradersHelmet.showNotification('Broadcast target added', 'success');
+        this.showBroadcastTargetsModal();
+      } catch (error) {
+        console.error('Failed to create broadcast target:', error);
+        tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to create broadcast target'), 'error');
+      }
+    });
+
+    const runAction = async (request, successMessage, fallbackMessage) => {
+      try {
+        await request();
+        tradersHelmet.showNotification(successMessage, 'success');
+        this.showBroadcastTargetsModal();
+      } catch (error) {
+        console.error(fallbackMessage, error);
+        tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, fallbackMessage), 'error');
+      }
+    };
+
+    document.querySelectorAll('[data-test-target]').forEach(button => {
+      button.addEventListener('click', () => runAction(
+        () => window.apiService?.admin.testBroadcastTarget(button.dataset.testTarget),
+        'Test message sent',
+        'Test message failed'
+      ));
+    });
+    document.querySelectorAll('[data-toggle-target]').forEach(button => {
+      button.addEventListener('click', () => runAction(
+        () => window.apiService?.admin.updateBroadcastTarget(button.dataset.toggleTarget, {
+          is_active: button.dataset.active !== 'true'
+        }),
+        'Broadcast target updated',
+        'Failed to update broadcast target'
+      ));
+    });
+    document.querySelectorAll('[data-delete-target]').forEach(button => {
+      button.addEventListener('click', () => {
+        if (!confirm('Delete this broadcast target and its delivery log?')) return;
+        runAction(
+          () => window.apiService?.admin.deleteBroadcastTarget(button.dataset.deleteTarget),
+          'Broadcast target deleted',
+          'Failed to delete broadcast target'
+        );
+      });
+    });
+    document.querySelectorAll('[data-deliveries-target]').forEach(button => {
+      button.addEventListener('click', () => this.showBroadcastDeliveries(button.dataset.deliveriesTarget));
+    });
+  }
+
+  /**
+   * Delivery log for one broadcast target; failed and cancelled messages can be requeued
+   */
+  async showBroadcastDeliveries(targetId) {
+    try {
+      const response = await window.apiService?.admin.getBroadcastDeliveries(targetId);
+      const deliveries = response?.data?.deliveries || [];
+      const statusColors = { sent: 'success', pending: 'warning', failed: 'danger', cancelled: 'secondary' };
+
+      tradersHelmet.showModal(deliveries.length === 0 ? '<p class="text-muted">Nothing sent yet</p>' : `
+        <table class="table table-sm">
+          <thead><tr><th>When</th><th>Signal</th><th>Event</th><th>Status</th><th>Attempts</th><th>Last Error</th><th></th></tr></thead>
+          <tbody>
+            ${deliveries.map(delivery => `
+              <tr>
+                <td>${new Date(delivery.created_at).toLocaleString()}</td>
+                <td>${delivery.trading_signals ? `${delivery.trading_signals.action.toUpperCase()} ${delivery.trading_signals.symbol}` : '-'}</td>
+                <td>${delivery.event}</td>
+                <td><span class="badge bg-${statusColors[delivery.status] || 'secondary'}">${delivery.status}</span></td>
+                <td>${delivery.attempts}</td>
+                <td><small>${delivery.last_error || '-'}</small></td>
+                <td>
+                  ${['failed', 'cancelled'].includes(delivery.status) ? `
+                    <button class="btn btn-sm btn-outline-primary" data-retry-delivery="${delivery.id}">Retry</button>
+                  ` : ''}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `, { title: 'Broadcast Deliveries', size: 'large' });
+
+      document.querySelectorAll('[data-retry-delivery]').forEach(button => {
+        button.addEventListener('click', async () => {
+          try {
+            await window.apiService?.admin.retryBroadcastDelivery(button.dataset.retryDelivery);
+            tradersHelmet.showNotification('Delivery queued', 'success');
+            this.showBroadcastDeliveries(targetId);
+          } catch (error) {
+            console.error('Failed to retry delivery:', error);
+            tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to retry delivery'), 'error');
+          }
+        });
+      });
+    } catch (error) {
+      console.error('Failed to load broadcast deliveries:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to load broadcast deliveries'), 'error');
+    }
+  }
+
+  /**
+   * List the admin's charting-alert webhook templates with a form to add one
+   */
+  async showWebhookTemplatesModal() {
+    let templates = [];
+    try {
+      const response = await window.apiService?.admin.getWebhookTemplates();
+      templates = response?.data?.templates || [];
+    } catch (error) {
+      console.error('Failed to load webhook templates:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to load webhook templates'), 'error');
+      return;
+    }
+
+    tradersHelmet.showModal(`
+      <p class="text-muted">
+        Alerts POST JSON to <code>${window.location.origin}/api/webhooks/signals</code> with
+        <code>template_id</code>, <code>symbol</code>, <code>action</code>, <code>entry</code>, <code>sl</code> and <code>tp</code>,
+        signed with <code>X-Webhook-Timestamp</code> and <code>X-Webhook-Signature: sha256=HMAC(secret, "timestamp.body")</code>.
+      </p>
+      ${templates.length === 0 ? '<p class="text-muted">No webhook templates yet</p>' : `
+        <table class="table table-sm">
+          <thead><tr><th>Name</th><th>Template ID</th><th>Creates</th><th>Last Used</th><th></th></tr></thead>
+          <tbody>
+            ${templates.map(template => `
+              <tr>
+                <td>${THA_Utils.string.escapeHtml(template.name)}${template.is_active ? '' : ' <span class="badge bg-secondary">Disabled</span>'}</td>
+                <td><code>${template.id}</code></td>
+                <td>${template.publish ? 'Active signals' : 'Drafts'}</td>
+                <td>${template.last_used_at ? this.formatRelativeTime(template.last_used_at) : 'Never'}</td>
+                <td class="text-end">
+                  <button class="btn btn-sm btn-outline-warning" data-rotate-template="${template.id}">Rotate Secret</button>
+                  <button class="btn btn-sm btn-outline-danger" data-delete-template="${template.id}">Delete</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
+      <form id="webhook-template-form" class="row g-2 align-items-end">
+        <div class="col-md-4">
+          <label class="form-label" for="webhook-name">Name</label>
+          <input type="text" class="form-control" id="webhook-name" name="name" required>
+        </div>
+        <div class="col-md-4">
+          <label class="form-label" for="webhook-title">Title Template</label>
+          <input type="text" class="form-control" id="webhook-title" name="title_template" value="{symbol} {action}">
+        </div>
+        <div class="col-md-2">
+          <label class="form-check">
+            <input type="checkbox" class="form-check-input" name="publish"> Publish
+          </label>
+        </div>
+        <div class="col-md-2">
+          <button type="submit" class="btn btn-primary w-100">Add</button>
+        </div>
+      </form>
+    `, { title: 'Signal Webhooks', size: 'large' });
+
+    document.getElementById('webhook-template-form')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const formData = new FormData(e.target);
+      this.saveWebhookTemplate(window.apiService?.admin.createWebhookTemplate({
+        name: formData.get('name').trim(),
+        title_template: formData.get('title_template').trim(),
+        publish: formData.has('publish')
+      }), 'Failed to create webhook template');
+    });
+    document.querySelectorAll('[data-rotate-template]').forEach(button => {
+      button.addEventListener('click', () => {
+        if (!confirm('Rotate this secret? Alerts signed with the old one will be refused.')) return;
+        this.saveWebhookTemplate(window.apiService?.admin.rotateWebhookSecret(button.dataset.rotateTemplate), 'Failed to rotate webhook secret');
+      });
+    });
+    document.querySelectorAll('[data-delete-template]').forEach(button => {
+      button.addEventListener('click', async () => {
+        if (!confirm('Delete this webhook template? Alerts using it will be refused.')) return;
+        try {
+          await window.apiService?.admin.deleteWebhookTemplate(button.dataset.deleteTemplate);
+          tradersHelmet.showNotification('Webhook template deleted', 'success');
+          this.showWebhookTemplatesModal();
+        } catch (error) {
+          console.error('Failed to delete webhook template:', error);
+          tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to delete webhook template'), 'error');
+        }
+      });
+    });
+  }
+
+  /**
+   * Finish a template create or rotate: the secret is only returned once, so show it
+   */
+  async saveWebhookTemplate(request, fallbackMessage) {
+    try {
+      const response = await request;
+      const template = response?.data?.template;
+
+      tradersHelmet.showModal(`
+        <p>Copy the signing secret for <strong>${THA_Utils.string.escapeHtml(template.name)}</strong> now; it will not be shown again.</p>
+        <p>Template ID: <code>${template.id}</code></p>
+        <p>Secret: <code>${template.secret}</code></p>
+        <button class="btn btn-primary" id="webhook-secret-done">Done</button>
+      `, { title: 'Webhook Secret' });
+
+      document.getElementById('webhook-secret-done')?.addEventListener('click', () => this.showWebhookTemplatesModal());
+    } catch (error) {
+      console.error(fallbackMessage, error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, fallbackMessage), 'error');
+    }
   }
 
   /**
    * Show create signal modal
    */
   showCreateSignalModal() {
-    // Implementation for create signal modal
+    this.showSignalFormModal();
+  }
+
+  /**
+   * Show the signal form, prefilled when editing an existing signal
+   */
+  showSignalFormModal(signal = null) {
+    const value = (field, fallback = '') => signal?.[field] ?? fallback;
+    const selected = (field, option) => value(field) === option ? 'selected' : '';
+    const tiers = signal?.tier_access || ['gold', 'platinum', 'diamond'];
+    const targets = THA_Utils.trading.getTakeProfitTargets(signal);
+    const rungCount = Math.max(this.signalTargetRungs, targets.length);
+    const breakeven = signal ? value('breakeven_after_target', null) : 1;
+    // datetime-local wants local time without a zone
+    const publishAt = signal?.publish_at ?
+      new Date(new Date(signal.publish_at).getTime() - new Date(signal.publish_at).getTimezoneOffset() * 60000).toISOString().slice(0, 16) :
+      '';
+
     tradersHelmet.showModal(`
-      <h4>Create New Signal</h4>
-      <p>Signal creation form would go here.</p>
-      <p>This would include:</p>
-      <ul>
-        <li>Symbol selection</li>
-        <li>Signal type (Forex, Crypto, etc.)</li>
-        <li>Action (Buy/Sell)</li>
-        <li>Entry price</li>
-        <li>Stop loss and take profit</li>
-        <li>Risk level</li>
-        <li>Target tiers</li>
-      </ul>
-    `, { title: 'Create Signal' });
+      <form id="signal-form">
+        <div class="row">
+          <div class="col-md-8 mb-3">
+            <label class="form-label" for="signal-title">Title</label>
+            <input type="text" class="form-control" id="signal-title" name="title" value="${value('title')}" required>
+          </div>
+          <div class="col-md-4 mb-3">
+            <label class="form-label" for="signal-symbol">Symbol</label>
+            <input type="text" class="form-control" id="signal-symbol" name="symbol" value="${value('symbol')}" placeholder="EURUSD" required>
+          </div>
+        </div>
+        <div class="row">
+          <div class="col-md-4 mb-3">
+            <label class="form-label" for="signal-type">Type</label>
+            <select class="form-select" id="signal-type" name="signal_type">
+              ${['forex', 'crypto', 'stocks', 'commodities', 'indices'].map(type =>
+                `<option value="${type}" ${selected('signal_type', type)}>${type}</option>`).join('')}
+            </select>
+          </div>
+          <div class="col-md-4 mb-3">
+            <label class="form-label" for="signal-action">Action</label>
+            <select class="form-select" id="signal-action" name="action">
+              <option value="buy" ${selected('action', 'buy')}>Buy</option>
+              <option value="sell" ${selected('action', 'sell')}>Sell</option>
+            </select>
+          </div>
+          <div class="col-md-4 mb-3">
+            <label class="form-label" for="signal-risk">Risk Level</label>
+            <select class="form-select" id="signal-risk" name="risk_level">
+              ${['low', 'medium', 'high'].map(level =>
+                `<option value="${level}" ${selected('risk_level', level) || (!signal && level === 'medium' ? 'selected' : '')}>${level}</option>`).join('')}
+            </select>
+          </div>
+        </div>
+        <div class="row">
+          <div class="col-md-4 mb-3">
+            <label class="form-label" for="signal-entry">Entry Price</label>
+            <input type="number" step="any" min="0" class="form-control" id="signal-entry" name="entry_price" value="${value('entry_price')}">
+          </div>
+          <div class="col-md-4 mb-3">
+            <label class="form-label" for="signal-sl">Stop Loss</label>
+            <input type="number" step="any" min="0" class="form-control" id="signal-sl" name="stop_loss" value="${value('stop_loss')}">
+          </div>
+          <div class="col-md-4 mb-3">
+            <label class="form-label" for="signal-breakeven">Stop to Breakeven</label>
+            <select class="form-select" id="signal-breakeven" name="breakeven_after_target">
+              <option value="">Never</option>
+              ${Array.from({ length: rungCount - 1 }, (_, index) => index + 1).map(level =>
+                `<option value="${level}" ${Number(breakeven) === level ? 'selected' : ''}>After TP${level}</option>`).join('')}
+            </select>
+          </div>
+        </div>
+        <div class="mb-3">
+          <label class="form-label">Take-Profit Targets</label>
+          <small class="form-text text-muted d-block mb-2">
+            Leave close % empty to split the position evenly. Targets already hit are locked.
+          </small>
+          ${Array.from({ length: rungCount }, (_, index) => {
+            const target = targets[index];
+            const locked = target?.status === 'hit' ? 'readonly' : '';
+            return `
+              <div class="row g-2 mb-2">
+                <div class="col-2 col-form-label">TP${index + 1}${locked ? ' <i class="fas fa-check-circle text-success"></i>' : ''}</div>
+                <div class="col-6">
+                  <input type="number" step="any" min="0" class="form-control" name="target_price" placeholder="Price"
+                         value="${target?.price ?? ''}" ${locked}>
+                </div>
+                <div class="col-4">
+                  <input type="number" step="any" min="0" max="100" class="form-control" name="target_percent" placeholder="Close %"
+                         value="${targets.length > 1 ? target?.close_percent ?? '' : ''}" ${locked}>
+                </div>
+              </div>
+            `;
+          }).join('')}
+        </div>
+        <div class="row">
+          <div class="col-md-4 mb-3">
+            <label class="form-label" for="signal-timeframe">Timeframe</label>
+            <input type="text" class="form-control" id="signal-timeframe" name="timeframe" value="${value('timeframe', '1h')}">
+          </div>
+          <div class="col-md-8 mb-3">
+            <label class="form-label">Target Tiers</label>
+            <div>
+              ${['gold', 'platinum', 'diamond'].map(tier => `
+                <label class="form-check form-check-inline">
+                  <input type="checkbox" class="form-check-input" name="tier_access" value="${tier}" ${tiers.includes(tier) ? 'checked' : ''}>
+                  ${tier}
+                </label>
+              `).join('')}
+            </div>
+          </div>
+        </div>
+        <div class="mb-3">
+          <label class="form-label" for="signal-analysis">Analysis</label>
+          <textarea class="form-control" id="signal-analysis" name="analysis" rows="3">${value('analysis')}</textarea>
+        </div>
+        ${!signal || signal.status === 'draft' ? `
+          <div class="mb-3">
+            <label class="form-label" for="signal-publish-at">Publish At</label>
+            <input type="datetime-local" class="form-control" id="signal-publish-at" name="publish_at" value="${publishAt}">
+            <small class="text-muted">Leave empty to publish by hand. Diamond receives it first, then Platinum and Gold after their delays.</small>
+          </div>
+        ` : ''}
+        ${signal && signal.status !== 'draft' ? `
+          <div class="mb-3">
+            <label class="form-label" for="signal-reason">Reason for Change</label>
+            <input type="text" class="form-control" id="signal-reason" name="reason"
+                   placeholder="Shown to subscribers when levels change">
+          </div>
+        ` : ''}
+        <div class="d-flex gap-2">
+          <button type="submit" class="btn btn-outline-secondary" data-publish="false">
+            ${signal ? 'Save Changes' : 'Save Draft'}
+          </button>
+          ${!signal ? `
+            <button type="submit" class="btn btn-primary" data-publish="true">Publish Now</button>
+          ` : ''}
+        </div>
+      </form>
+    `, { title: signal ? 'Edit Signal' : 'Create Signal', size: 'large' });
+
+    document.getElementById('signal-form')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const publish = e.submitter?.dataset.publish === 'true';
+      this.submitSignalForm(e.target, signal?.id, publish);
+    });
+  }
+
+  /**
+   * Create or update a signal from the signal form
+   */
+  async submitSignalForm(form, signalId = null, publish = false) {
+    const formData = new FormData(form);
+    const signalData = {
+      title: formData.get('title').trim(),
+      symbol: formData.get('symbol').trim().toUpperCase(),
+      signal_type: formData.get('signal_type'),
+      action: formData.get('action'),
+      risk_level: formData.get('risk_level'),
+      timeframe: formData.get('timeframe'),
+      analysis: formData.get('analysis'),
+      tier_access: formData.getAll('tier_access')
+    };
+
+    if (formData.has('reason')) {
+      signalData.reason = formData.get('reason').trim();
+    }
+
+    // Publishing now supersedes a schedule
+    if (formData.has('publish_at')) {
+      const publishAt = formData.get('publish_at');
+      signalData.publish_at = publishAt && !publish ? new Date(publishAt).toISOString() : null;
+    }
+
+    ['entry_price', 'stop_loss'].forEach(field => {
+      const fieldValue = formData.get(field);
+      signalData[field] = fieldValue === '' ? null : parseFloat(fieldValue);
+    });
+
+    // Filled rungs in order; the server splits the position evenly when no close % is given
+    const percents = formData.getAll('target_percent');
+    signalData.take_profit_targets = formData.getAll('target_price')
+      .map((price, index) => ({ price, close_percent: percents[index] }))
+      .filter(target => target.price !== '')
+      .map(target => ({
+        price: parseFloat(target.price),
+        close_percent: target.close_percent === '' ? null : parseFloat(target.close_percent)
+      }));
+
+    const breakeven = formData.get('breakeven_after_target');
+    signalData.breakeven_after_target = breakeven && parseInt(breakeven) < signalData.take_profit_targets.length ?
+      parseInt(breakeven) : null;
+
+    try {
+      if (signalId) {
+        await window.apiService?.admin.updateSignal(signalId, signalData);
+        tradersHelmet.showNotification('Signal updated successfully', 'success');
+      } else {
+        await window.apiService?.admin.createSignal({
+          ...signalData,
+          status: publish ? 'active' : 'draft'
+        });
+        tradersHelmet.showNotification(publish ? 'Signal published successfully' :
+          (signalData.publish_at ? 'Signal scheduled' : 'Draft saved'), 'success');
+      }
+
+      tradersHelmet.closeModal();
+      this.refreshSignalsData();
+    } catch (error) {
+      console.error('Failed to save signal:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to save signal'), 'error');
+    }
   }
 
   /**
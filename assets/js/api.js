@@ -356,7 +356,10 @@ class APIService {
         let responseData;
         const contentType = response.headers.get('content-type');
         
-        if (contentType && contentType.includes('application/json')) {
+        // responseType 'blob' keeps binary downloads (PDFs) intact
+        if (finalConfig.responseType === 'blob') {
+          responseData = await response.blob();
+        } else if (contentType && contentType.includes('application/json')) {
           responseData = await response.json();
         } else {
           responseData = await response.text();
@@ -466,11 +469,105 @@ class APIService {
   signals = {
     getAll: (filters = {}) => this.get('/signals', { params: filters }),
     getById: (id) => this.get(`/signals/${id}`),
+    getHistory: (limit = 50) => this.get('/signals/history', { params: { limit } }),
     markViewed: (id) => this.post(`/signals/${id}/view`),
     getFavorites: () => this.get('/signals/favorites'),
     addToFavorites: (id) => this.post(`/signals/${id}/favorite`),
     removeFromFavorites: (id) => this.delete(`/signals/${id}/favorite`),
-    getStats: () => this.get('/signals/stats')
+    getStats: (filters = {}) => this.get('/signals/stats', { params: filters }),
+    getAmendments: (id) => this.get(`/signals/${id}/amendments`, { cache: false }),
+    // reaction: took|skipped, clarity_rating: 1-5, comment; null clears a field
+    saveFeedback: (id, feedback) => this.put(`/signals/${id}/feedback`, feedback),
+    export: (params = {}) => this.get('/signals/export', { params, cache: false }),
+    // Named filter presets saved to the member's profile
+    getPresets: () => this.get('/signals/presets', { cache: false }),
+    savePreset: (name, filters) => this.post('/signals/presets', { name, filters }),
+    deletePreset: (presetId) => this.delete(`/signals/presets/${presetId}`)
+  };
+
+  /**
+   * Analyst APIs
+   */
+  analysts = {
+    getAll: () => this.get('/analysts'),
+    getById: (id, period = 'all') => this.get(`/analysts/${id}`, { params: { period } }),
+    getLeaderboard: (period = '30d', rankBy = 'pips') =>
+      this.get('/analysts/leaderboard', { params: { period, rank_by: rankBy } })
+  };
+
+  /**
+   * Trade Journal APIs
+   */
+  journal = {
+    getEntries: (filters = {}) => this.get('/journal', { params: filters, cache: false }),
+    getSummary: (filters = {}) => this.get('/journal/summary', { params: filters, cache: false }),
+    // Includes the comparison with the linked signal's official outcome
+    getEntry: (id) => this.get(`/journal/${id}`, { cache: false }),
+    createEntry: (data) => this.post('/journal', data),
+    updateEntry: (id, data) => this.patch(`/journal/${id}`, data),
+    deleteEntry: (id) => this.delete(`/journal/${id}`)
+  };
+
+  /**
+   * Portfolio APIs
+   */
+  portfolio = {
+    // Positions marked to market with exposure and margin; currency sets the reporting currency
+    get: (currency = null) => this.get('/portfolio', { params: currency ? { currency } : {}, cache: false }),
+    getAccounts: () => this.get('/portfolio/accounts', { cache: false }),
+    createAccount: (data) => this.post('/portfolio/accounts', data),
+    updateAccount: (id, data) => this.put(`/portfolio/accounts/${id}`, data),
+    deleteAccount: (id) => this.delete(`/portfolio/accounts/${id}`),
+    addPosition: (data) => this.post('/portfolio/positions', data),
+    updatePosition: (id, data) => this.patch(`/portfolio/positions/${id}`, data),
+    removePosition: (id) => this.delete(`/portfolio/positions/${id}`)
+  };
+
+  /**
+   * Risk APIs
+   */
+  risk = {
+    getSettings: () => this.get('/risk/settings', { cache: false }),
+    saveSettings: (settings) => this.put('/risk/settings', settings),
+    getSpec: (symbol, instrumentType = null) =>
+      this.get(`/risk/specs/${symbol}`, { params: instrumentType ? { instrument_type: instrumentType } : {} }),
+    // Size a trade and check it against the per-trade and daily limits
+    calculate: (trade) => this.post('/risk/calculate', trade),
+    getUsage: () => this.get('/risk/usage', { cache: false }),
+    commit: (trade) => this.post('/risk/commit', trade),
+    withdraw: (id) => this.delete(`/risk/ledger/${id}`)
+  };
+
+  /**
+   * Paper Trading APIs
+   */
+  paper = {
+    getAccounts: () => this.get('/paper/accounts', { cache: false }),
+    createAccount: (data) => this.post('/paper/accounts', data),
+    // Equity, margin, open positions and pending orders
+    getAccount: (id) => this.get(`/paper/accounts/${id}`, { cache: false }),
+    getHistory: (id) => this.get(`/paper/accounts/${id}/history`, { cache: false }),
+    resetAccount: (id) => this.post(`/paper/accounts/${id}/reset`),
+    deleteAccount: (id) => this.delete(`/paper/accounts/${id}`),
+    // Market orders fill immediately; with signal_id omitted fields come from the signal
+    placeOrder: (accountId, order) => this.post(`/paper/accounts/${accountId}/orders`, order),
+    cancelOrder: (id) => this.delete(`/paper/orders/${id}`),
+    updatePosition: (id, data) => this.patch(`/paper/positions/${id}`, data),
+    closePosition: (id) => this.post(`/paper/positions/${id}/close`)
+  };
+
+  /**
+   * Performance Report APIs
+   */
+  reports = {
+    // Month-end statements already sent, and whether the member receives them
+    getAll: () => this.get('/reports', { cache: false }),
+    saveSettings: (settings) => this.put('/reports/settings', settings),
+    // params: source (signals|journal), currency
+    get: (month, params = {}) => this.get(`/reports/${month}`, { params, cache: false }),
+    // params: format (pdf|csv), source, currency; resolves with a Blob
+    download: (month, params = {}) =>
+      this.get(`/reports/${month}/download`, { params, cache: false, responseType: 'blob' })
   };
 
   /**
@@ -518,10 +615,55 @@ class APIService {
     updateSubscription: (subscriptionId, data) => 
       this.patch(`/admin/subscriptions/${subscriptionId}`, data),
     
+    getSignals: (filters = {}, page = 1, limit = 50) => 
+      this.get('/admin/signals', { params: { ...filters, page, limit }, cache: false }),
+    getSignal: (signalId) => this.get(`/admin/signals/${signalId}`, { cache: false }),
+    getSignalFeedback: (signalId) => this.get(`/admin/signals/${signalId}/feedback`, { cache: false }),
+    rebuildPerformance: () => this.post('/admin/performance/rebuild'),
     createSignal: (signalData) => this.post('/admin/signals', signalData),
     updateSignal: (signalId, data) => this.patch(`/admin/signals/${signalId}`, data),
+    publishSignal: (signalId) => this.post(`/admin/signals/${signalId}/publish`),
+    closeSignal: (signalId, exitPrice, reason = 'manual') => 
+      this.post(`/admin/signals/${signalId}/close`, { exit_price: exitPrice, reason }),
+    trailStop: (signalId, stopLoss, reason = null) => 
+      this.post(`/admin/signals/${signalId}/stop`, { stop_loss: stopLoss, reason }),
+    // price defaults to the rung's level; hitting the final rung closes the signal
+    hitSignalTarget: (signalId, level, price = null) => 
+      this.post(`/admin/signals/${signalId}/targets/${level}/hit`, { price }),
+    cancelSignal: (signalId, reason = null) => 
+      this.post(`/admin/signals/${signalId}/cancel`, { reason }),
     deleteSignal: (signalId) => this.delete(`/admin/signals/${signalId}`),
     
+    // Charting alerts post to /api/webhooks/signals signed with the template's secret
+    getWebhookTemplates: () => this.get('/admin/webhook-templates', { cache: false }),
+    createWebhookTemplate: (data) => this.post('/admin/webhook-templates', data),
+    updateWebhookTemplate: (templateId, data) => this.patch(`/admin/webhook-templates/${templateId}`, data),
+    rotateWebhookSecret: (templateId) => this.post(`/admin/webhook-templates/${templateId}/rotate-secret`),
+    deleteWebhookTemplate: (templateId) => this.delete(`/admin/webhook-templates/${templateId}`),
+    getWebhookDeliveries: (templateId, limit = 50) => 
+      this.get(`/admin/webhook-templates/${templateId}/deliveries`, { params: { limit }, cache: false }),
+    
+    // Outbound Telegram/Discord/webhook targets, one tier each
+    getBroadcastTargets: () => this.get('/admin/broadcast-targets', { cache: false }),
+    createBroadcastTarget: (data) => this.post('/admin/broadcast-targets', data),
+    updateBroadcastTarget: (targetId, data) => this.patch(`/admin/broadcast-targets/${targetId}`, data),
+    deleteBroadcastTarget: (targetId) => this.delete(`/admin/broadcast-targets/${targetId}`),
+    testBroadcastTarget: (targetId, event = 'published') => 
+      this.post(`/admin/broadcast-targets/${targetId}/test`, { event }),
+    getBroadcastDeliveries: (targetId, status = null, limit = 50) => 
+      this.get(`/admin/broadcast-targets/${targetId}/deliveries`, { params: { status, limit }, cache: false }),
+    retryBroadcastDelivery: (deliveryId) => this.post(`/admin/broadcast-deliveries/${deliveryId}/retry`),
+    
+    // The caller's public analyst profile
+    getAnalystProfile: () => this.get('/admin/analyst-profile', { cache: false }),
+    saveAnalystProfile: (data) => this.put('/admin/analyst-profile', data),
+    
+    // Setup backtests over stored candles
+    getBacktests: () => this.get('/admin/backtests', { cache: false }),
+    getBacktest: (backtestId) => this.get(`/admin/backtests/${backtestId}`, { cache: false }),
+    runBacktest: (data) => this.post('/admin/backtests', data, { timeout: 120000 }),
+    deleteBacktest: (backtestId) => this.delete(`/admin/backtests/${backtestId}`),
+    
     getAnalytics: (timeframe = '30d') => 
       this.get('/admin/analytics', { params: { timeframe } }),
     getStats: () => this.get('/admin/stats'),
@@ -532,6 +674,39 @@ class APIService {
     getDiscounts: () => this.get('/admin/discounts')
   };
 
+  /**
+   * Price Alert APIs
+   */
+  alerts = {
+    getAll: (filters = {}) => this.get('/alerts', { params: filters, cache: false }),
+    create: (alertData) => this.post('/alerts', alertData),
+    update: (alertId, data) => this.patch(`/alerts/${alertId}`, data),
+    rearm: (alertId) => this.patch(`/alerts/${alertId}`, { status: 'active' }),
+    cancel: (alertId) => this.patch(`/alerts/${alertId}`, { status: 'cancelled' }),
+    delete: (alertId) => this.delete(`/alerts/${alertId}`)
+  };
+
+  /**
+   * Watchlist APIs
+   */
+  watchlists = {
+    getAll: () => this.get('/watchlists', { cache: false }),
+    get: (watchlistId) => this.get(`/watchlists/${watchlistId}`, { cache: false }),
+    create: (name, symbols = [], description = null) => 
+      this.post('/watchlists', { name, symbols, description }),
+    update: (watchlistId, data) => this.patch(`/watchlists/${watchlistId}`, data),
+    delete: (watchlistId) => this.delete(`/watchlists/${watchlistId}`),
+    reorder: (watchlistIds) => this.put('/watchlists/order', { ids: watchlistIds }),
+    addSymbol: (watchlistId, symbol, note = null) => 
+      this.post(`/watchlists/${watchlistId}/items`, { symbol, note }),
+    updateNote: (watchlistId, symbol, note) => 
+      this.patch(`/watchlists/${watchlistId}/items/${symbol}`, { note }),
+    removeSymbol: (watchlistId, symbol) => 
+      this.delete(`/watchlists/${watchlistId}/items/${symbol}`),
+    reorderSymbols: (watchlistId, symbols) => 
+      this.put(`/watchlists/${watchlistId}/items/order`, { symbols })
+  };
+
   /**
    * Market Data APIs
    */
@@ -540,11 +715,13 @@ class APIService {
       params: { symbols: symbols.join(',') },
       cache: false // Don't cache real-time prices
     }),
-    getCandles: (symbol, timeframe, limit = 100) => 
-      this.get('/market/candles', { params: { symbol, timeframe, limit } }),
+    // cursor: { before } for older bars or { after } for newer ones (ISO time or epoch ms)
+    getCandles: (symbol, timeframe, limit = 100, cursor = {}) => 
+      this.get('/market/candles', { params: { symbol, timeframe, limit, ...cursor } }),
     getNews: (limit = 20) => this.get('/market/news', { params: { limit } }),
-    getEconomicCalendar: (date) => 
-      this.get('/market/calendar', { params: { date } })
+    // filters: { currency, impact } (comma-separated); no date means the next seven days
+    getEconomicCalendar: (date, filters = {}) => 
+      this.get('/market/calendar', { params: { date, ...filters } })
   };
 
   /**
@@ -280,16 +280,14 @@ class TradingChartsManager {
     const chartInstance = this.charts.get(chartId);
     if (!chartInstance || !chartInstance.symbol) return;
 
-    // Subscribe to real-time price updates
-    if (window.supabaseManager) {
-      const subscription = window.supabaseManager.supabase
-        .channel(`price_updates_${chartInstance.symbol}`)
-        .on('broadcast', { event: 'price_update' }, (payload) => {
-          this.updateChartData(chartId, payload.payload);
-        })
-        .subscribe();
-
-      this.subscriptions.set(chartId, subscription);
+    // Subscribe to pushed ticks from the market data price stream
+    if (window.marketData?.onTick) {
+      const unsubscribe = window.marketData.onTick(chartInstance.symbol, (tick) => {
+        this.applyTick(chartId, tick);
+      });
+
+      this.subscriptions.set(chartId, unsubscribe);
+      return;
     }
 
     // Fallback: Poll for updates
@@ -312,6 +310,43 @@ class TradingChartsManager {
     chartInstance.updateInterval = interval;
   }
 
+  /**
+   * Fold a price tick into the candle for the chart's timeframe
+   */
+  applyTick(chartId, tick) {
+    const chartInstance = this.charts.get(chartId);
+    if (!chartInstance) return;
+
+    const periodMs = this.getTimeframeMs(chartInstance.timeframe);
+    const tickTime = new Date(tick.timestamp).getTime();
+    const bucket = Math.floor(tickTime / periodMs) * periodMs;
+    const lastCandle = chartInstance.data[chartInstance.data.length - 1];
+
+    if (lastCandle && lastCandle.timestamp === bucket) {
+      this.updateChartData(chartId, {
+        ...lastCandle,
+        high: Math.max(lastCandle.high, tick.price),
+        low: Math.min(lastCandle.low, tick.price),
+        close: tick.price
+      });
+    } else {
+      this.updateChartData(chartId, {
+        timestamp: bucket,
+        open: tick.price,
+        high: tick.price,
+        low: tick.price,
+        close: tick.price,
+        volume: 0
+      });
+    }
+  }
+
+  getTimeframeMs(timeframe = '1h') {
+    const units = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+    const match = /^(\d+)([mhdw])$/.exec(timeframe);
+    return match ? parseInt(match[1]) * units[match[2]] : units.h;
+  }
+
   /**
    * Fetch historical price data
    */
@@ -319,7 +354,7 @@ class TradingChartsManager {
     try {
       if (window.apiService) {
         const response = await window.apiService.market.getCandles(symbol, timeframe, limit);
-        return response.data;
+        return response?.data?.candles || this.generateMockData(limit);
       } else {
         // Mock data for demonstration
         return this.generateMockData(limit);
@@ -377,6 +412,7 @@ class TradingChartsManager {
       chartInstance.data = data;
       chartInstance.symbol = symbol;
       chartInstance.timeframe = timeframe;
+      chartInstance.hasMoreHistory = null;
       
       // Process data based on chart type
       this.updateChartDatasets(chartId, data);
@@ -392,6 +428,36 @@ class TradingChartsManager {
     }
   }
 
+  /**
+   * Prepend the page of history before the chart's oldest candle.
+   * Returns the number of candles added; 0 once the server has nothing older.
+   */
+  async loadOlderData(chartId, limit = 100) {
+    const chartInstance = this.charts.get(chartId);
+    if (!chartInstance || !chartInstance.symbol || !window.apiService) return 0;
+    if (chartInstance.hasMoreHistory === false || chartInstance.data.length === 0) return 0;
+
+    try {
+      const response = await window.apiService.market.getCandles(
+        chartInstance.symbol,
+        chartInstance.timeframe,
+        limit,
+        { before: chartInstance.data[0].timestamp }
+      );
+      const older = response?.data?.candles || [];
+
+      chartInstance.hasMoreHistory = Boolean(response?.data?.pagination?.hasMore);
+      if (older.length === 0) return 0;
+
+      chartInstance.data = [...older, ...chartInstance.data];
+      this.updateChartDatasets(chartId, chartInstance.data);
+      return older.length;
+    } catch (error) {
+      console.error('Failed to load older price data:', error);
+      return 0;
+    }
+  }
+
   /**
    * Update chart datasets with new data
    */
@@ -519,6 +585,31 @@ class TradingChartsManager {
     }];
   }
 
+  /**
+   * Replace a chart's datasets with series that are not prices (a backtest's equity
+   * or drawdown): [{ label, points: [{ x, y }], color, fill }]
+   */
+  setSeries(chartId, series) {
+    const chartInstance = this.charts.get(chartId);
+    if (!chartInstance) return;
+
+    const chart = chartInstance.chart;
+
+    chart.data.datasets = series.map(item => ({
+      label: item.label,
+      data: item.points,
+      borderColor: item.color || '#2a5298',
+      backgroundColor: item.fill ? (item.fillColor || 'rgba(42, 82, 152, 0.3)') : 'transparent',
+      borderWidth: 2,
+      fill: Boolean(item.fill),
+      stepped: Boolean(item.stepped),
+      pointRadius: 0,
+      pointHoverRadius: 4
+    }));
+
+    chart.update('none');
+  }
+
   /**
    * Update chart with single new data point
    */
@@ -844,9 +935,9 @@ class TradingChartsManager {
 
     // Clean up real-time subscription
     if (this.subscriptions.has(chartId)) {
-      const subscription = this.subscriptions.get(chartId);
-      if (subscription && window.supabaseManager) {
-        window.supabaseManager.supabase.removeChannel(subscription);
+      const unsubscribe = this.subscriptions.get(chartId);
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
       }
       this.subscriptions.delete(chartId);
     }
@@ -12,6 +12,10 @@ class DashboardManager {
     this.activeCharts = new Map();
     this.realTimeUpdates = new Map();
     this.refreshInterval = null;
+
+    // Latest portfolio snapshot; positions are re-marked on price ticks once tracking is on
+    this.portfolio = null;
+    this.portfolioTracking = false;
     
     // Dashboard configuration per tier
     this.tierConfigs = {
@@ -252,7 +256,7 @@ class DashboardManager {
       'portfolio': {
         title: 'Portfolio',
         icon: 'fas fa-briefcase',
-        size: 'col-md-6 col-lg-4',
+        size: 'col-12 col-lg-8',
         refreshable: true
       },
       'news': {
@@ -555,10 +559,11 @@ class DashboardManager {
 
     return `
       <div class="market-overview">
+        ${data.watchlistName ? `<div class="text-muted small mb-2"><i class="fas fa-eye"></i> ${data.watchlistName}</div>` : ''}
         ${data.markets.map(market => `
           <div class="market-item">
             <div class="market-symbol">${market.symbol}</div>
-            <div class="market-price">${this.formatPrice(market.price)}</div>
+            <div class="market-price" data-watch-price="${market.symbol}">${this.formatPrice(market.price)}</div>
             <div class="market-change ${market.change >= 0 ? 'positive' : 'negative'}">
               ${market.change >= 0 ? '+' : ''}${market.change.toFixed(2)}%
             </div>
@@ -569,23 +574,35 @@ class DashboardManager {
   }
 
   generatePerformanceContent(data) {
+    const streak = data.currentStreak || {};
+
     return `
       <div class="performance-metrics">
         <div class="metric">
-          <span class="metric-label">Total Trades</span>
-          <span class="metric-value">${data.totalTrades || 0}</span>
+          <span class="metric-label">Signals Closed</span>
+          <span class="metric-value">${data.totalSignals || 0}</span>
+        </div>
+        <div class="metric">
+          <span class="metric-label">Win Rate</span>
+          <span class="metric-value text-success">${data.winRate || 0}%</span>
         </div>
         <div class="metric">
-          <span class="metric-label">Winning Trades</span>
-          <span class="metric-value text-success">${data.winningTrades || 0}</span>
+          <span class="metric-label">Avg. R-Multiple</span>
+          <span class="metric-value ${(data.avgRMultiple || 0) >= 0 ? 'text-success' : 'text-danger'}">${(data.avgRMultiple || 0).toFixed(2)}R</span>
         </div>
         <div class="metric">
-          <span class="metric-label">Losing Trades</span>
-          <span class="metric-value text-danger">${data.losingTrades || 0}</span>
+          <span class="metric-label">Expectancy</span>
+          <span class="metric-value">${(data.expectancy || 0).toFixed(2)}R</span>
         </div>
         <div class="metric">
-          <span class="metric-label">Best Trade</span>
-          <span class="metric-value text-success">${this.formatCurrency(data.bestTrade || 0)}</span>
+          <span class="metric-label">Max Drawdown</span>
+          <span class="metric-value text-danger">${data.maxDrawdown || 0} pips</span>
+        </div>
+        <div class="metric">
+          <span class="metric-label">Current Streak</span>
+          <span class="metric-value ${streak.type === 'loss' ? 'text-danger' : 'text-success'}">
+            ${streak.length ? `${streak.length} ${streak.type === 'win' ? 'W' : 'L'}` : '-'}
+          </span>
         </div>
       </div>
       
@@ -595,6 +612,121 @@ class DashboardManager {
     `;
   }
 
+  generatePortfolioContent(data) {
+    const portfolio = data.portfolio;
+
+    if (!portfolio || portfolio.accounts.length === 0) {
+      return `
+        <div class="no-data">
+          <p>Add a trading account to start tracking your open positions.</p>
+          <button class="btn btn-sm btn-primary" data-portfolio-action="accounts">
+            <i class="fas fa-plus"></i> Add Account
+          </button>
+        </div>
+      `;
+    }
+
+    const currency = portfolio.reporting_currency;
+    const { totals, exposure } = portfolio;
+    const maxExposure = Math.max(...exposure.by_currency.map(item => Math.abs(item.net)), 1);
+
+    return `
+      <div class="portfolio-widget">
+        <div class="portfolio-totals">
+          <div class="metric">
+            <span class="metric-label">Equity</span>
+            <span class="metric-value">${this.formatCurrency(totals.equity, currency)}</span>
+          </div>
+          <div class="metric">
+            <span class="metric-label">Open P&L</span>
+            <span class="metric-value ${totals.unrealized_pnl >= 0 ? 'text-success' : 'text-danger'}">
+              ${totals.unrealized_pnl >= 0 ? '+' : ''}${this.formatCurrency(totals.unrealized_pnl, currency)}
+            </span>
+          </div>
+          <div class="metric">
+            <span class="metric-label">Margin Used</span>
+            <span class="metric-value ${totals.margin_usage > 50 ? 'text-danger' : ''}">
+              ${this.formatCurrency(totals.margin_used, currency)}
+              ${totals.margin_usage !== null ? `<small>(${totals.margin_usage}%)</small>` : ''}
+            </span>
+          </div>
+        </div>
+
+        ${portfolio.positions.length === 0 ? '<div class="no-data">No open positions</div>' : `
+          <table class="table table-sm portfolio-positions">
+            <thead>
+              <tr><th>Symbol</th><th>Side</th><th>Size</th><th>Entry</th><th>Price</th><th>Pips</th><th>P&L</th><th></th></tr>
+            </thead>
+            <tbody>
+              ${portfolio.positions.map(position => `
+                <tr>
+                  <td><strong>${position.symbol}</strong></td>
+                  <td><span class="badge ${position.action === 'buy' ? 'bg-success' : 'bg-danger'}">${position.action.toUpperCase()}</span></td>
+                  <td>${parseFloat(position.size)}</td>
+                  <td>${this.formatPrice(position.entry_price)}</td>
+                  <td>${position.current_price !== null ? this.formatPrice(position.current_price) : '-'}</td>
+                  <td>${position.pips ?? '-'}</td>
+                  <td class="${position.unrealized_pnl >= 0 ? 'text-success' : 'text-danger'}">
+                    ${position.unrealized_pnl !== null ? this.formatCurrency(position.unrealized_pnl, position.account_currency) : '-'}
+                  </td>
+                  <td class="text-end">
+                    <button class="btn btn-sm btn-outline-danger" data-portfolio-action="close" data-position-id="${position.id}" title="Remove closed position">
+                      <i class="fas fa-times"></i>
+                    </button>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+
+        ${exposure.by_currency.length > 0 ? `
+          <h6 class="portfolio-section-title">Currency Exposure (${currency})</h6>
+          ${exposure.by_currency.map(item => `
+            <div class="exposure-row">
+              <span class="exposure-label">${item.currency}</span>
+              <div class="exposure-bar">
+                <div class="exposure-fill ${item.net >= 0 ? 'long' : 'short'}" style="width: ${Math.abs(item.net) / maxExposure * 100}%"></div>
+              </div>
+              <span class="exposure-value">${item.net >= 0 ? '+' : ''}${this.formatCurrency(item.net, currency)}</span>
+            </div>
+          `).join('')}
+        ` : ''}
+
+        ${exposure.by_asset_class.length > 0 ? `
+          <h6 class="portfolio-section-title">Asset Classes</h6>
+          <table class="table table-sm">
+            <thead><tr><th>Class</th><th>Long</th><th>Short</th><th>Net</th></tr></thead>
+            <tbody>
+              ${exposure.by_asset_class.map(item => `
+                <tr>
+                  <td>${item.instrument_type}</td>
+                  <td>${this.formatCurrency(item.long, currency)}</td>
+                  <td>${this.formatCurrency(item.short, currency)}</td>
+                  <td>${this.formatCurrency(item.net, currency)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : ''}
+
+        ${portfolio.unpriced_symbols.length > 0 ? `
+          <small class="text-muted d-block">No price for ${portfolio.unpriced_symbols.join(', ')}; excluded from totals</small>
+        ` : ''}
+        <small class="text-muted d-block">Margin is estimated as notional value divided by each account's leverage.</small>
+
+        <div class="widget-footer">
+          <button class="btn btn-sm btn-primary me-2" data-portfolio-action="add-position">
+            <i class="fas fa-plus"></i> Add Position
+          </button>
+          <button class="btn btn-sm btn-outline-secondary" data-portfolio-action="accounts">
+            <i class="fas fa-university"></i> Accounts
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
   /**
    * Data fetching methods
    */
@@ -621,7 +753,7 @@ class DashboardManager {
     try {
       const response = await window.apiService?.signals.getAll({ limit: 5 });
       return {
-        signals: response?.data || this.getMockSignals()
+        signals: response?.data?.signals || this.getMockSignals()
       };
     } catch (error) {
       return {
@@ -632,10 +764,25 @@ class DashboardManager {
 
   async getMarketOverviewData() {
     try {
-      const symbols = ['EURUSD', 'GBPUSD', 'USDJPY', 'BTCUSD'];
+      // The user's default watchlist drives the widget; majors until they have one
+      const watchlist = await this.getOverviewWatchlist();
+      const symbols = watchlist?.items.length
+        ? watchlist.items.map(item => item.symbol)
+        : ['EURUSD', 'GBPUSD', 'USDJPY', 'BTCUSD'];
+
       const response = await window.apiService?.market.getPrices(symbols);
+      const prices = response?.data?.prices;
+
+      // Live ticks update [data-watch-price] cells through MarketDataManager
+      window.marketData?.subscribeSymbols(symbols);
+
       return {
-        markets: response?.data || this.getMockMarketData()
+        watchlistName: watchlist?.items.length ? watchlist.name : null,
+        markets: prices ? symbols.filter(symbol => prices[symbol]).map(symbol => prices[symbol]).map(quote => ({
+          symbol: quote.symbol,
+          price: quote.price,
+          change: quote.changePercent
+        })) : this.getMockMarketData()
       };
     } catch (error) {
       return {
@@ -644,24 +791,56 @@ class DashboardManager {
     }
   }
 
+  async getOverviewWatchlist() {
+    try {
+      const response = await window.apiService?.watchlists.getAll();
+      const watchlists = response?.data?.watchlists || [];
+      return watchlists.find(list => list.is_default) || watchlists[0] || null;
+    } catch (error) {
+      console.error('Failed to load watchlists:', error);
+      return null;
+    }
+  }
+
   async getPerformanceData() {
     try {
-      // Mock performance data
-      return {
-        totalTrades: 145,
-        winningTrades: 98,
-        losingTrades: 47,
-        bestTrade: 850.25,
-        worstTrade: -125.50
-      };
+      const response = await window.apiService?.signals.getStats();
+      return response?.data?.stats || this.getMockPerformance();
+    } catch (error) {
+      return this.getMockPerformance();
+    }
+  }
+
+  async getPortfolioData() {
+    try {
+      const response = await window.apiService?.portfolio.get();
+      this.portfolio = response?.data?.portfolio || null;
+
+      if (this.portfolioTracking) {
+        this.subscribePortfolioTicks();
+      }
+
+      return { portfolio: this.portfolio };
     } catch (error) {
-      return { error: 'Failed to load performance data' };
+      console.error('Failed to load portfolio:', error);
+      return { error: 'Failed to load portfolio' };
     }
   }
 
   /**
    * Mock data generators
    */
+  getMockPerformance() {
+    return {
+      totalSignals: 145,
+      winRate: 67.6,
+      avgRMultiple: 0.82,
+      expectancy: 0.79,
+      maxDrawdown: 212.5,
+      currentStreak: { type: 'win', length: 3 }
+    };
+  }
+
   getMockSignals() {
     return [
       {
@@ -943,6 +1122,55 @@ class DashboardManager {
           padding: 2rem;
         }
         
+        .portfolio-totals {
+          display: grid;
+          grid-template-columns: repeat(3, 1fr);
+          gap: 1rem;
+          margin-bottom: 1rem;
+        }
+        
+        .portfolio-section-title {
+          margin-top: 1rem;
+          font-size: 0.9rem;
+          color: var(--gray);
+        }
+        
+        .exposure-row {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          margin-bottom: 0.25rem;
+        }
+        
+        .exposure-label {
+          width: 3rem;
+          font-weight: 600;
+        }
+        
+        .exposure-bar {
+          flex: 1;
+          height: 0.5rem;
+          background: #f0f0f0;
+          border-radius: 0.25rem;
+          overflow: hidden;
+        }
+        
+        .exposure-fill.long {
+          height: 100%;
+          background: var(--success, #28a745);
+        }
+        
+        .exposure-fill.short {
+          height: 100%;
+          background: var(--danger, #dc3545);
+        }
+        
+        .exposure-value {
+          width: 8rem;
+          text-align: right;
+          font-size: 0.85rem;
+        }
+        
         .widget-footer {
           text-align: center;
           margin-top: 1rem;
@@ -1015,6 +1243,21 @@ class DashboardManager {
       if (e.target.id === 'upgrade-tier') {
         this.showUpgradeModal();
       }
+
+      const portfolioAction = e.target.closest('[data-portfolio-action]');
+      if (portfolioAction) {
+        switch (portfolioAction.dataset.portfolioAction) {
+          case 'add-position':
+            this.showPositionModal();
+            break;
+          case 'accounts':
+            this.showAccountsModal();
+            break;
+          case 'close':
+            this.closePosition(portfolioAction.dataset.positionId);
+            break;
+        }
+      }
     });
   }
 
@@ -1131,9 +1374,226 @@ class DashboardManager {
   }
 
   enablePortfolioTracking() {
+    this.portfolioTracking = true;
+    this.subscribePortfolioTicks();
     console.log('Portfolio tracking enabled');
   }
 
+  /**
+   * Listen for ticks on every open position's symbol, replacing earlier listeners
+   */
+  subscribePortfolioTicks() {
+    (this.realTimeUpdates.get('portfolio') || []).forEach(unsubscribe => unsubscribe());
+    this.realTimeUpdates.delete('portfolio');
+
+    if (!window.marketData?.onTick || !this.portfolio) return;
+
+    const symbols = [...new Set(this.portfolio.positions.map(position => position.symbol))];
+    this.realTimeUpdates.set('portfolio', symbols.map(symbol =>
+      window.marketData.onTick(symbol, (tick) => this.applyPortfolioTick(tick))
+    ));
+  }
+
+  /**
+   * Re-mark positions on a tick and redraw the widget. Conversion rates stay those of the
+   * last snapshot until the next refresh.
+   */
+  applyPortfolioTick(tick) {
+    if (!this.portfolio) return;
+
+    const positions = this.portfolio.positions.map(position =>
+      position.symbol === tick.symbol ? THA_Utils.trading.markPosition(position, tick) : position
+    );
+
+    this.portfolio = {
+      ...this.portfolio,
+      positions,
+      ...THA_Utils.trading.summarizePortfolio(positions, this.portfolio.accounts),
+      unpriced_symbols: [...new Set(positions.filter(position => position.current_price === null).map(position => position.symbol))]
+    };
+
+    const widgetBody = document.querySelector('.widget-portfolio .widget-body');
+    if (widgetBody) {
+      widgetBody.innerHTML = this.generatePortfolioContent({ portfolio: this.portfolio });
+    }
+  }
+
+  /**
+   * Record an open position in one of the member's accounts
+   */
+  showPositionModal() {
+    const accounts = this.portfolio?.accounts || [];
+
+    if (accounts.length === 0) {
+      this.showAccountsModal();
+      return;
+    }
+
+    tradersHelmet.showModal(`
+      <form id="portfolio-position-form">
+        <div class="row g-2">
+          <div class="col-md-6">
+            <label class="form-label" for="position-account">Account</label>
+            <select class="form-select" id="position-account" name="account_id">
+              ${accounts.map(account => `
+                <option value="${account.id}">${THA_Utils.string.escapeHtml(account.name)} (${account.account_currency})</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label" for="position-symbol">Symbol</label>
+            <input type="text" class="form-control" id="position-symbol" name="symbol" placeholder="EURUSD" required>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="position-action">Side</label>
+            <select class="form-select" id="position-action" name="action">
+              <option value="buy">BUY</option>
+              <option value="sell">SELL</option>
+            </select>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="position-size">Size (lots / units)</label>
+            <input type="number" class="form-control" id="position-size" name="size" step="any" min="0" required>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="position-entry">Entry Price</label>
+            <input type="number" class="form-control" id="position-entry" name="entry_price" step="any" min="0" required>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label" for="position-stop">Stop Loss</label>
+            <input type="number" class="form-control" id="position-stop" name="stop_loss" step="any" min="0">
+          </div>
+          <div class="col-md-6">
+            <label class="form-label" for="position-target">Take Profit</label>
+            <input type="number" class="form-control" id="position-target" name="take_profit" step="any" min="0">
+          </div>
+        </div>
+        <div class="text-end mt-3">
+          <button type="submit" class="btn btn-primary">Add Position</button>
+        </div>
+      </form>
+    `, { title: 'Add Position' });
+
+    document.getElementById('portfolio-position-form')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const data = Object.fromEntries(new FormData(e.target));
+      ['stop_loss', 'take_profit'].forEach(field => {
+        if (data[field] === '') delete data[field];
+      });
+
+      try {
+        await window.apiService?.portfolio.addPosition(data);
+        tradersHelmet.closeModal();
+        tradersHelmet.showNotification('Position added', 'success');
+        this.refreshWidget('portfolio');
+      } catch (error) {
+        console.error('Failed to add position:', error);
+        tradersHelmet.showNotification('Failed to add position', 'error');
+      }
+    });
+  }
+
+  /**
+   * List, add and remove trading accounts
+   */
+  async showAccountsModal() {
+    let accounts = [];
+    try {
+      const response = await window.apiService?.portfolio.getAccounts();
+      accounts = response?.data?.accounts || [];
+    } catch (error) {
+      console.error('Failed to load trading accounts:', error);
+    }
+
+    tradersHelmet.showModal(`
+      ${accounts.length > 0 ? `
+        <table class="table table-sm">
+          <thead><tr><th>Name</th><th>Broker</th><th>Balance</th><th>Leverage</th><th></th></tr></thead>
+          <tbody>
+            ${accounts.map(account => `
+              <tr>
+                <td>${THA_Utils.string.escapeHtml(account.name)}</td>
+                <td>${THA_Utils.string.escapeHtml(account.broker || '-')}</td>
+                <td>${this.formatCurrency(parseFloat(account.balance), account.account_currency)}</td>
+                <td>1:${account.leverage}</td>
+                <td class="text-end">
+                  <button class="btn btn-sm btn-outline-danger" data-delete-account="${account.id}">Remove</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : '<p class="text-muted">No accounts yet.</p>'}
+
+      <form id="portfolio-account-form" class="row g-2">
+        <div class="col-md-6">
+          <input type="text" class="form-control" name="name" placeholder="Account name" maxlength="60" required>
+        </div>
+        <div class="col-md-6">
+          <input type="text" class="form-control" name="broker" placeholder="Broker (optional)" maxlength="60">
+        </div>
+        <div class="col-md-4">
+          <input type="text" class="form-control" name="account_currency" value="USD" maxlength="3" required>
+        </div>
+        <div class="col-md-4">
+          <input type="number" class="form-control" name="balance" placeholder="Balance" step="any" min="0" required>
+        </div>
+        <div class="col-md-4">
+          <input type="number" class="form-control" name="leverage" placeholder="Leverage" value="30" min="1" max="1000" required>
+        </div>
+        <div class="col-12 text-end">
+          <button type="submit" class="btn btn-primary btn-sm">Add Account</button>
+        </div>
+      </form>
+    `, { title: 'Trading Accounts', size: 'large' });
+
+    document.querySelectorAll('[data-delete-account]').forEach(button => {
+      button.addEventListener('click', async () => {
+        if (!confirm('Remove this account and its open positions?')) return;
+
+        try {
+          await window.apiService?.portfolio.deleteAccount(button.dataset.deleteAccount);
+          tradersHelmet.showNotification('Account removed', 'success');
+          this.refreshWidget('portfolio');
+          this.showAccountsModal();
+        } catch (error) {
+          console.error('Failed to remove account:', error);
+          tradersHelmet.showNotification('Failed to remove account', 'error');
+        }
+      });
+    });
+
+    document.getElementById('portfolio-account-form')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      try {
+        await window.apiService?.portfolio.createAccount(Object.fromEntries(new FormData(e.target)));
+        tradersHelmet.showNotification('Account added', 'success');
+        this.refreshWidget('portfolio');
+        this.showAccountsModal();
+      } catch (error) {
+        console.error('Failed to add account:', error);
+        tradersHelmet.showNotification('Failed to add account', 'error');
+      }
+    });
+  }
+
+  /**
+   * Remove a position the member has closed at their broker
+   */
+  async closePosition(positionId) {
+    if (!confirm('Remove this position from your portfolio? Log the fill in your trade journal to keep its result.')) return;
+
+    try {
+      await window.apiService?.portfolio.removePosition(positionId);
+      tradersHelmet.showNotification('Position removed', 'success');
+      this.refreshWidget('portfolio');
+    } catch (error) {
+      console.error('Failed to remove position:', error);
+      tradersHelmet.showNotification('Failed to remove position', 'error');
+    }
+  }
+
   enableTechnicalAnalysis() {
     console.log('Technical analysis enabled');
   }
@@ -1190,6 +1650,8 @@ class DashboardManager {
     if (this.refreshInterval) {
       clearInterval(this.refreshInterval);
     }
+
+    (this.realTimeUpdates.get('portfolio') || []).forEach(unsubscribe => unsubscribe());
     
     this.widgets.clear();
     this.activeCharts.clear();
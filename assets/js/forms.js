@@ -199,11 +199,10 @@ class FormValidator {
 
     // Trading symbol validation
     this.addRule('tradingSymbol', (value, params) => {
-      const symbolRegex = /^[A-Z]{3,6}(\/[A-Z]{3})?$/;
-      const isValid = !value || symbolRegex.test(value.toUpperCase());
+      const isValid = !value || THA_Utils.validation.isValidTradingSymbol(value);
       return {
         isValid,
-        message: params.message || 'Please enter a valid trading symbol (e.g., EURUSD or EUR/USD)'
+        message: params.message || 'Please enter a valid trading symbol (e.g., EURUSD, EUR/USD or NAS100)'
       };
     });
   }
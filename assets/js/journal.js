@@ -0,0 +1,474 @@
+/**
+ * TRADERS HELMET ACADEMY - TRADE JOURNAL
+ * Members' own fills, linked to signals or standalone, with realized P&L per account
+ * currency and a comparison against the signal's official outcome
+ */
+
+class TradeJournalManager {
+  constructor() {
+    this.currentUser = null;
+    this.entries = [];
+    this.summary = [];
+    this.emotions = ['calm', 'confident', 'disciplined', 'hesitant', 'fearful', 'greedy', 'impatient', 'fomo', 'revenge'];
+    this.filters = {
+      status: 'all'
+    };
+
+    // Private bucket; files go under the member's own folder
+    this.screenshotBucket = 'journal-screenshots';
+    this.maxScreenshots = 5;
+    this.maxScreenshotSize = 5 * 1024 * 1024;
+
+    this.init();
+  }
+
+  /**
+   * Initialize trade journal
+   */
+  async init() {
+    try {
+      this.currentUser = window.authService?.getCurrentUser() || window.stateManager?.getState('auth.user');
+
+      const container = document.getElementById('journal-container');
+      if (container) {
+        container.innerHTML = this.generateJournalHTML();
+        this.setupEventListeners();
+        await Promise.all([this.loadEntries(), this.loadSummary()]);
+      }
+
+      console.log('📓 Trade Journal initialized');
+    } catch (error) {
+      console.error('❌ Trade Journal initialization failed:', error);
+    }
+  }
+
+  /**
+   * Generate journal HTML structure
+   */
+  generateJournalHTML() {
+    return `
+      <div class="trade-journal">
+        <div class="d-flex justify-content-between align-items-center mb-3">
+          <h2><i class="fas fa-book"></i> Trade Journal</h2>
+          <div>
+            <select class="form-select form-select-sm d-inline-block w-auto me-2" id="journal-status-filter">
+              <option value="all">All Trades</option>
+              <option value="open">Open</option>
+              <option value="closed">Closed</option>
+            </select>
+            <button class="btn btn-primary btn-sm" id="log-trade">
+              <i class="fas fa-plus"></i> Log Trade
+            </button>
+          </div>
+        </div>
+        <div id="journal-summary" class="row mb-3"></div>
+        <div id="journal-entries"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    document.getElementById('log-trade')?.addEventListener('click', () => this.showEntryModal());
+    document.getElementById('journal-status-filter')?.addEventListener('change', (e) => {
+      this.filters.status = e.target.value;
+      this.loadEntries();
+    });
+  }
+
+  /**
+   * Load journal entries
+   */
+  async loadEntries() {
+    try {
+      const response = await window.apiService?.journal.getEntries(
+        this.filters.status !== 'all' ? { status: this.filters.status } : {}
+      );
+      this.entries = response?.data?.entries || [];
+      this.emotions = response?.data?.emotions || this.emotions;
+      this.renderEntries();
+    } catch (error) {
+      console.error('Failed to load journal:', error);
+      tradersHelmet.showNotification('Failed to load your trade journal', 'error');
+    }
+  }
+
+  /**
+   * Load realized P&L totals per account currency
+   */
+  async loadSummary() {
+    try {
+      const response = await window.apiService?.journal.getSummary();
+      this.summary = response?.data?.summary || [];
+      this.renderSummary();
+    } catch (error) {
+      console.error('Failed to load journal summary:', error);
+    }
+  }
+
+  /**
+   * One card per account currency; P&L is never added across currencies
+   */
+  renderSummary() {
+    const container = document.getElementById('journal-summary');
+    if (!container) return;
+
+    container.innerHTML = this.summary.length === 0 ? '' : this.summary.map(totals => `
+      <div class="col-md-4">
+        <div class="card">
+          <div class="card-body">
+            <h6 class="text-muted">${totals.currency} account</h6>
+            <h4 class="${totals.realizedPnl >= 0 ? 'text-success' : 'text-danger'}">
+              ${this.formatMoney(totals.realizedPnl, totals.currency)}
+            </h4>
+            <small>
+              ${totals.trades} closed · ${totals.winRate}% won · ${totals.pips} pips ·
+              ${this.formatMoney(totals.fees, totals.currency)} fees · ${totals.followedSignals} from signals
+            </small>
+          </div>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Render entries table
+   */
+  renderEntries() {
+    const container = document.getElementById('journal-entries');
+    if (!container) return;
+
+    if (this.entries.length === 0) {
+      container.innerHTML = '<p class="text-muted">No trades logged yet</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="table table-sm table-hover">
+        <thead>
+          <tr>
+            <th>Opened</th><th>Symbol</th><th>Side</th><th>Size</th><th>Entry</th><th>Exit</th>
+            <th>Pips</th><th>P&amp;L</th><th>R</th><th>Emotions</th><th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.entries.map(entry => `
+            <tr>
+              <td>${new Date(entry.opened_at).toLocaleDateString()}</td>
+              <td>
+                ${entry.symbol}
+                ${entry.signal_id ? '<span class="badge bg-info ms-1" title="Taken from a signal"><i class="fas fa-signal"></i></span>' : ''}
+              </td>
+              <td>${entry.action.toUpperCase()}</td>
+              <td>${parseFloat(entry.size)}</td>
+              <td>${parseFloat(entry.entry_price)}</td>
+              <td>${entry.exit_price !== null ? parseFloat(entry.exit_price) : '<span class="badge bg-secondary">Open</span>'}</td>
+              <td>${entry.pips ?? '-'}</td>
+              <td class="${parseFloat(entry.realized_pnl) >= 0 ? 'text-success' : 'text-danger'}">
+                ${entry.realized_pnl !== null ? this.formatMoney(parseFloat(entry.realized_pnl), entry.account_currency) : '-'}
+              </td>
+              <td>${entry.r_multiple ?? '-'}</td>
+              <td>${(entry.emotion_tags || []).map(tag => `<span class="badge bg-light text-dark">${THA_Utils.string.escapeHtml(tag)}</span>`).join(' ')}</td>
+              <td class="text-end">
+                <button class="btn btn-sm btn-outline-primary" data-view-entry="${entry.id}">View</button>
+                <button class="btn btn-sm btn-outline-secondary" data-edit-entry="${entry.id}">Edit</button>
+                <button class="btn btn-sm btn-outline-danger" data-delete-entry="${entry.id}">Delete</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+
+    container.querySelectorAll('[data-view-entry]').forEach(button => {
+      button.addEventListener('click', () => this.viewEntry(button.dataset.viewEntry));
+    });
+    container.querySelectorAll('[data-edit-entry]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.showEntryModal(this.entries.find(entry => entry.id === button.dataset.editEntry));
+      });
+    });
+    container.querySelectorAll('[data-delete-entry]').forEach(button => {
+      button.addEventListener('click', () => this.deleteEntry(button.dataset.deleteEntry));
+    });
+  }
+
+  /**
+   * Log a new trade or edit one. With a signal, symbol, side and levels come prefilled.
+   */
+  showEntryModal(entry = null, signal = null) {
+    const value = (field, fallback = '') => entry?.[field] ?? fallback;
+    const toLocalInput = (date) => date ? new Date(date).toISOString().slice(0, 16) : '';
+    const tags = entry?.emotion_tags || [];
+
+    tradersHelmet.showModal(`
+      <form id="journal-entry-form">
+        ${signal ? `<p class="text-muted">Following signal: ${signal.symbol} ${signal.action.toUpperCase()} @ ${signal.entry_price}</p>` : ''}
+        <div class="row g-2">
+          <div class="col-md-4">
+            <label class="form-label" for="journal-symbol">Symbol</label>
+            <input type="text" class="form-control" id="journal-symbol" name="symbol"
+                   value="${value('symbol', signal?.symbol || '')}" ${signal || entry?.signal_id ? 'readonly' : ''} required>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="journal-action">Side</label>
+            <select class="form-select" id="journal-action" name="action">
+              ${['buy', 'sell'].map(action => `
+                <option value="${action}" ${value('action', signal?.action) === action ? 'selected' : ''}>${action.toUpperCase()}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="journal-size">Size (lots / units)</label>
+            <input type="number" class="form-control" id="journal-size" name="size" step="any" min="0" value="${value('size')}" required>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="journal-entry-price">Entry Price</label>
+            <input type="number" class="form-control" id="journal-entry-price" name="entry_price" step="any"
+                   value="${value('entry_price', signal?.entry_price || '')}" required>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="journal-exit-price">Exit Price</label>
+            <input type="number" class="form-control" id="journal-exit-price" name="exit_price" step="any"
+                   value="${value('exit_price')}" placeholder="Leave empty while open">
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="journal-stop-loss">Stop Loss</label>
+            <input type="number" class="form-control" id="journal-stop-loss" name="stop_loss" step="any"
+                   value="${value('stop_loss', signal?.stop_loss || '')}">
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="journal-fees">Fees &amp; Commission</label>
+            <input type="number" class="form-control" id="journal-fees" name="fees" step="any" min="0" value="${value('fees', 0)}">
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="journal-currency">Account Currency</label>
+            <input type="text" class="form-control" id="journal-currency" name="account_currency" maxlength="3"
+                   value="${value('account_currency', 'USD')}">
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="journal-rate">Conversion Rate</label>
+            <input type="number" class="form-control" id="journal-rate" name="conversion_rate" step="any"
+                   placeholder="Market rate" title="Account currency per unit of the instrument's quote currency">
+          </div>
+          <div class="col-md-6">
+            <label class="form-label" for="journal-opened">Opened</label>
+            <input type="datetime-local" class="form-control" id="journal-opened" name="opened_at"
+                   value="${toLocalInput(entry?.opened_at || new Date())}">
+          </div>
+          <div class="col-md-6">
+            <label class="form-label" for="journal-closed">Closed</label>
+            <input type="datetime-local" class="form-control" id="journal-closed" name="closed_at" value="${toLocalInput(entry?.closed_at)}">
+          </div>
+          <div class="col-12">
+            <label class="form-label d-block">How did you feel?</label>
+            ${[...new Set([...this.emotions, ...tags])].map(tag => `
+              <div class="form-check form-check-inline">
+                <input class="form-check-input" type="checkbox" name="emotion_tags" id="emotion-${tag}" value="${THA_Utils.string.escapeHtml(tag)}"
+                       ${tags.includes(tag) ? 'checked' : ''}>
+                <label class="form-check-label" for="emotion-${tag}">${THA_Utils.string.escapeHtml(tag)}</label>
+              </div>
+            `).join('')}
+          </div>
+          <div class="col-12">
+            <label class="form-label" for="journal-notes">Notes</label>
+            <textarea class="form-control" id="journal-notes" name="notes" rows="3" maxlength="2000">${THA_Utils.string.escapeHtml(value('notes'))}</textarea>
+          </div>
+          <div class="col-12">
+            <label class="form-label" for="journal-screenshots">Screenshots</label>
+            <input type="file" class="form-control" id="journal-screenshots" accept="image/*" multiple>
+            ${(entry?.screenshots || []).length > 0 ? `<small class="text-muted">${entry.screenshots.length} attached; new files are added</small>` : ''}
+          </div>
+        </div>
+        <div class="text-end mt-3">
+          <button type="submit" class="btn btn-primary">${entry ? 'Save Changes' : 'Log Trade'}</button>
+        </div>
+      </form>
+    `, { title: entry ? `Edit ${entry.symbol} Trade` : 'Log Trade', size: 'large' });
+
+    document.getElementById('journal-entry-form')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const formData = new FormData(e.target);
+      const number = (name) => formData.get(name) === '' ? null : parseFloat(formData.get(name));
+      const date = (name) => formData.get(name) ? new Date(formData.get(name)).toISOString() : null;
+
+      try {
+        const uploaded = await this.uploadScreenshots(document.getElementById('journal-screenshots').files, entry);
+
+        const data = {
+          symbol: formData.get('symbol'),
+          action: formData.get('action'),
+          size: number('size'),
+          entry_price: number('entry_price'),
+          exit_price: number('exit_price'),
+          stop_loss: number('stop_loss'),
+          fees: number('fees') || 0,
+          account_currency: formData.get('account_currency'),
+          opened_at: date('opened_at'),
+          closed_at: date('closed_at'),
+          emotion_tags: formData.getAll('emotion_tags'),
+          notes: formData.get('notes'),
+          screenshots: [...(entry?.screenshots || []), ...uploaded]
+        };
+        if (formData.get('conversion_rate')) data.conversion_rate = number('conversion_rate');
+        if (signal) data.signal_id = signal.id;
+
+        if (entry) {
+          await window.apiService?.journal.updateEntry(entry.id, data);
+        } else {
+          await window.apiService?.journal.createEntry(data);
+        }
+
+        tradersHelmet.closeModal();
+        tradersHelmet.showNotification(entry ? 'Trade updated' : 'Trade logged', 'success');
+        this.refresh();
+      } catch (error) {
+        console.error('Failed to save journal entry:', error);
+        tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to save trade'), 'error');
+      }
+    });
+  }
+
+  /**
+   * Upload screenshots to the member's folder through SupabaseManager; returns the stored paths
+   */
+  async uploadScreenshots(files, entry = null) {
+    const selected = Array.from(files || []);
+    if (selected.length === 0) return [];
+
+    const userId = this.currentUser?.id;
+    if (!userId || !window.supabaseManager) {
+      throw new Error('Screenshot uploads are not available');
+    }
+
+    if ((entry?.screenshots || []).length + selected.length > this.maxScreenshots) {
+      throw new Error(`A trade can have at most ${this.maxScreenshots} screenshots`);
+    }
+
+    const paths = [];
+    for (const file of selected) {
+      if (!file.type.startsWith('image/') || file.size > this.maxScreenshotSize) {
+        throw new Error(`${file.name} must be an image under 5MB`);
+      }
+
+      const path = `${userId}/${Date.now()}_${file.name.replace(/[^\w.-]/g, '_')}`;
+      const result = await window.supabaseManager.uploadFile(this.screenshotBucket, path, file);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      paths.push(path);
+    }
+
+    return paths;
+  }
+
+  /**
+   * Entry details with screenshots and, for signal trades, the official outcome side by side
+   */
+  async viewEntry(entryId) {
+    let data;
+    try {
+      const response = await window.apiService?.journal.getEntry(entryId);
+      data = response?.data;
+    } catch (error) {
+      console.error('Failed to load journal entry:', error);
+      tradersHelmet.showNotification('Failed to load trade', 'error');
+      return;
+    }
+
+    const { entry, comparison } = data;
+    const signed = (number) => number === null || number === undefined ? '-' : `${number > 0 ? '+' : ''}${number}`;
+
+    tradersHelmet.showModal(`
+      <table class="table table-sm">
+        <tr><th>Trade</th><td>${entry.action.toUpperCase()} ${parseFloat(entry.size)} ${entry.symbol}</td></tr>
+        <tr><th>Entry / Exit</th><td>${parseFloat(entry.entry_price)} → ${entry.exit_price !== null ? parseFloat(entry.exit_price) : 'open'}</td></tr>
+        <tr><th>Result</th><td>
+          ${entry.realized_pnl !== null ? `${this.formatMoney(parseFloat(entry.realized_pnl), entry.account_currency)}
+            (${entry.pips} pips${entry.r_multiple !== null ? `, ${entry.r_multiple}R` : ''}, fees ${this.formatMoney(parseFloat(entry.fees), entry.account_currency)})` : '-'}
+        </td></tr>
+        ${entry.conversion_rate !== null && entry.quote_currency !== entry.account_currency ? `
+          <tr><th>Rate</th><td>1 ${entry.quote_currency} = ${parseFloat(entry.conversion_rate)} ${entry.account_currency}</td></tr>
+        ` : ''}
+        ${entry.notes ? `<tr><th>Notes</th><td>${THA_Utils.string.escapeHtml(entry.notes)}</td></tr>` : ''}
+      </table>
+
+      ${comparison ? `
+        <h6>You vs. the Signal</h6>
+        <table class="table table-sm">
+          <thead><tr><th></th><th>Signal</th><th>You</th><th>Difference</th></tr></thead>
+          <tbody>
+            <tr><th>Entry</th><td>${comparison.signal_entry ?? '-'}</td><td>${parseFloat(entry.entry_price)}</td>
+              <td>${signed(comparison.entry_difference_pips)} pips</td></tr>
+            <tr><th>Exit</th><td>${comparison.signal_exit ?? (comparison.signal_status === 'active' ? 'running' : '-')}</td>
+              <td>${entry.exit_price !== null ? parseFloat(entry.exit_price) : 'open'}</td>
+              <td>${signed(comparison.exit_difference_pips)} pips</td></tr>
+            <tr><th>Pips</th><td>${comparison.signal_pips ?? '-'}</td><td>${comparison.my_pips ?? '-'}</td>
+              <td>${signed(comparison.pip_difference)}</td></tr>
+            <tr><th>Outcome</th><td>${comparison.signal_result || comparison.signal_status}</td><td colspan="2"></td></tr>
+          </tbody>
+        </table>
+        ${comparison.same_direction ? '' : '<p class="text-warning">You traded against the signal&#39;s direction.</p>'}
+      ` : ''}
+
+      ${entry.screenshot_urls.length > 0 ? `
+        <div class="d-flex flex-wrap gap-2">
+          ${entry.screenshot_urls.map(url => `
+            <a href="${url}" target="_blank" rel="noopener"><img src="${url}" alt="Trade screenshot" style="max-height: 120px;"></a>
+          `).join('')}
+        </div>
+      ` : ''}
+    `, { title: `${entry.symbol} Trade`, size: 'large' });
+  }
+
+  /**
+   * Delete an entry and its screenshots
+   */
+  async deleteEntry(entryId) {
+    if (!confirm('Delete this trade from your journal?')) return;
+
+    try {
+      await window.apiService?.journal.deleteEntry(entryId);
+      tradersHelmet.showNotification('Trade deleted', 'success');
+      this.refresh();
+    } catch (error) {
+      console.error('Failed to delete journal entry:', error);
+      tradersHelmet.showNotification('Failed to delete trade', 'error');
+    }
+  }
+
+  /**
+   * Reload entries and totals after a change
+   */
+  refresh() {
+    this.loadEntries();
+    this.loadSummary();
+  }
+
+  /**
+   * Utility methods
+   */
+  formatMoney(amount, currency = 'USD') {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  }
+}
+
+// Initialize trade journal when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.getElementById('journal-container') && window.authService?.isAuthenticated()) {
+    window.tradeJournal = new TradeJournalManager();
+  }
+});
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.TradeJournalManager = TradeJournalManager;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TradeJournalManager;
+}
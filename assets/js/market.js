@@ -13,6 +13,15 @@ class MarketDataManager {
     this.priceSubscriptions = new Set();
     this.updateInterval = null;
     this.isConnected = false;
+    this.socket = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.lastMessageAt = 0;
+    this.tickListeners = new Map();
+    this.watchlists = [];
+    this.watchlistLimits = null;
+    this.activeWatchlistId = window.stateManager?.getState('market.activeWatchlistId') || null;
     
     // Configuration
     this.config = {
@@ -21,6 +30,9 @@ class MarketDataManager {
       priceDecimalPlaces: 5,
       enableWebSocket: true,
       fallbackToPolling: true,
+      reconnectDelay: 1000,
+      maxReconnectDelay: 30000,
+      heartbeatInterval: 30000,
       newsRefreshInterval: 300000, // 5 minutes
       calendarRefreshInterval: 3600000 // 1 hour
     };
@@ -194,11 +206,10 @@ class MarketDataManager {
    */
   async initializeWebSocket() {
     try {
-      // This would connect to your WebSocket server for real-time data
-      // For now, we'll simulate with polling
-      if (this.config.fallbackToPolling) {
-        this.setupPolling();
+      if (typeof WebSocket === 'undefined') {
+        throw new Error('WebSocket not supported');
       }
+      this.connectWebSocket();
     } catch (error) {
       console.error('WebSocket initialization failed:', error);
       if (this.config.fallbackToPolling) {
@@ -207,6 +218,189 @@ class MarketDataManager {
     }
   }
 
+  /**
+   * Resolve the price stream URL from environment config
+   */
+  getWebSocketUrl() {
+    const configured = window.THConfig?.websocket?.url || window.EnvConfig?.getWebSocketUrl?.();
+    const baseUrl = configured || `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.hostname}:3001`;
+    const token = window.apiService?.getAuthToken();
+    return token ? `${baseUrl}?token=${encodeURIComponent(token)}` : baseUrl;
+  }
+
+  /**
+   * Open the price stream; resubscribes everything in priceSubscriptions on every (re)connect
+   */
+  connectWebSocket() {
+    const socket = new WebSocket(this.getWebSocketUrl());
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.reconnectAttempts = 0;
+      this.lastMessageAt = Date.now();
+      this.stopPolling();
+      this.updateConnectionStatus(true);
+      this.startHeartbeatWatchdog();
+
+      if (this.priceSubscriptions.size > 0) {
+        this.sendSocketMessage({ type: 'subscribe', symbols: Array.from(this.priceSubscriptions) });
+      }
+    };
+
+    socket.onmessage = (event) => {
+      this.lastMessageAt = Date.now();
+      try {
+        this.handleSocketMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Invalid price stream message:', error);
+      }
+    };
+
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.stopHeartbeatWatchdog();
+      this.updateConnectionStatus(false);
+
+      // Keep prices moving over REST while we try to get the stream back
+      if (this.config.fallbackToPolling && !this.updateInterval) {
+        this.setupPolling();
+      }
+      this.scheduleReconnect();
+    };
+
+    socket.onerror = () => {
+      // onclose follows and handles reconnection
+    };
+  }
+
+  /**
+   * Reconnect with exponential backoff
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+
+    const delay = Math.min(
+      this.config.reconnectDelay * Math.pow(2, this.reconnectAttempts),
+      this.config.maxReconnectDelay
+    );
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connectWebSocket();
+    }, delay);
+  }
+
+  /**
+   * Treat the socket as dead after two missed server heartbeats
+   */
+  startHeartbeatWatchdog() {
+    this.stopHeartbeatWatchdog();
+    this.heartbeatTimer = setInterval(() => {
+      if (Date.now() - this.lastMessageAt > this.config.heartbeatInterval * 2) {
+        this.socket?.close();
+      }
+    }, this.config.heartbeatInterval);
+  }
+
+  stopHeartbeatWatchdog() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  sendSocketMessage(message) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Handle a message from the price stream
+   */
+  handleSocketMessage(message) {
+    switch (message.type) {
+      case 'welcome':
+        if (message.heartbeatInterval) {
+          this.config.heartbeatInterval = message.heartbeatInterval;
+          this.startHeartbeatWatchdog();
+        }
+        break;
+      case 'ticks':
+        this.handleTicks(message.ticks || []);
+        break;
+      case 'error':
+        console.warn('Price stream error:', message.error);
+        break;
+      // heartbeat, pong, subscribed and unsubscribed only refresh lastMessageAt
+    }
+  }
+
+  /**
+   * Apply pushed ticks to the price display and notify tick listeners
+   */
+  handleTicks(ticks) {
+    const prices = {};
+
+    ticks.forEach(tick => {
+      this.priceData.set(tick.symbol, tick);
+      prices[tick.symbol] = tick;
+      (this.tickListeners.get(tick.symbol) || []).forEach(listener => listener(tick));
+    });
+
+    this.updatePriceDisplay(prices);
+  }
+
+  /**
+   * Add symbols to the live feed
+   */
+  subscribeSymbols(symbols) {
+    const added = symbols.filter(symbol => !this.priceSubscriptions.has(symbol));
+    added.forEach(symbol => this.priceSubscriptions.add(symbol));
+
+    if (added.length > 0) {
+      this.sendSocketMessage({ type: 'subscribe', symbols: added });
+    }
+  }
+
+  /**
+   * Remove symbols from the live feed
+   */
+  unsubscribeSymbols(symbols) {
+    const removed = symbols.filter(symbol =>
+      this.priceSubscriptions.has(symbol) && !this.tickListeners.get(symbol)?.size
+    );
+    removed.forEach(symbol => this.priceSubscriptions.delete(symbol));
+
+    if (removed.length > 0) {
+      this.sendSocketMessage({ type: 'unsubscribe', symbols: removed });
+    }
+  }
+
+  /**
+   * Listen for ticks on one symbol; returns an unsubscribe function
+   */
+  onTick(symbol, listener) {
+    if (!this.tickListeners.has(symbol)) {
+      this.tickListeners.set(symbol, new Set());
+    }
+    this.tickListeners.get(symbol).add(listener);
+    this.subscribeSymbols([symbol]);
+
+    return () => {
+      const listeners = this.tickListeners.get(symbol);
+      listeners?.delete(listener);
+      if (listeners && listeners.size === 0) {
+        this.tickListeners.delete(symbol);
+        this.unsubscribeSymbols([symbol]);
+      }
+    };
+  }
+
   /**
    * Setup polling for market data
    */
@@ -216,6 +410,13 @@ class MarketDataManager {
     }, this.config.updateInterval);
   }
 
+  stopPolling() {
+    if (this.updateInterval) {
+      clearInterval(this.updateInterval);
+      this.updateInterval = null;
+    }
+  }
+
   /**
    * Load initial market data
    */
@@ -342,6 +543,13 @@ class MarketDataManager {
           </div>
         </div>
 
+        <!-- Watchlist -->
+        <div class="row mb-4">
+          <div class="col-12">
+            ${await this.generateWatchlistSection()}
+          </div>
+        </div>
+
         <!-- Major Pairs -->
         <div class="row">
           <div class="col-lg-8">
@@ -589,7 +797,7 @@ class MarketDataManager {
             </div>
             <div class="col-md-3">
               <input type="date" class="form-control" id="calendar-date" 
-                     value="${new Date().toISOString().split('T')[0]}">
+                     title="Leave empty for the next seven days">
             </div>
             <div class="col-md-3">
               <button class="btn btn-primary w-100" id="apply-calendar-filters">
@@ -600,8 +808,23 @@ class MarketDataManager {
         </div>
         
         <div class="calendar-content">
-          <div class="calendar-timeline">
-            ${events.map(event => `
+          <div class="calendar-timeline" id="calendar-timeline">
+            ${this.renderCalendarEvents(events)}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render calendar events for the timeline
+   */
+  renderCalendarEvents(events) {
+    if (events.length === 0) {
+      return '<p class="text-muted text-center py-4">No economic events match these filters</p>';
+    }
+
+    return events.map(event => `
               <div class="calendar-event impact-${event.impact}">
                 <div class="event-time">
                   <span class="event-date">${this.formatEventDate(event.date)}</span>
@@ -611,7 +834,7 @@ class MarketDataManager {
                   <img src="/api/placeholder/24/16" alt="${event.country}" class="flag-icon">
                 </div>
                 <div class="event-content">
-                  <h6 class="event-title">${event.title}</h6>
+                  <h6 class="event-title">${THA_Utils.string.escapeHtml(event.title)}</h6>
                   <div class="event-details">
                     <span class="event-currency">${event.currency}</span>
                     <span class="event-impact impact-${event.impact}">
@@ -627,11 +850,24 @@ class MarketDataManager {
                   ` : ''}
                 </div>
               </div>
-            `).join('')}
-          </div>
-        </div>
-      </div>
-    `;
+            `).join('');
+  }
+
+  /**
+   * Setup calendar features
+   */
+  setupCalendarFeatures() {
+    document.getElementById('apply-calendar-filters')?.addEventListener('click', async () => {
+      const timeline = document.getElementById('calendar-timeline');
+      if (!timeline) return;
+
+      const events = await this.fetchEconomicEvents({
+        date: document.getElementById('calendar-date')?.value,
+        currency: document.getElementById('calendar-country')?.value,
+        impact: document.getElementById('calendar-impact')?.value
+      });
+      timeline.innerHTML = this.renderCalendarEvents(events);
+    });
   }
 
   /**
@@ -661,7 +897,7 @@ class MarketDataManager {
   async fetchPrices(symbols) {
     try {
       const response = await window.apiService?.market.getPrices(symbols);
-      return response?.data || this.getMockPrices(symbols);
+      return response?.data?.prices || this.getMockPrices(symbols);
     } catch (error) {
       console.error('Failed to fetch prices:', error);
       return this.getMockPrices(symbols);
@@ -673,6 +909,10 @@ class MarketDataManager {
    */
   updatePriceDisplay(prices) {
     Object.entries(prices).forEach(([symbol, data]) => {
+      document.querySelectorAll(`[data-watch-price="${symbol}"]`).forEach(cell => {
+        cell.textContent = this.formatPrice(data.price);
+      });
+
       const priceElement = document.getElementById(`price-${symbol}`);
       if (priceElement) {
         const oldPrice = parseFloat(priceElement.textContent);
@@ -746,6 +986,23 @@ class MarketDataManager {
       });
     });
 
+    // Watchlist card actions (the card is re-rendered, so listen at the document)
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-watchlist-action]');
+      if (button && !button.disabled) {
+        e.preventDefault();
+        this.handleWatchlistAction(button.dataset.watchlistAction, button.dataset.symbol || null);
+      }
+    });
+
+    document.addEventListener('change', (e) => {
+      if (e.target.id === 'watchlist-select') {
+        this.activeWatchlistId = e.target.value;
+        window.stateManager?.setState('market.activeWatchlistId', this.activeWatchlistId);
+        this.refreshWatchlistSection();
+      }
+    });
+
     // Global market actions
     document.addEventListener('click', (e) => {
       switch (e.target.id) {
@@ -800,11 +1057,229 @@ class MarketDataManager {
    * Setup overview features
    */
   setupOverviewFeatures() {
-    // Subscribe to major pairs for real-time updates
+    // Subscribe to major pairs and the selected watchlist for real-time updates
     const majorPairs = ['EURUSD', 'GBPUSD', 'USDJPY', 'USDCHF'];
-    majorPairs.forEach(pair => {
-      this.priceSubscriptions.add(pair);
+    this.subscribeSymbols(majorPairs);
+    this.subscribeSymbols(this.getActiveWatchlist()?.items.map(item => item.symbol) || []);
+  }
+
+  /**
+   * Watchlists (server-backed, shared across devices)
+   */
+  async loadWatchlists() {
+    if (!window.apiService) return this.watchlists;
+
+    try {
+      const response = await window.apiService.watchlists.getAll();
+      this.setWatchlists(response?.data?.watchlists || [], response?.data?.limits);
+    } catch (error) {
+      console.error('Failed to load watchlists:', error);
+    }
+
+    return this.watchlists;
+  }
+
+  setWatchlists(watchlists, limits = null) {
+    this.watchlists = watchlists;
+    if (limits) this.watchlistLimits = limits;
+
+    if (!watchlists.some(list => list.id === this.activeWatchlistId)) {
+      this.activeWatchlistId = (watchlists.find(list => list.is_default) || watchlists[0])?.id || null;
+    }
+
+    window.stateManager?.dispatch({
+      type: 'SET_WATCHLISTS',
+      payload: { watchlists, limits: this.watchlistLimits }
     });
+    window.stateManager?.setState('market.activeWatchlistId', this.activeWatchlistId);
+  }
+
+  getActiveWatchlist() {
+    return this.watchlists.find(list => list.id === this.activeWatchlistId) || null;
+  }
+
+  async generateWatchlistSection() {
+    await this.loadWatchlists();
+    const watchlist = this.getActiveWatchlist();
+    const limits = this.watchlistLimits;
+
+    if (!watchlist) {
+      return `
+        <div class="card" id="watchlist-section">
+          <div class="card-header">
+            <h5><i class="fas fa-eye"></i> My Watchlist</h5>
+          </div>
+          <div class="card-body text-center text-muted">
+            <p>Track your favourite instruments here. Use the <i class="fas fa-plus"></i> button on any instrument to start a watchlist.</p>
+            <button class="btn btn-primary btn-sm" data-watchlist-action="create">Create Watchlist</button>
+          </div>
+        </div>
+      `;
+    }
+
+    const quotes = await this.fetchWatchlistQuotes(watchlist.items.map(item => item.symbol));
+    const canCreate = !limits || this.watchlists.length < limits.watchlists;
+
+    return `
+      <div class="card" id="watchlist-section">
+        <div class="card-header d-flex justify-content-between align-items-center">
+          <div class="d-flex align-items-center gap-2">
+            <h5 class="mb-0"><i class="fas fa-eye"></i></h5>
+            <select class="form-select form-select-sm" id="watchlist-select">
+              ${this.watchlists.map(list => `
+                <option value="${list.id}" ${list.id === watchlist.id ? 'selected' : ''}>
+                  ${THA_Utils.string.escapeHtml(list.name)}${list.is_default ? ' ★' : ''}
+                </option>
+              `).join('')}
+            </select>
+            <small class="text-muted text-nowrap">
+              ${watchlist.items.length}${limits ? `/${limits.symbols}` : ''} symbols
+            </small>
+          </div>
+          <div class="btn-group btn-group-sm">
+            <button class="btn btn-outline-primary" data-watchlist-action="create" ${canCreate ? '' : 'disabled'}
+                    title="${canCreate ? 'New watchlist' : `Your plan allows ${limits.watchlists} watchlists`}">
+              <i class="fas fa-plus"></i>
+            </button>
+            ${watchlist.is_default ? '' : `
+              <button class="btn btn-outline-secondary" data-watchlist-action="default" title="Make default">
+                <i class="fas fa-star"></i>
+              </button>
+            `}
+            <button class="btn btn-outline-secondary" data-watchlist-action="rename" title="Rename">
+              <i class="fas fa-pen"></i>
+            </button>
+            <button class="btn btn-outline-danger" data-watchlist-action="delete" title="Delete watchlist">
+              <i class="fas fa-trash"></i>
+            </button>
+          </div>
+        </div>
+        <div class="card-body">
+          ${watchlist.items.length === 0 ? `
+            <div class="text-muted text-center">This watchlist is empty.</div>
+          ` : `
+            <table class="table table-sm align-middle mb-0">
+              <thead>
+                <tr><th>Symbol</th><th>Price</th><th>Change</th><th>Note</th><th></th></tr>
+              </thead>
+              <tbody>
+                ${watchlist.items.map((item, index) => {
+                  const quote = quotes[item.symbol];
+                  const change = quote?.changePercent ?? null;
+                  return `
+                    <tr data-symbol="${item.symbol}">
+                      <td><strong>${item.symbol}</strong></td>
+                      <td data-watch-price="${item.symbol}">${quote ? this.formatPrice(quote.price) : '—'}</td>
+                      <td class="${change === null ? '' : change >= 0 ? 'text-success' : 'text-danger'}">
+                        ${change === null ? '—' : `${change >= 0 ? '+' : ''}${change.toFixed(2)}%`}
+                      </td>
+                      <td><small class="text-muted">${item.note ? THA_Utils.string.escapeHtml(item.note) : ''}</small></td>
+                      <td class="text-end text-nowrap">
+                        <button class="btn btn-link btn-sm p-0 me-1" data-watchlist-action="up" data-symbol="${item.symbol}"
+                                ${index === 0 ? 'disabled' : ''} title="Move up"><i class="fas fa-arrow-up"></i></button>
+                        <button class="btn btn-link btn-sm p-0 me-1" data-watchlist-action="down" data-symbol="${item.symbol}"
+                                ${index === watchlist.items.length - 1 ? 'disabled' : ''} title="Move down"><i class="fas fa-arrow-down"></i></button>
+                        <button class="btn btn-link btn-sm p-0 me-1" data-watchlist-action="note" data-symbol="${item.symbol}"
+                                title="Edit note"><i class="fas fa-sticky-note"></i></button>
+                        <button class="btn btn-link btn-sm p-0 me-1" data-watchlist-action="chart" data-symbol="${item.symbol}"
+                                title="View chart"><i class="fas fa-chart-line"></i></button>
+                        <button class="btn btn-link btn-sm p-0 text-danger" data-watchlist-action="remove" data-symbol="${item.symbol}"
+                                title="Remove"><i class="fas fa-times"></i></button>
+                      </td>
+                    </tr>
+                  `;
+                }).join('')}
+              </tbody>
+            </table>
+          `}
+        </div>
+      </div>
+    `;
+  }
+
+  async fetchWatchlistQuotes(symbols) {
+    if (symbols.length === 0 || !window.apiService) return {};
+
+    try {
+      const response = await window.apiService.market.getPrices(symbols);
+      return response?.data?.prices || {};
+    } catch (error) {
+      console.error('Failed to fetch watchlist quotes:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Re-render the watchlist card in place and subscribe to its symbols
+   */
+  async refreshWatchlistSection() {
+    const section = document.getElementById('watchlist-section');
+    if (!section) return;
+
+    section.outerHTML = await this.generateWatchlistSection();
+    this.subscribeSymbols(this.getActiveWatchlist()?.items.map(item => item.symbol) || []);
+  }
+
+  async handleWatchlistAction(action, symbol = null) {
+    const watchlist = this.getActiveWatchlist();
+    const api = window.apiService?.watchlists;
+    if (!api) return;
+
+    try {
+      switch (action) {
+        case 'create': {
+          const name = prompt('Watchlist name:', this.watchlists.length === 0 ? 'My Watchlist' : '');
+          if (!name) return;
+          const response = await api.create(name);
+          this.activeWatchlistId = response?.data?.watchlist?.id || this.activeWatchlistId;
+          break;
+        }
+        case 'rename': {
+          const name = prompt('Rename watchlist:', watchlist.name);
+          if (!name || name === watchlist.name) return;
+          await api.update(watchlist.id, { name });
+          break;
+        }
+        case 'default':
+          await api.update(watchlist.id, { is_default: true });
+          break;
+        case 'delete':
+          if (!confirm(`Delete the watchlist "${watchlist.name}"?`)) return;
+          await api.delete(watchlist.id);
+          this.activeWatchlistId = null;
+          break;
+        case 'note': {
+          const item = watchlist.items.find(entry => entry.symbol === symbol);
+          const note = prompt(`Note for ${symbol}:`, item?.note || '');
+          if (note === null) return;
+          await api.updateNote(watchlist.id, symbol, note);
+          break;
+        }
+        case 'up':
+        case 'down': {
+          const symbols = watchlist.items.map(item => item.symbol);
+          const index = symbols.indexOf(symbol);
+          const target = action === 'up' ? index - 1 : index + 1;
+          if (index < 0 || target < 0 || target >= symbols.length) return;
+          [symbols[index], symbols[target]] = [symbols[target], symbols[index]];
+          await api.reorderSymbols(watchlist.id, symbols);
+          break;
+        }
+        case 'remove':
+          await api.removeSymbol(watchlist.id, symbol);
+          break;
+        case 'chart':
+          this.viewChart(symbol);
+          return;
+        default:
+          return;
+      }
+
+      await this.refreshWatchlistSection();
+    } catch (error) {
+      console.error(`Watchlist ${action} failed:`, error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Watchlist update failed'), 'error');
+    }
   }
 
   /**
@@ -812,7 +1287,25 @@ class MarketDataManager {
    */
   async fetchMajorPairs() {
     const symbols = ['EURUSD', 'GBPUSD', 'USDJPY', 'USDCHF', 'AUDUSD', 'USDCAD'];
-    return this.getMockInstruments(symbols);
+
+    try {
+      const response = await window.apiService?.market.getPrices(symbols);
+      const prices = response?.data?.prices;
+      if (!prices) return this.getMockInstruments(symbols);
+
+      return Object.values(prices).map(quote => ({
+        symbol: quote.symbol,
+        price: quote.price,
+        change: quote.changePercent,
+        pips: quote.changePips,
+        high: quote.high,
+        low: quote.low,
+        volume: quote.volume
+      }));
+    } catch (error) {
+      console.error('Failed to fetch major pairs:', error);
+      return this.getMockInstruments(symbols);
+    }
   }
 
   async getMarketSummary() {
@@ -856,7 +1349,36 @@ class MarketDataManager {
     ];
   }
 
-  async fetchMarketNews() {
+  async fetchMarketNews(limit = 20) {
+    try {
+      const response = await window.apiService?.market.getNews(limit);
+      return response?.data?.news || this.getMockNews();
+    } catch (error) {
+      console.error('Failed to fetch market news:', error);
+      return this.getMockNews();
+    }
+  }
+
+  /**
+   * Fetch imported economic events; filters: { date, currency, impact }
+   */
+  async fetchEconomicEvents({ date, currency, impact } = {}) {
+    try {
+      const response = await window.apiService?.market.getEconomicCalendar(date || undefined, {
+        currency: currency || undefined,
+        impact: impact || undefined
+      });
+      return response?.data?.events || [];
+    } catch (error) {
+      console.error('Failed to fetch economic calendar:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Mock data generators
+   */
+  getMockNews() {
     return [
       {
         title: 'Federal Reserve Signals Interest Rate Changes Ahead',
@@ -884,45 +1406,6 @@ class MarketDataManager {
     ];
   }
 
-  async fetchEconomicEvents() {
-    const today = new Date();
-    return [
-      {
-        title: 'Non-Farm Payrolls',
-        country: 'US',
-        currency: 'USD',
-        impact: 'high',
-        date: new Date(today.getTime() + 3600000).toISOString(),
-        forecast: 200000,
-        previous: 185000,
-        actual: null
-      },
-      {
-        title: 'Unemployment Rate',
-        country: 'US',
-        currency: 'USD',
-        impact: 'high',
-        date: new Date(today.getTime() + 3600000).toISOString(),
-        forecast: 3.7,
-        previous: 3.8,
-        actual: null
-      },
-      {
-        title: 'CPI Monthly',
-        country: 'EU',
-        currency: 'EUR',
-        impact: 'medium',
-        date: new Date(today.getTime() + 7200000).toISOString(),
-        forecast: 0.2,
-        previous: 0.1,
-        actual: null
-      }
-    ];
-  }
-
-  /**
-   * Mock data generators
-   */
   getMockInstruments(symbols) {
     return symbols.map(symbol => ({
       symbol,
@@ -1409,9 +1892,36 @@ class MarketDataManager {
     }
   }
 
-  addToWatchlist(symbol) {
-    // Add to user's watchlist
-    tradersHelmet.showNotification(`${symbol} added to watchlist`, 'success');
+  /**
+   * Add a symbol to the selected watchlist, creating a first list when the user has none
+   */
+  async addToWatchlist(symbol) {
+    if (!window.apiService) return;
+
+    try {
+      if (this.watchlists.length === 0) {
+        await this.loadWatchlists();
+      }
+
+      const watchlist = this.getActiveWatchlist();
+      if (watchlist) {
+        await window.apiService.watchlists.addSymbol(watchlist.id, symbol);
+      } else {
+        const response = await window.apiService.watchlists.create('My Watchlist', [symbol]);
+        this.activeWatchlistId = response?.data?.watchlist?.id || null;
+      }
+
+      tradersHelmet.showNotification(`${symbol} added to ${watchlist?.name || 'My Watchlist'}`, 'success');
+
+      if (document.getElementById('watchlist-section')) {
+        await this.refreshWatchlistSection();
+      } else {
+        await this.loadWatchlists();
+      }
+    } catch (error) {
+      console.error('Failed to add to watchlist:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to add to watchlist'), 'error');
+    }
   }
 
   refreshMarketData() {
@@ -1419,18 +1929,214 @@ class MarketDataManager {
     tradersHelmet.showNotification('Market data refreshed', 'info');
   }
 
-  showAlertsModal() {
+  /**
+   * Price alerts modal: create form plus the user's alerts.
+   * preset: { symbol, signalId } pre-fills the form (e.g. from a signal card)
+   */
+  showAlertsModal(preset = {}) {
     tradersHelmet.showModal(`
-      <h4>Price Alerts</h4>
-      <p>Price alert functionality coming soon!</p>
-      <p>You'll be able to:</p>
-      <ul>
-        <li>Set price alerts for any instrument</li>
-        <li>Receive notifications when targets are hit</li>
-        <li>Customize alert conditions</li>
-        <li>Manage all your alerts in one place</li>
-      </ul>
-    `, { title: 'Price Alerts' });
+      <form id="price-alert-form" class="mb-4">
+        <div class="row g-2">
+          <div class="col-md-4">
+            <label class="form-label" for="alert-type">Condition</label>
+            <select class="form-select" id="alert-type" name="alert_type">
+              <option value="price_above">Price crosses above</option>
+              <option value="price_below">Price crosses below</option>
+              <option value="percent_change">Percent change in window</option>
+              <option value="signal_distance" ${preset.signalId ? 'selected' : ''}>Near a signal's SL/TP</option>
+            </select>
+          </div>
+          <div class="col-md-4" data-alert-field="symbol">
+            <label class="form-label" for="alert-symbol">Symbol</label>
+            <input type="text" class="form-control" id="alert-symbol" name="symbol" placeholder="EURUSD" value="${preset.symbol || ''}">
+          </div>
+          <div class="col-md-4" data-alert-field="target_price">
+            <label class="form-label" for="alert-target">Target Price</label>
+            <input type="number" step="any" min="0" class="form-control" id="alert-target" name="target_price">
+          </div>
+          <div class="col-md-4" data-alert-field="percent_change">
+            <label class="form-label" for="alert-percent">Change (%)</label>
+            <input type="number" step="0.01" class="form-control" id="alert-percent" name="percent_change" placeholder="-1.5">
+          </div>
+          <div class="col-md-4" data-alert-field="window_minutes">
+            <label class="form-label" for="alert-window">Window (minutes)</label>
+            <input type="number" min="1" max="1440" class="form-control" id="alert-window" name="window_minutes" value="60">
+          </div>
+          <div class="col-md-4" data-alert-field="signal_id">
+            <label class="form-label" for="alert-signal">Signal ID</label>
+            <input type="text" class="form-control" id="alert-signal" name="signal_id" value="${preset.signalId || ''}">
+          </div>
+          <div class="col-md-4" data-alert-field="signal_level">
+            <label class="form-label" for="alert-level">Level</label>
+            <select class="form-select" id="alert-level" name="signal_level">
+              <option value="stop_loss">Stop loss</option>
+              <option value="take_profit">Take profit</option>
+            </select>
+          </div>
+          <div class="col-md-4" data-alert-field="distance_pips">
+            <label class="form-label" for="alert-distance">Within (pips)</label>
+            <input type="number" step="0.1" min="0" class="form-control" id="alert-distance" name="distance_pips" value="10">
+          </div>
+          <div class="col-md-8">
+            <label class="form-label" for="alert-note">Note</label>
+            <input type="text" class="form-control" id="alert-note" name="note" maxlength="200">
+          </div>
+        </div>
+        <button type="submit" class="btn btn-primary mt-3">Create Alert</button>
+      </form>
+      <h6>Your Alerts</h6>
+      <div id="price-alerts-list"><div class="text-muted">Loading alerts...</div></div>
+    `, { title: 'Price Alerts', size: 'large' });
+
+    const form = document.getElementById('price-alert-form');
+    const typeSelect = document.getElementById('alert-type');
+
+    typeSelect?.addEventListener('change', () => this.toggleAlertFields(typeSelect.value));
+    this.toggleAlertFields(typeSelect?.value || 'price_above');
+
+    form?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submitAlertForm(e.target);
+    });
+
+    document.getElementById('price-alerts-list')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-alert-action]');
+      if (!button) return;
+
+      const { alertAction, alertId } = button.dataset;
+      if (alertAction === 'cancel') this.updateAlert(alertId, 'cancel', 'Alert cancelled');
+      if (alertAction === 'rearm') this.updateAlert(alertId, 'rearm', 'Alert re-armed');
+      if (alertAction === 'delete') this.updateAlert(alertId, 'delete', 'Alert deleted');
+    });
+
+    this.loadAlerts();
+  }
+
+  /**
+   * Show only the inputs the selected alert condition uses
+   */
+  toggleAlertFields(alertType) {
+    const fieldsByType = {
+      price_above: ['symbol', 'target_price'],
+      price_below: ['symbol', 'target_price'],
+      percent_change: ['symbol', 'percent_change', 'window_minutes'],
+      signal_distance: ['signal_id', 'signal_level', 'distance_pips']
+    };
+    const visible = fieldsByType[alertType] || [];
+
+    document.querySelectorAll('#price-alert-form [data-alert-field]').forEach(field => {
+      field.style.display = visible.includes(field.dataset.alertField) ? '' : 'none';
+    });
+  }
+
+  async submitAlertForm(form) {
+    const formData = new FormData(form);
+    const alertType = formData.get('alert_type');
+    const alertData = { alert_type: alertType, note: formData.get('note') || null };
+
+    if (alertType === 'signal_distance') {
+      alertData.signal_id = formData.get('signal_id');
+      alertData.signal_level = formData.get('signal_level');
+      alertData.distance_pips = parseFloat(formData.get('distance_pips'));
+    } else {
+      alertData.symbol = formData.get('symbol');
+    }
+
+    if (alertType === 'price_above' || alertType === 'price_below') {
+      alertData.target_price = parseFloat(formData.get('target_price'));
+    }
+
+    if (alertType === 'percent_change') {
+      alertData.percent_change = parseFloat(formData.get('percent_change'));
+      alertData.window_minutes = parseInt(formData.get('window_minutes'));
+    }
+
+    try {
+      await window.apiService.alerts.create(alertData);
+      tradersHelmet.showNotification('Price alert created', 'success');
+      form.reset();
+      this.toggleAlertFields(form.querySelector('[name="alert_type"]').value);
+      this.loadAlerts();
+    } catch (error) {
+      console.error('Failed to create alert:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to create alert'), 'error');
+    }
+  }
+
+  async loadAlerts() {
+    const container = document.getElementById('price-alerts-list');
+    if (!container) return;
+
+    try {
+      const response = await window.apiService.alerts.getAll();
+      this.renderAlertsList(container, response?.data?.alerts || []);
+    } catch (error) {
+      console.error('Failed to load alerts:', error);
+      container.innerHTML = '<div class="alert alert-danger">Failed to load alerts</div>';
+    }
+  }
+
+  renderAlertsList(container, alerts) {
+    if (alerts.length === 0) {
+      container.innerHTML = '<div class="text-muted">No alerts yet.</div>';
+      return;
+    }
+
+    const describe = (alert) => {
+      switch (alert.alert_type) {
+        case 'price_above': return `Crosses above ${this.formatPrice(alert.target_price)}`;
+        case 'price_below': return `Crosses below ${this.formatPrice(alert.target_price)}`;
+        case 'percent_change': return `${alert.percent_change > 0 ? '+' : ''}${alert.percent_change}% in ${alert.window_minutes}m`;
+        case 'signal_distance':
+          return `Within ${alert.distance_pips} pips of ${alert.signal_level === 'stop_loss' ? 'SL' : 'TP'}` +
+            (alert.trading_signals?.title ? ` (${THA_Utils.string.escapeHtml(alert.trading_signals.title)})` : '');
+        default: return alert.alert_type;
+      }
+    };
+
+    const statusBadge = {
+      active: 'bg-success',
+      triggered: 'bg-warning text-dark',
+      cancelled: 'bg-secondary',
+      expired: 'bg-secondary'
+    };
+
+    container.innerHTML = `
+      <table class="table table-sm align-middle">
+        <tbody>
+          ${alerts.map(alert => `
+            <tr>
+              <td><strong>${alert.symbol}</strong></td>
+              <td>${describe(alert)}${alert.note ? `<br><small class="text-muted">${THA_Utils.string.escapeHtml(alert.note)}</small>` : ''}</td>
+              <td>
+                <span class="badge ${statusBadge[alert.status] || 'bg-secondary'}">${alert.status}</span>
+                ${alert.triggered_at ? `<br><small class="text-muted">${new Date(alert.triggered_at).toLocaleString()} @ ${this.formatPrice(alert.triggered_price)}</small>` : ''}
+              </td>
+              <td class="text-end">
+                ${alert.status === 'active'
+                  ? `<button class="btn btn-outline-secondary btn-sm" data-alert-action="cancel" data-alert-id="${alert.id}">Cancel</button>`
+                  : `<button class="btn btn-outline-primary btn-sm" data-alert-action="rearm" data-alert-id="${alert.id}">Re-arm</button>`}
+                <button class="btn btn-outline-danger btn-sm" data-alert-action="delete" data-alert-id="${alert.id}">Delete</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Run an alerts API action ('cancel', 'rearm' or 'delete') and refresh the list
+   */
+  async updateAlert(alertId, action, successMessage) {
+    try {
+      await window.apiService.alerts[action](alertId);
+      tradersHelmet.showNotification(successMessage, 'success');
+      this.loadAlerts();
+    } catch (error) {
+      console.error(`Failed to ${action} alert:`, error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, `Failed to ${action} alert`), 'error');
+    }
   }
 
   /**
@@ -1438,9 +2144,18 @@ class MarketDataManager {
    */
   cleanup() {
     // Clear update interval
-    if (this.updateInterval) {
-      clearInterval(this.updateInterval);
+    this.stopPolling();
+
+    // Close the price stream without triggering a reconnect
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopHeartbeatWatchdog();
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
     }
+    this.tickListeners.clear();
 
     // Clear subscriptions
     this.subscriptions.clear();
@@ -0,0 +1,797 @@
+/**
+ * TRADERS HELMET ACADEMY - PAPER TRADING
+ * Virtual accounts with market, limit and stop orders, SL/TP brackets and a spread-modelled
+ * fill price. Account state lives in the StateManager `paper` slice; open positions are
+ * re-marked on every tick and the server snapshot is reloaded periodically.
+ */
+
+class PaperTradingManager {
+  constructor() {
+    this.container = null;
+    this.tickUnsubscribers = [];
+    this.stateUnsubscribe = null;
+    this.refreshTimer = null;
+
+    this.instrumentTypes = ['forex', 'commodities', 'indices', 'crypto', 'stocks'];
+    this.orderTypes = ['market', 'limit', 'stop'];
+    this.defaultAccount = { name: 'Practice Account', account_currency: 'USD', starting_balance: 10000 };
+
+    // Server snapshot reload; fills and bracket exits happen server-side between reloads
+    this.refreshInterval = 15000;
+    // Reload soon after a tick crosses a bracket or pending order price
+    this.debouncedLoadState = THA_Utils.performance.debounce(() => this.loadAccountState(), 2000);
+
+    this.init();
+  }
+
+  /**
+   * Initialize paper trading
+   */
+  async init() {
+    try {
+      this.container = document.getElementById('paper-trading-container');
+
+      if (this.container) {
+        this.container.innerHTML = this.generatePaperHTML();
+        this.setupEventListeners();
+
+        this.stateUnsubscribe = window.stateManager?.subscribe('*', (state, oldState, action) => {
+          if (action?.type?.includes('PAPER')) this.render();
+        });
+
+        await this.loadAccounts();
+        await Promise.all([this.loadAccountState(), this.loadHistory()]);
+        this.refreshTimer = setInterval(() => this.loadAccountState(), this.refreshInterval);
+      }
+
+      console.log('🧪 Paper Trading initialized');
+    } catch (error) {
+      console.error('❌ Paper Trading initialization failed:', error);
+    }
+  }
+
+  /**
+   * The paper slice of the app state
+   */
+  getPaperState() {
+    return window.stateManager?.getState('paper') || {};
+  }
+
+  /**
+   * Load the member's paper accounts; the state keeps (or picks) the selected one
+   */
+  async loadAccounts() {
+    try {
+      const response = await window.apiService?.paper.getAccounts();
+      window.stateManager?.dispatch(window.stateManager.actions.setPaperAccounts(response?.data?.accounts || []));
+    } catch (error) {
+      console.error('Failed to load paper accounts:', error);
+    }
+    return this.getPaperState().accounts || [];
+  }
+
+  /**
+   * Load the selected account's equity, open positions and pending orders
+   */
+  async loadAccountState() {
+    const accountId = this.getPaperState().activeAccountId;
+    if (!accountId) return;
+
+    try {
+      const response = await window.apiService?.paper.getAccount(accountId);
+      const data = response?.data || {};
+
+      window.stateManager?.dispatch(window.stateManager.actions.setPaperState(accountId, {
+        account: data.account,
+        positions: data.positions || [],
+        orders: data.orders || [],
+        unpricedSymbols: data.unpriced_symbols || []
+      }));
+      this.subscribeTicks();
+    } catch (error) {
+      console.error('Failed to load paper account:', error);
+    }
+  }
+
+  /**
+   * Load the selected account's order and closed position history
+   */
+  async loadHistory() {
+    const accountId = this.getPaperState().activeAccountId;
+    if (!accountId) return;
+
+    try {
+      const response = await window.apiService?.paper.getHistory(accountId);
+      window.stateManager?.dispatch(window.stateManager.actions.setPaperHistory(accountId, {
+        orders: response?.data?.orders || [],
+        positions: response?.data?.positions || []
+      }));
+    } catch (error) {
+      console.error('Failed to load paper trading history:', error);
+    }
+  }
+
+  /**
+   * Reload everything after an order, close or account change
+   */
+  async refresh() {
+    await this.loadAccounts();
+    await Promise.all([this.loadAccountState(), this.loadHistory()]);
+  }
+
+  /**
+   * Listen for ticks on every open position and pending order symbol, replacing earlier listeners
+   */
+  subscribeTicks() {
+    this.tickUnsubscribers.forEach(unsubscribe => unsubscribe());
+    this.tickUnsubscribers = [];
+
+    if (!window.marketData?.onTick) return;
+
+    const { positions = [], orders = [] } = this.getPaperState();
+    const symbols = [...new Set([...positions, ...orders].map(row => row.symbol))];
+
+    this.tickUnsubscribers = symbols.map(symbol =>
+      window.marketData.onTick(symbol, (tick) => this.applyTick(tick))
+    );
+  }
+
+  /**
+   * Re-mark positions at the account's spread and refresh equity and margin. A tick through
+   * a bracket or a pending order's price schedules a reload to pick up the engine's fill.
+   */
+  applyTick(tick) {
+    const { activeAccountId, account, positions = [], orders = [] } = this.getPaperState();
+    if (!account) return;
+
+    let crossed = false;
+
+    const marked = positions.map(position => {
+      if (position.symbol !== tick.symbol) return position;
+
+      const quote = THA_Utils.trading.applySpread(tick, position.pip_size, position.instrument_type, account.spread_multiplier);
+      const next = THA_Utils.trading.markPosition(position, quote);
+      if (next.current_price !== null && this.isThroughBracket(next)) crossed = true;
+      return next;
+    });
+
+    orders.filter(order => order.symbol === tick.symbol).forEach(order => {
+      const quote = THA_Utils.trading.applySpread(tick, order.pip_size, order.instrument_type, account.spread_multiplier);
+      if (quote && this.wouldFill(order, quote)) crossed = true;
+    });
+
+    // Pending orders keep their reserved margin out of free margin between reloads
+    const [summary] = THA_Utils.trading.summarizePortfolio(marked, [account]).accounts;
+    summary.free_margin = Math.round((summary.free_margin - (account.reserved_margin || 0)) * 100) / 100;
+    window.stateManager?.dispatch(window.stateManager.actions.setPaperState(activeAccountId, {
+      account: summary,
+      positions: marked
+    }));
+
+    if (crossed) this.debouncedLoadState();
+  }
+
+  isThroughBracket(position) {
+    const direction = position.action === 'sell' ? -1 : 1;
+    const stop = parseFloat(position.stop_loss);
+    const target = parseFloat(position.take_profit);
+
+    return (stop > 0 && (position.current_price - stop) * direction <= 0) ||
+      (target > 0 && (position.current_price - target) * direction >= 0);
+  }
+
+  wouldFill(order, quote) {
+    const price = parseFloat(order.price);
+    const market = order.action === 'buy' ? quote.ask : quote.bid;
+
+    if (order.order_type === 'limit') return order.action === 'buy' ? market <= price : market >= price;
+    if (order.order_type === 'stop') return order.action === 'buy' ? market >= price : market <= price;
+    return false;
+  }
+
+  /**
+   * Generate paper trading HTML structure
+   */
+  generatePaperHTML() {
+    return `
+      <div class="paper-trading">
+        <div class="d-flex justify-content-between align-items-center mb-3">
+          <h2><i class="fas fa-flask"></i> Paper Trading</h2>
+          <div>
+            <select class="form-select form-select-sm d-inline-block w-auto me-2" id="paper-account-select"></select>
+            <button class="btn btn-outline-secondary btn-sm" data-paper-action="accounts">
+              <i class="fas fa-wallet"></i> Accounts
+            </button>
+            <button class="btn btn-primary btn-sm" data-paper-action="new-order">
+              <i class="fas fa-plus"></i> New Order
+            </button>
+          </div>
+        </div>
+        <div id="paper-account-summary" class="mb-3"></div>
+        <h5>Open Positions</h5>
+        <div id="paper-positions" class="mb-3"></div>
+        <h5>Pending Orders</h5>
+        <div id="paper-orders" class="mb-3"></div>
+        <h5>History</h5>
+        <div id="paper-history"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    document.getElementById('paper-account-select')?.addEventListener('change', (e) => this.selectAccount(e.target.value));
+
+    this.container.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-paper-action]');
+      if (!button) return;
+
+      const id = button.dataset.id;
+      switch (button.dataset.paperAction) {
+        case 'accounts': this.showAccountsModal(); break;
+        case 'new-order': this.showOrderTicket(); break;
+        case 'close-position': this.closePosition(id); break;
+        case 'edit-bracket': this.showBracketModal(id); break;
+        case 'cancel-order': this.cancelOrder(id); break;
+      }
+    });
+  }
+
+  /**
+   * Switch the selected account and load its state
+   */
+  async selectAccount(accountId) {
+    window.stateManager?.dispatch(window.stateManager.actions.selectPaperAccount(accountId));
+    this.subscribeTicks();
+    await Promise.all([this.loadAccountState(), this.loadHistory()]);
+  }
+
+  /**
+   * Render every section from the paper slice
+   */
+  render() {
+    if (!this.container) return;
+
+    const paper = this.getPaperState();
+    const select = document.getElementById('paper-account-select');
+
+    if (select) {
+      select.innerHTML = (paper.accounts || []).map(account => `
+        <option value="${account.id}" ${account.id === paper.activeAccountId ? 'selected' : ''}>${THA_Utils.string.escapeHtml(account.name)}</option>
+      `).join('');
+    }
+
+    this.renderSummary(paper);
+    this.renderPositions(paper);
+    this.renderOrders(paper);
+    this.renderHistory(paper);
+  }
+
+  renderSummary({ account, accounts = [], unpricedSymbols = [] }) {
+    const container = document.getElementById('paper-account-summary');
+    if (!container) return;
+
+    if (accounts.length === 0) {
+      container.innerHTML = `
+        <div class="text-center text-muted py-4">
+          <p>Practise signals with virtual money before risking your own.</p>
+          <button class="btn btn-primary" data-paper-action="accounts">Open a Paper Account</button>
+        </div>
+      `;
+      return;
+    }
+
+    if (!account) {
+      container.innerHTML = '<p class="text-muted">Loading account...</p>';
+      return;
+    }
+
+    const currency = account.account_currency;
+    const stat = (label, value, css = '') => `
+      <div class="col-6 col-md-2">
+        <small class="text-muted d-block">${label}</small>
+        <strong class="${css}">${value}</strong>
+      </div>
+    `;
+
+    container.innerHTML = `
+      <div class="row g-2">
+        ${stat('Balance', this.formatMoney(account.balance, currency))}
+        ${stat('Equity', this.formatMoney(account.equity, currency))}
+        ${stat('Unrealized', this.formatMoney(account.unrealized_pnl, currency), this.pnlClass(account.unrealized_pnl))}
+        ${stat('Realized', this.formatMoney(account.realized_pnl, currency), this.pnlClass(account.realized_pnl))}
+        ${stat('Margin Used', this.formatMoney(account.margin_used, currency))}
+        ${stat('Free Margin', this.formatMoney(account.free_margin, currency))}
+      </div>
+      ${unpricedSymbols.length > 0 ? `<small class="text-warning">No price for ${unpricedSymbols.join(', ')}</small>` : ''}
+    `;
+  }
+
+  renderPositions({ account, positions = [] }) {
+    const container = document.getElementById('paper-positions');
+    if (!container) return;
+
+    if (positions.length === 0) {
+      container.innerHTML = '<p class="text-muted">No open positions</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="table table-sm align-middle">
+        <thead>
+          <tr>
+            <th>Symbol</th><th>Side</th><th>Size</th><th>Entry</th><th>Current</th>
+            <th>SL / TP</th><th>Pips</th><th>P&amp;L</th><th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${positions.map(position => `
+            <tr>
+              <td>${position.symbol}</td>
+              <td><span class="action-badge ${position.action}">${position.action.toUpperCase()}</span></td>
+              <td>${parseFloat(position.size)}</td>
+              <td>${parseFloat(position.entry_price)}</td>
+              <td>${position.current_price ?? '-'}</td>
+              <td>${position.stop_loss ? parseFloat(position.stop_loss) : '-'} / ${position.take_profit ? parseFloat(position.take_profit) : '-'}</td>
+              <td>${position.pips ?? '-'}</td>
+              <td class="${this.pnlClass(position.unrealized_pnl)}">
+                ${position.unrealized_pnl !== null ? this.formatMoney(position.unrealized_pnl, account?.account_currency) : '-'}
+              </td>
+              <td class="text-end">
+                <button class="btn btn-sm btn-outline-secondary" data-paper-action="edit-bracket" data-id="${position.id}">SL/TP</button>
+                <button class="btn btn-sm btn-outline-danger" data-paper-action="close-position" data-id="${position.id}">Close</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  renderOrders({ orders = [] }) {
+    const container = document.getElementById('paper-orders');
+    if (!container) return;
+
+    if (orders.length === 0) {
+      container.innerHTML = '<p class="text-muted">No pending orders</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="table table-sm align-middle">
+        <thead>
+          <tr><th>Symbol</th><th>Order</th><th>Size</th><th>Price</th><th>SL / TP</th><th>Expires</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${orders.map(order => `
+            <tr>
+              <td>${order.symbol}</td>
+              <td>${order.order_type.toUpperCase()} ${order.action.toUpperCase()}</td>
+              <td>${parseFloat(order.size)}</td>
+              <td>${parseFloat(order.price)}</td>
+              <td>${order.stop_loss ? parseFloat(order.stop_loss) : '-'} / ${order.take_profit ? parseFloat(order.take_profit) : '-'}</td>
+              <td>${order.expires_at ? new Date(order.expires_at).toLocaleString() : 'GTC'}</td>
+              <td class="text-end">
+                <button class="btn btn-sm btn-outline-danger" data-paper-action="cancel-order" data-id="${order.id}">Cancel</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  renderHistory({ accounts = [], activeAccountId, history = {} }) {
+    const container = document.getElementById('paper-history');
+    if (!container) return;
+
+    const currency = accounts.find(account => account.id === activeAccountId)?.account_currency || 'USD';
+    const closed = history.positions || [];
+    const orders = (history.orders || []).filter(order => order.status !== 'filled');
+    const reasons = { stop_loss: 'Stop loss', take_profit: 'Take profit', manual: 'Manual' };
+
+    if (closed.length === 0 && orders.length === 0) {
+      container.innerHTML = '<p class="text-muted">No closed trades yet</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="table table-sm align-middle">
+        <thead>
+          <tr><th>Closed</th><th>Symbol</th><th>Side</th><th>Size</th><th>Entry</th><th>Exit</th><th>Reason</th><th>P&amp;L</th></tr>
+        </thead>
+        <tbody>
+          ${closed.map(position => `
+            <tr>
+              <td>${new Date(position.closed_at).toLocaleString()}</td>
+              <td>${position.symbol}</td>
+              <td>${position.action.toUpperCase()}</td>
+              <td>${parseFloat(position.size)}</td>
+              <td>${parseFloat(position.entry_price)}</td>
+              <td>${parseFloat(position.exit_price)}</td>
+              <td>${reasons[position.close_reason] || '-'}</td>
+              <td class="${this.pnlClass(position.realized_pnl)}">${this.formatMoney(parseFloat(position.realized_pnl), currency)}</td>
+            </tr>
+          `).join('')}
+          ${orders.map(order => `
+            <tr class="text-muted">
+              <td>${new Date(order.updated_at).toLocaleString()}</td>
+              <td>${order.symbol}</td>
+              <td>${order.action.toUpperCase()}</td>
+              <td>${parseFloat(order.size)}</td>
+              <td>${order.price ? parseFloat(order.price) : '-'}</td>
+              <td>-</td>
+              <td>${order.order_type} order ${order.status}</td>
+              <td>-</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Order ticket; a signal prefills symbol, side and bracket
+   */
+  showOrderTicket(signal = null) {
+    const accountId = this.getPaperState().activeAccountId;
+
+    if (!accountId) {
+      this.showAccountsModal();
+      return;
+    }
+
+    tradersHelmet.showModal(`
+      <form id="paper-order-form">
+        <div class="row g-2">
+          <div class="col-md-4">
+            <label class="form-label" for="paper-symbol">Symbol</label>
+            <input type="text" class="form-control" id="paper-symbol" name="symbol" value="${signal?.symbol || ''}" placeholder="EURUSD" required>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="paper-instrument">Instrument</label>
+            <select class="form-select" id="paper-instrument" name="instrument_type">
+              <option value="">Detect from symbol</option>
+              ${this.instrumentTypes.map(type => `
+                <option value="${type}" ${signal?.signal_type === type ? 'selected' : ''}>${type.charAt(0).toUpperCase() + type.slice(1)}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="paper-action">Side</label>
+            <select class="form-select" id="paper-action" name="action">
+              <option value="buy" ${signal?.action !== 'sell' ? 'selected' : ''}>BUY</option>
+              <option value="sell" ${signal?.action === 'sell' ? 'selected' : ''}>SELL</option>
+            </select>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="paper-order-type">Order Type</label>
+            <select class="form-select" id="paper-order-type" name="order_type">
+              ${this.orderTypes.map(type => `<option value="${type}">${type.charAt(0).toUpperCase() + type.slice(1)}</option>`).join('')}
+            </select>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="paper-size">Size</label>
+            <input type="number" class="form-control" id="paper-size" name="size" step="any" min="0"
+                   placeholder="${signal ? 'Sized from your risk %' : 'Lots or units'}" ${signal ? '' : 'required'}>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="paper-price">Price</label>
+            <input type="number" class="form-control" id="paper-price" name="price" step="any" placeholder="Market" disabled>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="paper-stop">Stop Loss</label>
+            <input type="number" class="form-control" id="paper-stop" name="stop_loss" step="any" value="${signal?.stop_loss || ''}">
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="paper-target">Take Profit</label>
+            <input type="number" class="form-control" id="paper-target" name="take_profit" step="any" value="${signal?.take_profit || ''}">
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="paper-expires">Expires</label>
+            <input type="datetime-local" class="form-control" id="paper-expires" name="expires_at" disabled>
+          </div>
+        </div>
+        <div class="d-flex justify-content-end gap-2 mt-3">
+          <button type="button" class="btn btn-secondary" onclick="tradersHelmet.closeModal()">Cancel</button>
+          <button type="submit" class="btn btn-primary">Place Order</button>
+        </div>
+      </form>
+    `, { title: 'Paper Order', size: 'large' });
+
+    const form = document.getElementById('paper-order-form');
+    document.getElementById('paper-order-type')?.addEventListener('change', (e) => {
+      const pending = e.target.value !== 'market';
+      ['paper-price', 'paper-expires'].forEach(id => {
+        const input = document.getElementById(id);
+        input.disabled = !pending;
+        if (!pending) input.value = '';
+      });
+      document.getElementById('paper-price').required = pending;
+      document.getElementById('paper-price').placeholder = pending ? '' : 'Market';
+    });
+
+    form?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const order = Object.fromEntries(new FormData(form));
+      Object.keys(order).forEach(field => {
+        if (order[field] === '') delete order[field];
+      });
+      if (order.expires_at) order.expires_at = new Date(order.expires_at).toISOString();
+      if (signal) order.signal_id = signal.id;
+
+      if (await this.placeOrder(order)) {
+        tradersHelmet.closeModal();
+      }
+    });
+  }
+
+  /**
+   * Place an order, by default on the selected account. Returns whether it was accepted.
+   */
+  async placeOrder(order, accountId = this.getPaperState().activeAccountId) {
+    try {
+      const response = await window.apiService?.paper.placeOrder(accountId, order);
+      tradersHelmet.showNotification(response?.data?.message || 'Order placed', 'success');
+      // Without the paper trading panel only the balances need refreshing
+      if (this.container) {
+        this.refresh();
+      } else {
+        this.loadAccounts();
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to place paper order:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to place order'), 'error');
+      return false;
+    }
+  }
+
+  /**
+   * One-click paper trade of a signal: a market order at the signal's side and bracket, sized
+   * from the member's default risk percent. Opens a practice account on first use.
+   */
+  async tradeSignal(signal) {
+    let { accounts = [], activeAccountId } = this.getPaperState();
+
+    if (accounts.length === 0) {
+      accounts = await this.loadAccounts();
+    }
+
+    if (accounts.length === 0) {
+      try {
+        await window.apiService?.paper.createAccount(this.defaultAccount);
+        accounts = await this.loadAccounts();
+        tradersHelmet.showNotification(`Opened "${this.defaultAccount.name}" with ${this.formatMoney(this.defaultAccount.starting_balance)}`, 'info');
+      } catch (error) {
+        console.error('Failed to open paper account:', error);
+        tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to open a paper account'), 'error');
+        return false;
+      }
+      activeAccountId = this.getPaperState().activeAccountId;
+    }
+
+    return this.placeOrder({ signal_id: signal.id, order_type: 'market' }, activeAccountId);
+  }
+
+  /**
+   * Move an open position's stop loss or take profit
+   */
+  showBracketModal(positionId) {
+    const position = (this.getPaperState().positions || []).find(row => row.id === positionId);
+    if (!position) return;
+
+    tradersHelmet.showModal(`
+      <form id="paper-bracket-form">
+        <p>${position.symbol} ${position.action.toUpperCase()} ${parseFloat(position.size)} @ ${parseFloat(position.entry_price)}</p>
+        <div class="row g-2">
+          <div class="col-6">
+            <label class="form-label" for="paper-bracket-stop">Stop Loss</label>
+            <input type="number" class="form-control" id="paper-bracket-stop" name="stop_loss" step="any" value="${position.stop_loss ? parseFloat(position.stop_loss) : ''}">
+          </div>
+          <div class="col-6">
+            <label class="form-label" for="paper-bracket-target">Take Profit</label>
+            <input type="number" class="form-control" id="paper-bracket-target" name="take_profit" step="any" value="${position.take_profit ? parseFloat(position.take_profit) : ''}">
+          </div>
+        </div>
+        <small class="text-muted">Leave a level empty to remove it.</small>
+        <div class="d-flex justify-content-end gap-2 mt-3">
+          <button type="button" class="btn btn-secondary" onclick="tradersHelmet.closeModal()">Cancel</button>
+          <button type="submit" class="btn btn-primary">Save</button>
+        </div>
+      </form>
+    `, { title: 'Edit Bracket' });
+
+    const form = document.getElementById('paper-bracket-form');
+    form?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const values = Object.fromEntries(new FormData(form));
+      try {
+        await window.apiService?.paper.updatePosition(positionId, {
+          stop_loss: values.stop_loss || null,
+          take_profit: values.take_profit || null
+        });
+        tradersHelmet.closeModal();
+        tradersHelmet.showNotification('Bracket updated', 'success');
+        this.loadAccountState();
+      } catch (error) {
+        console.error('Failed to update paper position:', error);
+        tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to update position'), 'error');
+      }
+    });
+  }
+
+  async closePosition(positionId) {
+    try {
+      const response = await window.apiService?.paper.closePosition(positionId);
+      tradersHelmet.showNotification(response?.data?.message || 'Position closed', 'success');
+      this.refresh();
+    } catch (error) {
+      console.error('Failed to close paper position:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to close position'), 'error');
+    }
+  }
+
+  async cancelOrder(orderId) {
+    try {
+      await window.apiService?.paper.cancelOrder(orderId);
+      tradersHelmet.showNotification('Order cancelled', 'success');
+      this.refresh();
+    } catch (error) {
+      console.error('Failed to cancel paper order:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to cancel order'), 'error');
+    }
+  }
+
+  /**
+   * Open, reset and remove paper accounts
+   */
+  showAccountsModal() {
+    const { accounts = [] } = this.getPaperState();
+
+    tradersHelmet.showModal(`
+      ${accounts.length > 0 ? `
+        <table class="table table-sm align-middle">
+          <thead><tr><th>Name</th><th>Balance</th><th>Leverage</th><th>Spread</th><th></th></tr></thead>
+          <tbody>
+            ${accounts.map(account => `
+              <tr>
+                <td>${THA_Utils.string.escapeHtml(account.name)}</td>
+                <td>${this.formatMoney(account.balance, account.account_currency)}</td>
+                <td>1:${account.leverage}</td>
+                <td>×${parseFloat(account.spread_multiplier)}</td>
+                <td class="text-end">
+                  <button class="btn btn-sm btn-outline-secondary" data-reset-account="${account.id}">Reset</button>
+                  <button class="btn btn-sm btn-outline-danger" data-delete-account="${account.id}">Delete</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : ''}
+      <form id="paper-account-form">
+        <div class="row g-2">
+          <div class="col-md-4">
+            <label class="form-label" for="paper-account-name">Name</label>
+            <input type="text" class="form-control" id="paper-account-name" name="name" maxlength="60"
+                   value="${accounts.length === 0 ? this.defaultAccount.name : ''}" required>
+          </div>
+          <div class="col-md-2">
+            <label class="form-label" for="paper-account-currency">Currency</label>
+            <input type="text" class="form-control" id="paper-account-currency" name="account_currency" maxlength="3" value="USD" required>
+          </div>
+          <div class="col-md-2">
+            <label class="form-label" for="paper-account-balance">Balance</label>
+            <input type="number" class="form-control" id="paper-account-balance" name="starting_balance" min="1" step="any" value="${this.defaultAccount.starting_balance}" required>
+          </div>
+          <div class="col-md-2">
+            <label class="form-label" for="paper-account-leverage">Leverage</label>
+            <input type="number" class="form-control" id="paper-account-leverage" name="leverage" min="1" value="30">
+          </div>
+          <div class="col-md-2">
+            <label class="form-label" for="paper-account-spread">Spread ×</label>
+            <input type="number" class="form-control" id="paper-account-spread" name="spread_multiplier" min="0" max="10" step="0.1" value="1"
+                   title="Multiplies the market spread fills are taken at">
+          </div>
+        </div>
+        <div class="d-flex justify-content-end mt-3">
+          <button type="submit" class="btn btn-primary">Open Account</button>
+        </div>
+      </form>
+    `, { title: 'Paper Accounts', size: 'large' });
+
+    const form = document.getElementById('paper-account-form');
+    form?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      try {
+        const response = await window.apiService?.paper.createAccount(Object.fromEntries(new FormData(form)));
+        tradersHelmet.closeModal();
+        tradersHelmet.showNotification('Paper account opened', 'success');
+        await this.loadAccounts();
+        if (response?.data?.account) await this.selectAccount(response.data.account.id);
+      } catch (error) {
+        console.error('Failed to open paper account:', error);
+        tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to open paper account'), 'error');
+      }
+    });
+
+    document.querySelectorAll('[data-reset-account]').forEach(button => {
+      button.addEventListener('click', () => this.resetAccount(button.dataset.resetAccount));
+    });
+    document.querySelectorAll('[data-delete-account]').forEach(button => {
+      button.addEventListener('click', () => this.deleteAccount(button.dataset.deleteAccount));
+    });
+  }
+
+  async resetAccount(accountId) {
+    if (!confirm('Reset this account? Its orders, positions and history are removed.')) return;
+
+    try {
+      await window.apiService?.paper.resetAccount(accountId);
+      tradersHelmet.closeModal();
+      tradersHelmet.showNotification('Paper account reset', 'success');
+      this.refresh();
+    } catch (error) {
+      console.error('Failed to reset paper account:', error);
+      tradersHelmet.showNotification('Failed to reset paper account', 'error');
+    }
+  }
+
+  async deleteAccount(accountId) {
+    if (!confirm('Delete this paper account and its history?')) return;
+
+    try {
+      await window.apiService?.paper.deleteAccount(accountId);
+      tradersHelmet.closeModal();
+      tradersHelmet.showNotification('Paper account removed', 'success');
+      this.refresh();
+    } catch (error) {
+      console.error('Failed to delete paper account:', error);
+      tradersHelmet.showNotification('Failed to remove paper account', 'error');
+    }
+  }
+
+  /**
+   * Stop listening for ticks and reloads
+   */
+  destroy() {
+    this.tickUnsubscribers.forEach(unsubscribe => unsubscribe());
+    this.tickUnsubscribers = [];
+    if (this.stateUnsubscribe) this.stateUnsubscribe();
+    clearInterval(this.refreshTimer);
+  }
+
+  /**
+   * Utility methods
+   */
+  formatMoney(amount, currency = 'USD') {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  }
+
+  pnlClass(amount) {
+    const value = parseFloat(amount);
+    return value > 0 ? 'text-success' : value < 0 ? 'text-danger' : '';
+  }
+}
+
+// Initialize paper trading when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  if (window.authService?.isAuthenticated()) {
+    window.paperTrading = new PaperTradingManager();
+  }
+});
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.PaperTradingManager = PaperTradingManager;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PaperTradingManager;
+}
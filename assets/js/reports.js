@@ -0,0 +1,402 @@
+/**
+ * TRADERS HELMET ACADEMY - PERFORMANCE REPORTS
+ * Monthly statements of following our signals or the member's own journal: equity curve,
+ * monthly returns, best/worst trades and their tier's signal stats, with PDF/CSV downloads.
+ * Month-end statements arrive as a notification linking here with ?report=YYYY-MM.
+ */
+
+class PerformanceReportManager {
+  constructor() {
+    this.container = null;
+    this.report = null;
+    this.statements = [];
+    this.sources = { signals: 'Following signals', journal: 'My journal' };
+    this.chartId = 'report-equity-chart';
+
+    this.init();
+  }
+
+  /**
+   * Initialize performance reports
+   */
+  async init() {
+    try {
+      this.container = document.getElementById('reports-container');
+
+      if (this.container) {
+        this.container.innerHTML = this.generateReportsHTML();
+        this.setupEventListeners();
+
+        // A month-end notification links straight to its statement
+        const requested = new URLSearchParams(window.location.search).get('report');
+        document.getElementById('report-month').value = /^\d{4}-\d{2}$/.test(requested || '') ? requested : this.getPreviousMonth();
+
+        await this.loadStatements();
+        await this.loadReport();
+      }
+
+      console.log('📊 Performance Reports initialized');
+    } catch (error) {
+      console.error('❌ Performance Reports initialization failed:', error);
+    }
+  }
+
+  /**
+   * Generate the reports layout
+   */
+  generateReportsHTML() {
+    return `
+      <div class="performance-reports">
+        <div class="d-flex justify-content-between align-items-center flex-wrap gap-2 mb-3">
+          <h2><i class="fas fa-file-invoice-dollar"></i> Monthly Statements</h2>
+          <div class="d-flex align-items-center gap-2">
+            <input type="month" class="form-control form-control-sm w-auto" id="report-month" max="${new Date().toISOString().slice(0, 7)}">
+            <select class="form-select form-select-sm w-auto" id="report-source">
+              ${Object.entries(this.sources).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+            <button class="btn btn-outline-secondary btn-sm" data-report-action="download" data-format="pdf">
+              <i class="fas fa-file-pdf"></i> PDF
+            </button>
+            <button class="btn btn-outline-secondary btn-sm" data-report-action="download" data-format="csv">
+              <i class="fas fa-file-csv"></i> CSV
+            </button>
+          </div>
+        </div>
+        <div class="form-check form-switch mb-3">
+          <input class="form-check-input" type="checkbox" id="report-monthly" checked>
+          <label class="form-check-label" for="report-monthly">Send me a statement when each month ends</label>
+        </div>
+        <div id="report-summary" class="mb-3"></div>
+        <h5>Equity Curve</h5>
+        <div id="${this.chartId}" class="mb-3" style="height: 260px;"></div>
+        <h5>Monthly Returns</h5>
+        <div id="report-returns" class="mb-3"></div>
+        <div class="row">
+          <div class="col-md-6">
+            <h5>Best Trades</h5>
+            <div id="report-best-trades" class="mb-3"></div>
+          </div>
+          <div class="col-md-6">
+            <h5>Worst Trades</h5>
+            <div id="report-worst-trades" class="mb-3"></div>
+          </div>
+        </div>
+        <h5>Signal Stats</h5>
+        <div id="report-signal-stats" class="mb-3"></div>
+        <h5>Past Statements</h5>
+        <div id="report-statements"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    document.getElementById('report-month')?.addEventListener('change', () => this.loadReport());
+    document.getElementById('report-source')?.addEventListener('change', () => this.loadReport());
+    document.getElementById('report-monthly')?.addEventListener('change', (e) => this.saveSettings(e.target.checked));
+
+    this.container.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-report-action]');
+      if (!button) return;
+
+      switch (button.dataset.reportAction) {
+        case 'download': this.download(button.dataset.format); break;
+        case 'open': this.openStatement(button.dataset.month, button.dataset.source); break;
+      }
+    });
+  }
+
+  /**
+   * The last full month: what the month-end statement covers
+   */
+  getPreviousMonth() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)).toISOString().slice(0, 7);
+  }
+
+  getSelection() {
+    return {
+      month: document.getElementById('report-month')?.value || this.getPreviousMonth(),
+      source: document.getElementById('report-source')?.value || 'signals'
+    };
+  }
+
+  /**
+   * Load the member's stored month-end statements and their notification setting
+   */
+  async loadStatements() {
+    try {
+      const response = await window.apiService?.reports.getAll();
+      this.statements = response?.data?.reports || [];
+
+      const toggle = document.getElementById('report-monthly');
+      if (toggle) toggle.checked = response?.data?.settings?.monthly !== false;
+    } catch (error) {
+      console.error('Failed to load statements:', error);
+      this.statements = [];
+    }
+    this.renderStatements();
+  }
+
+  /**
+   * Load and render the statement for the selected month and source
+   */
+  async loadReport() {
+    const { month, source } = this.getSelection();
+
+    try {
+      const response = await window.apiService?.reports.get(month, { source });
+      this.report = response?.data?.report || null;
+      this.render();
+    } catch (error) {
+      console.error('Failed to load report:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to load statement'), 'error');
+    }
+  }
+
+  openStatement(month, source) {
+    document.getElementById('report-month').value = month;
+    document.getElementById('report-source').value = source;
+    this.loadReport();
+  }
+
+  /**
+   * Download the selected statement; the server names the file
+   */
+  async download(format) {
+    const { month, source } = this.getSelection();
+
+    try {
+      const response = await window.apiService.reports.download(month, { format, source });
+
+      const disposition = response.headers?.get('content-disposition') || '';
+      const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || `tha-statement-${month}-${source}.${format}`;
+
+      const url = URL.createObjectURL(response.data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Statement download failed:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to download statement'), 'error');
+    }
+  }
+
+  /**
+   * Turn the month-end statement notification on or off
+   */
+  async saveSettings(monthly) {
+    try {
+      const response = await window.apiService.reports.saveSettings({ monthly });
+      tradersHelmet.showNotification(response?.data?.message || 'Settings saved', 'success');
+    } catch (error) {
+      console.error('Failed to save report settings:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to save settings'), 'error');
+      document.getElementById('report-monthly').checked = !monthly;
+    }
+  }
+
+  /**
+   * Render every section of the loaded statement
+   */
+  render() {
+    this.renderSummary();
+    this.renderEquityCurve();
+    this.renderReturns();
+    this.renderTrades('report-best-trades', this.report?.best_trades || [], 'No winning trades this month');
+    this.renderTrades('report-worst-trades', this.report?.worst_trades || [], 'No losing trades this month');
+    this.renderSignalStats();
+  }
+
+  renderSummary() {
+    const container = document.getElementById('report-summary');
+    if (!container || !this.report) return;
+
+    const { summary, currency } = this.report;
+    const stat = (label, value, css = '') => `
+      <div class="col-6 col-md-2">
+        <small class="text-muted d-block">${label}</small>
+        <strong class="${css}">${value}</strong>
+      </div>
+    `;
+
+    const notes = [
+      this.report.source === 'signals'
+        ? `Every signal on your plan at ${this.report.risk_percent}% risk per trade from ${this.formatMoney(this.report.starting_balance, currency)}.`
+        : `Your closed journal trades in ${currency}, from ${this.formatMoney(this.report.starting_balance, currency)}.`,
+      this.report.excluded_trades > 0 ? `${this.report.excluded_trades} trades in other currencies are not included.` : ''
+    ].filter(Boolean).join(' ');
+
+    container.innerHTML = `
+      <div class="row g-2">
+        ${stat('Return', this.formatPercent(summary.return_percent), this.pnlClass(summary.return_percent))}
+        ${stat('P&L', this.formatMoney(summary.pnl, currency), this.pnlClass(summary.pnl))}
+        ${stat('Trades', `${summary.trades} (${summary.win_rate}% won)`)}
+        ${stat('Pips', summary.pips)}
+        ${stat('Max Drawdown', this.formatPercent(summary.max_drawdown_percent))}
+        ${stat('12-Month Return', this.formatPercent(summary.twelve_month_return_percent), this.pnlClass(summary.twelve_month_return_percent))}
+      </div>
+      <small class="text-muted d-block mt-2">${THA_Utils.string.escapeHtml(notes)}</small>
+    `;
+  }
+
+  renderEquityCurve() {
+    if (!window.tradingCharts || !this.report) return;
+
+    const currency = this.report.currency;
+    window.tradingCharts.destroyChart(this.chartId);
+    window.tradingCharts.createChart(this.chartId, 'line', {
+      chartOptions: { scales: { y: { ticks: { callback: value => this.formatMoney(value, currency) } } } }
+    });
+    window.tradingCharts.setSeries(this.chartId, [{
+      label: 'Equity',
+      points: this.report.equity_curve.map(point => ({ x: point.date, y: point.equity })),
+      fill: true,
+      stepped: true
+    }]);
+  }
+
+  renderReturns() {
+    const container = document.getElementById('report-returns');
+    if (!container || !this.report) return;
+
+    container.innerHTML = `
+      <div class="table-responsive">
+        <table class="table table-sm">
+          <thead><tr><th>Month</th><th>Trades</th><th>Win Rate</th><th>Pips</th><th>P&L</th><th>Return</th></tr></thead>
+          <tbody>
+            ${[...this.report.monthly_returns].reverse().map(row => `
+              <tr>
+                <td>${this.formatMonth(row.month)}</td>
+                <td>${row.trades}</td>
+                <td>${row.trades > 0 ? `${row.win_rate}%` : '-'}</td>
+                <td>${row.pips}</td>
+                <td class="${this.pnlClass(row.pnl)}">${this.formatMoney(row.pnl, this.report.currency)}</td>
+                <td class="${this.pnlClass(row.return_percent)}">${this.formatPercent(row.return_percent)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  renderTrades(containerId, trades, emptyMessage) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    if (trades.length === 0) {
+      container.innerHTML = `<p class="text-muted">${emptyMessage}</p>`;
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="table table-sm">
+        <thead><tr><th>Closed</th><th>Symbol</th><th>Pips</th><th>P&L</th></tr></thead>
+        <tbody>
+          ${trades.map(trade => `
+            <tr>
+              <td>${new Date(trade.closed_at).toLocaleDateString()}</td>
+              <td>${THA_Utils.string.escapeHtml(trade.symbol)} ${trade.action ? `<small class="text-muted">${trade.action.toUpperCase()}</small>` : ''}</td>
+              <td>${trade.pips ?? '-'}</td>
+              <td class="${this.pnlClass(trade.pnl)}">${this.formatMoney(trade.pnl, this.report.currency)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  renderSignalStats() {
+    const container = document.getElementById('report-signal-stats');
+    if (!container || !this.report) return;
+
+    const stats = this.report.signal_stats;
+    if (!stats.tier) {
+      container.innerHTML = '<p class="text-muted">Subscribe to see signal stats for your plan.</p>';
+      return;
+    }
+
+    const rows = [{ key: 'All signals', ...stats }, ...stats.by_type];
+
+    container.innerHTML = `
+      <p class="text-muted small">Signals closed this month on the ${THA_Utils.string.escapeHtml(stats.tier)} plan</p>
+      <table class="table table-sm">
+        <thead><tr><th>Type</th><th>Signals</th><th>Win Rate</th><th>Pips</th><th>Avg R</th><th>Expectancy</th></tr></thead>
+        <tbody>
+          ${rows.map(row => `
+            <tr>
+              <td>${THA_Utils.string.escapeHtml(row.key)}</td>
+              <td>${row.totalSignals}</td>
+              <td>${row.winRate}%</td>
+              <td class="${this.pnlClass(row.totalPips)}">${row.totalPips}</td>
+              <td>${row.avgRMultiple}</td>
+              <td>${row.expectancy}R</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  renderStatements() {
+    const container = document.getElementById('report-statements');
+    if (!container) return;
+
+    if (this.statements.length === 0) {
+      container.innerHTML = '<p class="text-muted">Your first statement arrives when this month ends.</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="list-group">
+        ${this.statements.map(statement => `
+          <button type="button" class="list-group-item list-group-item-action d-flex justify-content-between"
+                  data-report-action="open" data-month="${statement.month}" data-source="${statement.source}">
+            <span>${this.formatMonth(statement.month)} <small class="text-muted">${this.sources[statement.source] || statement.source}</small></span>
+            <span class="${this.pnlClass(statement.summary?.return_percent)}">${this.formatPercent(statement.summary?.return_percent)}</span>
+          </button>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  formatMonth(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, monthIndex - 1, 1)).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+
+  formatMoney(amount, currency = 'USD') {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+  }
+
+  formatPercent(value) {
+    return value === null || value === undefined ? '-' : `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+  }
+
+  pnlClass(amount) {
+    const value = parseFloat(amount);
+    return value > 0 ? 'text-success' : value < 0 ? 'text-danger' : '';
+  }
+}
+
+// Initialize performance reports when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  if (window.authService?.isAuthenticated()) {
+    window.performanceReports = new PerformanceReportManager();
+  }
+});
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.PerformanceReportManager = PerformanceReportManager;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PerformanceReportManager;
+}
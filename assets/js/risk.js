@@ -0,0 +1,366 @@
+/**
+ * TRADERS HELMET ACADEMY - RISK CALCULATOR
+ * Position sizing for forex, metals, indices, crypto and stocks, checked against the
+ * member's per-trade and daily risk limits. Opens from signal cards with the levels prefilled.
+ */
+
+class RiskManager {
+  constructor() {
+    this.settings = null;
+    this.currentTrade = null;
+    this.lastResult = null;
+
+    this.instrumentTypes = ['forex', 'commodities', 'indices', 'crypto', 'stocks'];
+
+    // Recalculate at most this often while the member types
+    this.calculateDelay = 400;
+    this.debouncedCalculate = THA_Utils.performance.debounce(() => this.calculate(), this.calculateDelay);
+
+    this.init();
+  }
+
+  /**
+   * Initialize risk manager
+   */
+  async init() {
+    try {
+      await this.loadSettings();
+      console.log('⚖️ Risk Manager initialized');
+    } catch (error) {
+      console.error('❌ Risk Manager initialization failed:', error);
+    }
+  }
+
+  /**
+   * Load the member's limits and sizing defaults
+   */
+  async loadSettings() {
+    try {
+      const response = await window.apiService?.risk.getSettings();
+      this.settings = response?.data?.settings || null;
+    } catch (error) {
+      console.error('Failed to load risk settings:', error);
+    }
+    return this.settings;
+  }
+
+  /**
+   * Open the calculator; a signal prefills symbol, side and levels
+   */
+  async showCalculator(signal = null) {
+    const settings = this.settings || await this.loadSettings() || {};
+
+    this.currentTrade = signal ? { signalId: signal.id } : {};
+    this.lastResult = null;
+
+    tradersHelmet.showModal(`
+      <form id="risk-calculator-form">
+        <div class="row g-2">
+          <div class="col-md-4">
+            <label class="form-label" for="risk-symbol">Symbol</label>
+            <input type="text" class="form-control" id="risk-symbol" name="symbol" value="${signal?.symbol || ''}" placeholder="EURJPY" required>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="risk-instrument">Instrument</label>
+            <select class="form-select" id="risk-instrument" name="instrument_type">
+              <option value="">Detect from symbol</option>
+              ${this.instrumentTypes.map(type => `
+                <option value="${type}" ${signal?.signal_type === type ? 'selected' : ''}>${type.charAt(0).toUpperCase() + type.slice(1)}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="risk-action">Side</label>
+            <select class="form-select" id="risk-action" name="action">
+              <option value="buy" ${signal?.action !== 'sell' ? 'selected' : ''}>BUY</option>
+              <option value="sell" ${signal?.action === 'sell' ? 'selected' : ''}>SELL</option>
+            </select>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="risk-entry">Entry</label>
+            <input type="number" class="form-control" id="risk-entry" name="entry_price" step="any" value="${signal?.entry_price || ''}" required>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="risk-stop">Stop Loss</label>
+            <input type="number" class="form-control" id="risk-stop" name="stop_loss" step="any" value="${signal?.stop_loss || ''}" required>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="risk-target">Take Profit</label>
+            <input type="number" class="form-control" id="risk-target" name="take_profit" step="any" value="${signal?.take_profit || ''}">
+          </div>
+          <div class="col-md-3">
+            <label class="form-label" for="risk-balance">Balance</label>
+            <input type="number" class="form-control" id="risk-balance" name="account_balance" step="any" min="0" value="${settings.account_balance || ''}" required>
+          </div>
+          <div class="col-md-3">
+            <label class="form-label" for="risk-currency">Currency</label>
+            <input type="text" class="form-control" id="risk-currency" name="account_currency" maxlength="3" value="${settings.account_currency || 'USD'}">
+          </div>
+          <div class="col-md-3">
+            <label class="form-label" for="risk-percent">Risk %</label>
+            <input type="number" class="form-control" id="risk-percent" name="risk_percent" step="0.1" min="0"
+                   max="${settings.max_risk_per_trade || 100}" value="${settings.default_risk_percent || 1}" required>
+          </div>
+          <div class="col-md-3">
+            <label class="form-label" for="risk-leverage">Leverage</label>
+            <input type="number" class="form-control" id="risk-leverage" name="leverage" min="1" placeholder="Optional">
+          </div>
+          <div class="col-12">
+            <label class="form-label" for="risk-rate">Conversion Rate</label>
+            <input type="number" class="form-control" id="risk-rate" name="conversion_rate" step="any"
+                   placeholder="Market rate" title="Account currency per unit of the instrument's quote currency">
+          </div>
+        </div>
+      </form>
+
+      <div id="risk-result" class="mt-3"></div>
+
+      <div class="d-flex justify-content-between mt-3">
+        <button type="button" class="btn btn-outline-secondary" id="risk-settings-button">
+          <i class="fas fa-sliders-h"></i> Limits
+        </button>
+        <button type="button" class="btn btn-primary" id="risk-commit-button" disabled>
+          <i class="fas fa-check"></i> Take Trade
+        </button>
+      </div>
+    `, { title: 'Risk Calculator', size: 'large' });
+
+    document.getElementById('risk-calculator-form')?.addEventListener('input', () => this.debouncedCalculate());
+    document.getElementById('risk-settings-button')?.addEventListener('click', () => this.showSettingsModal());
+    document.getElementById('risk-commit-button')?.addEventListener('click', () => this.commit());
+
+    if (signal) {
+      this.calculate();
+    }
+  }
+
+  /**
+   * Trade fields from the calculator form, without empty optional inputs
+   */
+  getTradeFromForm() {
+    const form = document.getElementById('risk-calculator-form');
+    if (!form) return null;
+
+    const trade = Object.fromEntries(new FormData(form));
+    Object.keys(trade).forEach(field => {
+      if (trade[field] === '') delete trade[field];
+    });
+
+    if (this.currentTrade?.signalId) {
+      trade.signal_id = this.currentTrade.signalId;
+    }
+
+    return trade;
+  }
+
+  /**
+   * Size the trade on the server and show the result
+   */
+  async calculate() {
+    const trade = this.getTradeFromForm();
+    if (!trade?.symbol || !trade.entry_price || !trade.stop_loss || !trade.account_balance) return;
+
+    try {
+      const response = await window.apiService?.risk.calculate(trade);
+      this.lastResult = response?.data;
+      this.renderResult(this.lastResult);
+    } catch (error) {
+      this.lastResult = null;
+      this.renderError(THA_Utils.error.getApiErrorMessage(error, 'Failed to calculate position size'));
+    }
+  }
+
+  /**
+   * Render a calculation with the limits check
+   */
+  renderResult({ calculation, limits }) {
+    const container = document.getElementById('risk-result');
+    const commitButton = document.getElementById('risk-commit-button');
+    if (!container) return;
+
+    const currency = calculation.account_currency;
+    const blocked = limits.violations.length > 0 || calculation.size < calculation.min_size;
+    const usedShare = limits.max_daily_risk > 0 ? Math.min(100, limits.used_today / limits.max_daily_risk * 100) : 0;
+    const tradeShare = limits.max_daily_risk > 0 ? Math.min(100 - usedShare, calculation.risk_percent / limits.max_daily_risk * 100) : 0;
+
+    container.innerHTML = `
+      <div class="row text-center g-2">
+        <div class="col-md-3">
+          <small class="text-muted d-block">Position Size</small>
+          <strong class="fs-5">${calculation.size} ${calculation.size_unit}</strong>
+          <small class="d-block">${calculation.units} units</small>
+        </div>
+        <div class="col-md-3">
+          <small class="text-muted d-block">Risk</small>
+          <strong class="fs-5 text-danger">${this.formatMoney(calculation.risk_amount, currency)}</strong>
+          <small class="d-block">${calculation.risk_percent}% · ${calculation.stop_pips} pips</small>
+        </div>
+        <div class="col-md-3">
+          <small class="text-muted d-block">Reward</small>
+          <strong class="fs-5 text-success">${calculation.reward_amount !== null ? this.formatMoney(calculation.reward_amount, currency) : '-'}</strong>
+          <small class="d-block">${calculation.risk_reward !== null ? `1:${calculation.risk_reward}` : 'No target'}</small>
+        </div>
+        <div class="col-md-3">
+          <small class="text-muted d-block">Pip Value</small>
+          <strong class="fs-5">${this.formatMoney(calculation.position_pip_value, currency)}</strong>
+          <small class="d-block">${this.formatMoney(calculation.pip_value, currency)} per ${calculation.size_unit === 'lots' ? 'lot' : 'unit'}</small>
+        </div>
+      </div>
+
+      <table class="table table-sm mt-3">
+        <tr><th>Contract</th><td>${calculation.contract_size} units per ${calculation.size_unit === 'lots' ? 'lot' : 'unit'}, pip ${calculation.pip_size}, step ${calculation.size_step}</td></tr>
+        <tr><th>Conversion</th><td>1 ${calculation.quote_currency} = ${parseFloat(calculation.conversion_rate.toPrecision(6))} ${currency}</td></tr>
+        <tr><th>Notional</th><td>${this.formatMoney(calculation.notional, currency)}${calculation.margin !== null ? ` · margin ${this.formatMoney(calculation.margin, currency)}` : ''}</td></tr>
+      </table>
+
+      <div>
+        <small class="text-muted">Daily risk: ${limits.used_today}% used of ${limits.max_daily_risk}% · this trade ${calculation.risk_percent}%</small>
+        <div class="progress" style="height: 8px;">
+          <div class="progress-bar bg-secondary" style="width: ${usedShare}%"></div>
+          <div class="progress-bar ${blocked ? 'bg-danger' : 'bg-primary'}" style="width: ${tradeShare}%"></div>
+        </div>
+      </div>
+
+      ${[...limits.violations, ...calculation.warnings].map(message => `
+        <div class="alert alert-warning mt-2 mb-0 py-2">${message}</div>
+      `).join('')}
+      ${limits.violations.length > 0 && limits.max_allowed > 0 ? `
+        <small class="text-muted">You can risk up to ${limits.max_allowed}% on this trade.</small>
+      ` : ''}
+    `;
+
+    if (commitButton) {
+      commitButton.disabled = blocked;
+    }
+  }
+
+  renderError(message) {
+    const container = document.getElementById('risk-result');
+    const commitButton = document.getElementById('risk-commit-button');
+
+    if (container) {
+      container.innerHTML = `<div class="alert alert-danger py-2">${THA_Utils.string.escapeHtml(message)}</div>`;
+    }
+    if (commitButton) {
+      commitButton.disabled = true;
+    }
+  }
+
+  /**
+   * Record the sized trade against today's risk
+   */
+  async commit() {
+    const trade = this.getTradeFromForm();
+    if (!trade) return;
+
+    try {
+      const response = await window.apiService?.risk.commit(trade);
+      const { calculation, limits } = response?.data || {};
+
+      tradersHelmet.closeModal();
+      tradersHelmet.showNotification(
+        `${calculation.size} ${calculation.size_unit} ${calculation.symbol} recorded · ${limits.remaining_today}% daily risk left`,
+        'success'
+      );
+    } catch (error) {
+      console.error('Failed to record trade risk:', error);
+      tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to record trade'), 'error');
+      this.calculate();
+    }
+  }
+
+  /**
+   * Edit per-trade and daily limits and the sizing defaults
+   */
+  showSettingsModal() {
+    const settings = this.settings || {};
+    const trade = this.getTradeFromForm();
+
+    tradersHelmet.showModal(`
+      <form id="risk-settings-form">
+        <div class="row g-2">
+          <div class="col-md-4">
+            <label class="form-label" for="settings-max-trade">Max risk per trade (%)</label>
+            <input type="number" class="form-control" id="settings-max-trade" name="max_risk_per_trade" step="0.1" min="0.1" max="100"
+                   value="${settings.max_risk_per_trade ?? 2}" required>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="settings-max-daily">Max risk per day (%)</label>
+            <input type="number" class="form-control" id="settings-max-daily" name="max_daily_risk" step="0.1" min="0.1" max="100"
+                   value="${settings.max_daily_risk ?? 6}" required>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="settings-default-risk">Default risk (%)</label>
+            <input type="number" class="form-control" id="settings-default-risk" name="default_risk_percent" step="0.1" min="0.1" max="100"
+                   value="${settings.default_risk_percent ?? 1}" required>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label" for="settings-balance">Account balance</label>
+            <input type="number" class="form-control" id="settings-balance" name="account_balance" step="any" min="0"
+                   value="${settings.account_balance ?? ''}" required>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label" for="settings-currency">Account currency</label>
+            <input type="text" class="form-control" id="settings-currency" name="account_currency" maxlength="3"
+                   value="${settings.account_currency || 'USD'}" required>
+          </div>
+        </div>
+        <div class="text-end mt-3">
+          <button type="submit" class="btn btn-primary">Save Limits</button>
+        </div>
+      </form>
+    `, { title: 'Risk Limits' });
+
+    document.getElementById('risk-settings-form')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      try {
+        const response = await window.apiService?.risk.saveSettings(Object.fromEntries(new FormData(e.target)));
+        this.settings = response?.data?.settings || this.settings;
+        tradersHelmet.showNotification('Risk limits saved', 'success');
+
+        // Back to the calculator with the trade that was being sized
+        if (trade) {
+          this.showCalculator({
+            id: trade.signal_id,
+            symbol: trade.symbol,
+            signal_type: trade.instrument_type,
+            action: trade.action,
+            entry_price: trade.entry_price,
+            stop_loss: trade.stop_loss,
+            take_profit: trade.take_profit
+          });
+        } else {
+          tradersHelmet.closeModal();
+        }
+      } catch (error) {
+        console.error('Failed to save risk settings:', error);
+        tradersHelmet.showNotification(THA_Utils.error.getApiErrorMessage(error, 'Failed to save risk limits'), 'error');
+      }
+    });
+  }
+
+  /**
+   * Utility methods
+   */
+  formatMoney(amount, currency = 'USD') {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  }
+}
+
+// Initialize risk manager when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  if (window.authService?.isAuthenticated()) {
+    window.riskManager = new RiskManager();
+  }
+});
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.RiskManager = RiskManager;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RiskManager;
+}
@@ -12,13 +12,9 @@ class SignalsManager {
     this.signalHistory = new Map();
     this.subscriptions = new Map();
     this.favorites = new Set();
-    this.filters = {
-      type: 'all',
-      status: 'all',
-      symbol: '',
-      risk: 'all',
-      dateRange: 'all'
-    };
+    this.analysts = [];
+    this.presets = [];
+    this.filters = this.getDefaultFilters();
     this.realTimeEnabled = true;
     this.autoRefresh = true;
     this.refreshInterval = null;
@@ -40,7 +36,7 @@ class SignalsManager {
       diamond: {
         dailySignals: -1, // unlimited
         signalHistory: -1, // unlimited
-        features: ['all_signals', 'advanced_analytics', 'custom_alerts', 'api_access', 'favorites'],
+        features: ['all_signals', 'advanced_analytics', 'custom_alerts', 'api_access', 'signal_export', 'favorites'],
         refreshRate: 15000 // 15 seconds
       },
       admin: {
@@ -66,10 +62,15 @@ class SignalsManager {
       // Load user favorites
       await this.loadFavorites();
 
+      // Filters from a shared URL, otherwise the ones last used
+      this.loadFiltersFromURL() || this.loadFiltersFromState();
+
       // Setup UI if container exists
       const container = document.getElementById('signals-container');
       if (container) {
         this.initializeSignalsUI();
+        this.loadAnalysts();
+        this.loadPresets();
       }
 
       // Setup real-time subscriptions
@@ -130,6 +131,9 @@ class SignalsManager {
                   <button class="btn btn-outline-primary btn-sm me-2" id="refresh-signals">
                     <i class="fas fa-sync"></i> Refresh
                   </button>
+                  <button class="btn btn-outline-secondary btn-sm me-2" id="view-leaderboard">
+                    <i class="fas fa-trophy"></i> Analysts
+                  </button>
                   ${this.hasFeature('alerts') ? `
                     <button class="btn btn-outline-warning btn-sm me-2" id="manage-alerts">
                       <i class="fas fa-bell"></i> Alerts
@@ -140,6 +144,11 @@ class SignalsManager {
                       <i class="fas fa-chart-bar"></i> Analytics
                     </button>
                   ` : ''}
+                  ${this.hasFeature('signal_export') ? `
+                    <button class="btn btn-outline-success btn-sm ms-2" id="export-signals">
+                      <i class="fas fa-file-export"></i> Export
+                    </button>
+                  ` : ''}
                 </div>
               </div>
             </div>
@@ -177,11 +186,16 @@ class SignalsManager {
                     <option value="high">High Risk</option>
                   </select>
                 </div>
-                <div class="col-md-3">
+                <div class="col-md-2">
+                  <select class="form-select" id="signal-analyst-filter">
+                    <option value="all">All Analysts</option>
+                  </select>
+                </div>
+                <div class="col-md-2">
                   <input type="text" class="form-control" id="symbol-search" 
                          placeholder="Search symbol (e.g., EURUSD, BTCUSD)">
                 </div>
-                <div class="col-md-2">
+                <div class="col-md-1">
                   <button class="btn btn-primary w-100" id="apply-filters">
                     <i class="fas fa-filter"></i> Filter
                   </button>
@@ -192,6 +206,44 @@ class SignalsManager {
                   </button>
                 </div>
               </div>
+              <div class="row mt-2">
+                <div class="col-md-4">
+                  <input type="search" class="form-control" id="signal-text-search"
+                         placeholder="Search titles, descriptions and tags">
+                </div>
+                <div class="col-md-2">
+                  <select class="form-select" id="signal-date-range">
+                    <option value="all">Any Date</option>
+                    <option value="24h">Last 24 Hours</option>
+                    <option value="7d">Last 7 Days</option>
+                    <option value="30d">Last 30 Days</option>
+                    <option value="90d">Last 90 Days</option>
+                    <option value="custom">Custom Range</option>
+                  </select>
+                </div>
+                <div class="col-md-2 d-none" id="signal-custom-dates">
+                  <div class="input-group">
+                    <input type="date" class="form-control" id="signal-date-from" title="From">
+                    <input type="date" class="form-control" id="signal-date-to" title="To">
+                  </div>
+                </div>
+                <div class="col-md-2">
+                  <div class="input-group" title="Confidence range (%)">
+                    <input type="number" class="form-control" id="signal-min-confidence" min="1" max="100" placeholder="Min %">
+                    <input type="number" class="form-control" id="signal-max-confidence" min="1" max="100" placeholder="Max %">
+                  </div>
+                </div>
+                <div class="col-md-2">
+                  <div class="input-group">
+                    <select class="form-select" id="signal-preset-select">
+                      <option value="">Presets</option>
+                    </select>
+                    <button class="btn btn-outline-secondary" id="manage-filter-presets" title="Save and share presets">
+                      <i class="fas fa-bookmark"></i>
+                    </button>
+                  </div>
+                </div>
+              </div>
             </div>
           </div>
         </div>
@@ -365,7 +417,7 @@ class SignalsManager {
       const filters = this.buildFiltersQuery();
       const response = await window.apiService?.signals.getAll(filters);
       
-      return response?.data || this.getMockActiveSignals();
+      return response?.data?.signals || this.getMockActiveSignals();
     } catch (error) {
       console.error('Failed to fetch active signals:', error);
       return this.getMockActiveSignals();
@@ -378,7 +430,7 @@ class SignalsManager {
   async fetchSignalHistory() {
     try {
       const response = await window.apiService?.signals.getHistory();
-      return response?.data || this.getMockSignalHistory();
+      return response?.data?.signals || this.getMockSignalHistory();
     } catch (error) {
       console.error('Failed to fetch signal history:', error);
       return this.getMockSignalHistory();
@@ -395,10 +447,58 @@ class SignalsManager {
     if (this.filters.status !== 'all') query.status = this.filters.status;
     if (this.filters.risk !== 'all') query.risk_level = this.filters.risk;
     if (this.filters.symbol) query.symbol = this.filters.symbol;
+    if (this.filters.analyst !== 'all') query.author = this.filters.analyst;
+    if (this.filters.search) query.search = this.filters.search;
+    if (this.filters.minConfidence) query.min_confidence = this.filters.minConfidence;
+    if (this.filters.maxConfidence) query.max_confidence = this.filters.maxConfidence;
+
+    const { from, to } = this.getDateRangeBounds();
+    if (from) query.from = from;
+    if (to) query.to = to;
     
     return query;
   }
 
+  /**
+   * Filters with nothing selected
+   */
+  getDefaultFilters() {
+    return {
+      type: 'all',
+      status: 'all',
+      symbol: '',
+      risk: 'all',
+      analyst: 'all',
+      search: '',
+      dateRange: 'all',
+      dateFrom: '',
+      dateTo: '',
+      minConfidence: '',
+      maxConfidence: ''
+    };
+  }
+
+  /**
+   * created_at bounds for the date range filter. Presets keep relative ranges
+   * ('7d') so a shared preset always means the last seven days.
+   */
+  getDateRangeBounds() {
+    const days = { '24h': 1, '7d': 7, '30d': 30, '90d': 90 }[this.filters.dateRange];
+
+    if (days) {
+      return { from: new Date(Date.now() - days * 86400000).toISOString(), to: null };
+    }
+
+    if (this.filters.dateRange === 'custom') {
+      return {
+        from: this.filters.dateFrom ? new Date(`${this.filters.dateFrom}T00:00:00`).toISOString() : null,
+        to: this.filters.dateTo ? new Date(`${this.filters.dateTo}T23:59:59.999`).toISOString() : null
+      };
+    }
+
+    return { from: null, to: null };
+  }
+
   /**
    * Render active signals
    */
@@ -427,6 +527,91 @@ class SignalsManager {
     container.innerHTML = signals.map(signal => this.generateSignalCard(signal)).join('');
   }
 
+  /**
+   * Warning badge for active signals inside an economic event blackout window
+   * (event_risk is attached by the API from the imported calendar)
+   */
+  generateEventRiskBadge(signal) {
+    if (!signal.event_risk?.length) return '';
+
+    const describe = (event) => {
+      const minutes = event.minutes_until;
+      const when = minutes > 0 ? `in ${minutes} min` : minutes === 0 ? 'now' : `${-minutes} min ago`;
+      return `${event.currency} ${event.title} (${event.impact} impact) ${when}`;
+    };
+    const details = THA_Utils.string.escapeHtml(signal.event_risk.map(describe).join('\n'));
+
+    return `
+      <span class="badge bg-warning text-dark event-risk-badge" title="${details}">
+        <i class="fas fa-exclamation-triangle"></i> News risk
+      </span>
+    `;
+  }
+
+  /**
+   * Member feedback totals (took / skipped, average clarity) and the caller's own reaction
+   */
+  generateFeedbackSummary(signal, canView) {
+    if (!signal.feedback) return '';
+
+    const { took, skipped, took_rate: tookRate, avg_clarity: avgClarity, ratings } = signal.feedback;
+    const mine = signal.my_feedback;
+
+    return `
+      <div class="signal-feedback">
+        <span title="Members who took or skipped this signal">
+          <i class="fas fa-check"></i> ${took} took · ${skipped} skipped${tookRate !== null ? ` (${tookRate}%)` : ''}
+        </span>
+        ${avgClarity !== null ? `
+          <span title="Average clarity rating from ${ratings} members">
+            <i class="fas fa-star text-warning"></i> ${avgClarity}/5
+          </span>
+        ` : ''}
+        ${canView ? `
+          <button class="btn btn-sm btn-link p-0" onclick="signalsManager.showFeedbackModal('${signal.id}')">
+            ${mine ? `<i class="fas fa-comment-dots"></i> You ${mine.reaction || 'rated'}` : '<i class="far fa-comment-dots"></i> Give feedback'}
+          </button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Take-profit price items: one per rung, hit rungs ticked with their partial close
+   */
+  generateTargetLadder(signal) {
+    const targets = THA_Utils.trading.getTakeProfitTargets(signal);
+
+    if (targets.length <= 1) {
+      return `
+        <div class="price-item">
+          <label>Take Profit</label>
+          <span class="price text-success">${this.formatPrice(signal.take_profit)}</span>
+        </div>
+      `;
+    }
+
+    return targets.map(target => `
+      <div class="price-item target-rung ${target.status === 'hit' ? 'target-hit' : ''}"
+           title="${target.status === 'hit' ? `Hit ${this.formatFullDate(target.hit_at)}` : 'Pending'}">
+        <label>
+          TP${target.level} <small class="text-muted">${target.close_percent}%</small>
+          ${target.status === 'hit' ? '<i class="fas fa-check-circle text-success"></i>' : ''}
+        </label>
+        <span class="price text-success">${this.formatPrice(target.price)}</span>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Whether the stop has been moved to entry after a target was hit
+   */
+  isStopAtBreakeven(signal) {
+    return signal.initial_stop_loss !== null && signal.initial_stop_loss !== undefined &&
+      parseFloat(signal.stop_loss) === parseFloat(signal.entry_price) &&
+      parseFloat(signal.initial_stop_loss) !== parseFloat(signal.stop_loss);
+  }
+
   /**
    * Generate signal card HTML
    */
@@ -463,6 +648,17 @@ class SignalsManager {
                     <i class="fas fa-bell"></i> Create Alert
                   </a></li>
                 ` : ''}
+                <li><a class="dropdown-item" href="#" onclick="signalsManager.logTrade('${signal.id}')">
+                  <i class="fas fa-book"></i> Log Trade
+                </a></li>
+                <li><a class="dropdown-item" href="#" onclick="signalsManager.openRiskCalculator('${signal.id}')">
+                  <i class="fas fa-calculator"></i> Risk Calculator
+                </a></li>
+                ${canView && signal.status === 'active' ? `
+                  <li><a class="dropdown-item" href="#" onclick="signalsManager.paperTradeSignal('${signal.id}')">
+                    <i class="fas fa-flask"></i> Paper Trade
+                  </a></li>
+                ` : ''}
                 <li><a class="dropdown-item" href="#" onclick="signalsManager.shareSignal('${signal.id}')">
                   <i class="fas fa-share"></i> Share
                 </a></li>
@@ -476,6 +672,7 @@ class SignalsManager {
             <div class="signal-action">
               <span class="action-badge ${signal.action}">${signal.action.toUpperCase()}</span>
               <span class="risk-badge ${signal.risk_level}">${signal.risk_level.toUpperCase()}</span>
+              ${this.generateEventRiskBadge(signal)}
             </div>
             
             ${canView ? `
@@ -485,13 +682,10 @@ class SignalsManager {
                   <span class="price">${this.formatPrice(signal.entry_price)}</span>
                 </div>
                 <div class="price-item">
-                  <label>Stop Loss</label>
+                  <label>Stop Loss${this.isStopAtBreakeven(signal) ? ' <span class="badge bg-info">BE</span>' : ''}</label>
                   <span class="price text-danger">${this.formatPrice(signal.stop_loss)}</span>
                 </div>
-                <div class="price-item">
-                  <label>Take Profit</label>
-                  <span class="price text-success">${this.formatPrice(signal.take_profit)}</span>
-                </div>
+                ${this.generateTargetLadder(signal)}
               </div>
             ` : `
               <div class="signal-locked">
@@ -510,11 +704,18 @@ class SignalsManager {
             </div>
           ` : ''}
 
+          ${this.generateFeedbackSummary(signal, canView)}
+
           <div class="signal-footer">
             <div class="signal-meta">
               <span class="signal-time">
                 <i class="fas fa-clock"></i> ${timeAgo}
               </span>
+              ${signal.author ? `
+                <a href="#" class="signal-author" onclick="signalsManager.showAnalystProfile('${signal.author.id}'); return false;">
+                  <i class="fas fa-user-tie"></i> ${THA_Utils.string.escapeHtml(signal.author.display_name)}
+                </a>
+              ` : ''}
               ${signal.confidence ? `
                 <span class="signal-confidence">
                   <i class="fas fa-percent"></i> ${signal.confidence}% confidence
@@ -573,8 +774,12 @@ class SignalsManager {
     // Subscribe to trading signals updates
     const signalsChannel = window.supabaseManager.subscribeToSignals();
     
-    // Listen for real-time updates
+    // Listen for real-time updates. RLS already holds back rows until the user's tier is
+    // released; broadcasts reach everyone, so they are checked against released_tiers here
     window.supabaseManager.on('realtime:signals', (payload) => {
+      const signal = payload.eventType === 'DELETE' ? payload.old : payload.new;
+      if (!this.isReleasedToUser(signal)) return;
+
       this.handleRealTimeUpdate(payload);
     });
 
@@ -585,14 +790,19 @@ class SignalsManager {
    * Handle real-time signal updates
    */
   handleRealTimeUpdate(payload) {
-    const { eventType, new: newSignal, old: oldSignal } = payload;
+    const { eventType, new: newSignal, old: oldSignal, amendment } = payload;
     
     switch (eventType) {
       case 'INSERT':
         this.handleNewSignal(newSignal);
         break;
       case 'UPDATE':
-        this.handleSignalUpdate(newSignal, oldSignal);
+        // Publishing and tier releases are row updates; full rows carry the levels
+        if (!this.activeSignals.has(newSignal.id) && newSignal.status === 'active' && 'entry_price' in newSignal) {
+          this.handleNewSignal(newSignal);
+        } else {
+          this.handleSignalUpdate(newSignal, oldSignal, amendment);
+        }
         break;
       case 'DELETE':
         this.handleSignalDelete(oldSignal);
@@ -600,6 +810,18 @@ class SignalsManager {
     }
   }
 
+  /**
+   * Whether the user's tier embargo on a signal has lifted. Tiers outside tier_access
+   * get the locked preview once every entitled tier has been released.
+   */
+  isReleasedToUser(signal) {
+    if (!signal || this.userTier === 'admin') return true;
+    if (!Array.isArray(signal.released_tiers)) return true;
+    if (signal.released_tiers.includes(this.userTier)) return true;
+
+    return !signal.next_release_at && !(signal.tier_access || []).includes(this.userTier);
+  }
+
   /**
    * Handle new signal
    */
@@ -623,20 +845,28 @@ class SignalsManager {
   }
 
   /**
-   * Handle signal update
+   * Handle signal update; amendment metadata arrives with API broadcasts
    */
-  handleSignalUpdate(newSignal, oldSignal) {
+  handleSignalUpdate(newSignal, oldSignal, amendment = null) {
+    // Broadcasts for signals still being released omit the symbol, so name it from the local copy
+    const symbol = newSignal.symbol || this.activeSignals.get(newSignal.id)?.symbol;
+
     if (this.activeSignals.has(newSignal.id)) {
-      this.activeSignals.set(newSignal.id, newSignal);
+      // Lifecycle broadcasts carry a subset of columns, so merge rather than replace
+      if (newSignal.status && newSignal.status !== 'active') {
+        this.activeSignals.delete(newSignal.id);
+      } else {
+        this.activeSignals.set(newSignal.id, { ...this.activeSignals.get(newSignal.id), ...newSignal });
+      }
       this.renderActiveSignals();
       this.updateSignalsStats();
     }
     
     // If signal was closed, show notification
-    if (oldSignal.status === 'active' && newSignal.status === 'closed') {
+    if (oldSignal?.status === 'active' && newSignal.status === 'closed') {
       if (window.notificationManager) {
         window.notificationManager.showNotification(
-          `Signal ${newSignal.symbol} closed with ${newSignal.result}`,
+          `Signal ${symbol} closed with ${newSignal.result}`,
           'signal',
           {
             title: 'Signal Closed',
@@ -645,6 +875,117 @@ class SignalsManager {
         );
       }
     }
+
+    // Level changes get their own notice; closes are announced above
+    if (amendment?.fields?.some(field => field !== 'status')) {
+      this.announceAmendment(newSignal, amendment);
+    }
+  }
+
+  /**
+   * Fetch an amendment's diff, apply the new levels locally and tell the subscriber
+   * what changed. Broadcasts carry no prices, so tiers that cannot view the signal
+   * are skipped.
+   */
+  async announceAmendment(signal, amendment) {
+    const current = this.activeSignals.get(signal.id) || this.signalHistory.get(signal.id) || signal;
+    if (!this.canViewSignal(current)) return;
+
+    try {
+      const response = await window.apiService?.signals.getAmendments(signal.id);
+      const record = (response?.data?.amendments || []).find(item => item.version === amendment.version);
+      if (!record) return;
+
+      if (this.activeSignals.has(signal.id)) {
+        const levels = {};
+        Object.entries(record.changes).forEach(([field, change]) => {
+          if (field !== 'take_profit_targets') levels[field] = change.to;
+        });
+        this.activeSignals.set(signal.id, { ...this.activeSignals.get(signal.id), ...levels });
+        this.renderActiveSignals();
+      }
+
+      window.notificationManager?.showNotification(
+        `${current.symbol}: ${this.describeAmendmentChanges(record.changes).join(', ')}` +
+          (record.reason ? ` (${record.reason})` : ''),
+        'signal',
+        {
+          title: 'Signal Updated',
+          url: `/signals/#${signal.id}`,
+          data: { signalId: signal.id, version: record.version }
+        }
+      );
+    } catch (error) {
+      console.error('Failed to load signal amendment:', error);
+    }
+  }
+
+  /**
+   * Human-readable old -> new lines for an amendment's changes
+   */
+  describeAmendmentChanges(changes) {
+    const labels = { entry_price: 'Entry', stop_loss: 'SL', take_profit: 'TP', status: 'Status' };
+    const lines = [];
+
+    Object.entries(changes).forEach(([field, { from, to }]) => {
+      if (field === 'take_profit_targets') {
+        const levels = new Set([...(from || []), ...(to || [])].map(target => target.level));
+        [...levels].sort((a, b) => a - b).forEach(level => {
+          const before = (from || []).find(target => target.level === level);
+          const after = (to || []).find(target => target.level === level);
+
+          if (!after) {
+            lines.push(`TP${level} removed`);
+          } else if (!before) {
+            lines.push(`TP${level} added at ${this.formatPrice(after.price)}`);
+          } else if (before.price !== after.price) {
+            lines.push(`TP${level} ${this.formatPrice(before.price)} → ${this.formatPrice(after.price)}`);
+          } else if (before.status !== 'hit' && after.status === 'hit') {
+            lines.push(`TP${level} hit`);
+          }
+        });
+        return;
+      }
+
+      // A ladder change already covers the final target
+      if (field === 'take_profit' && changes.take_profit_targets) return;
+
+      const format = value => (field === 'status' ? value : this.formatPrice(value));
+      lines.push(`${labels[field] || field} ${from === null ? '-' : format(from)} → ${to === null ? '-' : format(to)}`);
+    });
+
+    return lines;
+  }
+
+  /**
+   * Load the amendment timeline into the open details modal
+   */
+  async loadAmendmentTimeline(signalId) {
+    const container = document.getElementById('signal-amendments-timeline');
+    if (!container) return;
+
+    try {
+      const response = await window.apiService?.signals.getAmendments(signalId);
+      const amendments = response?.data?.amendments || [];
+
+      container.innerHTML = amendments.length === 0 ?
+        '<p class="text-muted">No changes since publishing.</p>' :
+        `<ul class="list-unstyled amendment-timeline">
+          ${amendments.slice().reverse().map(amendment => `
+            <li class="mb-2">
+              <div>
+                <strong>v${amendment.version}</strong>
+                <small class="text-muted">${this.formatFullDate(amendment.created_at)}</small>
+                ${amendment.reason ? `— ${THA_Utils.string.escapeHtml(amendment.reason)}` : ''}
+              </div>
+              <small>${this.describeAmendmentChanges(amendment.changes).join('<br>')}</small>
+            </li>
+          `).join('')}
+        </ul>`;
+    } catch (error) {
+      console.error('Failed to load signal amendments:', error);
+      container.innerHTML = '<p class="text-muted">Change history unavailable.</p>';
+    }
   }
 
   /**
@@ -691,6 +1032,12 @@ class SignalsManager {
         case 'view-analytics':
           this.showAnalyticsModal();
           break;
+        case 'export-signals':
+          this.showExportModal();
+          break;
+        case 'view-leaderboard':
+          this.showLeaderboardModal();
+          break;
       }
     });
 
@@ -719,6 +1066,22 @@ class SignalsManager {
         }, 500)
       );
     }
+
+    const textSearch = document.getElementById('signal-text-search');
+    if (textSearch) {
+      textSearch.addEventListener('input', 
+        THA_Utils.performance.debounce(() => this.applyFilters(), 500)
+      );
+    }
+
+    document.getElementById('signal-date-range')?.addEventListener('change', (e) => {
+      document.getElementById('signal-custom-dates')?.classList.toggle('d-none', e.target.value !== 'custom');
+    });
+
+    document.getElementById('signal-preset-select')?.addEventListener('change', (e) => {
+      if (e.target.value) this.applyPreset(e.target.value);
+    });
+    document.getElementById('manage-filter-presets')?.addEventListener('click', () => this.showPresetsModal());
   }
 
   /**
@@ -739,6 +1102,8 @@ class SignalsManager {
         });
       }
     });
+
+    this.syncFiltersToUI();
   }
 
   /**
@@ -763,7 +1128,14 @@ class SignalsManager {
       type: document.getElementById('signal-type-filter'),
       status: document.getElementById('signal-status-filter'),
       risk: document.getElementById('risk-level-filter'),
-      symbol: document.getElementById('symbol-search')
+      analyst: document.getElementById('signal-analyst-filter'),
+      symbol: document.getElementById('symbol-search'),
+      search: document.getElementById('signal-text-search'),
+      dateRange: document.getElementById('signal-date-range'),
+      dateFrom: document.getElementById('signal-date-from'),
+      dateTo: document.getElementById('signal-date-to'),
+      minConfidence: document.getElementById('signal-min-confidence'),
+      maxConfidence: document.getElementById('signal-max-confidence')
     };
 
     Object.entries(filterElements).forEach(([key, element]) => {
@@ -777,26 +1149,616 @@ class SignalsManager {
    * Clear all filters
    */
   clearFilters() {
-    this.filters = {
-      type: 'all',
-      status: 'all',
-      symbol: '',
-      risk: 'all',
-      dateRange: 'all'
-    };
+    this.filters = this.getDefaultFilters();
 
     // Reset UI elements
-    const elements = ['signal-type-filter', 'signal-status-filter', 'risk-level-filter'];
-    elements.forEach(id => {
+    this.syncFiltersToUI();
+    const presetSelect = document.getElementById('signal-preset-select');
+    if (presetSelect) presetSelect.value = '';
+
+    // Reload signals
+    this.loadSignals();
+    this.updateURLParams();
+  }
+
+  /**
+   * Show the current filters in the filter controls
+   */
+  syncFiltersToUI() {
+    const filterElements = {
+      'signal-type-filter': this.filters.type,
+      'signal-status-filter': this.filters.status,
+      'risk-level-filter': this.filters.risk,
+      'signal-analyst-filter': this.filters.analyst,
+      'symbol-search': this.filters.symbol,
+      'signal-text-search': this.filters.search,
+      'signal-date-range': this.filters.dateRange,
+      'signal-date-from': this.filters.dateFrom,
+      'signal-date-to': this.filters.dateTo,
+      'signal-min-confidence': this.filters.minConfidence,
+      'signal-max-confidence': this.filters.maxConfidence
+    };
+
+    Object.entries(filterElements).forEach(([id, value]) => {
       const element = document.getElementById(id);
-      if (element) element.value = 'all';
+      if (element) element.value = value;
     });
 
-    const symbolSearch = document.getElementById('symbol-search');
-    if (symbolSearch) symbolSearch.value = '';
+    document.getElementById('signal-custom-dates')?.classList.toggle('d-none', this.filters.dateRange !== 'custom');
+  }
 
-    // Reload signals
-    this.loadSignals();
+  /**
+   * Read filters from the query string (a shared preset link). Returns whether any were set.
+   */
+  loadFiltersFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    const keys = Object.keys(this.filters).filter(key => params.has(key));
+
+    keys.forEach(key => {
+      this.filters[key] = params.get(key);
+    });
+
+    return keys.length > 0;
+  }
+
+  /**
+   * Restore the filters last used, persisted by the state manager
+   */
+  loadFiltersFromState() {
+    const saved = window.stateManager?.getState('signals.filters');
+    if (!saved) return;
+
+    Object.keys(this.filters).forEach(key => {
+      if (saved[key] !== undefined && saved[key] !== null) this.filters[key] = saved[key];
+    });
+  }
+
+  /**
+   * Fill the presets dropdown with the member's saved filter presets
+   */
+  async loadPresets() {
+    try {
+      const response = await window.apiService?.signals.getPresets();
+      this.presets = response?.data?.presets || [];
+    } catch (error) {
+      console.error('Failed to load filter presets:', error);
+      return;
+    }
+
+    const select = document.getElementById('signal-preset-select');
+    if (!select) return;
+
+    select.innerHTML = `
+      <option value="">Presets</option>
+      ${this.presets.map(preset => `<option value="${preset.id}">${THA_Utils.string.escapeHtml(preset.name)}</option>`).join('')}
+    `;
+  }
+
+  /**
+   * Replace the current filters with a saved preset
+   */
+  async applyPreset(presetId) {
+    const preset = this.presets.find(item => item.id === presetId);
+    if (!preset) return;
+
+    this.filters = { ...this.getDefaultFilters(), ...preset.filters };
+    this.syncFiltersToUI();
+
+    const select = document.getElementById('signal-preset-select');
+    if (select) select.value = presetId;
+
+    await this.loadSignals();
+    this.updateURLParams();
+  }
+
+  /**
+   * Apply a preset and copy the resulting page URL so others can open the same filters
+   */
+  async sharePreset(presetId) {
+    await this.applyPreset(presetId);
+    await THA_Utils.dom.copyToClipboard(window.location.href);
+    tradersHelmet.showNotification('Link to this preset copied to clipboard', 'success');
+  }
+
+  /**
+   * Save the current filters under a name, and list saved presets to apply, share or delete
+   */
+  showPresetsModal() {
+    this.updateFiltersFromUI();
+
+    tradersHelmet.showModal(`
+      <form id="filter-preset-form" class="row g-2 align-items-end mb-3">
+        <div class="col-md-9">
+          <label class="form-label" for="filter-preset-name">Save current filters as</label>
+          <input type="text" class="form-control" id="filter-preset-name" name="name" maxlength="60" required>
+        </div>
+        <div class="col-md-3">
+          <button type="submit" class="btn btn-primary w-100">Save</button>
+        </div>
+      </form>
+      ${this.presets.length === 0 ? '<p class="text-muted">No saved presets yet</p>' : `
+        <table class="table table-sm">
+          <tbody>
+            ${this.presets.map(preset => `
+              <tr>
+                <td>${THA_Utils.string.escapeHtml(preset.name)}</td>
+                <td class="text-end">
+                  <button class="btn btn-sm btn-outline-primary" data-apply-preset="${preset.id}">Apply</button>
+                  <button class="btn btn-sm btn-outline-secondary" data-share-preset="${preset.id}">Share</button>
+                  <button class="btn btn-sm btn-outline-danger" data-delete-preset="${preset.id}">Delete</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
+    `, { title: 'Filter Presets' });
+
+    document.getElementById('filter-preset-form')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const name = new FormData(e.target).get('name').trim();
+      const filters = Object.fromEntries(
+        Object.entries(this.filters).filter(([, value]) => value && value !== 'all')
+      );
+
+      try {
+        await window.apiService?.signals.savePreset(name, filters);
+        tradersHelmet.showNotification('Filter preset saved', 'success');
+        await this.loadPresets();
+        this.showPresetsModal();
+      } catch (error) {
+        console.error('Failed to save filter preset:', error);
+        tradersHelmet.showNotification('Failed to save filter preset', 'error');
+      }
+    });
+
+    document.querySelectorAll('[data-apply-preset]').forEach(button => {
+      button.addEventListener('click', () => {
+        tradersHelmet.closeModal();
+        this.applyPreset(button.dataset.applyPreset);
+      });
+    });
+
+    document.querySelectorAll('[data-share-preset]').forEach(button => {
+      button.addEventListener('click', () => {
+        tradersHelmet.closeModal();
+        this.sharePreset(button.dataset.sharePreset);
+      });
+    });
+
+    document.querySelectorAll('[data-delete-preset]').forEach(button => {
+      button.addEventListener('click', async () => {
+        try {
+          await window.apiService?.signals.deletePreset(button.dataset.deletePreset);
+          await this.loadPresets();
+          this.showPresetsModal();
+        } catch (error) {
+          console.error('Failed to delete filter preset:', error);
+          tradersHelmet.showNotification('Failed to delete filter preset', 'error');
+        }
+      });
+    });
+  }
+
+  /**
+   * Open the price alerts modal (owned by MarketDataManager)
+   */
+  showAlertsModal(preset = {}) {
+    if (!window.marketData) {
+      tradersHelmet.showNotification('Price alerts are not available on this page', 'warning');
+      return;
+    }
+
+    window.marketData.showAlertsModal(preset);
+  }
+
+  /**
+   * Export options: file format, which signals, and the account used for lot sizing
+   */
+  showExportModal() {
+    if (!this.hasFeature('signal_export')) {
+      this.showUpgradeModal();
+      return;
+    }
+
+    const content = `
+      <div class="signal-export">
+        <p class="text-muted small">
+          Exports the signals matching your current filters. Lots are sized from your account
+          balance and currency and the percentage you risk per signal.
+        </p>
+        <div class="row g-3">
+          <div class="col-md-6">
+            <label class="form-label" for="export-format">Format</label>
+            <select class="form-select" id="export-format">
+              <option value="csv">CSV (spreadsheet)</option>
+              <option value="mt4">MT4/MT5 (.set)</option>
+              <option value="json">JSON</option>
+            </select>
+          </div>
+          <div class="col-md-6">
+            <label class="form-label" for="export-scope">Signals</label>
+            <select class="form-select" id="export-scope">
+              <option value="active">Active</option>
+              <option value="history">History</option>
+              <option value="all">Active and history</option>
+            </select>
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="export-balance">Account Balance</label>
+            <input type="number" class="form-control" id="export-balance" min="1" step="any" value="10000">
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="export-currency">Account Currency</label>
+            <input type="text" class="form-control text-uppercase" id="export-currency" maxlength="3" value="USD">
+          </div>
+          <div class="col-md-4">
+            <label class="form-label" for="export-risk">Risk per Signal (%)</label>
+            <input type="number" class="form-control" id="export-risk" min="0.01" max="100" step="0.01" value="1">
+          </div>
+        </div>
+        <div class="text-end mt-3">
+          <button class="btn btn-success" id="download-export" onclick="signalsManager.exportSignals()">
+            <i class="fas fa-download"></i> Download
+          </button>
+        </div>
+      </div>
+    `;
+
+    tradersHelmet.showModal(content, {
+      title: 'Export Signals'
+    });
+  }
+
+  /**
+   * Download the export with the current filters applied
+   */
+  async exportSignals() {
+    const format = document.getElementById('export-format')?.value || 'csv';
+    const accountBalance = parseFloat(document.getElementById('export-balance')?.value);
+    const riskPercent = parseFloat(document.getElementById('export-risk')?.value);
+    const accountCurrency = (document.getElementById('export-currency')?.value || 'USD').trim().toUpperCase();
+
+    if (!(accountBalance > 0) || !(riskPercent > 0) || riskPercent > 100) {
+      tradersHelmet.showNotification('Enter a positive balance and a risk between 0 and 100%', 'warning');
+      return;
+    }
+
+    try {
+      const response = await window.apiService.signals.export({
+        ...this.buildFiltersQuery(),
+        format,
+        scope: document.getElementById('export-scope')?.value || 'active',
+        account_balance: accountBalance,
+        account_currency: accountCurrency,
+        risk_percent: riskPercent
+      });
+
+      // The server names the file; JSON arrives parsed and is written back out
+      const disposition = response.headers?.get('content-disposition') || '';
+      const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || `tha-signals.${format === 'mt4' ? 'set' : format}`;
+      const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data, null, 2);
+
+      const blob = new Blob([body], { type: format === 'json' ? 'application/json' : 'text/plain' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      a.click();
+      URL.revokeObjectURL(url);
+
+      tradersHelmet.closeModal();
+      tradersHelmet.showNotification('Signals exported', 'success');
+    } catch (error) {
+      console.error('Failed to export signals:', error);
+      tradersHelmet.showNotification(
+        error.response?.status === 403 ? 'Signal export is available on the Diamond tier' : 'Failed to export signals',
+        'error'
+      );
+    }
+  }
+
+  /**
+   * Ask whether the member took the signal, how clear it was and for a short comment
+   */
+  showFeedbackModal(signalId) {
+    const signal = this.activeSignals.get(signalId) || this.signalHistory.get(signalId);
+    const mine = signal?.my_feedback || {};
+
+    tradersHelmet.showModal(`
+      <form id="signal-feedback-form">
+        <div class="mb-3">
+          <label class="form-label d-block">Did you take this trade?</label>
+          <div class="btn-group" role="group">
+            <input type="radio" class="btn-check" name="reaction" id="feedback-took" value="took" ${mine.reaction === 'took' ? 'checked' : ''}>
+            <label class="btn btn-outline-success" for="feedback-took">Took it</label>
+            <input type="radio" class="btn-check" name="reaction" id="feedback-skipped" value="skipped" ${mine.reaction === 'skipped' ? 'checked' : ''}>
+            <label class="btn btn-outline-secondary" for="feedback-skipped">Skipped</label>
+          </div>
+        </div>
+        <div class="mb-3">
+          <label class="form-label" for="feedback-clarity">How clear was the signal?</label>
+          <select class="form-select" id="feedback-clarity" name="clarity_rating">
+            <option value="">No rating</option>
+            ${[5, 4, 3, 2, 1].map(rating => `
+              <option value="${rating}" ${mine.clarity_rating === rating ? 'selected' : ''}>${'★'.repeat(rating)} (${rating})</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="mb-3">
+          <label class="form-label" for="feedback-comment">Comment</label>
+          <textarea class="form-control" id="feedback-comment" name="comment" rows="2" maxlength="280">${THA_Utils.string.escapeHtml(mine.comment || '')}</textarea>
+        </div>
+        <div class="text-end">
+          <button type="submit" class="btn btn-primary">Send Feedback</button>
+        </div>
+      </form>
+    `, { title: signal ? `Feedback: ${signal.symbol} ${signal.action.toUpperCase()}` : 'Signal Feedback' });
+
+    document.getElementById('signal-feedback-form')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const formData = new FormData(e.target);
+      await this.saveFeedback(signalId, {
+        reaction: formData.get('reaction') || null,
+        clarity_rating: formData.get('clarity_rating') ? parseInt(formData.get('clarity_rating')) : null,
+        comment: formData.get('comment').trim() || null
+      });
+    });
+  }
+
+  /**
+   * Save the member's feedback and refresh the totals on the card
+   */
+  async saveFeedback(signalId, feedback) {
+    try {
+      await window.apiService?.signals.saveFeedback(signalId, feedback);
+      tradersHelmet.closeModal();
+      tradersHelmet.showNotification('Thanks for your feedback', 'success');
+      await this.loadSignals();
+    } catch (error) {
+      console.error('Failed to save signal feedback:', error);
+      tradersHelmet.showNotification('Failed to save feedback', 'error');
+    }
+  }
+
+  /**
+   * Fill the analyst filter with analysts who have a public profile
+   */
+  async loadAnalysts() {
+    try {
+      const response = await window.apiService?.analysts.getAll();
+      this.analysts = response?.data?.analysts || [];
+    } catch (error) {
+      console.error('Failed to load analysts:', error);
+      return;
+    }
+
+    const select = document.getElementById('signal-analyst-filter');
+    if (!select) return;
+
+    select.innerHTML = `
+      <option value="all">All Analysts</option>
+      ${this.analysts.map(analyst => `
+        <option value="${analyst.id}" ${this.filters.analyst === analyst.id ? 'selected' : ''}>${THA_Utils.string.escapeHtml(analyst.display_name)}</option>
+      `).join('')}
+    `;
+  }
+
+  /**
+   * Show only one analyst's signals
+   */
+  async filterByAnalyst(analystId) {
+    const select = document.getElementById('signal-analyst-filter');
+    if (select && !select.querySelector(`option[value="${analystId}"]`)) {
+      const analyst = this.analysts.find(item => item.id === analystId);
+      select.insertAdjacentHTML('beforeend', `<option value="${analystId}">${THA_Utils.string.escapeHtml(analyst?.display_name || 'Analyst')}</option>`);
+    }
+    if (select) select.value = analystId;
+
+    this.filters.analyst = analystId;
+    tradersHelmet.closeModal();
+    await this.loadSignals();
+    this.updateURLParams();
+  }
+
+  /**
+   * Analysts ranked over a period by pips, win rate, average R or expectancy
+   */
+  async showLeaderboardModal(period = '30d', rankBy = 'pips') {
+    let response;
+    try {
+      response = await window.apiService?.analysts.getLeaderboard(period, rankBy);
+    } catch (error) {
+      console.error('Failed to load leaderboard:', error);
+      tradersHelmet.showNotification('Failed to load the analyst leaderboard', 'error');
+      return;
+    }
+
+    const leaderboard = response?.data?.leaderboard || [];
+    const periods = { '30d': '30 Days', '90d': '90 Days', '1y': '12 Months', all: 'All Time' };
+    const rankings = { pips: 'Pips', win_rate: 'Win Rate', avg_r: 'Average R', expectancy: 'Expectancy' };
+
+    tradersHelmet.showModal(`
+      <div class="row g-2 mb-3">
+        <div class="col-md-6">
+          <select class="form-select" id="leaderboard-period">
+            ${Object.entries(periods).map(([value, label]) => `
+              <option value="${value}" ${value === period ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="col-md-6">
+          <select class="form-select" id="leaderboard-rank-by">
+            ${Object.entries(rankings).map(([value, label]) => `
+              <option value="${value}" ${value === rankBy ? 'selected' : ''}>Rank by ${label}</option>
+            `).join('')}
+          </select>
+        </div>
+      </div>
+      ${leaderboard.length === 0 ? `
+        <p class="text-muted">No analyst has closed ${response?.data?.minSignals || 5} signals in this period yet.</p>
+      ` : `
+        <table class="table table-sm table-hover">
+          <thead><tr><th>#</th><th>Analyst</th><th>Signals</th><th>Win Rate</th><th>Pips</th><th>Avg R</th><th>Max DD</th></tr></thead>
+          <tbody>
+            ${leaderboard.map(row => `
+              <tr>
+                <td>${row.rank}</td>
+                <td>
+                  <a href="#" onclick="signalsManager.showAnalystProfile('${row.analyst.id}', '${period}'); return false;">
+                    ${THA_Utils.string.escapeHtml(row.analyst.display_name)}
+                  </a>
+                  ${row.analyst.headline ? `<br><small class="text-muted">${THA_Utils.string.escapeHtml(row.analyst.headline)}</small>` : ''}
+                </td>
+                <td>${row.totalSignals}</td>
+                <td>${row.winRate}%</td>
+                <td class="${row.totalPips >= 0 ? 'text-success' : 'text-danger'}">${row.totalPips}</td>
+                <td>${row.avgRMultiple}</td>
+                <td>${row.maxDrawdown}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
+    `, { title: 'Analyst Leaderboard', size: 'large' });
+
+    const reload = () => this.showLeaderboardModal(
+      document.getElementById('leaderboard-period').value,
+      document.getElementById('leaderboard-rank-by').value
+    );
+    document.getElementById('leaderboard-period')?.addEventListener('change', reload);
+    document.getElementById('leaderboard-rank-by')?.addEventListener('change', reload);
+  }
+
+  /**
+   * Analyst profile: bio, specialities and track record overall and by instrument
+   */
+  async showAnalystProfile(analystId, period = 'all') {
+    let data;
+    try {
+      const response = await window.apiService?.analysts.getById(analystId, period);
+      data = response?.data;
+    } catch (error) {
+      console.error('Failed to load analyst profile:', error);
+      tradersHelmet.showNotification('Failed to load the analyst profile', 'error');
+      return;
+    }
+
+    if (!data?.analyst) return;
+
+    const { analyst, trackRecord, recentSignals = [], activeSignals } = data;
+
+    tradersHelmet.showModal(`
+      <div class="analyst-profile">
+        <div class="d-flex align-items-center mb-3">
+          ${analyst.avatar_url ? `<img src="${THA_Utils.string.escapeHtml(analyst.avatar_url)}" alt="" class="rounded-circle me-3" width="64" height="64">` : `
+            <i class="fas fa-user-tie fa-3x me-3 text-muted"></i>
+          `}
+          <div>
+            <h5 class="mb-0">${THA_Utils.string.escapeHtml(analyst.display_name)}</h5>
+            ${analyst.headline ? `<p class="text-muted mb-1">${THA_Utils.string.escapeHtml(analyst.headline)}</p>` : ''}
+            ${analyst.specialities.map(speciality => `<span class="badge bg-secondary me-1">${THA_Utils.string.escapeHtml(speciality)}</span>`).join('')}
+          </div>
+        </div>
+        ${analyst.bio ? `<p>${THA_Utils.string.escapeHtml(analyst.bio)}</p>` : ''}
+
+        <div class="row text-center mb-3">
+          <div class="col"><small class="text-muted d-block">Closed</small><strong>${trackRecord.totalSignals}</strong></div>
+          <div class="col"><small class="text-muted d-block">Active</small><strong>${activeSignals || 0}</strong></div>
+          <div class="col"><small class="text-muted d-block">Win Rate</small><strong>${trackRecord.winRate}%</strong></div>
+          <div class="col"><small class="text-muted d-block">Pips</small><strong>${trackRecord.totalPips}</strong></div>
+          <div class="col"><small class="text-muted d-block">Avg R</small><strong>${trackRecord.avgRMultiple}</strong></div>
+        </div>
+
+        ${trackRecord.bySymbol.length > 0 ? `
+          <h6>By Instrument</h6>
+          <table class="table table-sm">
+            <thead><tr><th>Symbol</th><th>Signals</th><th>Win Rate</th><th>Pips</th><th>Avg R</th></tr></thead>
+            <tbody>
+              ${trackRecord.bySymbol.map(group => `
+                <tr>
+                  <td>${group.key}</td>
+                  <td>${group.totalSignals}</td>
+                  <td>${group.winRate}%</td>
+                  <td>${group.totalPips}</td>
+                  <td>${group.avgRMultiple}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : '<p class="text-muted">No closed signals yet.</p>'}
+
+        ${recentSignals.length > 0 ? `
+          <h6>Recent Results</h6>
+          <ul class="list-unstyled">
+            ${recentSignals.map(signal => `
+              <li>
+                <span class="badge bg-${signal.result === 'profit' ? 'success' : signal.result === 'loss' ? 'danger' : 'secondary'}">${signal.result || '-'}</span>
+                ${signal.action.toUpperCase()} ${signal.symbol}
+                ${signal.pips_gained !== null ? `(${signal.pips_gained} pips)` : ''}
+                <small class="text-muted">${signal.closed_at ? this.formatFullDate(signal.closed_at) : ''}</small>
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+
+        <div class="text-end">
+          <button class="btn btn-primary" onclick="signalsManager.filterByAnalyst('${analyst.id}')">
+            <i class="fas fa-filter"></i> View Their Signals
+          </button>
+        </div>
+      </div>
+    `, { title: 'Analyst Profile', size: 'large' });
+  }
+
+  /**
+   * Alert when price nears this signal's stop loss or take profit
+   */
+  createAlert(signalId) {
+    const signal = this.activeSignals.get(signalId);
+    this.showAlertsModal({ symbol: signal?.symbol, signalId });
+  }
+
+  /**
+   * Record the member's own fill for this signal in the trade journal
+   */
+  logTrade(signalId) {
+    if (!window.tradeJournal) {
+      tradersHelmet.showNotification('The trade journal is not available on this page', 'warning');
+      return;
+    }
+
+    const signal = this.activeSignals.get(signalId);
+    if (signal) {
+      window.tradeJournal.showEntryModal(null, signal);
+    }
+  }
+
+  /**
+   * Size this signal against the member's risk limits
+   */
+  openRiskCalculator(signalId) {
+    if (!window.riskManager) {
+      tradersHelmet.showNotification('The risk calculator is not available on this page', 'warning');
+      return;
+    }
+
+    window.riskManager.showCalculator(this.activeSignals.get(signalId) || null);
+  }
+
+  /**
+   * Take this signal at the market in the member's paper account, sized from their default risk
+   */
+  paperTradeSignal(signalId) {
+    if (!window.paperTrading) {
+      tradersHelmet.showNotification('Paper trading is not available on this page', 'warning');
+      return;
+    }
+
+    const signal = this.activeSignals.get(signalId);
+    if (signal) {
+      window.paperTrading.tradeSignal(signal);
+    }
   }
 
   /**
@@ -835,7 +1797,7 @@ class SignalsManager {
 
     try {
       const response = await window.apiService?.signals.getFavorites();
-      const favorites = response?.data || [];
+      const favorites = response?.data?.signals || [];
       
       this.favorites.clear();
       favorites.forEach(signal => {
@@ -912,6 +1874,7 @@ class SignalsManager {
    */
   showSignalDetailsModal(signal) {
     const canView = this.canViewSignal(signal);
+    const targets = THA_Utils.trading.getTakeProfitTargets(signal);
     
     let content = `
       <div class="signal-details-modal">
@@ -933,13 +1896,18 @@ class SignalsManager {
             <span class="price-value">${this.formatPrice(signal.entry_price)}</span>
           </div>
           <div class="info-item">
-            <label>Stop Loss</label>
+            <label>Stop Loss${this.isStopAtBreakeven(signal) ? ' (moved to breakeven)' : ''}</label>
             <span class="price-value text-danger">${this.formatPrice(signal.stop_loss)}</span>
           </div>
-          <div class="info-item">
-            <label>Take Profit</label>
-            <span class="price-value text-success">${this.formatPrice(signal.take_profit)}</span>
-          </div>
+          ${targets.map(target => `
+            <div class="info-item">
+              <label>${targets.length > 1 ? `TP${target.level} (close ${target.close_percent}%)` : 'Take Profit'}</label>
+              <span class="price-value text-success">
+                ${this.formatPrice(target.price)}
+                ${target.status === 'hit' ? `<small class="d-block text-muted"><i class="fas fa-check-circle text-success"></i> Hit ${this.formatFullDate(target.hit_at)}</small>` : ''}
+              </span>
+            </div>
+          `).join('')}
           <div class="info-item">
             <label>Risk/Reward</label>
             <span>${this.calculateRiskReward(signal)}</span>
@@ -963,6 +1931,13 @@ class SignalsManager {
             ${signal.updated_at !== signal.created_at ? `<br>Updated: ${this.formatFullDate(signal.updated_at)}` : ''}
           </small>
         </div>
+
+        <div class="signal-amendments mt-3">
+          <h6>Change History</h6>
+          <div id="signal-amendments-timeline">
+            <p class="text-muted"><i class="fas fa-spinner fa-spin"></i> Loading...</p>
+          </div>
+        </div>
       `;
     } else {
       content += `
@@ -983,6 +1958,10 @@ class SignalsManager {
       title: 'Signal Details',
       size: 'large'
     });
+
+    if (canView) {
+      this.loadAmendmentTimeline(signal.id);
+    }
   }
 
   /**
@@ -992,6 +1971,9 @@ class SignalsManager {
     // Admin can view all signals
     if (this.userTier === 'admin') return true;
     
+    // The server redacts levels the user's tier is not entitled to
+    if (signal.locked) return false;
+    
     // Check if signal tier access includes user tier
     if (signal.tier_access && Array.isArray(signal.tier_access)) {
       return signal.tier_access.includes(this.userTier);
@@ -1005,6 +1987,8 @@ class SignalsManager {
    * Get required tier for signal access
    */
   getRequiredTier(signal) {
+    if (signal.required_tier) return signal.required_tier;
+
     if (signal.tier_access && Array.isArray(signal.tier_access)) {
       const tiers = ['gold', 'platinum', 'diamond'];
       const requiredTier = signal.tier_access.find(tier => 
@@ -1046,15 +2030,17 @@ class SignalsManager {
     return `${Math.floor(diffMins / 1440)}d ago`;
   }
 
+  /**
+   * Risk/reward from the published stop, blended across the target ladder
+   */
   calculateRiskReward(signal) {
     const entryPrice = parseFloat(signal.entry_price);
-    const stopLoss = parseFloat(signal.stop_loss);
-    const takeProfit = parseFloat(signal.take_profit);
+    const stopLoss = parseFloat(signal.initial_stop_loss ?? signal.stop_loss);
+    const targets = THA_Utils.trading.getTakeProfitTargets(signal);
     
-    const risk = Math.abs(entryPrice - stopLoss);
-    const reward = Math.abs(takeProfit - entryPrice);
+    const ratio = THA_Utils.trading.calculateBlendedRiskReward(entryPrice, stopLoss, targets);
     
-    return `1:${(reward / risk).toFixed(2)}`;
+    return `1:${ratio.toFixed(2)}`;
   }
 
   /**
@@ -1444,6 +2430,15 @@ class SignalsManager {
           color: var(--gray);
         }
         
+        .signal-feedback {
+          display: flex;
+          gap: 1rem;
+          align-items: center;
+          margin-top: 0.75rem;
+          font-size: 0.8125rem;
+          color: var(--gray);
+        }
+        
         .status-badge {
           padding: 0.25rem 0.75rem;
           border-radius: var(--radius-full);
@@ -1580,7 +2575,7 @@ class SignalsManager {
   }
 
   /**
-   * Update URL parameters
+   * Update URL parameters (the link a preset is shared by) and remember the filters
    */
   updateURLParams() {
     const params = new URLSearchParams();
@@ -1593,6 +2588,8 @@ class SignalsManager {
 
     const newURL = `${window.location.pathname}${params.toString() ? '?' + params.toString() : ''}`;
     window.history.replaceState({}, '', newURL);
+
+    window.stateManager?.setState('signals.filters', { ...this.filters });
   }
 
   /**
@@ -77,11 +77,19 @@ class StateManager {
         active: [],
         closed: [],
         favorites: [],
+        // Last filters used on the signals page (SignalsManager.getDefaultFilters())
         filters: {
           type: 'all',
+          status: 'all',
           risk: 'all',
           symbol: '',
-          dateRange: 'all'
+          analyst: 'all',
+          search: '',
+          dateRange: 'all', // all | 24h | 7d | 30d | 90d | custom (dateFrom/dateTo)
+          dateFrom: '',
+          dateTo: '',
+          minConfidence: '',
+          maxConfidence: ''
         },
         pagination: {
           page: 1,
@@ -97,7 +105,27 @@ class StateManager {
         prices: {},
         news: [],
         calendar: [],
-        watchlist: [],
+        // Server-backed (/api/watchlists); only the selected list id is persisted locally
+        watchlists: [],
+        activeWatchlistId: null,
+        watchlistLimits: null,
+        loading: false,
+        lastUpdated: null
+      },
+      
+      // Paper trading state (/api/paper); only the selected account id is persisted locally.
+      // account, positions and orders describe the selected account and are re-marked on ticks.
+      paper: {
+        accounts: [],
+        activeAccountId: null,
+        account: null,
+        positions: [],
+        orders: [],
+        history: {
+          orders: [],
+          positions: []
+        },
+        unpricedSymbols: [],
         loading: false,
         lastUpdated: null
       },
@@ -234,7 +262,8 @@ class StateManager {
           ...state,
           auth: this.getInitialState().auth,
           profile: this.getInitialState().profile,
-          chat: this.getInitialState().chat
+          chat: this.getInitialState().chat,
+          paper: this.getInitialState().paper
         };
         
       case 'UPDATE_PROFILE':
@@ -290,6 +319,84 @@ class StateManager {
           }
         };
         
+      case 'SET_WATCHLISTS': {
+        const watchlists = action.payload.watchlists;
+        const activeId = watchlists.some(list => list.id === state.market.activeWatchlistId)
+          ? state.market.activeWatchlistId
+          : (watchlists.find(list => list.is_default) || watchlists[0])?.id || null;
+
+        return {
+          ...state,
+          market: {
+            ...state.market,
+            watchlists,
+            activeWatchlistId: activeId,
+            watchlistLimits: action.payload.limits || state.market.watchlistLimits
+          }
+        };
+      }
+        
+      case 'SET_PAPER_ACCOUNTS': {
+        const accounts = action.payload.accounts;
+        const activeId = accounts.some(account => account.id === state.paper.activeAccountId)
+          ? state.paper.activeAccountId
+          : accounts[0]?.id || null;
+
+        return {
+          ...state,
+          paper: {
+            ...state.paper,
+            accounts,
+            activeAccountId: activeId,
+            ...(activeId !== state.paper.activeAccountId ? this.getPaperAccountReset() : {})
+          }
+        };
+      }
+        
+      case 'SELECT_PAPER_ACCOUNT':
+        return {
+          ...state,
+          paper: {
+            ...state.paper,
+            activeAccountId: action.payload.id,
+            ...this.getPaperAccountReset()
+          }
+        };
+        
+      case 'SET_PAPER_STATE':
+        // Ignore responses for an account the member has since switched away from
+        if (action.payload.accountId !== state.paper.activeAccountId) {
+          return state;
+        }
+
+        return {
+          ...state,
+          paper: {
+            ...state.paper,
+            account: action.payload.account,
+            positions: action.payload.positions,
+            orders: action.payload.orders ?? state.paper.orders,
+            unpricedSymbols: action.payload.unpricedSymbols ?? state.paper.unpricedSymbols,
+            lastUpdated: Date.now()
+          }
+        };
+        
+      case 'SET_PAPER_HISTORY':
+        if (action.payload.accountId !== state.paper.activeAccountId) {
+          return state;
+        }
+
+        return {
+          ...state,
+          paper: {
+            ...state.paper,
+            history: {
+              orders: action.payload.orders,
+              positions: action.payload.positions
+            }
+          }
+        };
+        
       case 'ADD_CHAT_MESSAGE':
         const roomId = action.payload.room_id;
         return {
@@ -368,6 +475,14 @@ class StateManager {
     }
   }
 
+  /**
+   * Per-account part of the paper slice, cleared when the selected account changes
+   */
+  getPaperAccountReset() {
+    const { account, positions, orders, history, unpricedSymbols } = this.getInitialState().paper;
+    return { account, positions, orders, history, unpricedSymbols, lastUpdated: null };
+  }
+
   /**
    * Subscribe to state changes
    */
@@ -521,7 +636,10 @@ class StateManager {
           filters: this.state.signals.filters
         },
         market: {
-          watchlist: this.state.market.watchlist
+          activeWatchlistId: this.state.market.activeWatchlistId
+        },
+        paper: {
+          activeAccountId: this.state.paper.activeAccountId
         },
         timestamp: Date.now()
       };
@@ -633,6 +751,28 @@ class StateManager {
       payload: prices
     }),
     
+    // Paper trading actions
+    setPaperAccounts: (accounts) => ({
+      type: 'SET_PAPER_ACCOUNTS',
+      payload: { accounts }
+    }),
+    
+    selectPaperAccount: (id) => ({
+      type: 'SELECT_PAPER_ACCOUNT',
+      payload: { id }
+    }),
+    
+    // account/positions/orders as returned by GET /api/paper/accounts/:id, or re-marked on a tick
+    setPaperState: (accountId, { account, positions, orders, unpricedSymbols }) => ({
+      type: 'SET_PAPER_STATE',
+      payload: { accountId, account, positions, orders, unpricedSymbols }
+    }),
+    
+    setPaperHistory: (accountId, { orders, positions }) => ({
+      type: 'SET_PAPER_HISTORY',
+      payload: { accountId, orders, positions }
+    }),
+    
     // Chat actions
     addChatMessage: (message) => ({
       type: 'ADD_CHAT_MESSAGE',
@@ -693,6 +833,18 @@ class StateManager {
     // Get active signals
     getActiveSignals: () => this.getState('signals.active') || [],
     
+    // Get the selected watchlist
+    getActiveWatchlist: () => {
+      const { watchlists, activeWatchlistId } = this.getState('market');
+      return watchlists.find(list => list.id === activeWatchlistId) || null;
+    },
+    
+    // Get the selected paper account (balance only; equity and margin are in paper.account)
+    getActivePaperAccount: () => {
+      const { accounts, activeAccountId } = this.getState('paper');
+      return accounts.find(account => account.id === activeAccountId) || null;
+    },
+    
     // Get market price
     getMarketPrice: (symbol) => this.getState(`market.prices.${symbol}`),
     
@@ -494,10 +494,30 @@ class SupabaseManager {
    * Subscribe to trading signals updates
    */
   subscribeToSignals() {
-    return this.subscribeToChannel('signals', {
-      table: 'trading_signals',
-      filter: 'status=eq.active'
-    });
+    try {
+      const channel = this.supabase
+        .channel('signals')
+        .on('postgres_changes', {
+          event: '*',
+          schema: 'public',
+          table: 'trading_signals',
+          filter: 'status=eq.active'
+        }, (payload) => {
+          this.emit('realtime:signals', payload);
+        })
+        // Closes and cancellations are broadcast by the API, since RLS hides non-active rows
+        .on('broadcast', { event: 'signal_update' }, ({ payload }) => {
+          this.emit('realtime:signals', payload);
+        })
+        .subscribe();
+
+      this.realtimeChannels.set('signals', channel);
+
+      return channel;
+    } catch (error) {
+      console.error('Channel subscription failed:', error);
+      return null;
+    }
   }
 
   /**
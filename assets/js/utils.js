@@ -204,6 +204,18 @@ const THA_Utils = {
         .map(word => word.charAt(0).toUpperCase())
         .join('')
         .substring(0, 2);
+    },
+
+    /**
+     * Escape text for HTML content and quoted attribute values
+     */
+    escapeHtml(text) {
+      return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
     }
   },
 
@@ -246,11 +258,13 @@ const THA_Utils = {
     },
 
     /**
-     * Validate trading symbol
+     * Validate trading symbol: pairs and tickers (EURUSD, EUR/USD, AAPL) or
+     * index tickers with digits (NAS100, US30, GER40, JPN225)
      */
     isValidTradingSymbol(symbol) {
       const symbolRegex = /^[A-Z]{3,6}(\/[A-Z]{3})?$/;
-      return symbolRegex.test(symbol.toUpperCase());
+      const indexRegex = /^[A-Z]{2,4}[0-9]{2,4}$/;
+      return symbolRegex.test(symbol.toUpperCase()) || indexRegex.test(symbol.toUpperCase());
     }
   },
 
@@ -471,27 +485,194 @@ const THA_Utils = {
    */
   trading: {
     /**
-     * Calculate position size
+     * Units of the instrument that lose riskPercentage of the balance at the stop.
+     * conversionRate turns the instrument's quote currency into the account currency
+     * (1 when they match); divide by the contract size for lots.
      */
-    calculatePositionSize(accountBalance, riskPercentage, entryPrice, stopLoss) {
+    calculatePositionSize(accountBalance, riskPercentage, entryPrice, stopLoss, conversionRate = 1) {
       const riskAmount = accountBalance * (riskPercentage / 100);
       const priceDistance = Math.abs(entryPrice - stopLoss);
-      return riskAmount / priceDistance;
+      return riskAmount / (priceDistance * conversionRate);
     },
 
     /**
-     * Calculate pip value
+     * Take-profit ladder of a signal ordered by level; signals without one read as a
+     * single target at take_profit closing the whole position
      */
-    calculatePipValue(pair, accountCurrency = 'USD', lotSize = 100000) {
-      // Simplified pip value calculation
-      const pipSize = 0.0001; // Standard for most pairs
-      
-      // This is a simplified version - real implementation would need exchange rates
-      if (pair.endsWith(accountCurrency)) {
-        return (pipSize * lotSize);
+    getTakeProfitTargets(signal) {
+      const ladder = Array.isArray(signal?.take_profit_targets) ? signal.take_profit_targets : [];
+
+      if (ladder.length > 0) {
+        return [...ladder].sort((a, b) => a.level - b.level);
       }
-      
-      return (pipSize * lotSize); // Would need actual conversion rates
+
+      return signal?.take_profit !== null && signal?.take_profit !== undefined ? [
+        { level: 1, price: signal.take_profit, close_percent: 100, status: 'pending', hit_at: null, hit_price: null }
+      ] : [];
+    },
+
+    /**
+     * Risk-reward of a target ladder, each rung weighted by the share it closes
+     */
+    calculateBlendedRiskReward(entryPrice, stopLoss, targets) {
+      const risk = Math.abs(entryPrice - stopLoss);
+      const reward = targets.reduce((sum, target) =>
+        sum + Math.abs(parseFloat(target.price) - entryPrice) * (parseFloat(target.close_percent) || 0) / 100, 0);
+      return reward / risk;
+    },
+
+    /**
+     * Bid and ask a paper account trades at. A quote's own bid/ask are widened around the
+     * mid by multiplier; a quote with only a price gets a typical spread for its instrument
+     * family (pips of pipSize, or a percent of price for crypto). Null without a usable price.
+     */
+    applySpread(quote, pipSize, instrumentType, multiplier = 1) {
+      const round = (value) => Math.round(value * 1e8) / 1e8;
+      const modelledPips = { forex: 1.2, commodities: 3, indices: 2, stocks: 2 };
+      const cryptoPercent = 0.05;
+      const bid = parseFloat(quote?.bid);
+      const ask = parseFloat(quote?.ask);
+      const factor = Number.isFinite(parseFloat(multiplier)) ? parseFloat(multiplier) : 1;
+
+      if (bid > 0 && ask >= bid) {
+        const mid = (bid + ask) / 2;
+        const half = (ask - bid) / 2 * factor;
+        return { bid: round(mid - half), ask: round(mid + half), mid };
+      }
+
+      const price = parseFloat(quote?.price);
+      if (!(price > 0)) {
+        return null;
+      }
+
+      const spread = instrumentType === 'crypto' ?
+        price * cryptoPercent / 100 :
+        (modelledPips[instrumentType] || modelledPips.forex) * pipSize;
+      const half = spread / 2 * factor;
+
+      return { bid: round(price - half), ask: round(price + half), mid: price };
+    },
+
+    /**
+     * Mark an open position to a quote. The position carries contract_units, pip_size,
+     * conversion_rate (quote -> account currency) and leverage; longs are marked at the
+     * bid and shorts at the ask when the quote has them. Money is in the account currency.
+     */
+    markPosition(position, quote) {
+      const direction = position.action === 'sell' ? -1 : 1;
+      const side = direction === 1 ? quote?.bid : quote?.ask;
+      const price = parseFloat(side ?? quote?.price);
+      const rate = parseFloat(position.conversion_rate);
+
+      if (!Number.isFinite(price) || !(price > 0) || !(rate > 0)) {
+        return { ...position, current_price: null, pips: null, unrealized_pnl: null, notional: null, margin: null };
+      }
+
+      const entry = parseFloat(position.entry_price);
+      const notional = position.contract_units * price * rate;
+
+      return {
+        ...position,
+        current_price: price,
+        pips: Math.round((price - entry) * direction / position.pip_size * 10) / 10,
+        unrealized_pnl: Math.round((price - entry) * direction * position.contract_units * rate * 100) / 100,
+        notional: Math.round(notional * 100) / 100,
+        margin: Math.round(notional / (position.leverage || 1) * 100) / 100
+      };
+    },
+
+    /**
+     * Per-account equity and margin, plus exposure by currency and asset class in the
+     * reporting currency, for positions returned by markPosition(). Accounts carry
+     * balance and reporting_rate (account -> reporting currency); positions carry
+     * account_id, instrument_type and currency_legs ([currency, sign] pairs).
+     */
+    summarizePortfolio(positions, accounts) {
+      const round = (value) => Math.round(value * 100) / 100;
+      const currencies = new Map();
+      const assetClasses = new Map();
+      const totals = { unrealized_pnl: 0, equity: 0, margin_used: 0, unpriced_positions: 0 };
+
+      const accountSummaries = accounts.map(account => {
+        const held = positions.filter(position => position.account_id === account.id);
+        const priced = held.filter(position => position.unrealized_pnl !== null);
+        const unrealized = priced.reduce((sum, position) => sum + position.unrealized_pnl, 0);
+        const margin = priced.reduce((sum, position) => sum + position.margin, 0);
+        const equity = parseFloat(account.balance) + unrealized;
+        const rate = parseFloat(account.reporting_rate);
+
+        priced.forEach(position => {
+          const direction = position.action === 'sell' ? -1 : 1;
+          const exposure = position.notional * rate * direction;
+
+          position.currency_legs.forEach(([currency, sign]) => {
+            currencies.set(currency, (currencies.get(currency) || 0) + exposure * sign);
+          });
+
+          const assetClass = assetClasses.get(position.instrument_type) || { long: 0, short: 0 };
+          assetClass[direction === 1 ? 'long' : 'short'] += Math.abs(exposure);
+          assetClasses.set(position.instrument_type, assetClass);
+        });
+
+        if (rate > 0) {
+          totals.unrealized_pnl += unrealized * rate;
+          totals.equity += equity * rate;
+          totals.margin_used += margin * rate;
+        }
+        totals.unpriced_positions += held.length - priced.length;
+
+        return {
+          ...account,
+          open_positions: held.length,
+          unrealized_pnl: round(unrealized),
+          equity: round(equity),
+          margin_used: round(margin),
+          free_margin: round(equity - margin),
+          margin_usage: equity > 0 ? round(margin / equity * 100) : null
+        };
+      });
+
+      return {
+        accounts: accountSummaries,
+        totals: {
+          unrealized_pnl: round(totals.unrealized_pnl),
+          equity: round(totals.equity),
+          margin_used: round(totals.margin_used),
+          margin_usage: totals.equity > 0 ? round(totals.margin_used / totals.equity * 100) : null,
+          unpriced_positions: totals.unpriced_positions
+        },
+        exposure: {
+          by_currency: [...currencies.entries()]
+            .map(([currency, net]) => ({ currency, net: round(net) }))
+            .filter(item => item.net !== 0)
+            .sort((a, b) => Math.abs(b.net) - Math.abs(a.net)),
+          by_asset_class: [...assetClasses.entries()]
+            .map(([instrumentType, { long, short }]) => ({
+              instrument_type: instrumentType,
+              long: round(long),
+              short: round(short),
+              net: round(long - short),
+              gross: round(long + short)
+            }))
+            .sort((a, b) => b.gross - a.gross)
+        }
+      };
+    },
+
+    /**
+     * Value of one pip on lotSize units in the account currency. JPY pairs move in 0.01;
+     * pass pipSize for other instruments. Pairs not quoted in the account currency need
+     * conversionRate (quote -> account currency); without it the result is null.
+     */
+    calculatePipValue(pair, accountCurrency = 'USD', lotSize = 100000, { conversionRate = null, pipSize = null } = {}) {
+      const pip = pipSize || (pair.includes('JPY') ? 0.01 : 0.0001);
+      const quoteValue = pip * lotSize;
+
+      if (conversionRate) {
+        return quoteValue * conversionRate;
+      }
+
+      return pair.endsWith(accountCurrency) ? quoteValue : null;
     },
 
     /**
@@ -603,6 +784,21 @@ const THA_Utils = {
       }
     },
 
+    /**
+     * Message for a failed apiService request: the server's error and validation
+     * details from the response body, or the fallback when there is none
+     */
+    getApiErrorMessage(error, fallback) {
+      try {
+        const data = error?.response?.data;
+        const body = typeof data === 'string' ? JSON.parse(data || '{}') : (data || {});
+        if (body.details?.length) return `${body.error}: ${body.details.join(', ')}`;
+        return body.error || fallback;
+      } catch (parseError) {
+        return fallback;
+      }
+    },
+
     /**
      * Retry async function
      */
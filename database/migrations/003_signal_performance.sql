@@ -0,0 +1,34 @@
+-- =========================================
+-- MIGRATION 003: Signal Performance Tracking
+-- Location: /database/migrations/003_signal_performance.sql
+-- Description: Extends signal_performance into a per-signal outcome ledger for server-side analytics
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('003', 'Per-signal outcome ledger in signal_performance', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- SIGNAL PERFORMANCE LEDGER
+-- =========================================
+
+-- One row per closed/expired signal; success_rate is 100 for a profit and 0 otherwise
+ALTER TABLE signal_performance ADD COLUMN IF NOT EXISTS result TEXT CHECK (result IN ('profit', 'loss', 'breakeven'));
+ALTER TABLE signal_performance ADD COLUMN IF NOT EXISTS percentage_gain DECIMAL(5,2);
+ALTER TABLE signal_performance ADD COLUMN IF NOT EXISTS r_multiple DECIMAL(8,2);
+ALTER TABLE signal_performance ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_signal_performance_signal_id ON signal_performance(signal_id);
+CREATE INDEX IF NOT EXISTS idx_signal_performance_closed_at ON signal_performance(closed_at);
+
+-- Aggregates are served by the API; members never read the ledger directly
+CREATE POLICY "Admins can manage signal performance" ON signal_performance
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM user_profiles WHERE id = auth.uid() AND role = 'admin')
+    );
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '003';
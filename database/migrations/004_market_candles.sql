@@ -0,0 +1,52 @@
+-- =========================================
+-- MIGRATION 004: Market Candle Store
+-- Location: /database/migrations/004_market_candles.sql
+-- Description: OHLCV bars aggregated from ticks and CSV imports for 1m/5m/15m/1h/4h/1d
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('004', 'OHLCV market candle store', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- MARKET CANDLES TABLE
+-- =========================================
+
+-- One row per symbol/timeframe/bar; open_time is the session-aligned bar start.
+-- is_filled marks flat bars synthesized to backfill gaps with no ticks.
+CREATE TABLE IF NOT EXISTS market_candles (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    symbol TEXT NOT NULL,
+    timeframe TEXT NOT NULL CHECK (timeframe IN ('1m', '5m', '15m', '1h', '4h', '1d')),
+    open_time TIMESTAMPTZ NOT NULL,
+    open DECIMAL(15,8) NOT NULL,
+    high DECIMAL(15,8) NOT NULL,
+    low DECIMAL(15,8) NOT NULL,
+    close DECIMAL(15,8) NOT NULL,
+    volume DECIMAL(20,4) DEFAULT 0,
+    tick_count INTEGER DEFAULT 0,
+    is_filled BOOLEAN DEFAULT false,
+    source TEXT NOT NULL DEFAULT 'ticks' CHECK (source IN ('ticks', 'import', 'rollup', 'fill')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_market_candles_bar ON market_candles(symbol, timeframe, open_time);
+CREATE INDEX IF NOT EXISTS idx_market_candles_latest ON market_candles(symbol, timeframe, open_time DESC);
+
+-- Bars are written by the service key only; the API serves them to members
+ALTER TABLE market_candles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage market candles" ON market_candles
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM user_profiles WHERE id = auth.uid() AND role = 'admin')
+    );
+
+CREATE TRIGGER update_market_candles_updated_at BEFORE UPDATE ON market_candles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '004';
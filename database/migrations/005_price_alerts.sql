@@ -0,0 +1,65 @@
+-- =========================================
+-- MIGRATION 005: Price Alerts
+-- Location: /database/migrations/005_price_alerts.sql
+-- Description: Per-user price alerts evaluated server-side and delivered through notifications
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('005', 'Per-user price alerts', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- PRICE ALERTS TABLE
+-- =========================================
+
+-- alert_type decides which columns apply:
+--   price_above / price_below  target_price, crossed from reference_price
+--   percent_change             percent_change (signed) within window_minutes
+--   signal_distance            signal_id + signal_level, within distance_pips of that level
+-- Alerts fire once; re-arming sets status back to 'active'.
+CREATE TABLE IF NOT EXISTS price_alerts (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    symbol TEXT NOT NULL,
+    alert_type TEXT NOT NULL CHECK (alert_type IN ('price_above', 'price_below', 'percent_change', 'signal_distance')),
+    target_price DECIMAL(15,8),
+    reference_price DECIMAL(15,8),
+    percent_change DECIMAL(8,2),
+    window_minutes INTEGER CHECK (window_minutes > 0 AND window_minutes <= 1440),
+    signal_id UUID REFERENCES trading_signals(id) ON DELETE CASCADE,
+    signal_level TEXT CHECK (signal_level IN ('stop_loss', 'take_profit')),
+    distance_pips DECIMAL(10,2),
+    note TEXT,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'triggered', 'cancelled', 'expired')),
+    triggered_at TIMESTAMPTZ,
+    triggered_price DECIMAL(15,8),
+    expires_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_alerts_user ON price_alerts(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_price_alerts_active ON price_alerts(symbol) WHERE status = 'active';
+
+ALTER TABLE price_alerts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own price alerts" ON price_alerts
+    FOR ALL USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_price_alerts_updated_at BEFORE UPDATE ON price_alerts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =========================================
+-- NOTIFICATIONS
+-- =========================================
+
+-- Alert hits are delivered as 'alert' notifications (the client's price alert template)
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('info', 'success', 'warning', 'error', 'signal', 'payment', 'system', 'alert'));
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '005';
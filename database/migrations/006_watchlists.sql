@@ -0,0 +1,96 @@
+-- =========================================
+-- MIGRATION 006: Named Watchlists
+-- Location: /database/migrations/006_watchlists.sql
+-- Description: Turns user_watchlists into named, ordered symbol watchlists with per-item notes
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('006', 'Named symbol watchlists', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- WATCHLISTS
+-- =========================================
+
+-- One row per named list; installs created from schema.sql never had the table
+CREATE TABLE IF NOT EXISTS user_watchlists (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES user_profiles(id) ON DELETE CASCADE,
+    added_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE user_watchlists ADD COLUMN IF NOT EXISTS name TEXT NOT NULL DEFAULT 'My Watchlist';
+ALTER TABLE user_watchlists ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE user_watchlists ADD COLUMN IF NOT EXISTS position INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE user_watchlists ADD COLUMN IF NOT EXISTS is_default BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE user_watchlists ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE user_watchlists ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Symbols in a list, ordered by position
+CREATE TABLE IF NOT EXISTS user_watchlist_items (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    watchlist_id UUID NOT NULL REFERENCES user_watchlists(id) ON DELETE CASCADE,
+    symbol TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    note TEXT,
+    added_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(watchlist_id, symbol)
+);
+
+-- The original table bookmarked single signals (user_id, signal_id). Fold each user's
+-- bookmarks into one default list of the signals' symbols, then drop the old shape.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'user_watchlists' AND column_name = 'signal_id'
+    ) THEN
+        INSERT INTO user_watchlists (user_id, name, is_default)
+        SELECT DISTINCT user_id, 'My Watchlist', true
+        FROM user_watchlists
+        WHERE signal_id IS NOT NULL;
+
+        INSERT INTO user_watchlist_items (watchlist_id, symbol, position)
+        SELECT list.id, bookmarks.symbol, ROW_NUMBER() OVER (PARTITION BY list.id ORDER BY bookmarks.added_at) - 1
+        FROM (
+            SELECT DISTINCT ON (uw.user_id, ts.symbol) uw.user_id, ts.symbol, uw.added_at
+            FROM user_watchlists uw
+            JOIN trading_signals ts ON ts.id = uw.signal_id
+            ORDER BY uw.user_id, ts.symbol, uw.added_at
+        ) bookmarks
+        JOIN user_watchlists list ON list.user_id = bookmarks.user_id AND list.signal_id IS NULL AND list.is_default
+        ON CONFLICT (watchlist_id, symbol) DO NOTHING;
+
+        DELETE FROM user_watchlists WHERE signal_id IS NOT NULL;
+        ALTER TABLE user_watchlists DROP COLUMN signal_id;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_user_watchlists_user ON user_watchlists(user_id, position);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_watchlists_default ON user_watchlists(user_id) WHERE is_default;
+CREATE INDEX IF NOT EXISTS idx_user_watchlist_items_list ON user_watchlist_items(watchlist_id, position);
+
+ALTER TABLE user_watchlists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_watchlist_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own watchlist" ON user_watchlists;
+CREATE POLICY "Users can manage own watchlist" ON user_watchlists
+    FOR ALL USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage own watchlist items" ON user_watchlist_items
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM user_watchlists WHERE id = watchlist_id AND user_id = auth.uid())
+    );
+
+CREATE TRIGGER update_user_watchlists_updated_at BEFORE UPDATE ON user_watchlists
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_user_watchlist_items_updated_at BEFORE UPDATE ON user_watchlist_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '006';
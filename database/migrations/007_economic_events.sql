@@ -0,0 +1,65 @@
+-- =========================================
+-- MIGRATION 007: Economic Calendar
+-- Location: /database/migrations/007_economic_events.sql
+-- Description: Imported economic events with impact levels and currency tags, plus the signal blackout window
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('007', 'Economic calendar events and signal blackout window', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- ECONOMIC EVENTS TABLE
+-- =========================================
+
+-- external_id is the feed's UID (ICS) or id column (CSV), so re-imports update in place.
+-- currencies tags every currency the event moves; currency is the primary one.
+CREATE TABLE IF NOT EXISTS economic_events (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    external_id TEXT UNIQUE NOT NULL,
+    title TEXT NOT NULL,
+    country TEXT,
+    currency TEXT,
+    currencies TEXT[] DEFAULT '{}',
+    impact TEXT NOT NULL DEFAULT 'low' CHECK (impact IN ('low', 'medium', 'high')),
+    scheduled_at TIMESTAMPTZ NOT NULL,
+    forecast TEXT,
+    previous TEXT,
+    actual TEXT,
+    source TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_economic_events_scheduled ON economic_events(scheduled_at);
+CREATE INDEX IF NOT EXISTS idx_economic_events_currencies ON economic_events USING GIN(currencies);
+
+ALTER TABLE economic_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view economic events" ON economic_events
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Admins can manage economic events" ON economic_events
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM user_profiles WHERE id = auth.uid() AND role = 'admin')
+    );
+
+CREATE TRIGGER update_economic_events_updated_at BEFORE UPDATE ON economic_events
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =========================================
+-- SIGNAL BLACKOUT WINDOW
+-- =========================================
+
+-- Signals are flagged when a matching event is scheduled between
+-- before_minutes ahead and after_minutes ago
+INSERT INTO system_settings (key, value, description, category, is_public) VALUES
+    ('signal_blackout_window', '{"before_minutes": 120, "after_minutes": 30, "impacts": ["high"]}',
+     'Flag signals near economic events of these impact levels', 'signals', true)
+ON CONFLICT (key) DO NOTHING;
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '007';
@@ -0,0 +1,38 @@
+-- =========================================
+-- MIGRATION 008: Take-Profit Target Ladders
+-- Location: /database/migrations/008_signal_targets.sql
+-- Description: Multiple take-profit targets with partial closes and a breakeven stop rule on trading_signals
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('008', 'Take-profit target ladders on trading signals', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- TARGET LADDER
+-- =========================================
+
+-- take_profit_targets is an ordered ladder of rungs:
+--   { "level": 1, "price": 1.0950, "close_percent": 50, "status": "pending" | "hit",
+--     "hit_at": null, "hit_price": null }
+-- close_percent sums to 100 across rungs. take_profit keeps the final rung's price so
+-- single-target readers still work; an empty ladder means one rung at take_profit.
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS take_profit_targets JSONB NOT NULL DEFAULT '[]';
+
+-- Stop in force when the signal was published; stop_loss moves (e.g. to breakeven)
+-- while risk and R-multiples are measured from this one
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS initial_stop_loss DECIMAL(15,8);
+
+-- Move stop_loss to entry once this rung is hit (NULL leaves the stop alone)
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS breakeven_after_target INTEGER
+    CHECK (breakeven_after_target >= 1);
+
+UPDATE trading_signals
+SET initial_stop_loss = stop_loss
+WHERE initial_stop_loss IS NULL AND stop_loss IS NOT NULL;
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '008';
@@ -0,0 +1,53 @@
+-- =========================================
+-- MIGRATION 009: Signal Amendments
+-- Location: /database/migrations/009_signal_amendments.sql
+-- Description: Versioned history of level and status changes on published signals, plus trailing stop timing
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('009', 'Versioned signal amendments and trailing stops', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- SIGNAL AMENDMENTS
+-- =========================================
+
+-- One row per change to a published signal's entry, stop, targets or status.
+-- changes maps each field to { "from": ..., "to": ... }; version counts up per signal.
+-- source tells manual edits apart from the resolver, target hits and trailing stops.
+CREATE TABLE IF NOT EXISTS signal_amendments (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    signal_id UUID NOT NULL REFERENCES trading_signals(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    changes JSONB NOT NULL,
+    reason TEXT,
+    source TEXT NOT NULL DEFAULT 'manual'
+        CHECK (source IN ('manual', 'publish', 'trailing_stop', 'target_hit', 'close', 'cancel', 'resolver')),
+    amended_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(signal_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_signal_amendments_signal ON signal_amendments(signal_id, version);
+
+-- Served through the API, which applies the signal's tier rules
+ALTER TABLE signal_amendments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage signal amendments" ON signal_amendments
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM user_profiles WHERE id = auth.uid() AND role = 'admin')
+    );
+
+-- =========================================
+-- TRAILING STOPS
+-- =========================================
+
+-- When stop_loss last moved away from initial_stop_loss after publishing (trailing or
+-- breakeven); the outcome resolver applies the moved stop only to later candles
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS stop_moved_at TIMESTAMPTZ;
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '009';
@@ -0,0 +1,74 @@
+-- =========================================
+-- MIGRATION 010: Signal Release Schedule
+-- Location: /database/migrations/010_signal_release_schedule.sql
+-- Description: Scheduled publishing for drafts and tier-staggered release of active signals
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('010', 'Scheduled and tier-staggered signal publishing', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- SCHEDULED PUBLISHING
+-- =========================================
+
+-- Drafts with publish_at set are published by the release scheduler once it passes
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_trading_signals_publish_at ON trading_signals(publish_at)
+    WHERE status = 'draft' AND publish_at IS NOT NULL;
+
+-- =========================================
+-- TIER-STAGGERED RELEASE
+-- =========================================
+
+-- tier_release_at maps each tier in tier_access to when its embargo lifts, e.g.
+--   { "diamond": "2024-01-01T09:00:00Z", "platinum": "2024-01-01T09:05:00Z", "gold": "2024-01-01T09:15:00Z" }
+-- released_tiers lists the tiers whose embargo has lifted (always a subset of tier_access).
+-- next_release_at is the earliest embargo still pending; NULL once every tier has it.
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS tier_release_at JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS released_tiers TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS next_release_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_trading_signals_next_release ON trading_signals(next_release_at)
+    WHERE status = 'active' AND next_release_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_trading_signals_released_tiers ON trading_signals USING GIN(released_tiers);
+
+-- Signals published before staggering are already out to every tier they target
+UPDATE trading_signals
+SET released_tiers = CASE
+        WHEN cardinality(tier_access) > 0 THEN tier_access
+        ELSE ARRAY['gold', 'platinum', 'diamond']
+    END
+WHERE status <> 'draft' AND cardinality(released_tiers) = 0;
+
+-- Members only see a signal once their tier is released. Realtime postgres_changes are
+-- checked against this policy, so the scheduler's released_tiers update is what
+-- delivers the signal to each tier.
+DROP POLICY IF EXISTS "Users can view signals based on tier" ON trading_signals;
+
+CREATE POLICY "Users can view signals based on tier" ON trading_signals
+    FOR SELECT USING (
+        status = 'active' AND (
+            auth.uid() IN (
+                SELECT up.id FROM user_profiles up
+                JOIN user_subscriptions us ON up.id = us.user_id
+                WHERE us.status = 'active' AND (
+                    (released_tiers @> ARRAY[us.tier] OR released_tiers @> ARRAY[up.tier])
+                    OR up.role = 'admin'
+                )
+            )
+        )
+    );
+
+-- Minutes after publishing before each tier's embargo lifts
+INSERT INTO system_settings (key, value, description, category, is_public) VALUES
+    ('signal_release_delays', '{"diamond": 0, "platinum": 5, "gold": 15}',
+     'Minutes after publishing before each tier receives a signal', 'signals', false)
+ON CONFLICT (key) DO NOTHING;
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '010';
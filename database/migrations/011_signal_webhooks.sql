@@ -0,0 +1,81 @@
+-- =========================================
+-- MIGRATION 011: Signal Webhooks
+-- Location: /database/migrations/011_signal_webhooks.sql
+-- Description: Per-analyst webhook templates that turn charting alerts into signals, plus signed delivery records
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('011', 'Inbound signal webhooks from charting alerts', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- WEBHOOK TEMPLATES
+-- =========================================
+
+-- One template per alert setup. The alert payload names the template; the template
+-- supplies the analyst (author_id), the HMAC secret and everything the alert leaves out.
+--   title_template  placeholders {symbol}, {action}, {timeframe}, {template}
+--   defaults        signal columns applied before the alert's own values, e.g.
+--                   { "signal_type": "forex", "risk_level": "medium", "tier_access": ["platinum", "diamond"] }
+--   symbol_map      charting tickers to platform symbols, e.g. { "OANDA:XAUUSD": "XAUUSD" }
+--   publish         create active signals instead of drafts
+CREATE TABLE IF NOT EXISTS signal_webhook_templates (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    analyst_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    title_template TEXT NOT NULL DEFAULT '{symbol} {action}',
+    defaults JSONB NOT NULL DEFAULT '{}',
+    symbol_map JSONB NOT NULL DEFAULT '{}',
+    publish BOOLEAN NOT NULL DEFAULT FALSE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_signal_webhook_templates_analyst ON signal_webhook_templates(analyst_id);
+
+CREATE TRIGGER update_signal_webhook_templates_updated_at BEFORE UPDATE ON signal_webhook_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =========================================
+-- WEBHOOK DELIVERIES
+-- =========================================
+
+-- Every correctly signed delivery. The unique signature is the replay guard: a captured
+-- request re-sent inside the timestamp window collides here.
+CREATE TABLE IF NOT EXISTS signal_webhook_deliveries (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    template_id UUID NOT NULL REFERENCES signal_webhook_templates(id) ON DELETE CASCADE,
+    signature TEXT NOT NULL,
+    sent_at TIMESTAMPTZ NOT NULL,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'accepted', 'rejected')),
+    error TEXT,
+    signal_id UUID REFERENCES trading_signals(id) ON DELETE SET NULL,
+    received_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(template_id, signature)
+);
+
+CREATE INDEX IF NOT EXISTS idx_signal_webhook_deliveries_template ON signal_webhook_deliveries(template_id, received_at DESC);
+
+-- Secrets never leave the API, which uses the service key
+ALTER TABLE signal_webhook_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE signal_webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage webhook templates" ON signal_webhook_templates
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM user_profiles WHERE id = auth.uid() AND role = 'admin')
+    );
+
+CREATE POLICY "Admins can view webhook deliveries" ON signal_webhook_deliveries
+    FOR SELECT USING (
+        EXISTS (SELECT 1 FROM user_profiles WHERE id = auth.uid() AND role = 'admin')
+    );
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '011';
@@ -0,0 +1,86 @@
+-- =========================================
+-- MIGRATION 012: Signal Broadcasts
+-- Location: /database/migrations/012_signal_broadcasts.sql
+-- Description: Outbound messaging targets per tier (Telegram, Discord, generic webhooks) and their delivery log
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('012', 'Outbound signal broadcasts to messaging channels', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- BROADCAST TARGETS
+-- =========================================
+
+-- One outbound channel for one tier. url is the full endpoint, secrets included:
+--   telegram  https://api.telegram.org/bot<token>/sendMessage, with chat_id
+--   discord   https://discord.com/api/webhooks/<id>/<token>
+--   generic   any URL accepting a JSON POST (local stand-ins included)
+-- templates overrides the message per event: { "published": "...", "closed": "..." }
+CREATE TABLE IF NOT EXISTS signal_broadcast_targets (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('telegram', 'discord', 'generic')),
+    url TEXT NOT NULL,
+    chat_id TEXT,
+    tier TEXT NOT NULL CHECK (tier IN ('gold', 'platinum', 'diamond')),
+    events TEXT[] NOT NULL DEFAULT ARRAY['published', 'closed'],
+    templates JSONB NOT NULL DEFAULT '{}',
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_signal_broadcast_targets_tier ON signal_broadcast_targets(tier) WHERE is_active;
+
+CREATE TRIGGER update_signal_broadcast_targets_updated_at BEFORE UPDATE ON signal_broadcast_targets
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =========================================
+-- BROADCAST DELIVERIES
+-- =========================================
+
+-- One row per target, signal and event. The message is rendered when queued and again
+-- from the current signal at each attempt, keeping the text last posted; the
+-- broadcaster posts rows whose next_attempt_at has passed (a tier's embargo time for
+-- publishes) and backs off between failed attempts until max attempts.
+CREATE TABLE IF NOT EXISTS signal_broadcast_deliveries (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    target_id UUID NOT NULL REFERENCES signal_broadcast_targets(id) ON DELETE CASCADE,
+    signal_id UUID NOT NULL REFERENCES trading_signals(id) ON DELETE CASCADE,
+    event TEXT NOT NULL CHECK (event IN ('published', 'closed')),
+    message TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed', 'cancelled')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    response_status INTEGER,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(target_id, signal_id, event)
+);
+
+CREATE INDEX IF NOT EXISTS idx_signal_broadcast_deliveries_due ON signal_broadcast_deliveries(next_attempt_at)
+    WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_signal_broadcast_deliveries_target ON signal_broadcast_deliveries(target_id, created_at DESC);
+
+-- Target URLs carry bot tokens, so both tables stay with admins and the service key
+ALTER TABLE signal_broadcast_targets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE signal_broadcast_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage broadcast targets" ON signal_broadcast_targets
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM user_profiles WHERE id = auth.uid() AND role = 'admin')
+    );
+
+CREATE POLICY "Admins can view broadcast deliveries" ON signal_broadcast_deliveries
+    FOR SELECT USING (
+        EXISTS (SELECT 1 FROM user_profiles WHERE id = auth.uid() AND role = 'admin')
+    );
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '012';
@@ -0,0 +1,44 @@
+-- =========================================
+-- MIGRATION 013: Signal Backtests
+-- Location: /database/migrations/013_signal_backtests.sql
+-- Description: Stored backtest runs of signal setups over market_candles, with trades and equity curve
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('013', 'Signal setup backtests', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- BACKTESTS
+-- =========================================
+
+-- One run of a set of setups. parameters holds the costs and sizing used
+-- ({ timeframe, spread_pips, slippage_pips, initial_balance, risk_percent, to });
+-- summary, trades and equity_curve are the backtester's output as computed then,
+-- so later candle imports do not change a run an analyst already reviewed.
+CREATE TABLE IF NOT EXISTS signal_backtests (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name TEXT NOT NULL,
+    parameters JSONB NOT NULL DEFAULT '{}',
+    setups JSONB NOT NULL DEFAULT '[]',
+    summary JSONB NOT NULL DEFAULT '{}',
+    trades JSONB NOT NULL DEFAULT '[]',
+    equity_curve JSONB NOT NULL DEFAULT '[]',
+    created_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_signal_backtests_created ON signal_backtests(created_at DESC);
+
+ALTER TABLE signal_backtests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage signal backtests" ON signal_backtests
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM user_profiles WHERE id = auth.uid() AND role = 'admin')
+    );
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '013';
@@ -0,0 +1,53 @@
+-- =========================================
+-- MIGRATION 014: Analyst Profiles
+-- Location: /database/migrations/014_analyst_profiles.sql
+-- Description: Public profiles for signal authors (bio, specialities) behind the analyst pages and leaderboard
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('014', 'Analyst profiles for signal authors', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- ANALYST PROFILES
+-- =========================================
+
+-- One row per signal author (trading_signals.author_id). Track records are computed
+-- from signal_performance by the API; authors without a row are listed under their
+-- user_profiles name, and is_public = FALSE hides an analyst from the pages and leaderboard.
+CREATE TABLE IF NOT EXISTS analyst_profiles (
+    user_id UUID PRIMARY KEY REFERENCES user_profiles(id) ON DELETE CASCADE,
+    display_name TEXT NOT NULL,
+    headline TEXT,
+    bio TEXT,
+    specialities TEXT[] NOT NULL DEFAULT '{}',
+    avatar_url TEXT,
+    is_public BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TRIGGER update_analyst_profiles_updated_at BEFORE UPDATE ON analyst_profiles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Feed filtering by analyst lists their newest signals first
+CREATE INDEX IF NOT EXISTS idx_trading_signals_author_created ON trading_signals(author_id, created_at DESC);
+
+ALTER TABLE analyst_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view public analyst profiles" ON analyst_profiles
+    FOR SELECT USING (is_public);
+
+CREATE POLICY "Analysts can manage their own profile" ON analyst_profiles
+    FOR ALL USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can manage analyst profiles" ON analyst_profiles
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM user_profiles WHERE id = auth.uid() AND role = 'admin')
+    );
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '014';
@@ -0,0 +1,58 @@
+-- =========================================
+-- MIGRATION 015: Signal Feedback
+-- Location: /database/migrations/015_signal_feedback.sql
+-- Description: Member reactions (took / skipped), clarity ratings and comments on signals, stored on signal_views
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('015', 'Member feedback on signals', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- FEEDBACK ON SIGNAL VIEWS
+-- =========================================
+
+-- A member's feedback lives on their view row for the signal, so the same row says
+-- whether they opened it, whether they traded it and how clear they found it.
+ALTER TABLE signal_views
+    ADD COLUMN IF NOT EXISTS reaction TEXT CHECK (reaction IN ('took', 'skipped')),
+    ADD COLUMN IF NOT EXISTS clarity_rating SMALLINT CHECK (clarity_rating BETWEEN 1 AND 5),
+    ADD COLUMN IF NOT EXISTS feedback_comment TEXT CHECK (char_length(feedback_comment) <= 280),
+    ADD COLUMN IF NOT EXISTS feedback_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_signal_views_feedback ON signal_views(signal_id, feedback_at DESC)
+    WHERE feedback_at IS NOT NULL;
+
+-- =========================================
+-- ENGAGEMENT VS OUTCOME
+-- =========================================
+
+-- One row per signal: views and feedback next to how the signal settled
+CREATE OR REPLACE VIEW signal_engagement AS
+SELECT
+    ts.id as signal_id,
+    ts.symbol,
+    ts.signal_type,
+    ts.author_id,
+    ts.status,
+    ts.result,
+    ts.pips_gained,
+    ts.created_at,
+    COUNT(sv.id) as views,
+    COUNT(CASE WHEN sv.reaction = 'took' THEN 1 END) as took_count,
+    COUNT(CASE WHEN sv.reaction = 'skipped' THEN 1 END) as skipped_count,
+    COUNT(sv.clarity_rating) as rating_count,
+    ROUND(AVG(sv.clarity_rating), 2) as avg_clarity,
+    COUNT(sv.feedback_comment) as comment_count
+FROM trading_signals ts
+LEFT JOIN signal_views sv ON sv.signal_id = ts.id
+GROUP BY ts.id;
+
+-- Totals per signal are for the API and analysts, not for direct client reads
+REVOKE ALL ON signal_engagement FROM anon, authenticated;
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '015';
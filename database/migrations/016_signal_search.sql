@@ -0,0 +1,76 @@
+-- =========================================
+-- MIGRATION 016: Signal Search
+-- Location: /database/migrations/016_signal_search.sql
+-- Description: Full-text search over signal title, description and tags, and members' saved filter presets
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('016', 'Signal full-text search and filter presets', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- FULL-TEXT SEARCH
+-- =========================================
+
+-- Title outranks description, which outranks tags. Kept by trigger rather than a
+-- generated column because array_to_string() is not immutable.
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+CREATE OR REPLACE FUNCTION update_trading_signals_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector =
+        setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(NEW.description, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(array_to_string(NEW.tags, ' '), '')), 'C');
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_trading_signals_search_vector ON trading_signals;
+CREATE TRIGGER update_trading_signals_search_vector BEFORE INSERT OR UPDATE OF title, description, tags ON trading_signals
+    FOR EACH ROW EXECUTE FUNCTION update_trading_signals_search_vector();
+
+-- Backfill existing signals without firing the updated_at trigger
+SET session_replication_role = replica;
+
+UPDATE trading_signals SET search_vector =
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(array_to_string(tags, ' '), '')), 'C');
+
+SET session_replication_role = DEFAULT;
+
+CREATE INDEX IF NOT EXISTS idx_trading_signals_search ON trading_signals USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_trading_signals_confidence ON trading_signals(confidence_level);
+
+-- =========================================
+-- FILTER PRESETS
+-- =========================================
+
+-- Named sets of signals-page filters, stored with the signals page's own filter
+-- names ({ type, risk, search, dateRange, minConfidence, ... }) so a preset can be
+-- applied or turned into a share URL as is.
+CREATE TABLE IF NOT EXISTS signal_filter_presets (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    filters JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, name)
+);
+
+CREATE TRIGGER update_signal_filter_presets_updated_at BEFORE UPDATE ON signal_filter_presets
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE signal_filter_presets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own signal filter presets" ON signal_filter_presets
+    FOR ALL USING (auth.uid() = user_id);
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '016';
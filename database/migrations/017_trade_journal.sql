@@ -0,0 +1,88 @@
+-- =========================================
+-- MIGRATION 017: Trade Journal
+-- Location: /database/migrations/017_trade_journal.sql
+-- Description: Members' own fills, linked to a signal or standalone, with P&L in their account currency
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('017', 'Personal trade journal', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- JOURNAL ENTRIES
+-- =========================================
+
+-- One row per trade a member took. size is in lots for forex, metals and commodities
+-- and in units for crypto, indices and stocks (the export's contract sizes). The API
+-- fills quote_currency, conversion_rate (quote -> account currency at close), pips,
+-- gross_pnl, realized_pnl (after fees) and r_multiple when exit_price is set; an
+-- entry without exit_price is an open trade.
+CREATE TABLE IF NOT EXISTS trade_journal_entries (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    signal_id UUID REFERENCES trading_signals(id) ON DELETE SET NULL,
+    symbol TEXT NOT NULL,
+    instrument_type TEXT NOT NULL DEFAULT 'forex' CHECK (instrument_type IN ('forex', 'crypto', 'stocks', 'commodities', 'indices')),
+    action TEXT NOT NULL CHECK (action IN ('buy', 'sell')),
+    size DECIMAL(18,6) NOT NULL CHECK (size > 0),
+    entry_price DECIMAL(15,8) NOT NULL,
+    exit_price DECIMAL(15,8),
+    stop_loss DECIMAL(15,8),
+    fees DECIMAL(15,2) NOT NULL DEFAULT 0,
+    account_currency TEXT NOT NULL DEFAULT 'USD',
+    quote_currency TEXT,
+    conversion_rate DECIMAL(18,8),
+    pips DECIMAL(12,2),
+    gross_pnl DECIMAL(15,2),
+    realized_pnl DECIMAL(15,2),
+    r_multiple DECIMAL(8,2),
+    opened_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    closed_at TIMESTAMPTZ,
+    notes TEXT,
+    emotion_tags TEXT[] NOT NULL DEFAULT '{}',
+    screenshots TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trade_journal_user_opened ON trade_journal_entries(user_id, opened_at DESC);
+CREATE INDEX IF NOT EXISTS idx_trade_journal_signal ON trade_journal_entries(signal_id);
+
+CREATE TRIGGER update_trade_journal_entries_updated_at BEFORE UPDATE ON trade_journal_entries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE trade_journal_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own journal entries" ON trade_journal_entries
+    FOR ALL USING (auth.uid() = user_id);
+
+-- =========================================
+-- SCREENSHOTS
+-- =========================================
+
+-- Private bucket; members upload under a folder named after their user id and the
+-- API hands out signed URLs. screenshots holds the object paths.
+INSERT INTO storage.buckets (id, name, public) VALUES
+('journal-screenshots', 'journal-screenshots', false)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Users can upload own journal screenshots" ON storage.objects
+    FOR INSERT WITH CHECK (
+        bucket_id = 'journal-screenshots' AND (storage.foldername(name))[1] = auth.uid()::text
+    );
+
+CREATE POLICY "Users can view own journal screenshots" ON storage.objects
+    FOR SELECT USING (
+        bucket_id = 'journal-screenshots' AND (storage.foldername(name))[1] = auth.uid()::text
+    );
+
+CREATE POLICY "Users can delete own journal screenshots" ON storage.objects
+    FOR DELETE USING (
+        bucket_id = 'journal-screenshots' AND (storage.foldername(name))[1] = auth.uid()::text
+    );
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '017';
@@ -0,0 +1,78 @@
+-- =========================================
+-- MIGRATION 018: Portfolio Positions
+-- Location: /database/migrations/018_portfolio_positions.sql
+-- Description: Members' trading accounts and the positions open in them, marked to market by the API
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('018', 'Portfolio accounts and open positions', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- TRADING ACCOUNTS
+-- =========================================
+
+-- A member's broker account. balance is the cash balance in account_currency; leverage
+-- drives the margin estimate (notional / leverage) for every position in the account.
+CREATE TABLE IF NOT EXISTS trading_accounts (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    broker TEXT,
+    account_currency TEXT NOT NULL DEFAULT 'USD',
+    balance DECIMAL(15,2) NOT NULL DEFAULT 0,
+    leverage INTEGER NOT NULL DEFAULT 30 CHECK (leverage > 0),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, name)
+);
+
+CREATE TRIGGER update_trading_accounts_updated_at BEFORE UPDATE ON trading_accounts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE trading_accounts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own trading accounts" ON trading_accounts
+    FOR ALL USING (auth.uid() = user_id);
+
+-- =========================================
+-- OPEN POSITIONS
+-- =========================================
+
+-- Positions currently open; closing one removes it (members log the fill in the trade
+-- journal). size uses the journal's units: lots for forex, metals and commodities,
+-- units for crypto, indices and stocks.
+CREATE TABLE IF NOT EXISTS portfolio_positions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES trading_accounts(id) ON DELETE CASCADE,
+    signal_id UUID REFERENCES trading_signals(id) ON DELETE SET NULL,
+    symbol TEXT NOT NULL,
+    instrument_type TEXT NOT NULL DEFAULT 'forex' CHECK (instrument_type IN ('forex', 'crypto', 'stocks', 'commodities', 'indices')),
+    action TEXT NOT NULL CHECK (action IN ('buy', 'sell')),
+    size DECIMAL(18,6) NOT NULL CHECK (size > 0),
+    entry_price DECIMAL(15,8) NOT NULL,
+    stop_loss DECIMAL(15,8),
+    take_profit DECIMAL(15,8),
+    opened_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_portfolio_positions_user ON portfolio_positions(user_id, opened_at DESC);
+CREATE INDEX IF NOT EXISTS idx_portfolio_positions_account ON portfolio_positions(account_id);
+
+CREATE TRIGGER update_portfolio_positions_updated_at BEFORE UPDATE ON portfolio_positions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE portfolio_positions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own positions" ON portfolio_positions
+    FOR ALL USING (auth.uid() = user_id);
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '018';
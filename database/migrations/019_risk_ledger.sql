@@ -0,0 +1,45 @@
+-- =========================================
+-- MIGRATION 019: Risk Ledger
+-- Location: /database/migrations/019_risk_ledger.sql
+-- Description: Risk members commit from the calculator, summed per UTC day against their daily limit
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('019', 'Risk ledger for daily risk limits', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- RISK LEDGER
+-- =========================================
+
+-- One row per trade a member sized and took through the risk calculator. risk_percent
+-- is of the balance used for sizing; the API refuses a row that would take the day's
+-- total past the member's max_daily_risk (user_profiles.preferences.risk).
+CREATE TABLE IF NOT EXISTS risk_ledger (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    signal_id UUID REFERENCES trading_signals(id) ON DELETE SET NULL,
+    symbol TEXT NOT NULL,
+    instrument_type TEXT NOT NULL,
+    action TEXT CHECK (action IN ('buy', 'sell')),
+    size DECIMAL(18,6) NOT NULL,
+    entry_price DECIMAL(15,8) NOT NULL,
+    stop_loss DECIMAL(15,8) NOT NULL,
+    risk_amount DECIMAL(15,2) NOT NULL,
+    risk_percent DECIMAL(6,3) NOT NULL,
+    account_currency TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_risk_ledger_user_created ON risk_ledger(user_id, created_at DESC);
+
+ALTER TABLE risk_ledger ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own risk ledger" ON risk_ledger
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '019';
@@ -0,0 +1,127 @@
+-- =========================================
+-- MIGRATION 020: Paper Trading
+-- Location: /database/migrations/020_paper_trading.sql
+-- Description: Virtual accounts, orders and positions filled from the market data feed
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('020', 'Paper trading accounts, orders and positions', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- PAPER ACCOUNTS
+-- =========================================
+
+-- A virtual account. The cash balance is starting_balance plus the realized P&L of its
+-- closed positions, so it is derived rather than stored. spread_multiplier widens (or
+-- narrows) the modelled spread fills are taken at.
+CREATE TABLE IF NOT EXISTS paper_accounts (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    account_currency TEXT NOT NULL DEFAULT 'USD',
+    starting_balance DECIMAL(15,2) NOT NULL DEFAULT 10000 CHECK (starting_balance > 0),
+    leverage INTEGER NOT NULL DEFAULT 30 CHECK (leverage > 0),
+    spread_multiplier DECIMAL(5,2) NOT NULL DEFAULT 1 CHECK (spread_multiplier >= 0),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, name)
+);
+
+CREATE TRIGGER update_paper_accounts_updated_at BEFORE UPDATE ON paper_accounts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =========================================
+-- PAPER ORDERS
+-- =========================================
+
+-- Market orders fill when placed; limit and stop orders wait for the price feed
+-- (api/paper/paper-engine.js). stop_loss and take_profit become the bracket of the
+-- position the order opens.
+CREATE TABLE IF NOT EXISTS paper_orders (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    account_id UUID NOT NULL REFERENCES paper_accounts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    signal_id UUID REFERENCES trading_signals(id) ON DELETE SET NULL,
+    symbol TEXT NOT NULL,
+    instrument_type TEXT NOT NULL CHECK (instrument_type IN ('forex', 'crypto', 'stocks', 'commodities', 'indices')),
+    action TEXT NOT NULL CHECK (action IN ('buy', 'sell')),
+    order_type TEXT NOT NULL CHECK (order_type IN ('market', 'limit', 'stop')),
+    size DECIMAL(18,6) NOT NULL CHECK (size > 0),
+    price DECIMAL(15,8),
+    stop_loss DECIMAL(15,8),
+    take_profit DECIMAL(15,8),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'filled', 'cancelled', 'expired')),
+    fill_price DECIMAL(15,8),
+    filled_at TIMESTAMPTZ,
+    position_id UUID,
+    expires_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (order_type = 'market' OR price IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_paper_orders_account ON paper_orders(account_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_paper_orders_pending ON paper_orders(symbol) WHERE status = 'pending';
+
+CREATE TRIGGER update_paper_orders_updated_at BEFORE UPDATE ON paper_orders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =========================================
+-- PAPER POSITIONS
+-- =========================================
+
+-- Open until the bracket is hit or the member closes it. realized_pnl is in the
+-- account currency at conversion_rate (quote -> account currency) at close.
+CREATE TABLE IF NOT EXISTS paper_positions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    account_id UUID NOT NULL REFERENCES paper_accounts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    order_id UUID REFERENCES paper_orders(id) ON DELETE SET NULL,
+    signal_id UUID REFERENCES trading_signals(id) ON DELETE SET NULL,
+    symbol TEXT NOT NULL,
+    instrument_type TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('buy', 'sell')),
+    size DECIMAL(18,6) NOT NULL CHECK (size > 0),
+    entry_price DECIMAL(15,8) NOT NULL,
+    stop_loss DECIMAL(15,8),
+    take_profit DECIMAL(15,8),
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    exit_price DECIMAL(15,8),
+    close_reason TEXT CHECK (close_reason IN ('stop_loss', 'take_profit', 'manual')),
+    conversion_rate DECIMAL(18,8),
+    realized_pnl DECIMAL(15,2),
+    opened_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    closed_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_paper_positions_account ON paper_positions(account_id, status, closed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_paper_positions_open ON paper_positions(symbol) WHERE status = 'open';
+
+CREATE TRIGGER update_paper_positions_updated_at BEFORE UPDATE ON paper_positions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =========================================
+-- ROW LEVEL SECURITY
+-- =========================================
+
+-- Members read their own paper trading; every write goes through the API and engine
+ALTER TABLE paper_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE paper_orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE paper_positions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own paper accounts" ON paper_accounts
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view own paper orders" ON paper_orders
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view own paper positions" ON paper_positions
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '020';
@@ -0,0 +1,42 @@
+-- =========================================
+-- MIGRATION 021: Performance Reports
+-- Location: /database/migrations/021_performance_reports.sql
+-- Description: Monthly statements generated at month end from closed signals and journal trades
+-- =========================================
+
+-- Migration metadata
+INSERT INTO schema_migrations (version, description, executed_at) VALUES
+('021', 'Monthly performance statements', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+-- =========================================
+-- PERFORMANCE REPORTS
+-- =========================================
+
+-- A member's statement for a finished month (YYYY-MM), kept as generated so a downloaded
+-- statement never changes afterwards. source is 'signals' (every signal on the member's
+-- tier at their default risk) or 'journal' (their own closed trades). The month-end
+-- scheduler (api/reports/report-scheduler.js) writes one row per member and source and
+-- notifies the member once; the unique key keeps a second run from sending it again.
+CREATE TABLE IF NOT EXISTS performance_reports (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    month TEXT NOT NULL CHECK (month ~ '^[0-9]{4}-(0[1-9]|1[0-2])$'),
+    source TEXT NOT NULL CHECK (source IN ('signals', 'journal')),
+    report JSONB NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, month, source)
+);
+
+CREATE INDEX IF NOT EXISTS idx_performance_reports_user_month ON performance_reports(user_id, month DESC);
+CREATE INDEX IF NOT EXISTS idx_performance_reports_month ON performance_reports(month);
+
+ALTER TABLE performance_reports ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own performance reports" ON performance_reports
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- Mark migration as completed
+UPDATE schema_migrations
+SET executed_at = NOW()
+WHERE version = '021';
@@ -14,5 +14,25 @@ module.exports = {
         time: true,
         max_memory_restart: '1G',
         node_args: '--max_old_space_size=1024'
+    }, {
+        // Single instance: price subscriptions are held in memory
+        name: 'traders-helmet-price-stream',
+        script: 'api/ws-server.js',
+        instances: 1,
+        exec_mode: 'fork',
+        env: {
+            NODE_ENV: 'production',
+            WS_PORT: 3001,
+            RECORD_CANDLES: 'true',
+            EVALUATE_ALERTS: 'true',
+            RELEASE_SIGNALS: 'true',
+            BROADCAST_SIGNALS: 'true',
+            EXECUTE_PAPER_ORDERS: 'true',
+            SEND_MONTHLY_REPORTS: 'true'
+        },
+        error_file: './logs/price-stream-err.log',
+        out_file: './logs/price-stream-out.log',
+        time: true,
+        max_memory_restart: '512M'
     }]
 };
\ No newline at end of file